@@ -7,12 +7,56 @@ let isLoading = false;
 let hasMorePages = true;
 let totalProperties = 0;
 let loadedProperties = 0;
+let isChatStreaming = false;
+let currentUser = null;
+let bypassCache = false;
+let oldestCacheAge = 0;
+let upstreamRetries = 0;
+let loadingMode = localStorage.getItem("loadingMode") || "full";
+const fullDetailsCache = new Map();
+let allReservations = [];
+let filteredReservations = [];
+let selectedReservations = new Set();
+const reviewSummaries = new Map();
+const queuedReviewSummaries = new Set();
+const requestedReviewSummaries = new Set();
+let isLoadingReviewSummaries = false;
+const MAX_CALENDAR_PROPERTIES = 30;
+let analyticsResult = null;
+let promptTemplates = [];
+const propertyFilters = {};
+let filterOptionsCount = -1;
+let searchIndex = null;
+let searchHighlightTerms = new Set();
+let propertyView = localStorage.getItem("propertyView") || "cards";
+let propertySort = {};
+let tableColumns = [];
+let tableColumnWidths = {};
+let lastBookingDates = new Map();
+let propertyGroups = [];
+let propertyMeta = new Map();
+let propertyMetaVersion = 0;
+let propertyNotes = new Map();
+let exportFields = new Set(
+  JSON.parse(localStorage.getItem("exportFields") || "[]")
+);
+
+// Include sets requested from Hospitable for each loading mode. Light mode
+// skips details, bookings and user data; copying fetches them on demand.
+const LOADING_MODES = {
+  light: "listings",
+  full: "listings,details,bookings,user",
+};
 
 // DOM elements
 const searchBox = document.getElementById("searchBox");
 const propertiesGrid = document.getElementById("propertiesGrid");
 const selectedCount = document.getElementById("selectedCount");
 const copyButton = document.getElementById("copyButton");
+const copyConversationsButton = document.getElementById(
+  "copyConversationsButton"
+);
+const copyReviewsButton = document.getElementById("copyReviewsButton");
 const selectAllButton = document.getElementById("selectAllButton");
 const deselectAllButton = document.getElementById("deselectAllButton");
 const clearButton = document.getElementById("clearButton");
@@ -24,59 +68,336 @@ const progressText = document.getElementById("progressText");
 const errorBanner = document.getElementById("errorBanner");
 const errorMessage = document.getElementById("errorMessage");
 const noResults = document.getElementById("noResults");
+const refreshButton = document.getElementById("refreshButton");
+const loadingModeSelect = document.getElementById("loadingModeSelect");
+const filterPanel = document.getElementById("filterPanel");
+const viewModeSelect = document.getElementById("viewModeSelect");
+const columnPicker = document.getElementById("columnPicker");
+const columnPickerOptions = document.getElementById("columnPickerOptions");
+const filterButton = document.getElementById("filterButton");
+const groupSelect = document.getElementById("groupSelect");
+const metaEditor = document.getElementById("metaEditor");
+const metaEditorTitle = document.getElementById("metaEditorTitle");
+const metaTagsInput = document.getElementById("metaTagsInput");
+const metaFieldsInput = document.getElementById("metaFieldsInput");
+const notesEditor = document.getElementById("notesEditor");
+const notesEditorTitle = document.getElementById("notesEditorTitle");
+const notesTextInput = document.getElementById("notesTextInput");
+const notesSaveButton = document.getElementById("notesSaveButton");
+const notesHistory = document.getElementById("notesHistory");
+const includeNotesCheckbox = document.getElementById("includeNotesCheckbox");
+const searchError = document.getElementById("searchError");
+const exportOptions = document.getElementById("exportOptions");
+const exportFormatSelect = document.getElementById("exportFormatSelect");
+const tokenBudgetInput = document.getElementById("tokenBudgetInput");
+const exportEstimate = document.getElementById("exportEstimate");
+const fieldPickerButton = document.getElementById("fieldPickerButton");
+const fieldPicker = document.getElementById("fieldPicker");
+const fieldTree = document.getElementById("fieldTree");
+const fieldPresetSelect = document.getElementById("fieldPresetSelect");
+const promptOptions = document.getElementById("promptOptions");
+const promptTemplateSelect = document.getElementById("promptTemplateSelect");
+const copyPromptButton = document.getElementById("copyPromptButton");
+const templatePanel = document.getElementById("templatePanel");
+const templateForm = document.getElementById("templateForm");
+const templateNameInput = document.getElementById("templateNameInput");
+const templateBodyInput = document.getElementById("templateBodyInput");
+const deleteTemplateButton = document.getElementById("deleteTemplateButton");
+const reservationSearchBox = document.getElementById("reservationSearchBox");
+const reservationStartDate = document.getElementById("reservationStartDate");
+const reservationEndDate = document.getElementById("reservationEndDate");
+const reservationsGrid = document.getElementById("reservationsGrid");
+const reservationsEmpty = document.getElementById("reservationsEmpty");
+const reservationsScope = document.getElementById("reservationsScope");
+const calendarStartDate = document.getElementById("calendarStartDate");
+const calendarEndDate = document.getElementById("calendarEndDate");
+const calendarScope = document.getElementById("calendarScope");
+const calendarTimeline = document.getElementById("calendarTimeline");
+const analyticsStartDate = document.getElementById("analyticsStartDate");
+const analyticsEndDate = document.getElementById("analyticsEndDate");
+const analyticsScope = document.getElementById("analyticsScope");
+const analyticsSummary = document.getElementById("analyticsSummary");
+const analyticsCharts = document.getElementById("analyticsCharts");
+const analyticsTable = document.getElementById("analyticsTable");
+const copyAnalyticsButton = document.getElementById("copyAnalyticsButton");
+const reservationSelectedCount = document.getElementById(
+  "reservationSelectedCount"
+);
+const copyReservationsButton = document.getElementById(
+  "copyReservationsButton"
+);
+const chatForm = document.getElementById("chatForm");
+const chatInput = document.getElementById("chatInput");
+const chatMessages = document.getElementById("chatMessages");
+const chatContext = document.getElementById("chatContext");
+const chatSendButton = document.getElementById("chatSendButton");
+const chatPanel = document.getElementById("chatPanel");
+const currentUserLabel = document.getElementById("currentUser");
+const adminLink = document.getElementById("adminLink");
 
 // Initialize the application
 document.addEventListener("DOMContentLoaded", function () {
   searchBox.addEventListener("input", debounce(handleSearch, 300));
+  readFiltersFromUrl();
+  propertySort = readStoredJson("propertySort", {});
+  tableColumns = readStoredJson("tableColumns", Object.keys(TABLE_COLUMNS));
+  tableColumnWidths = readStoredJson("tableColumnWidths", {});
+  viewModeSelect.value = propertyView;
+  columnPicker.style.display = propertyView === "table" ? "" : "none";
+  renderColumnPicker();
+  viewModeSelect.addEventListener("change", handleViewModeChange);
+  columnPickerOptions.addEventListener("change", handleColumnToggle);
+  propertiesGrid.addEventListener("mousedown", startColumnResize);
+  window.addEventListener("scroll", scheduleVirtualWindowUpdate, {
+    passive: true,
+  });
+  window.addEventListener("resize", handleVirtualResize);
+  filterPanel.addEventListener("change", handleFilterChange);
+  filterPanel.addEventListener("input", debounce(handleFilterChange, 300));
+  loadingModeSelect.value = loadingMode;
+  loadingModeSelect.addEventListener("change", handleLoadingModeChange);
+  exportFormatSelect.value =
+    localStorage.getItem("exportFormat") || "json-pretty";
+  tokenBudgetInput.value = localStorage.getItem("tokenBudget") || "";
+  exportFormatSelect.addEventListener("change", handleExportOptionsChange);
+  tokenBudgetInput.addEventListener(
+    "input",
+    debounce(handleExportOptionsChange, 300)
+  );
+  fieldTree.addEventListener("change", handleFieldCheckboxChange);
+  fieldPresetSelect.addEventListener("change", applyFieldPreset);
+  promptTemplateSelect.addEventListener("change", () => {
+    if (templatePanel.style.display !== "none") fillTemplateForm();
+  });
+  templateForm.addEventListener("submit", savePromptTemplate);
+  updateFieldPickerButton();
+  reservationSearchBox.addEventListener(
+    "input",
+    debounce(handleReservationSearch, 300)
+  );
+  reservationStartDate.value = offsetDate(-30);
+  reservationEndDate.value = offsetDate(60);
+  calendarStartDate.value = offsetDate(0);
+  calendarEndDate.value = offsetDate(30);
+  analyticsStartDate.value = offsetDate(-30);
+  analyticsEndDate.value = offsetDate(0);
+  chatForm.addEventListener("submit", handleChatSubmit);
+  chatInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      chatForm.requestSubmit();
+    }
+  });
+  loadCurrentUser();
+  loadPropertyGroups();
+  loadPropertyMeta();
+  loadPropertyNotes();
+  document
+    .getElementById("notesEditorForm")
+    .addEventListener("submit", saveNotesEditor);
+  includeNotesCheckbox.checked = localStorage.getItem("includeNotes") === "1";
+  includeNotesCheckbox.addEventListener("change", () => {
+    localStorage.setItem(
+      "includeNotes",
+      includeNotesCheckbox.checked ? "1" : "0"
+    );
+    updateExportEstimate();
+  });
+  document
+    .getElementById("metaEditorForm")
+    .addEventListener("submit", saveMetaEditor);
   loadInitialProperties();
 });
 
+// Load the logged-in user and hide actions their role doesn't allow
+async function loadCurrentUser() {
+  try {
+    const response = await fetch("/api/me");
+    if (!response.ok) return;
+    currentUser = await response.json();
+  } catch (error) {
+    console.error("Error loading current user:", error);
+    return;
+  }
+
+  currentUserLabel.textContent = `${currentUser.username} (${currentUser.role})`;
+  adminLink.style.display = currentUser.permissions.admin
+    ? "inline-block"
+    : "none";
+  chatPanel.style.display = canExport() ? "" : "none";
+  // Cards rendered before the role was known lack the edit buttons
+  if (allProperties.length > 0) renderProperties();
+  updateSelectionUI();
+  if (canExport()) loadPromptTemplates();
+}
+
+// Exporting (copy, chat, bulk links) needs the exporter role or higher
+function canExport() {
+  return currentUser ? currentUser.permissions.export : false;
+}
+
 // Load initial batch of properties
 async function loadInitialProperties() {
   showLoading("Loading all properties...");
   currentPage = 1;
   allProperties = [];
+  loadedProperties = 0;
+  oldestCacheAge = 0;
+  upstreamRetries = 0;
 
   // Auto-load all properties with full details included
   await loadAllProperties();
 
-  // Now render everything
-  filteredProperties = allProperties;
-  renderProperties();
+  // Now render everything, keeping any search typed while loading
+  handleSearch();
   hideLoading();
 
   if (allProperties.length > 0) {
     showCompletionMessage();
   }
-} // Auto-load all properties from all pages
+}
+
+// Auto-load all properties through the aggregated, streamed endpoint
 async function loadAllProperties() {
-  let keepLoading = true;
-
-  while (keepLoading) {
-    await loadProperties();
-    keepLoading = hasMorePages;
-    if (keepLoading) {
-      currentPage++;
-      // Update loading message
-      showLoading(
-        `Loading properties... ${loadedProperties}/${totalProperties || "?"}`
+  const pages = {};
+  const failedPages = [];
+  const refreshParam = bypassCache ? "&refresh=1" : "";
+  let lastPage = 0;
+  let finished = false;
+
+  isLoading = true;
+
+  try {
+    const response = await fetchWithRetry(
+      `/api/properties/all?per_page=100&format=ndjson${includeParam()}${refreshParam}`,
+      "properties"
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Failed to load properties");
+    }
+
+    // Render each page as it arrives so the grid fills in progressively
+    await readNdjson(response, (line) => {
+      if (line.type === "meta") {
+        totalProperties = line.total || 0;
+        currentPage = line.last_page || 1;
+        lastPage = currentPage;
+      } else if (line.type === "done") {
+        finished = true;
+      } else if (line.type === "page") {
+        pages[line.page] = line.data;
+        upstreamRetries += line.retries || 0;
+        oldestCacheAge = Math.max(oldestCacheAge, line.age || 0);
+        applyLoadedPages(pages);
+      } else if (line.type === "error") {
+        failedPages.push(line.page);
+      }
+    });
+
+    // A stream cut off before "done" is a failed load, not a short
+    // portfolio: every page it did not deliver is fetched again below
+    if (!finished) {
+      if (lastPage === 0) {
+        throw new Error("The property list ended before it started loading");
+      }
+      console.error("Property stream ended early; loading missing pages");
+      for (let page = 1; page <= lastPage; page++) {
+        if (!pages[page] && !failedPages.includes(page)) failedPages.push(page);
+      }
+    }
+
+    // Pages that still failed after the worker's own retries are fetched
+    // one at a time, waiting out any rate limit
+    for (const page of failedPages) {
+      const pageResponse = await fetchWithRetry(
+        `/api/properties?page=${page}&per_page=100${includeParam()}${refreshParam}`,
+        `page ${page}`
       );
+      const data = await pageResponse.json();
+
+      if (!pageResponse.ok) {
+        throw new Error(data.message || `Failed to load page ${page}`);
+      }
+
+      pages[page] = data.data;
+      applyLoadedPages(pages);
     }
+  } catch (error) {
+    console.error("Error loading properties:", error);
+    showError(error.message, "LOAD_ERROR");
+  }
+
+  hasMorePages = false;
+  isLoading = false;
+}
+
+// Rebuild allProperties from the pages loaded so far, in page order
+function applyLoadedPages(pages) {
+  allProperties = Object.keys(pages)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap((page) => pages[page]);
+  loadedProperties = allProperties.length;
+
+  updateProgress();
+  const retryNote =
+    upstreamRetries > 0 ? ` (${upstreamRetries} retries so far)` : "";
+  showLoading(
+    `Loading properties... ${loadedProperties}/${
+      totalProperties || "?"
+    }${retryNote}`
+  );
+  handleSearch();
+}
+
+// Read a newline-delimited JSON response, calling onLine for each object
+async function readNdjson(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines
+      .filter((line) => line.trim())
+      .forEach((line) => onLine(JSON.parse(line)));
+
+    if (done) break;
+  }
+
+  if (buffer.trim()) {
+    onLine(JSON.parse(buffer));
   }
 }
 
-// Load properties from API
+// Load properties from API, resolving to whether the page was loaded
 async function loadProperties() {
-  if (isLoading) return;
+  if (isLoading) return false;
 
   isLoading = true;
   loadMoreBtn.disabled = true;
 
   try {
-    const response = await fetch(
-      `/api/properties?page=${currentPage}&per_page=100`
+    const refreshParam = bypassCache ? "&refresh=1" : "";
+    const response = await fetchWithRetry(
+      `/api/properties?page=${currentPage}&per_page=100${includeParam()}${refreshParam}`,
+      `page ${currentPage}`
     );
     const data = await response.json();
+    upstreamRetries += parseInt(
+      response.headers.get("X-Upstream-Retries") || "0",
+      10
+    );
+    oldestCacheAge = Math.max(
+      oldestCacheAge,
+      parseInt(response.headers.get("Age") || "0", 10)
+    );
 
     if (!response.ok) {
       throw new Error(data.message || "Failed to load properties");
@@ -85,7 +406,9 @@ async function loadProperties() {
     if (data.error) {
       showError(data.message, data.error);
       hideLoading();
-      return;
+      isLoading = false;
+      loadMoreBtn.disabled = false;
+      return false;
     }
 
     // Update totals
@@ -107,10 +430,83 @@ async function loadProperties() {
     console.error("Error loading properties:", error);
     showError(error.message, "LOAD_ERROR");
     hideLoading();
+    isLoading = false;
+    loadMoreBtn.disabled = false;
+    return false;
   }
 
   isLoading = false;
   loadMoreBtn.disabled = false;
+  return true;
+}
+
+// Errors worth waiting out: the worker already retried, but Hospitable may
+// ask us to back off for longer than a single request can wait
+const RETRYABLE_ERRORS = [
+  "RATE_LIMIT_ERROR",
+  "UPSTREAM_ERROR",
+  "NETWORK_ERROR",
+];
+const MAX_CLIENT_RETRIES = 5;
+
+// Fetch an API route, retrying with backoff while Hospitable is rate
+// limiting or unavailable and showing the countdown in the progress banner
+async function fetchWithRetry(url, label) {
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url);
+    if (response.ok || attempt > MAX_CLIENT_RETRIES) return response;
+
+    const data = await response
+      .clone()
+      .json()
+      .catch(() => ({}));
+    if (!RETRYABLE_ERRORS.includes(data.error)) return response;
+
+    const backoff = Math.min(2 ** attempt, 30) + Math.random() * 2;
+    const delaySeconds = Math.ceil(
+      Number.isFinite(data.retry_after) ? data.retry_after : backoff
+    );
+    const reason =
+      data.error === "RATE_LIMIT_ERROR"
+        ? "Hospitable rate limit reached"
+        : "Hospitable is unavailable";
+
+    for (let remaining = delaySeconds; remaining > 0; remaining--) {
+      showLoading(
+        `${reason}, retrying ${label} in ${remaining}s (attempt ${attempt}/${MAX_CLIENT_RETRIES})...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+// Query string fragment selecting the include set for the current mode
+function includeParam() {
+  return `&include=${LOADING_MODES[loadingMode]}`;
+}
+
+// Switch between light and full loading and reload the grid
+async function handleLoadingModeChange() {
+  if (isLoading) {
+    loadingModeSelect.value = loadingMode;
+    return;
+  }
+
+  loadingMode = loadingModeSelect.value;
+  localStorage.setItem("loadingMode", loadingMode);
+  await loadInitialProperties();
+}
+
+// Reload every property from Hospitable, skipping the server cache
+async function refreshProperties() {
+  if (isLoading) return;
+
+  refreshButton.disabled = true;
+  bypassCache = true;
+  fullDetailsCache.clear();
+  await loadInitialProperties();
+  bypassCache = false;
+  refreshButton.disabled = false;
 }
 
 // Load more properties
@@ -126,33 +522,43 @@ async function loadMoreProperties() {
 
 // Handle search - focuses on property name and address only
 function handleSearch() {
-  const query = searchBox.value.toLowerCase().trim();
+  const query = searchBox.value.trim();
+  const parsed = query === "" ? {} : parseSearchQuery(query);
+  showSearchError(parsed.error);
+
+  if (filterOptionsCount !== allProperties.length) {
+    renderFilterOptions();
+  }
 
-  if (query === "") {
+  if (!isFiltering()) {
+    searchHighlightTerms = new Set();
     filteredProperties = allProperties;
   } else {
-    filteredProperties = allProperties.filter((property) => {
-      // Primary: Search by property name
-      const nameMatch = property.name?.toLowerCase().includes(query) || false;
-      const publicNameMatch =
-        property.public_name?.toLowerCase().includes(query) || false;
-      // Secondary: Search by address (with null check)
-      const addressMatch =
-        property.address?.display?.toLowerCase().includes(query) || false;
-
-      return nameMatch || publicNameMatch || addressMatch;
-    });
+    // An invalid query is reported inline and otherwise ignored
+    filteredProperties = rankSearchResults(
+      allProperties.filter(
+        (property) =>
+          matchesFilters(property, propertyFilters) &&
+          (!parsed.ast || evaluateSearchQuery(parsed.ast, property))
+      ),
+      parsed.ast
+    );
   }
 
+  const count = activeFilterCount();
+  filterButton.textContent = count > 0 ? `🎛️ Filters (${count})` : "🎛️ Filters";
+  writeFiltersToUrl();
   renderProperties();
 }
 
 // Render properties in the grid
 function renderProperties() {
-  const propertiesToShow =
-    filteredProperties.length > 0 || searchBox.value.trim() !== ""
+  lastBookingDates = collectLastBookingDates();
+  const propertiesToShow = sortProperties(
+    filteredProperties.length > 0 || isFiltering()
       ? filteredProperties
-      : allProperties;
+      : allProperties
+  );
 
   propertiesGrid.innerHTML = "";
 
@@ -165,10 +571,27 @@ function renderProperties() {
 
   noResults.style.display = "none";
 
-  propertiesToShow.forEach((property) => {
-    const propertyCard = createPropertyCard(property);
-    propertiesGrid.appendChild(propertyCard);
-  });
+  if (propertyView === "table") {
+    const columns = tableColumns.filter((key) => TABLE_COLUMNS[key]);
+    renderPropertyRows(
+      renderPropertyTable(columns),
+      propertiesToShow,
+      (property) => createPropertyTableRow(property, columns),
+      () => {
+        const spacer = document.createElement("tr");
+        spacer.className = "virtual-spacer";
+        spacer.innerHTML = `<td colspan="${columns.length + 1}"></td>`;
+        return spacer;
+      }
+    );
+  } else {
+    renderPropertyRows(
+      propertiesGrid,
+      propertiesToShow,
+      createPropertyCard,
+      () => document.createElement("div")
+    );
+  }
 
   updateSelectionUI();
 }
@@ -185,6 +608,14 @@ function createPropertyCard(property) {
 
   const statusClass = property.listed ? "status-listed" : "status-unlisted";
   const statusText = property.listed ? "Listed" : "Unlisted";
+  const snippet = getMatchSnippet(property);
+  queueReviewSummary(property.id);
+  const tagEditButton = canExport()
+    ? `<button class="btn-tiny" onclick="openMetaEditor('${property.id}')" title="Edit tags and custom fields">🏷️</button>`
+    : "";
+  const notesButton = `<button class="btn-tiny" onclick="openNotesEditor('${
+    property.id
+  }')" title="${canExport() ? "Edit notes" : "View notes"}">📝</button>`;
 
   card.innerHTML = `
         <div class="property-content-compact">
@@ -198,12 +629,14 @@ function createPropertyCard(property) {
                                : ""
                            }>
                     <div class="property-text">
-                        <h4 class="property-title-compact">${
+                        <h4 class="property-title-compact">${highlightSearchMatches(
                           property.name || "Unnamed Property"
-                        }</h4>
+                        )}</h4>
                         ${
                           property.public_name
-                            ? `<span class="property-name-compact">${property.public_name}</span>`
+                            ? `<span class="property-name-compact">${highlightSearchMatches(
+                                property.public_name
+                              )}</span>`
                             : ""
                         }
                     </div>
@@ -216,8 +649,13 @@ function createPropertyCard(property) {
                 </div>
                 
                 <div class="property-address-compact">
-                    📍 ${property.address?.display || "Address not available"}
+                    📍 ${highlightSearchMatches(
+                      property.address?.display || "Address not available"
+                    )}
                 </div>
+                ${renderPropertyTags(property)}
+                ${renderPropertyNote(property)}
+                ${snippet ? `<div class="match-snippet">${snippet}</div>` : ""}
                 
                 <div class="property-quick-links">
                     <a href="https://my.hospitable.com/properties/property/${
@@ -259,6 +697,11 @@ function createPropertyCard(property) {
                 </div>
                 
                 <div class="property-status-right">
+                    ${notesButton}
+                    ${tagEditButton}
+                    <span class="rating-badge">${formatRatingBadge(
+                      reviewSummaries.get(property.id)
+                    )}</span>
                     <span class="property-status ${statusClass}">${statusText}</span>
                 </div>
             </div>
@@ -276,179 +719,3660 @@ function togglePropertySelection(propertyId) {
     selectedProperties.add(propertyId);
   }
 
-  updateSelectionUI();
+  updateSelectionUI([propertyId]);
 }
 
-// Update selection UI
-function updateSelectionUI() {
-  const count = selectedProperties.size;
-  selectedCount.textContent = `${count} selected`;
-  copyButton.disabled = count === 0;
-
-  // Show/hide bulk actions and clear button
-  bulkActions.style.display = count > 0 ? "block" : "none";
-  clearButton.style.display = count > 0 ? "inline-block" : "none";
+// Search query language
+// The search box accepts plain words plus field terms, e.g.
+//   bedrooms:>=3 city:"Austin" -unlisted amenity:pool
+//   (city:austin OR city:denver) NOT channel:vrbo
+// Terms are ANDed unless joined with OR; "-" or NOT negates a term and
+// parentheses group. Plain words go through the full-text search index
+// below; custom fields are terms too, named with spaces and dashes as
+// underscores (owner:smith, cleaning_team:north, field2:x).
+// parseSearchQuery() returns { ast } or { error: { message, position } }.
+const QUERY_FIELDS = {
+  bedrooms: { type: "number", get: (p) => p.capacity?.bedrooms },
+  bathrooms: { type: "number", get: (p) => p.capacity?.bathrooms },
+  guests: { type: "number", get: (p) => p.capacity?.max },
+  type: { type: "text", get: (p) => p.property_type },
+  city: { type: "text", get: (p) => p.address?.city },
+  country: { type: "text", get: (p) => p.address?.country_code },
+  name: { type: "text", get: (p) => [p.name, p.public_name] },
+  address: { type: "text", get: (p) => p.address?.display },
+  amenity: { type: "list", get: (p) => p.amenities },
+  channel: { type: "list", get: getPropertyChannels },
+  listed: { type: "boolean", get: (p) => p.listed },
+  group: { type: "group", get: (p) => p.id },
+  tag: { type: "list", get: (p) => getPropertyMeta(p.id).tags },
+};
+const QUERY_FIELD_ALIASES = {
+  beds: "bedrooms",
+  baths: "bathrooms",
+  max: "guests",
+  amenities: "amenity",
+  channels: "channel",
+  platform: "channel",
+  tags: "tag",
+};
+// Bare keywords that stand for a field term
+const QUERY_KEYWORDS = {
+  listed: { field: "listed", op: "=", value: "true" },
+  unlisted: { field: "listed", op: "=", value: "false" },
+};
 
-  // Show/hide select/deselect all buttons
-  const visibleProperties =
-    filteredProperties.length > 0 || searchBox.value.trim() !== ""
-      ? filteredProperties
-      : allProperties;
+function querySyntaxError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
 
-  const allVisibleSelected =
-    visibleProperties.length > 0 &&
-    visibleProperties.every((p) => selectedProperties.has(p.id));
+function tokenizeSearchQuery(input) {
+  const tokens = [];
+  let i = 0;
 
-  if (allVisibleSelected && count > 0) {
-    selectAllButton.style.display = "none";
-    deselectAllButton.style.display = "inline-block";
-  } else {
-    selectAllButton.style.display = "inline-block";
-    deselectAllButton.style.display = "none";
-  }
+  while (i < input.length) {
+    const char = input[i];
 
-  // Update card styling
-  document.querySelectorAll(".property-card").forEach((card) => {
-    const propertyId = card.dataset.propertyId;
-    const checkbox = card.querySelector(".property-checkbox");
-    if (selectedProperties.has(propertyId)) {
-      card.classList.add("selected");
-      if (checkbox) checkbox.checked = true;
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (
+      char === "-" &&
+      i + 1 < input.length &&
+      !/\s/.test(input[i + 1])
+    ) {
+      tokens.push({ type: "-", position: i });
+      i++;
     } else {
-      card.classList.remove("selected");
-      if (checkbox) checkbox.checked = false;
+      const start = i;
+      const field = /^([a-z0-9_]+):/i.exec(input.slice(i));
+      let name = null;
+      let op = "";
+
+      if (field) {
+        name = field[1].toLowerCase();
+        i += field[0].length;
+        op = /^(>=|<=|>|<|=)?/.exec(input.slice(i))[0];
+        i += op.length;
+      }
+
+      let value = "";
+      let quoted = false;
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw querySyntaxError("Missing closing quote", i);
+        }
+        value = input.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        while (i < input.length && !/[\s()]/.test(input[i])) {
+          value += input[i++];
+        }
+      }
+
+      if (name !== null && value === "" && !quoted) {
+        throw querySyntaxError(`Expected a value after "${name}:${op}"`, i);
+      }
+
+      tokens.push(
+        name !== null
+          ? { type: "field", field: name, op, value, position: start }
+          : { type: "word", value, quoted, position: start }
+      );
     }
-  });
+  }
+
+  return tokens;
 }
 
-// Select all visible properties (in search results)
-function selectAllVisible() {
-  const propertiesToSelect =
-    filteredProperties.length > 0 || searchBox.value.trim() !== ""
-      ? filteredProperties
-      : allProperties;
+function parseSearchQuery(input) {
+  try {
+    const tokens = tokenizeSearchQuery(input);
+    let index = 0;
 
-  propertiesToSelect.forEach((property) => {
-    selectedProperties.add(property.id);
-  });
+    const peek = () => tokens[index];
+    const isKeyword = (token, keyword) =>
+      token &&
+      token.type === "word" &&
+      !token.quoted &&
+      token.value === keyword;
 
-  updateSelectionUI();
-}
+    function parseOr() {
+      const children = [parseAnd()];
+      while (isKeyword(peek(), "OR")) {
+        index++;
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: "or", children };
+    }
 
-// Deselect all properties
-function deselectAll() {
-  selectedProperties.clear();
-  updateSelectionUI();
-}
+    function parseAnd() {
+      const children = [];
+      while (peek() && peek().type !== ")" && !isKeyword(peek(), "OR")) {
+        if (isKeyword(peek(), "AND")) {
+          index++;
+          continue;
+        }
+        children.push(parseUnary());
+      }
 
-// Clear selection (alias for deselectAll)
-function clearSelection() {
-  selectedProperties.clear();
-  updateSelectionUI();
-}
+      if (children.length === 0) {
+        const token = peek();
+        throw querySyntaxError(
+          "Expected a search term",
+          token ? token.position : input.length
+        );
+      }
+      return children.length === 1 ? children[0] : { type: "and", children };
+    }
 
-// Open selected properties in Hospitable
-function openSelectedLinks(linkType) {
-  if (selectedProperties.size === 0) return;
+    function parseUnary() {
+      const token = peek();
+      if (token.type === "-" || isKeyword(token, "NOT")) {
+        index++;
+        if (!peek()) {
+          throw querySyntaxError("Expected a term to negate", input.length);
+        }
+        return { type: "not", child: parseUnary() };
+      }
+      return parsePrimary();
+    }
 
-  const selectedData = allProperties.filter((property) =>
-    selectedProperties.has(property.id)
-  );
+    function parsePrimary() {
+      const token = tokens[index++];
 
-  const linkMap = {
-    details: "details/overview",
-    pricing: "pricing",
-    "availability-rules": "availability-rules",
-    direct: "direct",
-    "messaging-rules": "messaging-rules",
-    "review-rules": "review-rules",
-    team: "team",
-    "notification-rules": "notification-rules",
-    "task-rules": "task-rules",
-    "custom-codes": "custom-codes",
-    "canned-responses": "canned-responses",
-    "merge-match": "merge-match",
-  };
+      if (token.type === "(") {
+        const expression = parseOr();
+        if (!peek() || peek().type !== ")") {
+          throw querySyntaxError("Missing closing parenthesis", token.position);
+        }
+        index++;
+        return expression;
+      }
 
-  const urlPath = linkMap[linkType];
-  if (!urlPath) return;
+      if (token.type === "field") return parseFieldTerm(token);
 
-  // Confirm if opening many tabs
-  if (selectedData.length > 10) {
-    const confirm = window.confirm(
-      `This will open ${selectedData.length} new tabs. Continue?`
-    );
-    if (!confirm) return;
-  }
+      const keyword = QUERY_KEYWORDS[token.value.toLowerCase()];
+      if (keyword && !token.quoted) return { type: "field", ...keyword };
 
-  selectedData.forEach((property) => {
-    const url = `https://my.hospitable.com/properties/property/${property.id}/${urlPath}`;
-    window.open(url, "_blank");
-  });
-}
+      return { type: "text", value: token.value.toLowerCase() };
+    }
 
-// Copy selected properties to clipboard
-async function copySelectedProperties() {
-  if (selectedProperties.size === 0) return;
+    const ast = parseOr();
+    if (index < tokens.length) {
+      throw querySyntaxError("Unexpected )", tokens[index].position);
+    }
+    return { ast };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { error: { message: error.message, position: error.position } };
+  }
+}
 
-  const selectedData = allProperties.filter((property) =>
-    selectedProperties.has(property.id)
+function parseFieldTerm(token) {
+  const field = QUERY_FIELD_ALIASES[token.field] || token.field;
+  const definition = QUERY_FIELDS[field];
+  // Custom field names are matched with spaces and dashes as underscores,
+  // so "cleaning team" is searched as cleaning_team:north
+  const customField = getCustomFieldNames().find(
+    (name) => name.toLowerCase().replace(/[ -]/g, "_") === token.field
   );
 
-  showLoading(`Copying ${selectedData.length} properties with full details...`);
+  if (!definition && customField) {
+    return {
+      type: "field",
+      custom: true,
+      field: customField,
+      value: token.value,
+    };
+  }
 
-  try {
-    const jsonData = JSON.stringify(selectedData, null, 2);
-    await navigator.clipboard.writeText(jsonData);
+  if (!definition) {
+    throw querySyntaxError(
+      `Unknown field "${token.field}". Try one of: ${[
+        ...Object.keys(QUERY_FIELDS),
+        ...getCustomFieldNames().map((name) =>
+          name.toLowerCase().replace(/[ -]/g, "_")
+        ),
+      ].join(", ")}`,
+      token.position
+    );
+  }
 
-    // Visual feedback
-    const originalText = copyButton.textContent;
-    copyButton.textContent = "✅ Copied!";
-    hideLoading();
+  if (definition.type === "number") {
+    if (token.value.trim() === "" || Number.isNaN(Number(token.value))) {
+      throw querySyntaxError(
+        `"${field}" needs a number, got "${token.value}"`,
+        token.position
+      );
+    }
+  } else if (token.op && token.op !== "=") {
+    throw querySyntaxError(
+      `"${token.op}" only works with numeric fields`,
+      token.position
+    );
+  }
 
-    setTimeout(() => {
-      copyButton.textContent = originalText;
-    }, 2000);
-  } catch (error) {
-    console.error("Failed to copy to clipboard:", error);
-    hideLoading();
+  if (
+    definition.type === "boolean" &&
+    !["true", "false", "yes", "no"].includes(token.value.toLowerCase())
+  ) {
+    throw querySyntaxError(
+      `"${field}" must be true or false, got "${token.value}"`,
+      token.position
+    );
+  }
 
-    // Fallback: show data in a modal or new window
-    const jsonData = JSON.stringify(selectedData, null, 2);
-    const newWindow = window.open("", "_blank");
-    newWindow.document.write(`
-            <html>
-                <head><title>Selected Properties Data</title></head>
-                <body>
-                    <h3>Selected Properties JSON Data (Full Details)</h3>
-                    <p>Copy the data below:</p>
-                    <textarea style="width: 100%; height: 400px;">${jsonData}</textarea>
-                </body>
-            </html>
-        `);
+  return {
+    type: "field",
+    field,
+    op: token.op || "=",
+    value: token.value,
+  };
+}
+
+function evaluateSearchQuery(node, property) {
+  switch (node.type) {
+    case "and":
+      return node.children.every((child) =>
+        evaluateSearchQuery(child, property)
+      );
+    case "or":
+      return node.children.some((child) =>
+        evaluateSearchQuery(child, property)
+      );
+    case "not":
+      return !evaluateSearchQuery(node.child, property);
+    case "text":
+      return matchesSearchText(node.value, property.id);
+    case "field":
+      return evaluateFieldTerm(node, property);
+    default:
+      return false;
   }
 }
 
-// Update progress information
-function updateProgress() {
-  if (totalProperties > 0) {
-    progressText.textContent = `Loaded ${loadedProperties} of ${totalProperties} properties`;
+function evaluateFieldTerm(node, property) {
+  if (node.custom) {
+    const value = getPropertyMeta(property.id).fields?.[node.field];
+    return String(value || "")
+      .toLowerCase()
+      .includes(node.value.toLowerCase());
+  }
+
+  const definition = QUERY_FIELDS[node.field];
+  const actual = definition.get(property);
+  const expected = node.value.toLowerCase();
+
+  switch (definition.type) {
+    case "number": {
+      if (actual === undefined || actual === null) return false;
+      const value = Number(node.value);
+      return {
+        ">=": actual >= value,
+        "<=": actual <= value,
+        ">": actual > value,
+        "<": actual < value,
+        "=": actual === value,
+      }[node.op];
+    }
+    case "boolean":
+      return Boolean(actual) === ["true", "yes"].includes(expected);
+    case "list":
+      return (actual || []).some((item) =>
+        String(item).toLowerCase().includes(expected)
+      );
+    case "group":
+      return propertyGroups.some(
+        (group) =>
+          group.name.toLowerCase().includes(expected) &&
+          group.propertyIds.includes(actual)
+      );
+    default:
+      return []
+        .concat(actual)
+        .filter(Boolean)
+        .some((text) => String(text).toLowerCase().includes(expected));
   }
 }
 
-// Show completion message
-function showCompletionMessage() {
-  progressInfo.style.display = "block";
-  progressInfo.style.backgroundColor = "#d4edda";
-  progressInfo.style.color = "#155724";
-  progressText.textContent = `✅ All ${totalProperties} properties loaded successfully!`;
+// Full-text search index
+// Plain search words are looked up in an inverted index over names,
+// addresses, listing titles, amenities, descriptions and house rules. A word
+// matches a term exactly, as a prefix, or within a small edit distance (one
+// typo for 4-7 letters, two from 8), and results are ranked by field weight
+// times match quality. The index is rebuilt whenever the loaded properties
+// or their fetched full details change.
+const SEARCH_FIELD_WEIGHTS = {
+  name: 5,
+  address: 3,
+  listing: 3,
+  amenity: 2,
+  tag: 3,
+  text: 1,
+};
 
-  // Hide after 3 seconds
-  setTimeout(() => {
-    progressInfo.style.display = "none";
-    progressInfo.style.backgroundColor = "white";
-    progressInfo.style.color = "#333";
-  }, 3000);
+function normalizeSearchText(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function getSearchDocumentFields(property) {
+  const fields = [];
+  const add = (field, text) => {
+    if (typeof text === "string" && text.trim()) fields.push({ field, text });
+  };
+
+  add("name", property.name);
+  add("name", property.public_name);
+  add("address", property.address?.display);
+  (property.listings || []).forEach((listing) => {
+    add("listing", listing.platform_name);
+    add("listing", listing.platform);
+  });
+  (property.amenities || []).forEach((amenity) => add("amenity", amenity));
+  add("text", property.description);
+  add("text", property.summary);
+
+  const meta = getPropertyMeta(property.id);
+  meta.tags.forEach((tag) => add("tag", tag));
+  Object.values(meta.fields || {}).forEach((value) => add("tag", value));
+
+  // House rules and other free text live in details
+  (function collect(value) {
+    if (typeof value === "string") add("text", value);
+    else if (value && typeof value === "object") {
+      Object.values(value).forEach(collect);
+    }
+  })(property.details);
+
+  return fields;
+}
+
+// The index is updated in place: only properties that are new or whose
+// data changed since the last call are (re)tokenized, so loading a large
+// portfolio page by page does not rebuild it from scratch each time. Tag
+// edits rebuild it, as they can touch any property.
+function getSearchIndex() {
+  if (!searchIndex || searchIndex.metaVersion !== propertyMetaVersion) {
+    searchIndex = {
+      metaVersion: propertyMetaVersion,
+      source: null,
+      detailsCount: -1,
+      postings: new Map(),
+      terms: [],
+      documents: new Map(),
+      sources: new Map(),
+      lookups: new Map(),
+    };
+  }
+
+  if (
+    searchIndex.source === allProperties &&
+    searchIndex.detailsCount === fullDetailsCache.size
+  ) {
+    return searchIndex;
+  }
+
+  const current = new Set();
+  let changed = false;
+  allProperties.forEach((property) => {
+    current.add(property.id);
+    const source = fullDetailsCache.get(property.id) || property;
+    if (searchIndex.sources.get(property.id) === source) return;
+
+    removeFromSearchIndex(property.id);
+    addToSearchIndex(property.id, source);
+    changed = true;
+  });
+
+  searchIndex.sources.forEach((source, id) => {
+    if (!current.has(id)) {
+      removeFromSearchIndex(id);
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    searchIndex.terms = [...searchIndex.postings.keys()];
+    searchIndex.lookups.clear();
+  }
+  searchIndex.source = allProperties;
+  searchIndex.detailsCount = fullDetailsCache.size;
+  return searchIndex;
+}
+
+function addToSearchIndex(propertyId, source) {
+  const fields = getSearchDocumentFields(source);
+  searchIndex.documents.set(propertyId, fields);
+  searchIndex.sources.set(propertyId, source);
+
+  fields.forEach(({ field, text }) => {
+    new Set(tokenizeSearchText(text)).forEach((term) => {
+      if (!searchIndex.postings.has(term)) {
+        searchIndex.postings.set(term, new Map());
+      }
+      const entry = searchIndex.postings.get(term);
+      entry.set(
+        propertyId,
+        (entry.get(propertyId) || 0) + SEARCH_FIELD_WEIGHTS[field]
+      );
+    });
+  });
+}
+
+function removeFromSearchIndex(propertyId) {
+  const fields = searchIndex.documents.get(propertyId);
+  if (!fields) return;
+
+  fields.forEach(({ text }) => {
+    tokenizeSearchText(text).forEach((term) => {
+      const entry = searchIndex.postings.get(term);
+      if (!entry) return;
+      entry.delete(propertyId);
+      if (entry.size === 0) searchIndex.postings.delete(term);
+    });
+  });
+  searchIndex.documents.delete(propertyId);
+  searchIndex.sources.delete(propertyId);
+}
+
+// Resolves a search word to { scores: Map<propertyId, score>, terms }
+function lookupSearchWord(word) {
+  const index = getSearchIndex();
+  if (index.lookups.has(word)) return index.lookups.get(word);
+
+  const scores = new Map();
+  const terms = new Set();
+  const maxDistance = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+  index.terms.forEach((term) => {
+    let quality = 0;
+    if (term === word) {
+      quality = 1;
+    } else if (word.length >= 2 && term.startsWith(word)) {
+      quality = 0.8;
+    } else if (
+      maxDistance > 0 &&
+      Math.abs(term.length - word.length) <= maxDistance &&
+      editDistance(word, term, maxDistance) <= maxDistance
+    ) {
+      quality = 0.5;
+    }
+    if (quality === 0) return;
+
+    terms.add(term);
+    index.postings.get(term).forEach((weight, propertyId) => {
+      scores.set(
+        propertyId,
+        Math.max(scores.get(propertyId) || 0, weight * quality)
+      );
+    });
+  });
+
+  const result = { scores, terms };
+  index.lookups.set(word, result);
+  return result;
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return rowMin;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function matchesSearchText(text, propertyId) {
+  return tokenizeSearchText(text).every((word) =>
+    lookupSearchWord(word).scores.has(propertyId)
+  );
+}
+
+// Words of the query that count towards ranking (negated ones don't)
+function collectRankedWords(node, words = []) {
+  if (node.type === "text") words.push(...tokenizeSearchText(node.value));
+  if (node.type === "and" || node.type === "or") {
+    node.children.forEach((child) => collectRankedWords(child, words));
+  }
+  return words;
+}
+
+// Order by relevance and remember which terms to highlight
+function rankSearchResults(properties, ast) {
+  const words = ast ? collectRankedWords(ast) : [];
+  searchHighlightTerms = new Set();
+  if (words.length === 0) return properties;
+
+  const lookups = words.map(lookupSearchWord);
+  lookups.forEach(({ terms }) =>
+    terms.forEach((term) => searchHighlightTerms.add(term))
+  );
+
+  const score = (property) =>
+    lookups.reduce(
+      (sum, { scores }) => sum + (scores.get(property.id) || 0),
+      0
+    );
+  return properties
+    .map((property) => ({ property, score: score(property) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ property }) => property);
+}
+
+// Escape text for HTML, wrapping words that matched the search in <mark>
+function highlightSearchMatches(text) {
+  return String(text)
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, i) =>
+      i % 2 === 1 && searchHighlightTerms.has(normalizeSearchText(part))
+        ? `<mark>${escapeHtml(part)}</mark>`
+        : escapeHtml(part)
+    )
+    .join("");
+}
+
+// Excerpt around the first match outside the name and address
+function getMatchSnippet(property) {
+  if (searchHighlightTerms.size === 0) return "";
+
+  const fields = getSearchIndex().documents.get(property.id) || [];
+  for (const { field, text } of fields) {
+    if (field === "name" || field === "address") continue;
+
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (!searchHighlightTerms.has(normalizeSearchText(match[0]))) continue;
+
+      const start = Math.max(0, match.index - 60);
+      const end = Math.min(text.length, match.index + match[0].length + 60);
+      return (
+        (start > 0 ? "…" : "") +
+        highlightSearchMatches(text.slice(start, end)) +
+        (end < text.length ? "…" : "")
+      );
+    }
+  }
+  return "";
+}
+
+function showSearchError(error) {
+  searchBox.classList.toggle("invalid", Boolean(error));
+  searchError.style.display = error ? "block" : "none";
+  searchError.textContent = error
+    ? `${error.message} (at character ${error.position + 1})`
+    : "";
+}
+
+// Table view
+// The grid can show compact cards or a table. Sorting (by clicking a table
+// header) applies to both views; without it properties keep API order, or
+// relevance order while searching. View, visible columns, column widths
+// and sort order are remembered in localStorage.
+const TABLE_COLUMNS = {
+  name: { label: "Name", value: (p) => p.name || "" },
+  city: { label: "City", value: (p) => p.address?.city || "" },
+  bedrooms: { label: "Bedrooms", value: (p) => p.capacity?.bedrooms ?? null },
+  bathrooms: {
+    label: "Bathrooms",
+    value: (p) => p.capacity?.bathrooms ?? null,
+  },
+  listed: { label: "Status", value: (p) => (p.listed ? "Listed" : "Unlisted") },
+  channels: { label: "Channels", value: (p) => getPropertyChannels(p).length },
+  tags: {
+    label: "Tags",
+    value: (p) => getPropertyMeta(p.id).tags.join(", "),
+  },
+  lastBooking: {
+    label: "Last Booking",
+    value: (p) => lastBookingDates.get(p.id) || null,
+  },
+};
+
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function handleViewModeChange() {
+  propertyView = viewModeSelect.value;
+  localStorage.setItem("propertyView", propertyView);
+  columnPicker.style.display = propertyView === "table" ? "" : "none";
+  renderProperties();
+}
+
+// Latest booking date per property, from embedded bookings and any
+// reservations loaded on the Reservations tab
+function collectLastBookingDates() {
+  const dates = new Map();
+  const record = (propertyId, booking) => {
+    const date = (booking.booking_date || booking.arrival_date || "").slice(
+      0,
+      10
+    );
+    if (date && date > (dates.get(propertyId) || "")) {
+      dates.set(propertyId, date);
+    }
+  };
+
+  allProperties.forEach((property) => {
+    if (Array.isArray(property.bookings)) {
+      property.bookings.forEach((booking) => record(property.id, booking));
+    }
+  });
+  allReservations.forEach((reservation) =>
+    (reservation.properties || []).forEach((property) =>
+      record(property.id, reservation)
+    )
+  );
+  return dates;
+}
+
+function sortProperties(properties) {
+  const column = TABLE_COLUMNS[propertySort.column];
+  if (!column) return properties;
+
+  const direction = propertySort.direction === "desc" ? -1 : 1;
+  return [...properties].sort((a, b) => {
+    const left = column.value(a);
+    const right = column.value(b);
+    // Missing values always sort last
+    if (left === null || left === "") return right === null ? 0 : 1;
+    if (right === null || right === "") return -1;
+    return typeof left === "number"
+      ? (left - right) * direction
+      : String(left).localeCompare(String(right), undefined, {
+          numeric: true,
+        }) * direction;
+  });
+}
+
+// Cycle a column through ascending, descending and unsorted
+function toggleSort(columnKey) {
+  if (propertySort.column !== columnKey) {
+    propertySort = { column: columnKey, direction: "asc" };
+  } else if (propertySort.direction === "asc") {
+    propertySort = { column: columnKey, direction: "desc" };
+  } else {
+    propertySort = {};
+  }
+  localStorage.setItem("propertySort", JSON.stringify(propertySort));
+  renderProperties();
+}
+
+function renderColumnPicker() {
+  columnPickerOptions.innerHTML = Object.entries(TABLE_COLUMNS)
+    .map(
+      ([key, column]) => `
+        <label>
+            <input type="checkbox" value="${key}" ${
+        tableColumns.includes(key) ? "checked" : ""
+      }>
+            ${column.label}
+        </label>`
+    )
+    .join("");
+}
+
+function handleColumnToggle() {
+  tableColumns = [...columnPickerOptions.querySelectorAll("input:checked")].map(
+    (input) => input.value
+  );
+  localStorage.setItem("tableColumns", JSON.stringify(tableColumns));
+  renderProperties();
+}
+
+// Render the table shell and return its body for the rows
+function renderPropertyTable(columns) {
+  const arrow = (key) =>
+    propertySort.column === key
+      ? propertySort.direction === "desc"
+        ? " ▼"
+        : " ▲"
+      : "";
+
+  const header = columns
+    .map(
+      (key) => `
+        <th data-column="${key}" style="${
+        tableColumnWidths[key] ? `width: ${tableColumnWidths[key]}px` : ""
+      }" onclick="toggleSort('${key}')">
+            ${TABLE_COLUMNS[key].label}${arrow(key)}
+            <span class="col-resizer" onclick="event.stopPropagation()"></span>
+        </th>`
+    )
+    .join("");
+
+  propertiesGrid.innerHTML = `
+        <div class="property-table-wrapper">
+            <table class="property-table">
+                <thead><tr><th class="select-col"></th>${header}</tr></thead>
+                <tbody></tbody>
+            </table>
+        </div>
+    `;
+  return propertiesGrid.querySelector("tbody");
+}
+
+function createPropertyTableRow(property, columns) {
+  const row = document.createElement("tr");
+  row.className = "property-table-row";
+  row.dataset.propertyId = property.id;
+  if (selectedProperties.has(property.id)) row.classList.add("selected");
+
+  const cells = columns
+    .map((key) => {
+      const value = TABLE_COLUMNS[key].value(property);
+      const text = value === null || value === "" ? "–" : String(value);
+      return `<td>${
+        key === "name" ? highlightSearchMatches(text) : escapeHtml(text)
+      }</td>`;
+    })
+    .join("");
+
+  row.innerHTML = `
+        <td><input type="checkbox" class="property-checkbox"
+                   onchange="togglePropertySelection('${property.id}')"
+                   ${selectedProperties.has(property.id) ? "checked" : ""}></td>
+        ${cells}
+    `;
+  return row;
+}
+
+// Drag a header's right edge to resize its column
+function startColumnResize(event) {
+  if (!event.target.classList.contains("col-resizer")) return;
+  event.preventDefault();
+
+  const th = event.target.parentElement;
+  const startX = event.clientX;
+  const startWidth = th.offsetWidth;
+
+  function onMove(moveEvent) {
+    th.style.width = `${Math.max(
+      60,
+      startWidth + moveEvent.clientX - startX
+    )}px`;
+  }
+
+  function onUp() {
+    document.removeEventListener("mousemove", onMove);
+    document.removeEventListener("mouseup", onUp);
+    tableColumnWidths[th.dataset.column] = th.offsetWidth;
+    localStorage.setItem(
+      "tableColumnWidths",
+      JSON.stringify(tableColumnWidths)
+    );
+  }
+
+  document.addEventListener("mousemove", onMove);
+  document.addEventListener("mouseup", onUp);
+}
+
+// Virtualized rendering
+// Long lists only keep the rows near the viewport in the DOM. Spacers stand
+// in for the rows above and below the window; row heights are estimated
+// until a row has been rendered and measured. Rows that stay inside the
+// window are reused as it moves, so scrolling never rebuilds them.
+const VIRTUALIZE_THRESHOLD = 150;
+const VIRTUAL_OVERSCAN_PX = 800;
+let virtualList = null;
+let virtualFrame = null;
+
+function renderPropertyRows(container, properties, createRow, createSpacer) {
+  virtualList = null;
+
+  if (properties.length <= VIRTUALIZE_THRESHOLD) {
+    properties.forEach((property) =>
+      container.appendChild(createRow(property))
+    );
+    return;
+  }
+
+  virtualList = {
+    container,
+    items: properties,
+    createRow,
+    rendered: new Map(),
+    heights: new Map(),
+    estimate: 60,
+    gap: parseFloat(getComputedStyle(container).rowGap) || 0,
+    top: createSpacer(),
+    bottom: createSpacer(),
+  };
+  container.append(virtualList.top, virtualList.bottom);
+  updateVirtualWindow();
+}
+
+function scheduleVirtualWindowUpdate() {
+  if (!virtualList || virtualFrame) return;
+  virtualFrame = requestAnimationFrame(() => {
+    virtualFrame = null;
+    updateVirtualWindow();
+  });
+}
+
+function updateVirtualWindow() {
+  const list = virtualList;
+  // Hidden while another tab is open; updated again when shown
+  if (!list || !list.container.isConnected || !list.container.offsetParent) {
+    return;
+  }
+
+  const heightOf = (index) =>
+    list.heights.get(list.items[index].id) ?? list.estimate;
+  const listTop = list.container.getBoundingClientRect().top + window.scrollY;
+  const viewTop = window.scrollY - listTop - VIRTUAL_OVERSCAN_PX;
+  const viewBottom =
+    window.scrollY + window.innerHeight - listTop + VIRTUAL_OVERSCAN_PX;
+
+  let start = 0;
+  let offset = 0;
+  while (start < list.items.length && offset + heightOf(start) < viewTop) {
+    offset += heightOf(start++);
+  }
+  const topHeight = offset;
+
+  let end = start;
+  while (end < list.items.length && offset < viewBottom) {
+    offset += heightOf(end++);
+  }
+  let bottomHeight = 0;
+  for (let i = end; i < list.items.length; i++) bottomHeight += heightOf(i);
+
+  // Reuse rows still inside the window and drop the rest
+  const rendered = new Map();
+  const rows = list.items.slice(start, end).map((property) => {
+    const row = list.rendered.get(property.id) || list.createRow(property);
+    rendered.set(property.id, row);
+    return row;
+  });
+  list.rendered.forEach((row, id) => {
+    if (!rendered.has(id)) row.remove();
+  });
+  list.rendered = rendered;
+
+  let previous = list.top;
+  rows.forEach((row) => {
+    if (previous.nextSibling !== row) previous.after(row);
+    previous = row;
+  });
+  list.top.style.height = `${topHeight}px`;
+  list.bottom.style.height = `${bottomHeight}px`;
+
+  // Measure what was rendered; another pass settles changed estimates
+  let changed = false;
+  rows.forEach((row, i) => {
+    const height = row.getBoundingClientRect().height;
+    if (height === 0) return;
+    const measured = height + list.gap;
+    const id = list.items[start + i].id;
+    if (Math.abs((list.heights.get(id) ?? list.estimate) - measured) > 1) {
+      list.heights.set(id, measured);
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    const heights = [...list.heights.values()];
+    list.estimate = heights.reduce((sum, h) => sum + h, 0) / heights.length;
+    scheduleVirtualWindowUpdate();
+  }
+}
+
+// Row heights depend on the width, so measure again after a resize
+function handleVirtualResize() {
+  if (!virtualList) return;
+  virtualList.heights.clear();
+  scheduleVirtualWindowUpdate();
+}
+
+// Property notes
+// Internal notes shared by the team. The latest version of every note is
+// loaded at startup for the cards; the history is fetched when a note is
+// opened. With "Include notes" checked, exports carry them as internal_notes.
+async function loadPropertyNotes() {
+  try {
+    const response = await fetch("/api/notes");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    propertyNotes = new Map(Object.entries(data.data));
+    renderProperties();
+  } catch (error) {
+    console.error("Failed to load notes:", error);
+  }
+}
+
+function renderPropertyNote(property) {
+  const note = propertyNotes.get(property.id);
+  if (!note) return "";
+
+  const firstLine = note.text.split("\n")[0];
+  return `<div class="property-note" title="${escapeHtml(
+    note.text
+  )}">📝 ${escapeHtml(
+    firstLine.length > 120 ? `${firstLine.slice(0, 120)}…` : firstLine
+  )}</div>`;
+}
+
+function withPropertyNote(exported, propertyId) {
+  const note = propertyNotes.get(propertyId);
+  if (!includeNotesCheckbox.checked || !note) return exported;
+  return { ...exported, internal_notes: note.text };
+}
+
+async function openNotesEditor(propertyId) {
+  const property = allProperties.find((p) => p.id === propertyId);
+  notesEditor.dataset.propertyId = propertyId;
+  notesEditorTitle.textContent = `📝 ${property?.name || "Property"}`;
+  notesTextInput.value = propertyNotes.get(propertyId)?.text || "";
+  notesTextInput.readOnly = !canExport();
+  notesSaveButton.style.display = canExport() ? "" : "none";
+  // Saving waits for the latest version, which guards against overwriting
+  notesSaveButton.disabled = true;
+  notesHistory.innerHTML = "<p>Loading history...</p>";
+  notesEditor.style.display = "flex";
+
+  try {
+    const response = await fetch(
+      `/api/property/${encodeURIComponent(propertyId)}/notes`
+    );
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || "Failed to load notes");
+
+    const loadedText = propertyNotes.get(propertyId)?.text || "";
+    if (notesTextInput.value === loadedText) {
+      notesTextInput.value = data.current?.text || "";
+    }
+    notesEditor.dataset.version = data.version;
+    notesSaveButton.disabled = false;
+    renderNotesHistory(data.versions);
+  } catch (error) {
+    notesHistory.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderNotesHistory(versions) {
+  notesHistory.innerHTML = versions.length
+    ? versions
+        .map(
+          (version) => `
+        <div class="note-version">
+            <div class="note-version-meta">${escapeHtml(
+              version.author
+            )} · ${new Date(version.createdAt).toLocaleString()}</div>
+            <div class="note-version-text">${
+              version.text ? escapeHtml(version.text) : "<em>Cleared</em>"
+            }</div>
+        </div>`
+        )
+        .join("")
+    : "<p>No earlier versions.</p>";
+}
+
+function closeNotesEditor() {
+  notesEditor.style.display = "none";
+}
+
+async function saveNotesEditor(event) {
+  event.preventDefault();
+  const propertyId = notesEditor.dataset.propertyId;
+  notesSaveButton.disabled = true;
+
+  try {
+    const response = await fetch(
+      `/api/property/${encodeURIComponent(propertyId)}/notes`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          text: notesTextInput.value,
+          version: Number(notesEditor.dataset.version),
+        }),
+      }
+    );
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save note");
+    }
+
+    if (data.current) {
+      propertyNotes.set(propertyId, data.current);
+    } else {
+      propertyNotes.delete(propertyId);
+    }
+    closeNotesEditor();
+    renderProperties();
+  } catch (error) {
+    console.error("Failed to save note:", error);
+    showError(error.message, "SAVE_ERROR");
+  } finally {
+    notesSaveButton.disabled = false;
+  }
+}
+
+// Tags and custom fields
+// Internal metadata shared by the whole team, loaded once from /api/meta.
+// Tags show as chips on the cards, can be filtered on (Tags filter or
+// tag:owner-smith, and custom fields as owner:smith) and are merged into
+// exports as "tags" and "custom_fields".
+async function loadPropertyMeta() {
+  try {
+    const response = await fetch("/api/meta");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    propertyMeta = new Map(Object.entries(data.data));
+    propertyMetaVersion++;
+    renderFilterOptions();
+    handleSearch();
+  } catch (error) {
+    console.error("Failed to load tags:", error);
+  }
+}
+
+function getPropertyMeta(propertyId) {
+  return propertyMeta.get(propertyId) || { tags: [], fields: {} };
+}
+
+function getCustomFieldNames() {
+  const names = new Set();
+  propertyMeta.forEach((meta) =>
+    Object.keys(meta.fields || {}).forEach((name) => names.add(name))
+  );
+  return [...names];
+}
+
+function withPropertyMeta(property) {
+  const meta = propertyMeta.get(property.id);
+  if (!meta) return property;
+  return { ...property, tags: meta.tags, custom_fields: meta.fields };
+}
+
+function renderPropertyTags(property) {
+  const { tags, fields } = getPropertyMeta(property.id);
+  const chips = [
+    ...tags.map(
+      (tag) => `<span class="tag-chip">${highlightSearchMatches(tag)}</span>`
+    ),
+    ...Object.entries(fields || {}).map(
+      ([name, value]) =>
+        `<span class="tag-chip field-chip">${escapeHtml(
+          name
+        )}: ${highlightSearchMatches(value)}</span>`
+    ),
+  ];
+  return chips.length
+    ? `<div class="property-tags">${chips.join("")}</div>`
+    : "";
+}
+
+function openMetaEditor(propertyId) {
+  const property = allProperties.find((p) => p.id === propertyId);
+  const { tags, fields } = getPropertyMeta(propertyId);
+
+  metaEditor.dataset.propertyId = propertyId;
+  metaEditor.dataset.version = getPropertyMeta(propertyId).version || 0;
+  metaEditorTitle.textContent = `🏷️ ${property?.name || "Property"}`;
+  metaTagsInput.value = tags.join(", ");
+  metaFieldsInput.value = Object.entries(fields || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
+  metaEditor.style.display = "flex";
+  metaTagsInput.focus();
+}
+
+function closeMetaEditor() {
+  metaEditor.style.display = "none";
+}
+
+// One "name: value" pair per line
+function parseCustomFields(text) {
+  const fields = {};
+  text.split("\n").forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return fields;
+}
+
+async function saveMetaEditor(event) {
+  event.preventDefault();
+  const propertyId = metaEditor.dataset.propertyId;
+  const saveButton = metaEditor.querySelector('button[type="submit"]');
+  saveButton.disabled = true;
+
+  try {
+    const response = await fetch(
+      `/api/property/${encodeURIComponent(propertyId)}/meta`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          tags: metaTagsInput.value.split(","),
+          fields: parseCustomFields(metaFieldsInput.value),
+          version: Number(metaEditor.dataset.version),
+        }),
+      }
+    );
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Someone else saved first: pick up their changes for the next edit
+      if (response.status === 409) loadPropertyMeta();
+      throw new Error(data.message || "Failed to save tags");
+    }
+
+    if (data.tags.length === 0 && Object.keys(data.fields).length === 0) {
+      propertyMeta.delete(propertyId);
+    } else {
+      propertyMeta.set(propertyId, data);
+    }
+    propertyMetaVersion++;
+    closeMetaEditor();
+    renderFilterOptions();
+    handleSearch();
+  } catch (error) {
+    console.error("Failed to save tags:", error);
+    showError(error.message, "SAVE_ERROR");
+  } finally {
+    saveButton.disabled = false;
+  }
+}
+
+// Property groups
+// Named selections stored server-side per user. A group can be re-applied
+// as the selection (and then exported like any selection), used as a
+// structured filter, or searched with group:"Downtown condos".
+async function loadPropertyGroups() {
+  try {
+    const response = await fetch("/api/groups");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    propertyGroups = data.data;
+    renderGroupOptions();
+    // Group filters from the URL only apply once the groups are known
+    if (isFiltering()) handleSearch();
+  } catch (error) {
+    console.error("Failed to load groups:", error);
+  }
+}
+
+function renderGroupOptions() {
+  const selected = groupSelect.value;
+  groupSelect.innerHTML =
+    '<option value="">Groups…</option>' +
+    propertyGroups
+      .map(
+        (group) =>
+          `<option value="${escapeHtml(group.id)}">${escapeHtml(group.name)} (${
+            group.propertyIds.length
+          })</option>`
+      )
+      .join("");
+  groupSelect.value = selected;
+  renderFilterOptions();
+}
+
+function getSelectedGroup() {
+  return propertyGroups.find((group) => group.id === groupSelect.value);
+}
+
+// Replace the selection with the group's properties
+function applyGroupSelection() {
+  const group = getSelectedGroup();
+  if (!group) return;
+
+  selectedProperties = new Set(group.propertyIds);
+  updateSelectionUI();
+
+  const missing = group.propertyIds.filter(
+    (id) => !allProperties.some((property) => property.id === id)
+  ).length;
+  if (missing > 0) {
+    showError(
+      `${missing} properties of "${group.name}" are not loaded (removed or still loading).`,
+      "GROUP_WARNING"
+    );
+  }
+}
+
+async function saveSelectionAsGroup(updateExisting) {
+  if (selectedProperties.size === 0) {
+    showError("Select properties to save as a group.", "SAVE_ERROR");
+    return;
+  }
+
+  const existing = updateExisting ? getSelectedGroup() : null;
+  if (updateExisting && !existing) return;
+
+  const name = existing
+    ? existing.name
+    : (window.prompt("Group name") || "").trim();
+  if (!name) return;
+
+  try {
+    const response = await fetch("/api/groups", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: existing ? existing.id : undefined,
+        name,
+        propertyIds: [...selectedProperties],
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save group");
+    }
+
+    await loadPropertyGroups();
+    groupSelect.value = data.id;
+  } catch (error) {
+    console.error("Failed to save group:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+async function deletePropertyGroup() {
+  const group = getSelectedGroup();
+  if (!group || !window.confirm(`Delete group "${group.name}"?`)) return;
+
+  try {
+    const response = await fetch(
+      `/api/groups/${encodeURIComponent(group.id)}`,
+      { method: "DELETE" }
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Failed to delete group");
+    }
+
+    groupSelect.value = "";
+    if (propertyFilters.group === group.id) propertyFilters.group = "";
+    await loadPropertyGroups();
+    handleSearch();
+  } catch (error) {
+    console.error("Failed to delete group:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+// Structured filters
+// Filters compose with the text search (every active filter must match) and
+// are mirrored in the URL query string so a filtered view can be shared:
+//   ?q=lake&bedrooms=2&type=house&listed=listed&amenities=wifi,pool
+// Numeric filters are minimums. All chosen amenities and channels must be
+// present on a property.
+const FILTER_PARAMS = [
+  "group",
+  "bedrooms",
+  "bathrooms",
+  "guests",
+  "type",
+  "listed",
+  "city",
+  "country",
+  "amenities",
+  "channels",
+  "tags",
+];
+const LIST_FILTERS = ["amenities", "channels", "tags"];
+
+function getFilterInput(name) {
+  return document.getElementById(`filter-${name}`);
+}
+
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  searchBox.value = params.get("q") || "";
+
+  FILTER_PARAMS.forEach((name) => {
+    const value = params.get(name) || "";
+    if (LIST_FILTERS.includes(name)) {
+      propertyFilters[name] = value ? value.split(",") : [];
+    } else {
+      propertyFilters[name] = value;
+    }
+  });
+  renderFilterOptions();
+  if (activeFilterCount() > 0) filterPanel.style.display = "flex";
+}
+
+function writeFiltersToUrl() {
+  const params = new URLSearchParams();
+  const query = searchBox.value.trim();
+  if (query) params.set("q", query);
+
+  FILTER_PARAMS.forEach((name) => {
+    const value = LIST_FILTERS.includes(name)
+      ? propertyFilters[name].join(",")
+      : propertyFilters[name];
+    if (value) params.set(name, value);
+  });
+
+  const search = params.toString();
+  history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${search ? `?${search}` : ""}`
+  );
+}
+
+function handleFilterChange() {
+  FILTER_PARAMS.forEach((name) => {
+    const input = getFilterInput(name);
+    propertyFilters[name] = LIST_FILTERS.includes(name)
+      ? [...input.selectedOptions].map((option) => option.value)
+      : input.value.trim();
+  });
+  handleSearch();
+}
+
+function clearFilters() {
+  FILTER_PARAMS.forEach((name) => {
+    propertyFilters[name] = LIST_FILTERS.includes(name) ? [] : "";
+  });
+  renderFilterOptions();
+  handleSearch();
+}
+
+function toggleFilterPanel() {
+  filterPanel.style.display =
+    filterPanel.style.display === "none" ? "flex" : "none";
+}
+
+function activeFilterCount() {
+  return FILTER_PARAMS.filter((name) =>
+    LIST_FILTERS.includes(name)
+      ? propertyFilters[name].length > 0
+      : propertyFilters[name] !== ""
+  ).length;
+}
+
+function isFiltering() {
+  return searchBox.value.trim() !== "" || activeFilterCount() > 0;
+}
+
+function getPropertyChannels(property) {
+  return (property.listings || [])
+    .map((listing) => listing.platform)
+    .filter(Boolean);
+}
+
+function matchesFilters(property, filters) {
+  const capacity = property.capacity || {};
+  const atLeast = (value, min) => min === "" || (value || 0) >= Number(min);
+  const sameText = (value, expected) =>
+    expected === "" ||
+    String(value || "").toLowerCase() === expected.toLowerCase();
+
+  const group = propertyGroups.find((item) => item.id === filters.group);
+
+  return (
+    // A group that no longer exists filters nothing out
+    (filters.group === "" ||
+      !group ||
+      group.propertyIds.includes(property.id)) &&
+    atLeast(capacity.bedrooms, filters.bedrooms) &&
+    atLeast(capacity.bathrooms, filters.bathrooms) &&
+    atLeast(capacity.max, filters.guests) &&
+    sameText(property.property_type, filters.type) &&
+    sameText(property.address?.city, filters.city) &&
+    sameText(property.address?.country_code, filters.country) &&
+    (filters.listed === "" ||
+      Boolean(property.listed) === (filters.listed === "listed")) &&
+    filters.amenities.every((amenity) =>
+      (property.amenities || []).includes(amenity)
+    ) &&
+    filters.channels.every((channel) =>
+      getPropertyChannels(property).includes(channel)
+    ) &&
+    filters.tags.every((tag) => getPropertyMeta(property.id).tags.includes(tag))
+  );
+}
+
+// Fill the select filters with the values found in the loaded properties,
+// keeping current choices even before the properties carrying them load
+function renderFilterOptions() {
+  const values = {
+    type: allProperties.map((p) => p.property_type),
+    city: allProperties.map((p) => p.address?.city),
+    country: allProperties.map((p) => p.address?.country_code),
+    amenities: allProperties.flatMap((p) => p.amenities || []),
+    channels: allProperties.flatMap(getPropertyChannels),
+    tags: [...propertyMeta.values()].flatMap((meta) => meta.tags),
+  };
+
+  Object.entries(values).forEach(([name, found]) => {
+    const chosen = LIST_FILTERS.includes(name)
+      ? propertyFilters[name]
+      : [propertyFilters[name]].filter(Boolean);
+    const options = [...new Set([...found, ...chosen].filter(Boolean))].sort();
+    const input = getFilterInput(name);
+
+    input.innerHTML =
+      (LIST_FILTERS.includes(name) ? "" : '<option value="">Any</option>') +
+      options
+        .map(
+          (value) =>
+            `<option value="${escapeHtml(value)}"${
+              chosen.includes(value) ? " selected" : ""
+            }>${escapeHtml(value)}</option>`
+        )
+        .join("");
+  });
+
+  getFilterInput("group").innerHTML =
+    '<option value="">Any</option>' +
+    propertyGroups
+      .map(
+        (group) =>
+          `<option value="${escapeHtml(group.id)}">${escapeHtml(
+            group.name
+          )}</option>`
+      )
+      .join("");
+
+  ["group", "bedrooms", "bathrooms", "guests", "listed"].forEach((name) => {
+    getFilterInput(name).value = propertyFilters[name];
+  });
+  filterOptionsCount = allProperties.length;
+}
+
+// Update selection UI. With changedIds only those rows are restyled;
+// otherwise every rendered row is (at most one window when virtualized).
+function updateSelectionUI(changedIds) {
+  const count = selectedProperties.size;
+  selectedCount.textContent = `${count} selected`;
+  copyButton.disabled = count === 0;
+  copyButton.style.display = canExport() ? "inline-block" : "none";
+  copyConversationsButton.disabled = count === 0;
+  copyConversationsButton.style.display = canExport() ? "inline-block" : "none";
+  copyReviewsButton.disabled = count === 0;
+  copyReviewsButton.style.display = canExport() ? "inline-block" : "none";
+  copyPromptButton.disabled = count === 0;
+  exportOptions.style.display = canExport() ? "flex" : "none";
+  promptOptions.style.display = canExport() ? "flex" : "none";
+  scheduleExportEstimate();
+
+  // Show/hide bulk actions and clear button
+  bulkActions.style.display = count > 0 && canExport() ? "block" : "none";
+  clearButton.style.display = count > 0 ? "inline-block" : "none";
+
+  updateChatContext();
+
+  // Show/hide select/deselect all buttons
+  const visibleProperties =
+    filteredProperties.length > 0 || isFiltering()
+      ? filteredProperties
+      : allProperties;
+
+  const allVisibleSelected =
+    visibleProperties.length > 0 &&
+    visibleProperties.every((p) => selectedProperties.has(p.id));
+
+  if (allVisibleSelected && count > 0) {
+    selectAllButton.style.display = "none";
+    deselectAllButton.style.display = "inline-block";
+  } else {
+    selectAllButton.style.display = "inline-block";
+    deselectAllButton.style.display = "none";
+  }
+
+  // Update card and table row styling
+  const rows = changedIds
+    ? changedIds
+        .map((id) => propertiesGrid.querySelector(`[data-property-id="${id}"]`))
+        .filter(Boolean)
+    : propertiesGrid.querySelectorAll(".property-card, .property-table-row");
+  rows.forEach((card) => {
+    const propertyId = card.dataset.propertyId;
+    const checkbox = card.querySelector(".property-checkbox");
+    if (selectedProperties.has(propertyId)) {
+      card.classList.add("selected");
+      if (checkbox) checkbox.checked = true;
+    } else {
+      card.classList.remove("selected");
+      if (checkbox) checkbox.checked = false;
+    }
+  });
+}
+
+// Select all visible properties (in search results)
+function selectAllVisible() {
+  const propertiesToSelect =
+    filteredProperties.length > 0 || isFiltering()
+      ? filteredProperties
+      : allProperties;
+
+  propertiesToSelect.forEach((property) => {
+    selectedProperties.add(property.id);
+  });
+
+  updateSelectionUI();
+}
+
+// Deselect all properties
+function deselectAll() {
+  selectedProperties.clear();
+  updateSelectionUI();
+}
+
+// Clear selection (alias for deselectAll)
+function clearSelection() {
+  selectedProperties.clear();
+  updateSelectionUI();
+}
+
+// Open selected properties in Hospitable
+function openSelectedLinks(linkType) {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  const selectedData = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  const linkMap = {
+    details: "details/overview",
+    pricing: "pricing",
+    "availability-rules": "availability-rules",
+    direct: "direct",
+    "messaging-rules": "messaging-rules",
+    "review-rules": "review-rules",
+    team: "team",
+    "notification-rules": "notification-rules",
+    "task-rules": "task-rules",
+    "custom-codes": "custom-codes",
+    "canned-responses": "canned-responses",
+    "merge-match": "merge-match",
+  };
+
+  const urlPath = linkMap[linkType];
+  if (!urlPath) return;
+
+  // Confirm if opening many tabs
+  if (selectedData.length > 10) {
+    const confirm = window.confirm(
+      `This will open ${selectedData.length} new tabs. Continue?`
+    );
+    if (!confirm) return;
+  }
+
+  selectedData.forEach((property) => {
+    const url = `https://my.hospitable.com/properties/property/${property.id}/${urlPath}`;
+    window.open(url, "_blank");
+  });
+}
+
+// Copy selected properties to clipboard
+// With a prompt template the export is wrapped into a ready-to-paste prompt
+async function copySelectedProperties(template) {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  showLoading(
+    `Copying ${selectedProperties.size} properties with full details...`
+  );
+
+  let selectedData;
+  try {
+    selectedData = await getSelectedFullDetails();
+  } catch (error) {
+    console.error("Failed to load full details:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
+    return;
+  }
+
+  const exported = buildExport(
+    getExportProperties(selectedData),
+    exportFormatSelect.value,
+    getTokenBudget()
+  );
+
+  const text = template
+    ? renderPromptTemplate(template, selectedData, exported.text)
+    : exported.text;
+  const button = template ? copyPromptButton : copyButton;
+
+  try {
+    await navigator.clipboard.writeText(text);
+
+    // Visual feedback
+    const originalText = button.textContent;
+    button.textContent = `✅ Copied ~${estimateTokens(
+      text
+    ).toLocaleString()} tokens`;
+    hideLoading();
+    updateExportEstimate();
+
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy to clipboard:", error);
+    hideLoading();
+
+    // Fallback: show data in a modal or new window
+    const newWindow = window.open("", "_blank");
+    newWindow.document.write(`
+            <html>
+                <head><title>Selected Properties Data</title></head>
+                <body>
+                    <h3>Selected Properties Data (Full Details)</h3>
+                    <p>Copy the data below:</p>
+                    <textarea style="width: 100%; height: 400px;">${escapeHtml(
+                      text
+                    )}</textarea>
+                </body>
+            </html>
+        `);
+  }
+}
+
+// Export formats
+// Every format is built from the same property objects. Token counts are
+// estimated at ~4 characters per token, which is close enough for GPT and
+// Claude tokenizers on mixed JSON and prose.
+const EXPORT_FORMATS = {
+  "json-pretty": (data) => JSON.stringify(data, null, 2),
+  json: (data) => JSON.stringify(data),
+  markdown: formatMarkdownExport,
+  yaml: (data) => toYaml(data),
+  compact: formatCompactExport,
+};
+
+// Trimming steps tried in order until an export fits the token budget
+const BUDGET_TRIM_STEPS = [
+  (data) => data,
+  (data) => compactValue(data),
+  (data) => truncateValue(compactValue(data), 300, 20),
+  (data) => truncateValue(compactValue(data), 100, 5),
+  (data) => pruneDepth(truncateValue(compactValue(data), 100, 5), 2),
+];
+
+const ID_KEY_PATTERN = /(^id$|_id$|^uuid$|_uuid$)/i;
+const IMAGE_URL_PATTERN =
+  /^https?:\/\/\S+\.(jpe?g|png|gif|webp|svg|avif)(\?\S*)?$/i;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Format the data and trim it until it fits the budget (0 means no cap)
+function buildExport(data, format, budget) {
+  const formatter = EXPORT_FORMATS[format] || EXPORT_FORMATS["json-pretty"];
+
+  let text = "";
+  for (const trim of BUDGET_TRIM_STEPS) {
+    text = formatter(trim(data));
+    if (!budget || estimateTokens(text) <= budget) {
+      return { text, tokens: estimateTokens(text), omitted: 0 };
+    }
+  }
+
+  // Still over budget with every field trimmed: drop whole properties.
+  // Binary search for the longest prefix that fits so large selections
+  // are formatted a handful of times instead of once per dropped property
+  const trimmed = BUDGET_TRIM_STEPS[BUDGET_TRIM_STEPS.length - 1](data);
+  let kept = 1;
+  let low = 1;
+  let high = trimmed.length - 1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (estimateTokens(formatter(trimmed.slice(0, middle))) <= budget) {
+      kept = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  text = formatter(trimmed.slice(0, kept));
+
+  const omitted = trimmed.length - kept;
+  if (omitted > 0) {
+    text += `\n\n(${omitted} more properties omitted to fit the token budget)`;
+  }
+  return { text, tokens: estimateTokens(text), omitted };
+}
+
+function getTokenBudget() {
+  const budget = parseInt(tokenBudgetInput.value, 10);
+  return budget > 0 ? budget : 0;
+}
+
+function handleExportOptionsChange() {
+  localStorage.setItem("exportFormat", exportFormatSelect.value);
+  localStorage.setItem("tokenBudget", tokenBudgetInput.value);
+  updateExportEstimate();
+}
+
+// Estimating formats every selected property, so selection changes are
+// debounced to keep select-all responsive on large portfolios
+const scheduleExportEstimate = debounce(updateExportEstimate, 300);
+
+// Estimate from the data loaded so far; copying may add full details
+function updateExportEstimate() {
+  if (selectedProperties.size === 0) {
+    exportEstimate.textContent = "";
+    return;
+  }
+
+  const data = allProperties.filter((p) => selectedProperties.has(p.id));
+  const { tokens, omitted } = buildExport(
+    getExportProperties(data.map((p) => fullDetailsCache.get(p.id) || p)),
+    exportFormatSelect.value,
+    getTokenBudget()
+  );
+
+  exportEstimate.textContent =
+    `~${tokens.toLocaleString()} tokens` +
+    (omitted > 0 ? ` (${omitted} properties over budget)` : "");
+}
+
+// Drop nulls, empty values, IDs and image URLs
+function compactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(compactValue).filter((item) => !isEmptyValue(item));
+  }
+
+  if (value && typeof value === "object") {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (ID_KEY_PATTERN.test(key)) return;
+      const compacted = compactValue(item);
+      if (!isEmptyValue(compacted)) result[key] = compacted;
+    });
+    return result;
+  }
+
+  if (typeof value === "string" && IMAGE_URL_PATTERN.test(value.trim())) {
+    return null;
+  }
+  return value;
+}
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+// Shorten long strings and arrays, keeping the top-level property list whole
+function truncateValue(value, maxString, maxItems, depth = 0) {
+  if (Array.isArray(value)) {
+    const items = depth === 0 ? value : value.slice(0, maxItems);
+    return items.map((item) =>
+      truncateValue(item, maxString, maxItems, depth + 1)
+    );
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        truncateValue(item, maxString, maxItems, depth + 1),
+      ])
+    );
+  }
+
+  if (typeof value === "string" && value.length > maxString) {
+    return `${value.slice(0, maxString)}…`;
+  }
+  return value;
+}
+
+// Remove objects nested deeper than maxDepth levels inside each property
+function pruneDepth(value, maxDepth, depth = -1) {
+  if (Array.isArray(value)) {
+    return value.map((item) => pruneDepth(item, maxDepth, depth));
+  }
+
+  if (value && typeof value === "object") {
+    if (depth >= maxDepth) return undefined;
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const pruned = pruneDepth(item, maxDepth, depth + 1);
+      if (pruned !== undefined) result[key] = pruned;
+    });
+    return result;
+  }
+  return value;
+}
+
+// Flatten an object into dot-path keys; arrays of scalars are joined
+function flattenObject(value, prefix = "", result = {}) {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (Array.isArray(item)) {
+      result[path] = item.every((entry) => typeof entry !== "object")
+        ? item.join(", ")
+        : JSON.stringify(item);
+    } else if (item && typeof item === "object") {
+      flattenObject(item, path, result);
+    } else {
+      result[path] = item;
+    }
+  });
+  return result;
+}
+
+function formatMarkdownExport(properties) {
+  return properties
+    .map((property) => {
+      const rows = Object.entries(flattenObject(property)).map(
+        ([key, value]) =>
+          `| ${key} | ${String(value ?? "")
+            .replace(/\|/g, "\\|")
+            .replace(/\n+/g, " ")} |`
+      );
+      return [
+        `## ${property.name || "Unnamed Property"}`,
+        "",
+        "| Field | Value |",
+        "|---|---|",
+        ...rows,
+      ].join("\n");
+    })
+    .join("\n\n");
+}
+
+function formatCompactExport(properties) {
+  return compactValue(properties)
+    .map((property) => {
+      const lines = Object.entries(flattenObject(property)).map(
+        ([key, value]) => `${key}: ${String(value).replace(/\n+/g, " ")}`
+      );
+      return [`## ${property.name || "Unnamed Property"}`, ...lines].join("\n");
+    })
+    .join("\n\n");
+}
+
+// Minimal YAML writer for JSON data
+function toYaml(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return value
+      .map((item) => {
+        const nested = toYaml(item, `${indent}  `);
+        return isYamlBlock(item)
+          ? `${indent}- ${nested.trimStart()}`
+          : `${indent}- ${nested}`;
+      })
+      .join("\n");
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return "{}";
+    return entries
+      .map(([key, item]) =>
+        isYamlBlock(item)
+          ? `${indent}${yamlString(key)}:\n${toYaml(item, `${indent}  `)}`
+          : `${indent}${yamlString(key)}: ${toYaml(item, `${indent}  `)}`
+      )
+      .join("\n");
+  }
+
+  if (typeof value === "string") return yamlString(value);
+  return value === null || value === undefined ? "null" : String(value);
+}
+
+// Plain scalar when unambiguous, otherwise a double-quoted (JSON) string;
+// used for keys as well as values
+function yamlString(text) {
+  return /^[\w.,@/()-]+( [\w.,@/()-]+)*$/.test(text) &&
+    !/^(true|false|null|yes|no|~|[\d.+-].*)$/i.test(text)
+    ? text
+    : JSON.stringify(text);
+}
+
+function isYamlBlock(value) {
+  return (
+    value !== null && typeof value === "object" && Object.keys(value).length > 0
+  );
+}
+
+// Export field picker
+// Fields are stored as leaf paths such as "address.display"; an empty set
+// means every field. Arrays are treated as leaves, so "details.amenities"
+// is picked as a whole. The property name is always kept so exports stay
+// readable.
+function discoverFieldPaths(properties) {
+  const paths = new Set();
+
+  function walk(value, prefix) {
+    Object.entries(value).forEach(([key, item]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(item) && Object.keys(item).length > 0) {
+        walk(item, path);
+      } else {
+        paths.add(path);
+      }
+    });
+  }
+
+  properties.forEach((property) => walk(property, ""));
+  return [...paths].sort();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function pickFields(property, fields) {
+  if (fields.size === 0) return property;
+
+  const result = { name: property.name };
+  fields.forEach((path) => {
+    const keys = path.split(".");
+    let source = property;
+    for (const key of keys) {
+      if (!isPlainObject(source) || !(key in source)) return;
+      source = source[key];
+    }
+
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = source;
+  });
+  return result;
+}
+
+// Notes have their own "Include notes" toggle, so they are added after the
+// field selection rather than being one of its fields
+function getExportProperties(properties) {
+  return properties.map((property) =>
+    withPropertyNote(
+      pickFields(withPropertyMeta(property), exportFields),
+      property.id
+    )
+  );
+}
+
+function toggleFieldPicker() {
+  const isOpen = fieldPicker.style.display !== "none";
+  fieldPicker.style.display = isOpen ? "none" : "block";
+  if (!isOpen) renderFieldPicker();
+}
+
+// Render the discovered paths as a nested checkbox tree
+function renderFieldPicker() {
+  const paths = discoverFieldPaths(
+    [...allProperties, ...fullDetailsCache.values()].map(withPropertyMeta)
+  );
+
+  const tree = {};
+  paths.forEach((path) => {
+    let node = tree;
+    path.split(".").forEach((key) => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+  });
+
+  function renderNode(node, prefix) {
+    return Object.keys(node)
+      .map((key) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const children = Object.keys(node[key]).length
+          ? `<ul>${renderNode(node[key], path)}</ul>`
+          : "";
+        return `
+          <li>
+              <label>
+                  <input type="checkbox" data-path="${escapeHtml(path)}">
+                  ${escapeHtml(key)}
+              </label>
+              ${children}
+          </li>`;
+      })
+      .join("");
+  }
+
+  renderFieldPresets();
+  fieldTree.innerHTML = paths.length
+    ? `<ul>${renderNode(tree, "")}</ul>`
+    : "<p>Load properties to see their fields.</p>";
+  fieldTree.dataset.paths = JSON.stringify(paths);
+  syncFieldCheckboxes();
+}
+
+function getPickerLeafPaths(prefix) {
+  const paths = JSON.parse(fieldTree.dataset.paths || "[]");
+  return paths.filter(
+    (path) => path === prefix || path.startsWith(`${prefix}.`)
+  );
+}
+
+// Reflect exportFields in the checkboxes, with partial parents indeterminate
+function syncFieldCheckboxes() {
+  fieldTree.querySelectorAll("input[data-path]").forEach((checkbox) => {
+    const leaves = getPickerLeafPaths(checkbox.dataset.path);
+    const checked = leaves.filter(
+      (path) => exportFields.size === 0 || exportFields.has(path)
+    ).length;
+    checkbox.checked = checked > 0 && checked === leaves.length;
+    checkbox.indeterminate = checked > 0 && checked < leaves.length;
+  });
+  updateFieldPickerButton();
+}
+
+function handleFieldCheckboxChange(event) {
+  const checkbox = event.target;
+  if (!checkbox.dataset.path) return;
+
+  const allPaths = JSON.parse(fieldTree.dataset.paths || "[]");
+  const fields = exportFields.size === 0 ? new Set(allPaths) : exportFields;
+  getPickerLeafPaths(checkbox.dataset.path).forEach((path) => {
+    if (checkbox.checked) {
+      fields.add(path);
+    } else {
+      fields.delete(path);
+    }
+  });
+
+  const selectsAll = allPaths.every((path) => fields.has(path));
+  setExportFields(selectsAll ? [] : [...fields]);
+  fieldPresetSelect.value = "";
+  syncFieldCheckboxes();
+}
+
+function setExportFields(paths) {
+  exportFields = new Set(paths);
+  localStorage.setItem("exportFields", JSON.stringify(paths));
+  updateFieldPickerButton();
+  updateExportEstimate();
+}
+
+function updateFieldPickerButton() {
+  fieldPickerButton.textContent =
+    exportFields.size === 0
+      ? "🧩 Fields: All"
+      : `🧩 Fields: ${exportFields.size}`;
+}
+
+// Named presets are kept per browser
+function getFieldPresets() {
+  try {
+    return JSON.parse(localStorage.getItem("exportFieldPresets")) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function renderFieldPresets() {
+  const presets = getFieldPresets();
+  fieldPresetSelect.innerHTML =
+    '<option value="">Presets…</option>' +
+    Object.keys(presets)
+      .sort()
+      .map(
+        (name) =>
+          `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`
+      )
+      .join("");
+}
+
+function applyFieldPreset() {
+  const presets = getFieldPresets();
+  const name = fieldPresetSelect.value;
+  if (!presets[name]) return;
+
+  setExportFields(presets[name]);
+  syncFieldCheckboxes();
+}
+
+function saveFieldPreset() {
+  const name = (window.prompt("Preset name", fieldPresetSelect.value) || "")
+    .trim()
+    .slice(0, 50);
+  if (!name) return;
+
+  const presets = getFieldPresets();
+  presets[name] = [...exportFields];
+  localStorage.setItem("exportFieldPresets", JSON.stringify(presets));
+  renderFieldPresets();
+  fieldPresetSelect.value = name;
+}
+
+function deleteFieldPreset() {
+  const name = fieldPresetSelect.value;
+  if (!name || !window.confirm(`Delete preset "${name}"?`)) return;
+
+  const presets = getFieldPresets();
+  delete presets[name];
+  localStorage.setItem("exportFieldPresets", JSON.stringify(presets));
+  renderFieldPresets();
+}
+
+function resetExportFields() {
+  setExportFields([]);
+  fieldPresetSelect.value = "";
+  syncFieldCheckboxes();
+}
+
+// Spreadsheet export
+// Exports the selected properties, or every property matching the search
+// when nothing is selected. Nested fields are flattened to dot-path columns
+// and listings become one column per platform.
+function getSpreadsheetProperties() {
+  const source =
+    selectedProperties.size > 0
+      ? allProperties.filter((p) => selectedProperties.has(p.id))
+      : isFiltering()
+      ? filteredProperties
+      : allProperties;
+
+  return getExportProperties(
+    source.map((p) => fullDetailsCache.get(p.id) || p)
+  );
+}
+
+function buildSpreadsheetRows(properties) {
+  const records = properties.map((property) => {
+    const { listings, ...rest } = property;
+    const record = flattenObject(rest);
+    (Array.isArray(listings) ? listings : []).forEach((listing) => {
+      const column = `listings.${listing.platform || "other"}`;
+      const value =
+        listing.platform_id || listing.platform_name || listing.id || "";
+      record[column] = record[column] ? `${record[column]}, ${value}` : value;
+    });
+    return record;
+  });
+
+  const columns = [];
+  ["id", "name", "public_name"].forEach((column) => {
+    if (records.some((record) => column in record)) columns.push(column);
+  });
+  records.forEach((record) =>
+    Object.keys(record).forEach((column) => {
+      if (!columns.includes(column)) columns.push(column);
+    })
+  );
+
+  return [
+    columns,
+    ...records.map((record) => columns.map((column) => record[column] ?? "")),
+  ];
+}
+
+async function exportSpreadsheet(type) {
+  const properties = getSpreadsheetProperties();
+  if (properties.length === 0 || !canExport()) return;
+
+  const rows = buildSpreadsheetRows(properties);
+  const date = offsetDate(0);
+
+  if (type === "csv") {
+    // Byte order mark so Excel opens UTF-8 correctly
+    const csv = "\ufeff" + rows.map(toCsvRow).join("\r\n");
+    downloadFile(
+      new Blob([csv], { type: "text/csv;charset=utf-8" }),
+      `properties-${date}.csv`
+    );
+  } else {
+    downloadFile(
+      new Blob([buildXlsx(rows)], {
+        type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      }),
+      `properties-${date}.xlsx`
+    );
+  }
+}
+
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const NUMERIC_TEXT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+function toCsvRow(values) {
+  return values
+    .map((value) => {
+      let text = String(value);
+      // Keep spreadsheet apps from evaluating text cells as formulas;
+      // numbers such as a negative longitude are left as they are
+      if (
+        typeof value === "string" &&
+        /^[=+\-@\t\r]/.test(text) &&
+        !NUMERIC_TEXT_PATTERN.test(text)
+      ) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+// Minimal single-sheet XLSX: inline strings in an uncompressed zip
+function buildXlsx(rows) {
+  const sheetRows = rows
+    .map((values, rowIndex) => {
+      const cells = values
+        .map((value, columnIndex) => {
+          const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+          if (typeof value === "number" && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+          }
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+            value
+          )}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return createZip({
+    "[Content_Types].xml": `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    "_rels/.rels": `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Properties" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    "xl/worksheets/sheet1.xml": `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+  });
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Zip archive with stored (uncompressed) entries
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Prompt templates
+// Placeholders in a template are replaced when copying:
+//   {{property_count}} {{property_names}} {{date}} {{format}} {{data}}
+// The exported data is appended when a template has no {{data}}.
+async function loadPromptTemplates() {
+  try {
+    const response = await fetch("/api/templates");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    promptTemplates = data.data;
+    renderPromptTemplateOptions();
+  } catch (error) {
+    console.error("Failed to load prompt templates:", error);
+  }
+}
+
+function renderPromptTemplateOptions() {
+  const selected = promptTemplateSelect.value;
+  const option = (template) =>
+    `<option value="${escapeHtml(template.id)}">${escapeHtml(
+      template.name
+    )}</option>`;
+
+  promptTemplateSelect.innerHTML =
+    '<option value="">Prompt template…</option>' +
+    `<optgroup label="Built-in">${promptTemplates
+      .filter((template) => template.builtIn)
+      .map(option)
+      .join("")}</optgroup>` +
+    `<optgroup label="My templates">${promptTemplates
+      .filter((template) => !template.builtIn)
+      .map(option)
+      .join("")}</optgroup>`;
+  promptTemplateSelect.value = selected;
+}
+
+function getSelectedPromptTemplate() {
+  return promptTemplates.find(
+    (template) => template.id === promptTemplateSelect.value
+  );
+}
+
+function renderPromptTemplate(template, properties, exportText) {
+  const values = {
+    property_count: properties.length,
+    property_names: properties
+      .map((property) => property.name || "Unnamed Property")
+      .join(", "),
+    date: offsetDate(0),
+    format: exportFormatSelect.value,
+    data: exportText,
+  };
+
+  const prompt = template.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
+  return /\{\{\s*data\s*\}\}/.test(template.body)
+    ? prompt
+    : `${prompt}\n\n${exportText}`;
+}
+
+function copyAsPrompt() {
+  const template = getSelectedPromptTemplate();
+  if (!template) {
+    showError("Choose a prompt template first.", "COPY_ERROR");
+    return;
+  }
+  copySelectedProperties(template);
+}
+
+function toggleTemplatePanel() {
+  const isOpen = templatePanel.style.display !== "none";
+  templatePanel.style.display = isOpen ? "none" : "block";
+  if (!isOpen) fillTemplateForm();
+}
+
+// Load the chosen template into the editor; built-ins are saved as copies
+function fillTemplateForm() {
+  const template = getSelectedPromptTemplate();
+  templateNameInput.value = template
+    ? template.builtIn
+      ? `${template.name} (copy)`
+      : template.name
+    : "";
+  templateBodyInput.value = template ? template.body : "";
+  templateForm.dataset.templateId =
+    template && !template.builtIn ? template.id : "";
+  deleteTemplateButton.disabled = !templateForm.dataset.templateId;
+}
+
+function newPromptTemplate() {
+  promptTemplateSelect.value = "";
+  fillTemplateForm();
+  templateNameInput.focus();
+}
+
+async function savePromptTemplate(event) {
+  event.preventDefault();
+
+  try {
+    const response = await fetch("/api/templates", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: templateForm.dataset.templateId || undefined,
+        name: templateNameInput.value,
+        body: templateBodyInput.value,
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save template");
+    }
+
+    await loadPromptTemplates();
+    promptTemplateSelect.value = data.id;
+    fillTemplateForm();
+  } catch (error) {
+    console.error("Failed to save template:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+async function deletePromptTemplate() {
+  const template = getSelectedPromptTemplate();
+  if (!template || template.builtIn) return;
+  if (!window.confirm(`Delete template "${template.name}"?`)) return;
+
+  try {
+    const response = await fetch(
+      `/api/templates/${encodeURIComponent(template.id)}`,
+      { method: "DELETE" }
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Failed to delete template");
+    }
+
+    promptTemplateSelect.value = "";
+    await loadPromptTemplates();
+    fillTemplateForm();
+  } catch (error) {
+    console.error("Failed to delete template:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+// Update the chat panel to reflect the current selection
+function updateChatContext() {
+  const count = selectedProperties.size;
+  const noun = count === 1 ? "property" : "properties";
+  chatContext.textContent =
+    count > 0
+      ? `Asking about ${count} selected ${noun}`
+      : "Select properties to chat about";
+  chatSendButton.disabled = count === 0 || isChatStreaming;
+}
+
+// Send a question about the selected properties and stream the answer
+async function handleChatSubmit(event) {
+  event.preventDefault();
+
+  const question = chatInput.value.trim();
+  if (!question || selectedProperties.size === 0 || isChatStreaming) return;
+
+  appendChatMessage("user", question);
+  chatInput.value = "";
+
+  const answer = appendChatMessage("assistant", "");
+  isChatStreaming = true;
+  updateChatContext();
+
+  try {
+    const response = await fetch("/api/chat", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        question,
+        propertyIds: Array.from(selectedProperties),
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Chat request failed");
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      answer.textContent += decoder.decode(value, { stream: true });
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    if (!answer.textContent) {
+      answer.textContent = "(No answer returned)";
+    }
+  } catch (error) {
+    console.error("Chat request failed:", error);
+    answer.remove();
+    appendChatMessage("error", error.message);
+  }
+
+  isChatStreaming = false;
+  updateChatContext();
+}
+
+// Append a message bubble to the chat panel
+function appendChatMessage(role, text) {
+  const message = document.createElement("div");
+  message.className = `chat-message chat-message-${role}`;
+  message.textContent = text;
+  chatMessages.appendChild(message);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return message;
+}
+
+// Selected properties with the full include set. In full mode that is what
+// was loaded; in light mode missing details are fetched once and cached.
+async function getSelectedFullDetails() {
+  const selectedData = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  if (loadingMode === "full") {
+    return selectedData;
+  }
+
+  const missing = selectedData.filter(
+    (property) => !fullDetailsCache.has(property.id)
+  );
+
+  for (let i = 0; i < missing.length; i++) {
+    showLoading(
+      `Loading full details for selected properties... ${i + 1}/${
+        missing.length
+      }`
+    );
+
+    const property = missing[i];
+    const response = await fetchWithRetry(
+      `/api/property/${property.id}?include=${LOADING_MODES.full}`,
+      property.name || "property"
+    );
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load property details");
+    }
+
+    fullDetailsCache.set(property.id, data.data || data);
+  }
+
+  return selectedData.map((property) => fullDetailsCache.get(property.id));
+}
+
+// Rating badges load lazily for the cards that get rendered, a small batch
+// at a time once the property load has finished, so a large portfolio does
+// not crawl the reviews of every property on each visit
+const REVIEW_SUMMARY_BATCH = 10;
+
+function queueReviewSummary(propertyId) {
+  if (
+    reviewSummaries.has(propertyId) ||
+    requestedReviewSummaries.has(propertyId)
+  ) {
+    return;
+  }
+
+  queuedReviewSummaries.add(propertyId);
+  scheduleReviewSummaryLoad();
+}
+
+const scheduleReviewSummaryLoad = debounce(() => loadReviewSummaries(), 300);
+
+async function loadReviewSummaries() {
+  if (isLoading || isLoadingReviewSummaries) return;
+  isLoadingReviewSummaries = true;
+
+  try {
+    while (queuedReviewSummaries.size > 0) {
+      // Cards scrolled out of view are queued again when rendered again
+      const visible = [...queuedReviewSummaries].filter((id) =>
+        propertiesGrid.querySelector(`.property-card[data-property-id="${id}"]`)
+      );
+      queuedReviewSummaries.clear();
+      if (visible.length === 0) break;
+
+      const batch = visible.slice(0, REVIEW_SUMMARY_BATCH);
+      visible
+        .slice(REVIEW_SUMMARY_BATCH)
+        .forEach((id) => queuedReviewSummaries.add(id));
+      batch.forEach((id) => requestedReviewSummaries.add(id));
+
+      const response = await fetch(
+        `/api/reviews/summary?properties=${batch
+          .map(encodeURIComponent)
+          .join(",")}`
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load review summaries");
+      }
+
+      Object.entries(data.data).forEach(([id, summary]) => {
+        reviewSummaries.set(id, summary);
+        const badge = propertiesGrid.querySelector(
+          `.property-card[data-property-id="${id}"] .rating-badge`
+        );
+        if (badge) badge.textContent = formatRatingBadge(summary);
+      });
+
+      // Properties the worker had no budget left for go round again
+      (data.pending || []).forEach((id) => {
+        requestedReviewSummaries.delete(id);
+        queuedReviewSummaries.add(id);
+      });
+    }
+  } catch (error) {
+    // Badges are a nice-to-have; leave them blank rather than nag
+    console.error("Error loading review summaries:", error);
+  } finally {
+    isLoadingReviewSummaries = false;
+  }
+}
+
+function formatRatingBadge(summary) {
+  if (!summary || summary.count === 0 || summary.average === null) return "";
+  return `⭐ ${summary.average.toFixed(1)} (${summary.count})`;
+}
+
+// Copy selected properties with all of their reviews, for spotting
+// recurring complaints with an AI
+async function copySelectedWithReviews() {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  try {
+    const properties = await getSelectedFullDetails();
+    const bundle = [];
+
+    for (let i = 0; i < properties.length; i++) {
+      const property = properties[i];
+      showLoading(
+        `Loading reviews... ${i + 1}/${properties.length} properties`
+      );
+
+      const response = await fetchWithRetry(
+        `/api/property/${property.id}/reviews`,
+        `reviews for ${property.name || "property"}`
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load reviews");
+      }
+
+      bundle.push({
+        property,
+        review_summary: reviewSummaries.get(property.id) || null,
+        reviews: data.data,
+      });
+    }
+
+    await navigator.clipboard.writeText(JSON.stringify(bundle, null, 2));
+    hideLoading();
+
+    const originalText = copyReviewsButton.textContent;
+    copyReviewsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyReviewsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy reviews:", error);
+    hideLoading();
+    showError(error.message, "EXPORT_ERROR");
+  }
+}
+
+// Conversation export limits, keeping the bundle within LLM context sizes
+const CONVERSATION_DAYS = 90;
+const MAX_RESERVATIONS_PER_PROPERTY = 5;
+const MAX_MESSAGES_PER_RESERVATION = 30;
+const MAX_MESSAGE_CHARS = 600;
+
+// Copy selected properties with the guest conversations of their most
+// recent reservations, formatted as Markdown for pasting into an AI chat
+async function copySelectedWithConversations() {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  const properties = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  try {
+    const recentReservations = await fetchReservations(
+      properties.map((property) => property.id),
+      {
+        start_date: offsetDate(-CONVERSATION_DAYS),
+        end_date: offsetDate(0),
+        include: "guest,properties",
+      }
+    );
+
+    const sections = [];
+    for (let i = 0; i < properties.length; i++) {
+      const property = properties[i];
+      showLoading(
+        `Loading conversations... ${i + 1}/${properties.length} properties`
+      );
+
+      const reservations = recentReservations
+        .filter((reservation) =>
+          (reservation.properties || []).some((p) => p.id === property.id)
+        )
+        .slice(-MAX_RESERVATIONS_PER_PROPERTY)
+        .reverse();
+
+      const threads = [];
+      for (const reservation of reservations) {
+        const messagesResponse = await fetchWithRetry(
+          `/api/reservations/${reservation.id}/messages`,
+          `conversation ${reservation.code || reservation.id}`
+        );
+        const messages = await messagesResponse.json();
+
+        // Some reservations (e.g. blocked dates) have no thread at all
+        if (!messagesResponse.ok && messagesResponse.status !== 404) {
+          throw new Error(messages.message || "Failed to load conversation");
+        }
+
+        threads.push(
+          formatConversation(
+            reservation,
+            messagesResponse.ok ? messages.data : []
+          )
+        );
+      }
+
+      sections.push(formatPropertyConversations(property, threads));
+    }
+
+    await navigator.clipboard.writeText(sections.join("\n\n"));
+    hideLoading();
+
+    const originalText = copyConversationsButton.textContent;
+    copyConversationsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyConversationsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy conversations:", error);
+    hideLoading();
+    showError(error.message, "EXPORT_ERROR");
+  }
+}
+
+function formatPropertyConversations(property, threads) {
+  const capacity = property.capacity || {};
+  const lines = [
+    `# Property: ${property.name || "Unnamed Property"}`,
+    property.public_name ? `Public name: ${property.public_name}` : null,
+    `Address: ${property.address?.display || "N/A"}`,
+    `Type: ${property.property_type || "N/A"}, ${
+      capacity.bedrooms || 0
+    } bedrooms, ${capacity.bathrooms || 0} bathrooms`,
+    "",
+    threads.length > 0
+      ? threads.join("\n\n")
+      : `_No reservations in the last ${CONVERSATION_DAYS} days._`,
+  ];
+  return lines.filter((line) => line !== null).join("\n");
+}
+
+// One reservation's thread: the latest messages, each trimmed and collapsed
+// onto a single line
+function formatConversation(reservation, messages) {
+  const header = `## Reservation ${reservation.code || reservation.id} (${
+    reservation.platform || "unknown"
+  }): ${getGuestName(reservation) || "Guest"}, ${
+    reservation.arrival_date || "?"
+  } to ${reservation.departure_date || "?"}`;
+
+  const recent = messages.slice(-MAX_MESSAGES_PER_RESERVATION);
+  const lines = recent.map((message) => {
+    const sender =
+      message.sender_type === "guest"
+        ? "Guest"
+        : message.sender_type === "host"
+        ? "Host"
+        : message.sender_type || "Unknown";
+    const body = (message.body || "").replace(/\s+/g, " ").trim();
+    const trimmed =
+      body.length > MAX_MESSAGE_CHARS
+        ? `${body.slice(0, MAX_MESSAGE_CHARS)}…`
+        : body;
+    const time = (message.created_at || "").slice(0, 16).replace("T", " ");
+    return `- [${time}] ${sender}: ${trimmed}`;
+  });
+
+  if (messages.length > recent.length) {
+    lines.unshift(
+      `- (${messages.length - recent.length} earlier messages omitted)`
+    );
+  }
+
+  return [header, ...(lines.length > 0 ? lines : ["- (no messages)"])].join(
+    "\n"
+  );
+}
+
+// Switch between the properties and reservations tabs
+function showTab(tab) {
+  document.body.dataset.tab = tab;
+  document.querySelectorAll(".tab").forEach((button) => {
+    button.classList.toggle("active", button.dataset.tab === tab);
+  });
+
+  if (tab === "reservations") {
+    updateReservationsScope();
+  } else if (tab === "calendar") {
+    updateCalendarScope();
+  } else if (tab === "analytics") {
+    analyticsScope.textContent = reservationsScopeText();
+  } else {
+    scheduleVirtualWindowUpdate();
+  }
+}
+
+function updateCalendarScope() {
+  const count = selectedProperties.size;
+  calendarScope.textContent =
+    count === 0
+      ? "Select properties on the Properties tab to compare their calendars"
+      : `Showing ${count} selected properties side by side`;
+}
+
+// Load the calendar of every selected property and render them as one
+// timeline, one row per property and one column per night
+async function loadCalendars() {
+  const properties = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  if (properties.length === 0) {
+    showError("Select at least one property first.", "LOAD_ERROR");
+    return;
+  }
+
+  if (properties.length > MAX_CALENDAR_PROPERTIES) {
+    showError(
+      `Select at most ${MAX_CALENDAR_PROPERTIES} properties to compare calendars.`,
+      "LOAD_ERROR"
+    );
+    return;
+  }
+
+  updateCalendarScope();
+  const query = `start_date=${calendarStartDate.value}&end_date=${calendarEndDate.value}`;
+  const calendars = [];
+
+  try {
+    for (let i = 0; i < properties.length; i++) {
+      showLoading(`Loading calendars... ${i + 1}/${properties.length}`);
+
+      const property = properties[i];
+      const response = await fetchWithRetry(
+        `/api/property/${property.id}/calendar?${query}`,
+        `calendar for ${property.name || "property"}`
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load calendar");
+      }
+
+      calendars.push({ property, days: data.data.days });
+    }
+
+    hideLoading();
+    renderCalendarTimeline(calendars);
+  } catch (error) {
+    console.error("Error loading calendars:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
+  }
+}
+
+function renderCalendarTimeline(calendars) {
+  const dates = Array.from(
+    new Set(calendars.flatMap(({ days }) => days.map((day) => day.date)))
+  ).sort();
+
+  const headerCells = dates
+    .map((date) => {
+      const day = new Date(`${date}T00:00:00`);
+      const weekend = day.getDay() === 0 || day.getDay() === 6;
+      return `<th class="${
+        weekend ? "calendar-weekend" : ""
+      }">${day.toLocaleDateString(undefined, {
+        weekday: "short",
+      })}<br>${day.getDate()}/${day.getMonth() + 1}</th>`;
+    })
+    .join("");
+
+  const rows = calendars
+    .map(({ property, days }) => {
+      const byDate = new Map(days.map((day) => [day.date, day]));
+      const cells = dates
+        .map((date) => {
+          const day = byDate.get(date);
+          if (!day) return "<td></td>";
+
+          const price =
+            day.price !== null
+              ? `${Math.round(day.price)}${
+                  day.currency ? ` ${escapeHtml(day.currency)}` : ""
+                }`
+              : "–";
+          const title = `${date}: ${day.status}${
+            day.min_stay ? `, min stay ${day.min_stay}` : ""
+          }`;
+          return `<td><span class="calendar-cell calendar-${
+            day.status
+          }" title="${escapeHtml(title)}">${price}</span></td>`;
+        })
+        .join("");
+
+      return `<tr><th class="calendar-property" title="${escapeHtml(
+        property.name || ""
+      )}">${escapeHtml(property.name || "Unnamed Property")}</th>${cells}</tr>`;
+    })
+    .join("");
+
+  calendarTimeline.innerHTML = `
+        <table class="calendar-table">
+            <thead><tr><th class="calendar-property">Property</th>${headerCells}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Properties whose reservations are loaded: the selection
+function getReservationPropertyIds() {
+  return Array.from(selectedProperties);
+}
+
+function updateReservationsScope() {
+  reservationsScope.textContent = reservationsScopeText();
+}
+
+function reservationsScopeText() {
+  const count = getReservationPropertyIds().length;
+  return count > 0
+    ? `Showing reservations for ${count} selected properties`
+    : "Select properties on the Properties tab to load their reservations";
+}
+
+// The worker answers for MAX_RESERVATION_REQUEST_PROPERTIES properties at a
+// time and splits a batch in two when its reservations don't fit in one
+// request, so batches are queued and the halves asked for on their own.
+const MAX_RESERVATION_REQUEST_PROPERTIES = 25;
+
+async function fetchReservations(propertyIds, params) {
+  const batches = [];
+  for (
+    let i = 0;
+    i < propertyIds.length;
+    i += MAX_RESERVATION_REQUEST_PROPERTIES
+  ) {
+    batches.push(propertyIds.slice(i, i + MAX_RESERVATION_REQUEST_PROPERTIES));
+  }
+
+  const reservations = [];
+  let loaded = 0;
+  while (batches.length > 0) {
+    const batch = batches.shift();
+    showLoading(
+      `Loading reservations... ${loaded}/${propertyIds.length} properties`
+    );
+
+    const query = new URLSearchParams({
+      ...params,
+      properties: batch.join(","),
+    });
+    const response = await fetchWithRetry(
+      `/api/reservations?${query}`,
+      "reservations"
+    );
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load reservations");
+    }
+
+    if (data.pending.length > 0) {
+      batches.unshift(...data.pending);
+      continue;
+    }
+
+    reservations.push(...data.data);
+    loaded += batch.length;
+  }
+
+  return reservations.sort((a, b) =>
+    String(a.arrival_date || "").localeCompare(String(b.arrival_date || ""))
+  );
+}
+
+// Load reservations for the chosen properties and date range
+async function loadReservations() {
+  const propertyIds = getReservationPropertyIds();
+  if (propertyIds.length === 0) {
+    showError(
+      "Select properties on the Properties tab before loading reservations.",
+      "LOAD_ERROR"
+    );
+    return;
+  }
+
+  updateReservationsScope();
+
+  try {
+    allReservations = await fetchReservations(propertyIds, {
+      start_date: reservationStartDate.value,
+      end_date: reservationEndDate.value,
+      // Guest details are only served to exporters
+      include: canExport() ? "guest,properties" : "properties",
+    });
+    selectedReservations.clear();
+    hideLoading();
+    handleReservationSearch();
+  } catch (error) {
+    console.error("Error loading reservations:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
+  }
+}
+
+// Filter reservations by guest, code, property name, platform or status
+function handleReservationSearch() {
+  const query = reservationSearchBox.value.toLowerCase().trim();
+
+  filteredReservations =
+    query === ""
+      ? allReservations
+      : allReservations.filter((reservation) =>
+          [
+            reservation.code,
+            getGuestName(reservation),
+            getReservationPropertyName(reservation),
+            reservation.platform,
+            reservation.status,
+          ].some((value) => (value || "").toLowerCase().includes(query))
+        );
+
+  renderReservations();
+}
+
+function getGuestName(reservation) {
+  const guest = reservation.guest || {};
+  return [guest.first_name, guest.last_name].filter(Boolean).join(" ");
+}
+
+function getReservationPropertyName(reservation) {
+  const property = reservation.properties?.[0];
+  if (property?.name) return property.name;
+
+  const loaded = allProperties.find((p) => p.id === property?.id);
+  return loaded?.name || "";
+}
+
+function renderReservations() {
+  reservationsGrid.innerHTML = "";
+  reservationsEmpty.style.display =
+    filteredReservations.length === 0 ? "block" : "none";
+
+  filteredReservations.forEach((reservation) => {
+    reservationsGrid.appendChild(createReservationCard(reservation));
+  });
+
+  updateReservationSelectionUI();
+}
+
+// Reservation card, laid out like the compact property cards
+function createReservationCard(reservation) {
+  const card = document.createElement("div");
+  card.className = "property-card";
+  card.dataset.reservationId = reservation.id;
+
+  const status = reservation.status || "unknown";
+  const statusClass =
+    status === "cancelled" ? "status-cancelled" : "status-listed";
+
+  card.innerHTML = `
+        <div class="property-content-compact">
+            <div class="property-row reservation-row">
+                <div class="property-info">
+                    <input type="checkbox" class="property-checkbox">
+                    <div class="property-text">
+                        <h4 class="property-title-compact">${escapeHtml(
+                          getGuestName(reservation) || "Unknown guest"
+                        )}</h4>
+                        <span class="property-name-compact">${escapeHtml(
+                          reservation.code || ""
+                        )} · ${escapeHtml(reservation.platform || "")}</span>
+                    </div>
+                </div>
+
+                <div class="property-specs">
+                    <span>🌙 ${reservation.nights || 0}n</span>
+                    <span>👤 ${reservation.guests?.total || 0}</span>
+                </div>
+
+                <div class="property-address-compact">
+                    🏠 ${escapeHtml(getReservationPropertyName(reservation))}
+                    · 📅 ${formatDate(reservation.arrival_date)} → ${formatDate(
+    reservation.departure_date
+  )}
+                </div>
+
+                <div class="property-status-right">
+                    <span class="property-status ${statusClass}">${escapeHtml(
+    status
+  )}</span>
+                </div>
+            </div>
+        </div>
+    `;
+
+  card
+    .querySelector(".property-checkbox")
+    .addEventListener("change", () =>
+      toggleReservationSelection(reservation.id)
+    );
+
+  return card;
+}
+
+function toggleReservationSelection(reservationId) {
+  if (selectedReservations.has(reservationId)) {
+    selectedReservations.delete(reservationId);
+  } else {
+    selectedReservations.add(reservationId);
+  }
+
+  updateReservationSelectionUI();
+}
+
+function updateReservationSelectionUI() {
+  const count = selectedReservations.size;
+  reservationSelectedCount.textContent = `${count} selected`;
+  copyReservationsButton.disabled = count === 0;
+  copyReservationsButton.style.display = canExport() ? "inline-block" : "none";
+
+  reservationsGrid.querySelectorAll(".property-card").forEach((card) => {
+    const selected = selectedReservations.has(card.dataset.reservationId);
+    card.classList.toggle("selected", selected);
+    card.querySelector(".property-checkbox").checked = selected;
+  });
+}
+
+function selectAllVisibleReservations() {
+  filteredReservations.forEach((reservation) =>
+    selectedReservations.add(reservation.id)
+  );
+  updateReservationSelectionUI();
+}
+
+function clearReservationSelection() {
+  selectedReservations.clear();
+  updateReservationSelectionUI();
+}
+
+// Copy selected reservations to clipboard
+async function copySelectedReservations() {
+  if (selectedReservations.size === 0 || !canExport()) return;
+
+  const selectedData = allReservations.filter((reservation) =>
+    selectedReservations.has(reservation.id)
+  );
+  const jsonData = JSON.stringify(selectedData, null, 2);
+
+  try {
+    await navigator.clipboard.writeText(jsonData);
+
+    const originalText = copyReservationsButton.textContent;
+    copyReservationsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyReservationsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy to clipboard:", error);
+    showError("Could not copy to clipboard.", "COPY_ERROR");
+  }
+}
+
+// Analytics
+// Metrics for the period [start, end), where end is exclusive:
+//   occupancy = booked nights / available nights
+//   ADR       = revenue / booked nights
+//   RevPAR    = revenue / available nights
+//   lead time = average days between booking and arrival
+// Available nights are simply the nights in the period. Revenue of stays
+// that straddle the period is prorated by night.
+const DAY_MS = 86400000;
+// Longest stay analytics looks back for when loading reservations
+const MAX_STAY_NIGHTS = 365;
+const INACTIVE_RESERVATION_STATUSES = [
+  "cancelled",
+  "declined",
+  "expired",
+  "inquiry",
+  "request",
+  "not_accepted",
+];
+
+async function loadAnalytics() {
+  const propertyIds = getReservationPropertyIds();
+  if (propertyIds.length === 0) {
+    showError(
+      "Select properties on the Properties tab before calculating analytics.",
+      "LOAD_ERROR"
+    );
+    return;
+  }
+
+  analyticsScope.textContent = reservationsScopeText();
+  showLoading(`Loading reservations for ${propertyIds.length} properties...`);
+
+  try {
+    const reservations = await loadAnalyticsReservations(propertyIds);
+    const properties = allProperties.filter((property) =>
+      propertyIds.includes(property.id)
+    );
+
+    analyticsResult = computeAnalytics(
+      properties,
+      reservations,
+      analyticsStartDate.value,
+      analyticsEndDate.value
+    );
+
+    hideLoading();
+    renderAnalytics(analyticsResult);
+    copyAnalyticsButton.disabled = false;
+  } catch (error) {
+    console.error("Error calculating analytics:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
+  }
+}
+
+// Bookings embedded in the property payload are used when they are a list
+// of reservations; otherwise reservations with financials are fetched.
+async function loadAnalyticsReservations(propertyIds) {
+  const embedded = allProperties
+    .filter((property) => propertyIds.includes(property.id))
+    .filter((property) => Array.isArray(property.bookings));
+
+  if (embedded.length === propertyIds.length) {
+    return embedded.flatMap((property) =>
+      property.bookings.map((booking) => ({
+        ...booking,
+        properties: [{ id: property.id }],
+      }))
+    );
+  }
+
+  // Reservations are filtered by arrival date; looking back by the longest
+  // possible stay also catches stays that began before the period
+  const lookback = new Date(
+    Date.parse(analyticsStartDate.value) - MAX_STAY_NIGHTS * DAY_MS
+  );
+  return fetchReservations(propertyIds, {
+    start_date: lookback.toISOString().slice(0, 10),
+    end_date: analyticsEndDate.value,
+    include: "properties,financials",
+  });
+}
+
+function computeAnalytics(properties, reservations, startDate, endDate) {
+  const periodStart = Date.parse(startDate);
+  const periodEnd = Date.parse(endDate);
+  const periodNights = Math.max(
+    0,
+    Math.round((periodEnd - periodStart) / DAY_MS)
+  );
+
+  const rows = properties.map((property) => {
+    const stays = reservations.filter(
+      (reservation) =>
+        !INACTIVE_RESERVATION_STATUSES.includes(
+          String(reservation.status || "").toLowerCase()
+        ) && (reservation.properties || []).some((p) => p.id === property.id)
+    );
+
+    let bookedNights = 0;
+    let revenue = 0;
+    const leadTimes = [];
+
+    stays.forEach((reservation) => {
+      const arrival = Date.parse(reservation.arrival_date);
+      const departure = Date.parse(reservation.departure_date);
+      const nights = Math.round((departure - arrival) / DAY_MS);
+      const overlap = Math.round(
+        (Math.min(departure, periodEnd) - Math.max(arrival, periodStart)) /
+          DAY_MS
+      );
+      if (!(nights > 0) || !(overlap > 0)) return;
+
+      bookedNights += overlap;
+      revenue += (getReservationRevenue(reservation) * overlap) / nights;
+
+      const booked = Date.parse(reservation.booking_date);
+      if (!Number.isNaN(booked)) {
+        leadTimes.push(Math.max(0, Math.round((arrival - booked) / DAY_MS)));
+      }
+    });
+
+    return buildMetrics(
+      property.name || "Unnamed Property",
+      periodNights,
+      bookedNights,
+      revenue,
+      leadTimes
+    );
+  });
+
+  const portfolio = buildMetrics(
+    "Portfolio",
+    periodNights * rows.length,
+    rows.reduce((sum, row) => sum + row.bookedNights, 0),
+    rows.reduce((sum, row) => sum + row.revenue, 0),
+    rows.flatMap((row) => row.leadTimes)
+  );
+
+  return {
+    startDate,
+    endDate,
+    currency: findCurrency(reservations),
+    rows,
+    portfolio,
+  };
+}
+
+function buildMetrics(name, availableNights, bookedNights, revenue, leadTimes) {
+  return {
+    name,
+    availableNights,
+    bookedNights,
+    revenue,
+    leadTimes,
+    occupancy: availableNights > 0 ? bookedNights / availableNights : 0,
+    adr: bookedNights > 0 ? revenue / bookedNights : 0,
+    revpar: availableNights > 0 ? revenue / availableNights : 0,
+    leadTime:
+      leadTimes.length > 0
+        ? leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length
+        : null,
+  };
+}
+
+// Host revenue of a reservation in currency units (Hospitable reports cents)
+function getReservationRevenue(reservation) {
+  const host = reservation.financials?.host || {};
+  const amount =
+    host.revenue?.amount ??
+    host.accommodation?.amount ??
+    reservation.financials?.guest?.total_price?.amount ??
+    0;
+  return amount / 100;
+}
+
+function findCurrency(reservations) {
+  const withCurrency = reservations.find(
+    (reservation) => reservation.financials?.currency
+  );
+  return withCurrency ? withCurrency.financials.currency : "";
+}
+
+function renderAnalytics(result) {
+  const { portfolio, currency } = result;
+  const money = (value) => formatMoney(value, currency);
+
+  analyticsSummary.innerHTML = [
+    ["Occupancy", formatPercent(portfolio.occupancy)],
+    ["ADR", money(portfolio.adr)],
+    ["RevPAR", money(portfolio.revpar)],
+    ["Revenue", money(portfolio.revenue)],
+    ["Avg. Lead Time", formatLeadTime(portfolio.leadTime)],
+    ["Booked Nights", `${portfolio.bookedNights}/${portfolio.availableNights}`],
+  ]
+    .map(
+      ([label, value]) => `
+        <div class="metric-card">
+            <div class="metric-label">${label}</div>
+            <div class="metric-value">${value}</div>
+        </div>`
+    )
+    .join("");
+
+  analyticsCharts.innerHTML =
+    renderBarChart("Occupancy", result.rows, "occupancy", formatPercent) +
+    renderBarChart("ADR", result.rows, "adr", money) +
+    renderBarChart("RevPAR", result.rows, "revpar", money) +
+    renderBarChart("Avg. Lead Time", result.rows, "leadTime", formatLeadTime);
+
+  const tableRows = [...result.rows, portfolio]
+    .map(
+      (row) => `
+        <tr>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${formatPercent(row.occupancy)}</td>
+            <td>${money(row.adr)}</td>
+            <td>${money(row.revpar)}</td>
+            <td>${money(row.revenue)}</td>
+            <td>${row.bookedNights}/${row.availableNights}</td>
+            <td>${formatLeadTime(row.leadTime)}</td>
+        </tr>`
+    )
+    .join("");
+
+  analyticsTable.innerHTML = `
+        <table class="admin-table">
+            <thead>
+                <tr>
+                    <th>Property</th><th>Occupancy</th><th>ADR</th><th>RevPAR</th>
+                    <th>Revenue</th><th>Booked Nights</th><th>Lead Time</th>
+                </tr>
+            </thead>
+            <tbody>${tableRows}</tbody>
+        </table>
+    `;
+}
+
+// Horizontal bar chart, bars scaled to the largest value
+function renderBarChart(title, rows, key, format) {
+  const max = Math.max(...rows.map((row) => row[key] || 0), 0);
+  const bars = rows
+    .map((row) => {
+      const value = row[key] || 0;
+      const width = max > 0 ? (value / max) * 100 : 0;
+      return `
+        <div class="bar-row">
+            <span class="bar-label" title="${escapeHtml(
+              row.name
+            )}">${escapeHtml(row.name)}</span>
+            <div class="bar-track"><div class="bar-fill" style="width: ${width}%"></div></div>
+            <span class="bar-value">${format(row[key])}</span>
+        </div>`;
+    })
+    .join("");
+
+  return `<div class="bar-chart"><h4>${title}</h4>${bars}</div>`;
+}
+
+// Copy the metrics as a compact Markdown table for AI prompts
+async function copyAnalyticsTable() {
+  if (!analyticsResult) return;
+
+  const { rows, portfolio, currency, startDate, endDate } = analyticsResult;
+  const money = (value) => formatMoney(value, currency);
+  const lines = [
+    `Period: ${startDate} to ${endDate} (end exclusive)`,
+    "",
+    "| Property | Occ | ADR | RevPAR | Revenue | Nights | Lead |",
+    "|---|---|---|---|---|---|---|",
+    ...[...rows, portfolio].map(
+      (row) =>
+        `| ${row.name} | ${formatPercent(row.occupancy)} | ${money(
+          row.adr
+        )} | ${money(row.revpar)} | ${money(row.revenue)} | ${
+          row.bookedNights
+        }/${row.availableNights} | ${formatLeadTime(row.leadTime)} |`
+    ),
+  ];
+
+  try {
+    await navigator.clipboard.writeText(lines.join("\n"));
+
+    const originalText = copyAnalyticsButton.textContent;
+    copyAnalyticsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyAnalyticsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy to clipboard:", error);
+    showError("Could not copy to clipboard.", "COPY_ERROR");
+  }
+}
+
+function formatPercent(value) {
+  return `${Math.round((value || 0) * 1000) / 10}%`;
+}
+
+function formatMoney(value, currency) {
+  const amount = Math.round(value || 0);
+  return currency ? `${amount} ${currency}` : String(amount);
+}
+
+function formatLeadTime(days) {
+  return days === null || days === undefined ? "–" : `${Math.round(days)}d`;
+}
+
+// Date N days from today as YYYY-MM-DD
+function offsetDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "?";
+}
+
+// Escape text for safe interpolation into innerHTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Update progress information
+function updateProgress() {
+  if (totalProperties > 0) {
+    progressText.textContent = `Loaded ${loadedProperties} of ${totalProperties} properties`;
+  }
+}
+
+// Show completion message
+function showCompletionMessage() {
+  progressInfo.style.display = "block";
+  progressInfo.style.backgroundColor = "#d4edda";
+  progressInfo.style.color = "#155724";
+  const cacheNote =
+    oldestCacheAge > 0 ? ` (cached ${formatAge(oldestCacheAge)} ago)` : "";
+  progressText.textContent = `✅ All ${totalProperties} properties loaded successfully!${cacheNote}`;
+
+  // Hide after 3 seconds
+  setTimeout(() => {
+    progressInfo.style.display = "none";
+    progressInfo.style.backgroundColor = "white";
+    progressInfo.style.color = "#333";
+  }, 3000);
+}
+
+// Format a cache age in seconds as a short human-readable duration
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+  return `${Math.floor(seconds / 3600)}h`;
 }
 
 // Show loading state
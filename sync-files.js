@@ -7,6 +7,7 @@ const indexHtml = fs.readFileSync(path.join(__dirname, "index.html"), "utf8");
 const appJs = fs.readFileSync(path.join(__dirname, "app.js"), "utf8");
 const stylesCSS = fs.readFileSync(path.join(__dirname, "styles.css"), "utf8");
 const loginHtml = fs.readFileSync(path.join(__dirname, "login.html"), "utf8");
+const adminHtml = fs.readFileSync(path.join(__dirname, "admin.html"), "utf8");
 
 // Read worker.js
 let workerContent = fs.readFileSync(path.join(__dirname, "worker.js"), "utf8");
@@ -37,12 +38,20 @@ workerContent = workerContent.replace(
 
 // Find and replace styles.css
 workerContent = workerContent.replace(
-  /(case\s+"styles\.css":\s*return\s*`)[\s\S]*?(`;\s*default:)/,
+  /(case\s+"styles\.css":\s*return\s*`)[\s\S]*?(`;\s*case\s+"admin\.html":)/,
   `$1${escapeForTemplate(stylesCSS)}$2`
 );
 
+// Find and replace admin.html
+workerContent = workerContent.replace(
+  /(case\s+"admin\.html":\s*return\s*`)[\s\S]*?(`;\s*default:)/,
+  `$1${escapeForTemplate(adminHtml)}$2`
+);
+
 // Write the updated worker.js
 fs.writeFileSync(path.join(__dirname, "worker.js"), workerContent, "utf8");
 
 console.log("✅ Successfully synced all files into worker.js");
-console.log("📝 Files synced: index.html, login.html, app.js, styles.css");
+console.log(
+  "📝 Files synced: index.html, login.html, app.js, styles.css, admin.html"
+);
@@ -0,0 +1,127 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable, createProperties } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+const isPropertiesPage = (url) => url.pathname === "/v2/properties";
+const isPage = (page) => (url) =>
+  isPropertiesPage(url) && url.searchParams.get("page") === String(page);
+const upstreamPages = () =>
+  mock.requests
+    .filter((request) => isPropertiesPage(request.url))
+    .map((request) => request.url.searchParams);
+
+before(async () => {
+  mock = await startMockHospitable({ properties: createProperties(250) });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({
+    HOSPITABLE_API_URL: `${mock.url}/v2`,
+    HOSPITABLE_MAX_RETRIES: "0",
+  });
+  cookie = cookieFrom(await worker.login());
+});
+
+function readLines(text) {
+  return text
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+}
+
+test("merges every page", async () => {
+  const response = await worker.request("/api/properties/all", { cookie });
+
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.data.length, 250);
+  assert.deepEqual(body.meta, {
+    total: 250,
+    last_page: 3,
+    per_page: 100,
+    count: 250,
+  });
+  assert.equal(body.data[249].id, "property-250");
+  assert.deepEqual(
+    upstreamPages()
+      .map((params) => params.get("page"))
+      .sort(),
+    ["1", "2", "3"]
+  );
+});
+
+test("keeps per_page above its floor", async () => {
+  const response = await worker.request("/api/properties/all?per_page=1", {
+    cookie,
+  });
+
+  assert.equal((await response.json()).meta.last_page, 5);
+  assert.ok(upstreamPages().every((params) => params.get("per_page") === "50"));
+});
+
+test("reports the first failed page", async () => {
+  mock.script(isPage(2), [{ status: 502 }]);
+
+  const response = await worker.request("/api/properties/all", { cookie });
+
+  assert.equal(response.status, 502);
+  assert.equal((await response.json()).page, 2);
+});
+
+test("streams NDJSON pages and a done line", async () => {
+  const response = await worker.request("/api/properties/all?format=ndjson", {
+    cookie,
+  });
+
+  assert.equal(response.headers.get("Content-Type"), "application/x-ndjson");
+  const lines = readLines(await response.text());
+  assert.deepEqual(lines[0], {
+    type: "meta",
+    total: 250,
+    last_page: 3,
+    per_page: 100,
+  });
+  assert.deepEqual(lines.at(-1), { type: "done" });
+
+  const pages = lines.filter((line) => line.type === "page");
+  assert.deepEqual(pages.map((line) => line.page).sort(), [1, 2, 3]);
+  assert.equal(
+    pages.reduce((sum, line) => sum + line.data.length, 0),
+    250
+  );
+});
+
+test("streams an error line for a failed page", async () => {
+  mock.script(isPage(3), [{ status: 429, headers: { "Retry-After": "5" } }]);
+
+  const response = await worker.request("/api/properties/all?format=ndjson", {
+    cookie,
+  });
+  const lines = readLines(await response.text());
+
+  const error = lines.find((line) => line.type === "error");
+  assert.equal(error.page, 3);
+  assert.equal(error.status, 429);
+  assert.equal(error.retry_after, 5);
+  assert.equal(lines.filter((line) => line.type === "page").length, 2);
+  assert.deepEqual(lines.at(-1), { type: "done" });
+});
+
+test("fails without streaming when the first page fails", async () => {
+  mock.script(isPage(1), [{ status: 401 }]);
+
+  const response = await worker.request("/api/properties/all?format=ndjson", {
+    cookie,
+  });
+
+  assert.equal(response.status, 401);
+  assert.equal(upstreamPages().length, 1);
+});
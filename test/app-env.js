@@ -0,0 +1,63 @@
+// Boots the front-end the worker serves (index.html with app.js) in jsdom.
+// The page's fetch() goes to the given worker as the logged-in user, and
+// clipboard writes are captured instead of reaching a real clipboard.
+const { JSDOM } = require("jsdom");
+
+async function loadApp(worker, cookie, { storage = {} } = {}) {
+  const page = async (pathname) =>
+    (await worker.request(pathname, { cookie })).text();
+  const html = (await page("/")).replace(
+    '<script src="/app.js"></script>',
+    `<script>${await page("/app.js")}</script>`
+  );
+
+  let clipboard = null;
+  const dom = new JSDOM(html, {
+    url: "https://viewer.test/",
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    beforeParse(window) {
+      Object.entries(storage).forEach(([key, value]) =>
+        window.localStorage.setItem(key, value)
+      );
+      window.fetch = (input, init = {}) => {
+        const url = new URL(input, "https://viewer.test/");
+        return worker.request(url.pathname + url.search, { ...init, cookie });
+      };
+      window.TextDecoder = TextDecoder;
+      window.TextEncoder = TextEncoder;
+      window.confirm = () => true;
+      window.open = () => null;
+      Object.defineProperty(window.navigator, "clipboard", {
+        value: {
+          writeText: async (text) => {
+            clipboard = text;
+          },
+        },
+      });
+    },
+  });
+  const { window } = dom;
+
+  // Poll a page expression until it is truthy
+  const waitFor = async (expression, timeout = 5000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const value = window.eval(expression);
+      if (value) return value;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Timed out waiting for ${expression}`);
+  };
+
+  return {
+    window,
+    // Run an expression in the page, where app.js state is in scope
+    evaluate: (expression) => window.eval(expression),
+    waitFor,
+    clipboard: () => clipboard,
+    close: () => window.close(),
+  };
+}
+
+module.exports = { loadApp };
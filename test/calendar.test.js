@@ -0,0 +1,70 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startMockHospitable,
+  createProperties,
+  createReservations,
+} = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+before(async () => {
+  const properties = createProperties(2);
+  mock = await startMockHospitable({
+    properties,
+    reservations: createReservations(properties, { count: 1 }),
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  cookie = cookieFrom(await worker.login());
+});
+
+test("returns one simplified entry per night", async () => {
+  const response = await worker.request(
+    "/api/property/property-1/calendar?start_date=2026-01-01&end_date=2026-01-03",
+    { cookie }
+  );
+
+  assert.equal(response.status, 200);
+  const { data } = await response.json();
+  assert.equal(data.property_id, "property-1");
+  assert.deepEqual(
+    data.days.map(({ date, status, price, currency }) => ({
+      date,
+      status,
+      price,
+      currency,
+    })),
+    [
+      { date: "2026-01-01", status: "booked", price: 150, currency: "USD" },
+      { date: "2026-01-02", status: "booked", price: 150, currency: "USD" },
+      { date: "2026-01-03", status: "available", price: 150, currency: "USD" },
+    ]
+  );
+});
+
+test("requires a valid date range of at most a year", async () => {
+  const ranges = [
+    "",
+    "?start_date=2026-01-01",
+    "?start_date=2026-02-01&end_date=2026-01-01",
+    "?start_date=2026-01-01&end_date=2027-06-01",
+  ];
+
+  for (const range of ranges) {
+    const response = await worker.request(
+      `/api/property/property-1/calendar${range}`,
+      { cookie }
+    );
+    assert.equal(response.status, 400, range);
+  }
+  assert.equal(mock.requests.length, 0);
+});
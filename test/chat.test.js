@@ -0,0 +1,84 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable, createProperties } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+const isChatCompletion = (url) => url.pathname === "/v1/chat/completions";
+
+before(async () => {
+  mock = await startMockHospitable({
+    properties: createProperties(3),
+    chatAnswer: "Property 2 sleeps four guests.",
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({
+    HOSPITABLE_API_URL: `${mock.url}/v2`,
+    LLM_API_URL: `${mock.url}/v1`,
+    LLM_API_KEY: "llm-key",
+  });
+  cookie = cookieFrom(await worker.login());
+});
+
+function ask(body) {
+  return worker.request("/api/chat", {
+    cookie,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+test("streams the answer as plain text", async () => {
+  const response = await ask({
+    question: "How many guests does Property 2 sleep?",
+    propertyIds: ["property-2", "missing"],
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("Content-Type"), /^text\/plain/);
+  assert.equal(await response.text(), "Property 2 sleeps four guests.");
+
+  const completion = mock.requests.find((request) =>
+    isChatCompletion(request.url)
+  );
+  assert.equal(completion.headers.authorization, "Bearer llm-key");
+  const { messages, stream } = JSON.parse(completion.body);
+  assert.equal(stream, true);
+  assert.match(messages[1].content, /"id":"property-2"/);
+  assert.match(messages[1].content, /How many guests/);
+});
+
+test("rejects a request without a question", async () => {
+  const response = await ask({ propertyIds: ["property-1"] });
+
+  assert.equal(response.status, 400);
+  assert.equal(mock.requests.length, 0);
+});
+
+test("rejects a body that is not a JSON object", async () => {
+  const response = await ask(null);
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "INVALID_REQUEST");
+});
+
+test("reports a failing chat provider", async () => {
+  mock.script(isChatCompletion, [{ status: 500 }]);
+
+  const response = await ask({
+    question: "Anything?",
+    propertyIds: ["property-1"],
+  });
+
+  assert.equal(response.status, 502);
+  assert.equal((await response.json()).error, "LLM_ERROR");
+});
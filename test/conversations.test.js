@@ -0,0 +1,89 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startMockHospitable,
+  createProperties,
+  createReservations,
+} = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+const { loadApp } = require("./app-env");
+
+const properties = createProperties(3);
+let mock;
+let worker;
+let cookie;
+
+before(async () => {
+  const recent = new Date(Date.now() - 30 * 86400000);
+  mock = await startMockHospitable({
+    properties,
+    reservations: createReservations(properties, {
+      start: recent.toISOString().slice(0, 10),
+      count: 2,
+    }),
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  cookie = cookieFrom(await worker.login());
+});
+
+test("returns a reservation's messages oldest first", async () => {
+  const response = await worker.request(
+    "/api/reservations/reservation-1-1/messages",
+    { cookie }
+  );
+
+  assert.equal(response.status, 200);
+  const { data } = await response.json();
+  assert.deepEqual(
+    data.map((message) => message.sender_type),
+    ["guest", "host"]
+  );
+
+  const missing = await worker.request("/api/reservations/nope/messages", {
+    cookie,
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("reservations only list their properties when asked to", async () => {
+  const list = (include) =>
+    worker
+      .request(`/api/reservations?properties=property-1&include=${include}`, {
+        cookie,
+      })
+      .then((response) => response.json());
+
+  const withoutProperties = await list("guest");
+  assert.ok(withoutProperties.data.every((r) => !("properties" in r)));
+
+  const withProperties = await list("guest,properties");
+  assert.ok(withProperties.data.every((r) => r.properties[0].id));
+});
+
+test("copying with conversations includes each property's threads", async () => {
+  const app = await loadApp(worker, cookie);
+  await app.waitFor("currentUser && allProperties.length === 3 && !isLoading");
+
+  app.evaluate(`
+    selectedProperties.add("property-1");
+    selectedProperties.add("property-3");
+  `);
+  await app.evaluate("copySelectedWithConversations()");
+
+  const text = app.clipboard();
+  assert.match(text, /# Property: Property 1/);
+  assert.match(text, /# Property: Property 3/);
+  assert.doesNotMatch(text, /# Property: Property 2/);
+  assert.doesNotMatch(text, /No reservations in the last/);
+  for (const code of ["HM1X1", "HM1X2", "HM3X1", "HM3X2"]) {
+    assert.match(text, new RegExp(`## Reservation ${code}`));
+    assert.match(text, new RegExp(`Guest: Hello from ${code}`));
+  }
+  app.close();
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let worker;
+let cookie;
+
+beforeEach(async () => {
+  worker = loadWorker();
+  cookie = cookieFrom(await worker.login());
+});
+
+function saveGroup(body, as = cookie) {
+  return worker.request("/api/groups", {
+    cookie: as,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+async function listGroups(as = cookie) {
+  const response = await worker.request("/api/groups", { cookie: as });
+  return (await response.json()).data;
+}
+
+test("saves, updates and deletes groups", async () => {
+  const created = await saveGroup({
+    name: "Downtown",
+    propertyIds: ["property-1", "property-2", "property-1"],
+  });
+  assert.equal(created.status, 201);
+  const group = await created.json();
+  assert.deepEqual(group.propertyIds, ["property-1", "property-2"]);
+
+  const updated = await saveGroup({
+    id: group.id,
+    name: "Downtown condos",
+    propertyIds: ["property-3"],
+  });
+  assert.equal(updated.status, 200);
+
+  const groups = await listGroups();
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].name, "Downtown condos");
+  assert.deepEqual(groups[0].propertyIds, ["property-3"]);
+
+  const deleted = await worker.request(`/api/groups/${group.id}`, {
+    cookie,
+    method: "DELETE",
+  });
+  assert.equal(deleted.status, 204);
+  assert.deepEqual(await listGroups(), []);
+});
+
+test("groups are kept per user and open to viewers", async () => {
+  await saveGroup({ name: "Admin's", propertyIds: ["property-1"] });
+  const viewer = await worker.loginAs("viewer");
+
+  assert.deepEqual(await listGroups(viewer), []);
+  const saved = await saveGroup(
+    { name: "Viewer's", propertyIds: ["property-2"] },
+    viewer
+  );
+  assert.equal(saved.status, 201);
+  assert.equal((await listGroups()).length, 1);
+});
+
+test("validates groups", async () => {
+  const invalid = [
+    { name: "", propertyIds: [] },
+    { name: "x".repeat(81), propertyIds: [] },
+    { name: "Numbers", propertyIds: [1, 2] },
+    { name: "Missing ids" },
+  ];
+
+  for (const body of invalid) {
+    assert.equal((await saveGroup(body)).status, 400, JSON.stringify(body));
+  }
+
+  const missing = await worker.request("/api/groups/nope", {
+    cookie,
+    method: "DELETE",
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("a malformed group id in the path is a bad request", async () => {
+  const response = await worker.request("/api/groups/%E0%A4%A", {
+    cookie,
+    method: "DELETE",
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "INVALID_REQUEST");
+});
@@ -0,0 +1,82 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+const isPropertiesPage = (url) => url.pathname === "/v2/properties";
+const upstreamCalls = () =>
+  mock.requests.filter((request) => isPropertiesPage(request.url)).length;
+
+before(async () => {
+  mock = await startMockHospitable();
+});
+
+after(() => mock.close());
+
+async function setUp(config = {}) {
+  mock.reset();
+  worker = loadWorker({
+    HOSPITABLE_API_URL: `${mock.url}/v2`,
+    PROPERTIES_CACHE_TTL: "0",
+    ...config,
+  });
+  cookie = cookieFrom(await worker.login());
+}
+
+beforeEach(() => setUp());
+
+test("retries 429 and 5xx responses, honoring Retry-After", async () => {
+  mock.script(isPropertiesPage, [
+    { status: 429, headers: { "Retry-After": "1" } },
+    { status: 503 },
+  ]);
+
+  const started = Date.now();
+  const response = await worker.request("/api/properties", { cookie });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("X-Upstream-Retries"), "2");
+  assert.ok(Date.now() - started >= 1000, "waited for Retry-After");
+  assert.equal(upstreamCalls(), 3);
+  assert.equal((await response.json()).data.length, 5);
+});
+
+test("gives up at once when Retry-After is too long", async () => {
+  mock.script(isPropertiesPage, [
+    { status: 429, headers: { "Retry-After": "60" } },
+  ]);
+
+  const response = await worker.request("/api/properties", { cookie });
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get("Retry-After"), "60");
+  assert.equal((await response.json()).retry_after, 60);
+  assert.equal(upstreamCalls(), 1);
+});
+
+test("stops after HOSPITABLE_MAX_RETRIES retries", async () => {
+  await setUp({ HOSPITABLE_MAX_RETRIES: "1" });
+  mock.script(isPropertiesPage, [
+    { status: 500, headers: { "Retry-After": "0" } },
+    { status: 500, headers: { "Retry-After": "0" } },
+    { status: 500, headers: { "Retry-After": "0" } },
+  ]);
+
+  const response = await worker.request("/api/properties", { cookie });
+
+  assert.equal(response.status, 500);
+  assert.equal(upstreamCalls(), 2);
+});
+
+test("does not retry client errors", async () => {
+  mock.script(isPropertiesPage, [{ status: 401 }]);
+
+  const response = await worker.request("/api/properties", { cookie });
+
+  assert.equal(response.status, 401);
+  assert.equal(upstreamCalls(), 1);
+});
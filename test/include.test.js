@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+const upstreamIncludes = () =>
+  mock.requests.map((request) => request.url.searchParams.get("include"));
+
+before(async () => {
+  mock = await startMockHospitable();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  cookie = cookieFrom(await worker.login());
+});
+
+test("include defaults to every relation", async () => {
+  const response = await worker.request("/api/properties", { cookie });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(upstreamIncludes(), ["listings,details,bookings,user"]);
+});
+
+test("include is normalized to canonical order", async () => {
+  await worker.request("/api/properties?include=user, listings,,", {
+    cookie,
+  });
+  await worker.request("/api/properties?include=listings,user", { cookie });
+
+  // Both spellings share one cache entry
+  assert.deepEqual(upstreamIncludes(), ["listings,user"]);
+});
+
+test("an empty include requests the bare property", async () => {
+  await worker.request("/api/properties?include=", { cookie });
+
+  assert.deepEqual(upstreamIncludes(), [""]);
+});
+
+test("an unknown include is rejected before calling upstream", async () => {
+  const response = await worker.request(
+    "/api/properties?include=listings,reviews",
+    { cookie }
+  );
+
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.equal(body.error, "INVALID_INCLUDE");
+  assert.match(body.message, /reviews/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test("/all passes the include set to every page", async () => {
+  await worker.request("/api/properties/all?include=details", { cookie });
+
+  assert.deepEqual(upstreamIncludes(), ["details"]);
+});
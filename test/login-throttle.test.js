@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWorker } = require("./worker-env");
+
+test("repeated failed logins lock the account", async () => {
+  const worker = loadWorker();
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    const response = await worker.login("admin", "wrong");
+    assert.match(response.headers.get("Location"), /error=invalid/);
+  }
+
+  const locked = await worker.login("admin", "wrong");
+  assert.match(locked.headers.get("Location"), /error=locked&retry=30$/);
+
+  // Neither the right password nor a new IP gets past the lock
+  const correct = await worker.login();
+  assert.match(correct.headers.get("Location"), /error=locked/);
+  assert.equal(correct.headers.get("Set-Cookie"), null);
+
+  const otherIp = await worker.login(undefined, undefined, "198.51.100.7");
+  assert.match(otherIp.headers.get("Location"), /error=locked/);
+});
+
+test("failures spread over several addresses lock the username", async () => {
+  const worker = loadWorker();
+  const addresses = ["198.51.100.1", "198.51.100.2", "198.51.100.3"];
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await worker.login("admin", "wrong", addresses[attempt % 3]);
+  }
+
+  const response = await worker.login(undefined, undefined, "198.51.100.9");
+  assert.match(response.headers.get("Location"), /error=locked&retry=30$/);
+});
+
+test("failed logins against several accounts lock the client IP", async () => {
+  const worker = loadWorker();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await worker.login(`user${attempt}`, "wrong");
+  }
+
+  const response = await worker.login();
+  assert.match(response.headers.get("Location"), /error=locked/);
+
+  const elsewhere = await worker.login(undefined, undefined, "198.51.100.7");
+  assert.equal(elsewhere.headers.get("Location"), "/");
+});
+
+test("a successful login clears earlier failures", async () => {
+  const worker = loadWorker();
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    await worker.login("admin", "wrong");
+  }
+  assert.equal((await worker.login()).headers.get("Location"), "/");
+
+  const response = await worker.login("admin", "wrong");
+  assert.match(response.headers.get("Location"), /error=invalid/);
+});
@@ -0,0 +1,132 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWorker, cookieFrom, createKVNamespace } = require("./worker-env");
+
+let worker;
+let cookie;
+
+beforeEach(async () => {
+  worker = loadWorker();
+  cookie = cookieFrom(await worker.login());
+});
+
+function saveMeta(propertyId, body, as = cookie) {
+  return worker.request(`/api/property/${propertyId}/meta`, {
+    cookie: as,
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+async function allMeta(as = cookie) {
+  const response = await worker.request("/api/meta", { cookie: as });
+  return (await response.json()).data;
+}
+
+test("saves tags and fields and lists them for every property", async () => {
+  const saved = await saveMeta("property-1", {
+    tags: [" pool ", "Pool", "pet friendly"],
+    fields: { Owner: " Smith ", Region: "" },
+    version: 0,
+  });
+  assert.equal(saved.status, 200);
+  const meta = await saved.json();
+  assert.deepEqual(meta.tags, ["pool", "pet friendly"]);
+  assert.deepEqual(meta.fields, { Owner: "Smith" });
+  assert.equal(meta.version, 1);
+  assert.equal(meta.updatedBy, "admin");
+
+  await saveMeta("property-2", { tags: ["downtown"] });
+
+  const viewer = await worker.loginAs("viewer");
+  const data = await allMeta(viewer);
+  assert.deepEqual(Object.keys(data).sort(), ["property-1", "property-2"]);
+  assert.deepEqual(data["property-2"].tags, ["downtown"]);
+
+  const one = await worker.request("/api/property/property-1/meta", {
+    cookie: viewer,
+  });
+  assert.deepEqual(await one.json(), meta);
+});
+
+test("properties without metadata read as empty", async () => {
+  const response = await worker.request("/api/property/property-9/meta", {
+    cookie,
+  });
+
+  assert.deepEqual(await response.json(), { tags: [], fields: {}, version: 0 });
+  assert.deepEqual(await allMeta(), {});
+});
+
+test("refuses a save based on a stale version", async () => {
+  await saveMeta("property-1", { tags: ["a"], version: 0 });
+  await saveMeta("property-1", { tags: ["b"], version: 1 });
+
+  const stale = await saveMeta("property-1", { tags: ["c"], version: 1 });
+  assert.equal(stale.status, 409);
+  assert.equal((await stale.json()).error, "CONFLICT");
+  assert.deepEqual((await allMeta())["property-1"].tags, ["b"]);
+});
+
+test("clearing every tag and field removes the entry", async () => {
+  await saveMeta("property-1", { tags: ["a"] });
+  const cleared = await saveMeta("property-1", { tags: [], version: 1 });
+
+  assert.equal((await cleared.json()).version, 0);
+  assert.deepEqual(await allMeta(), {});
+});
+
+test("listing reads one record however many properties have metadata", async () => {
+  const kv = createKVNamespace();
+  worker = loadWorker({ APP_KV: kv });
+  cookie = cookieFrom(await worker.login());
+
+  const readsForList = async () => {
+    const before = { ...kv.counts };
+    const data = await allMeta();
+    return {
+      properties: Object.keys(data).length,
+      gets: kv.counts.get - before.get,
+      lists: kv.counts.list - before.list,
+    };
+  };
+
+  await saveMeta("property-1", { tags: ["pool"] });
+  const one = await readsForList();
+  for (let i = 2; i <= 20; i++) {
+    await saveMeta(`property-${i}`, { tags: ["pool"] });
+  }
+  const twenty = await readsForList();
+
+  assert.equal(one.properties, 1);
+  assert.equal(twenty.properties, 20);
+  assert.equal(twenty.gets, one.gets);
+  assert.equal(twenty.lists, 0);
+});
+
+test("validates tags and fields", async () => {
+  const invalid = [
+    { tags: "pool" },
+    { tags: [1] },
+    { tags: ["x".repeat(41)] },
+    { fields: [] },
+    { fields: { Owner: 1 } },
+    { fields: { "Owner!": "x" } },
+    { tags: Array.from({ length: 21 }, (_, i) => `tag ${i}`) },
+  ];
+
+  for (const body of invalid) {
+    const response = await saveMeta("property-1", body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+});
+
+test("a malformed property id in the path is a bad request", async () => {
+  const response = await worker.request("/api/property/%E0%A4%A/meta", {
+    cookie,
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "INVALID_REQUEST");
+});
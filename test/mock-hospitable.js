@@ -0,0 +1,321 @@
+// Local mock of the Hospitable API, plus an OpenAI-compatible chat
+// completions endpoint, for tests and local development. It serves a fixed
+// set of generated properties, records every request it receives and can
+// be scripted to answer the next matching requests with errors:
+//   mock.script((url) => url.pathname === "/v2/properties", [
+//     { status: 429, headers: { "Retry-After": "1" } },
+//   ]);
+// Run it standalone with `node test/mock-hospitable.js [port]` and point
+// HOSPITABLE_API_URL at http://localhost:<port>/v2 (default port 9000).
+const http = require("http");
+
+function createProperties(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `property-${i + 1}`,
+    name: `Property ${i + 1}`,
+    public_name: `Lakeside Cabin ${i + 1}`,
+    listed: i % 2 === 0,
+    property_type: i % 2 === 0 ? "house" : "apartment",
+    capacity: { bedrooms: (i % 4) + 1, bathrooms: (i % 2) + 1, max: 4 },
+    address: {
+      display: `${i + 1} Main St, Austin`,
+      city: "Austin",
+      country_code: "US",
+    },
+    amenities: i % 3 === 0 ? ["wifi", "pool"] : ["wifi"],
+    listings: [{ platform: "airbnb", platform_id: `airbnb-${i + 1}` }],
+    details: { house_rules: "No parties" },
+  }));
+}
+
+function createReviews(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `review-${i + 1}`,
+    platform: "airbnb",
+    public: { rating: i % 2 === 0 ? 5 : 4, review: `Review ${i + 1}` },
+    private: { feedback: `Private feedback ${i + 1}` },
+    reviewed_at: "2026-01-01T00:00:00Z",
+  }));
+}
+
+// Two-night stays, one per property every `spacing` days from `start`
+function createReservations(
+  properties,
+  { start = "2026-01-01", count = 3, spacing = 7 } = {}
+) {
+  return properties.flatMap((property, p) =>
+    Array.from({ length: count }, (_, i) => {
+      const arrival = new Date(Date.parse(start) + i * spacing * 86400000);
+      const departure = new Date(arrival.getTime() + 2 * 86400000);
+      return {
+        id: `reservation-${p + 1}-${i + 1}`,
+        code: `HM${p + 1}X${i + 1}`,
+        platform: "airbnb",
+        status: "accepted",
+        arrival_date: arrival.toISOString().slice(0, 10),
+        departure_date: departure.toISOString().slice(0, 10),
+        booking_date: start,
+        guest: { first_name: "Guest", last_name: `${p + 1}-${i + 1}` },
+        properties: [{ id: property.id, name: property.name }],
+        financials: {
+          currency: "USD",
+          host: { revenue: { amount: 20000 } },
+        },
+      };
+    })
+  );
+}
+
+// Drop the relations the request did not ask for with "?include=", the way
+// Hospitable only returns included relations
+function withIncludes(item, url, relations) {
+  const include = (url.searchParams.get("include") || "").split(",");
+  const copy = { ...item };
+  relations
+    .filter((relation) => !include.includes(relation))
+    .forEach((relation) => delete copy[relation]);
+  return copy;
+}
+
+const PROPERTY_RELATIONS = ["listings", "details", "bookings", "user"];
+const RESERVATION_RELATIONS = ["guest", "properties", "financials"];
+
+function paginate(items, url) {
+  const page = parseInt(url.searchParams.get("page"), 10) || 1;
+  const perPage = parseInt(url.searchParams.get("per_page"), 10) || 10;
+  return {
+    data: items.slice((page - 1) * perPage, page * perPage),
+    meta: {
+      current_page: page,
+      per_page: perPage,
+      total: items.length,
+      last_page: Math.max(1, Math.ceil(items.length / perPage)),
+    },
+  };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Resolves to { url, requests, script(), reset(), close() } once the server
+// listens
+function startMockHospitable({
+  properties = createProperties(5),
+  reviews = {},
+  reservations = [],
+  chatAnswer = "The mock answer.",
+  port = 0,
+} = {}) {
+  const requests = [];
+  const scripts = [];
+
+  const handle = (req, res, body) => {
+    const url = new URL(req.url, "http://mock");
+    requests.push({ method: req.method, url, headers: req.headers, body });
+
+    const scripted = scripts.find(
+      (entry) => entry.responses.length > 0 && entry.matches(url)
+    );
+    if (scripted) {
+      const {
+        status,
+        headers = {},
+        body: errorBody = {},
+      } = scripted.responses.shift();
+      sendJson(res, status, errorBody, headers);
+      return;
+    }
+
+    if (url.pathname === "/v1/chat/completions" && req.method === "POST") {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      chatAnswer.split(" ").forEach((word, i) => {
+        const content = i === 0 ? word : ` ${word}`;
+        res.write(
+          `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`
+        );
+      });
+      res.end("data: [DONE]\n\n");
+      return;
+    }
+
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+      sendJson(res, 401, { message: "Unauthenticated." });
+      return;
+    }
+
+    if (url.pathname === "/v2/properties") {
+      const included = properties.map((property) =>
+        withIncludes(property, url, PROPERTY_RELATIONS)
+      );
+      sendJson(res, 200, paginate(included, url));
+      return;
+    }
+
+    const reviewsMatch = url.pathname.match(
+      /^\/v2\/properties\/([^/]+)\/reviews$/
+    );
+    if (reviewsMatch) {
+      sendJson(res, 200, paginate(reviews[reviewsMatch[1]] || [], url));
+      return;
+    }
+
+    // Nights covered by a reservation are booked, the rest are available
+    const calendarMatch = url.pathname.match(
+      /^\/v2\/properties\/([^/]+)\/calendar$/
+    );
+    if (calendarMatch) {
+      const start = Date.parse(url.searchParams.get("start_date"));
+      const end = Date.parse(url.searchParams.get("end_date"));
+      const days = [];
+      for (let time = start; time <= end; time += 86400000) {
+        const date = new Date(time).toISOString().slice(0, 10);
+        const booked = reservations.some(
+          (reservation) =>
+            reservation.properties.some((p) => p.id === calendarMatch[1]) &&
+            reservation.arrival_date <= date &&
+            date < reservation.departure_date
+        );
+        days.push({
+          date,
+          status: booked
+            ? { available: false, reason: "RESERVED" }
+            : { available: true, reason: "AVAILABLE" },
+          price: { amount: 15000, currency: "USD" },
+          min_stay: 2,
+        });
+      }
+      sendJson(res, 200, { data: { days } });
+      return;
+    }
+
+    const propertyMatch = url.pathname.match(/^\/v2\/properties\/([^/]+)$/);
+    if (propertyMatch) {
+      const property = properties.find((p) => p.id === propertyMatch[1]);
+      if (property) {
+        sendJson(res, 200, {
+          data: withIncludes(property, url, PROPERTY_RELATIONS),
+        });
+      } else {
+        sendJson(res, 404, { message: "Not found." });
+      }
+      return;
+    }
+
+    // Like Hospitable, start_date and end_date filter on the arrival date
+    if (url.pathname === "/v2/reservations") {
+      const ids = url.searchParams.getAll("properties[]");
+      const start = url.searchParams.get("start_date") || "";
+      const end = url.searchParams.get("end_date") || "9999-12-31";
+      const matching = reservations.filter(
+        (reservation) =>
+          reservation.properties.some((property) =>
+            ids.includes(property.id)
+          ) &&
+          reservation.arrival_date >= start &&
+          reservation.arrival_date <= end
+      );
+      const included = matching.map((reservation) =>
+        withIncludes(reservation, url, RESERVATION_RELATIONS)
+      );
+      sendJson(res, 200, paginate(included, url));
+      return;
+    }
+
+    // A guest message and a host reply for every reservation
+    const messagesMatch = url.pathname.match(
+      /^\/v2\/reservations\/([^/]+)\/messages$/
+    );
+    if (messagesMatch) {
+      const reservation = reservations.find((r) => r.id === messagesMatch[1]);
+      if (!reservation) {
+        sendJson(res, 404, { message: "Not found." });
+        return;
+      }
+      sendJson(res, 200, {
+        data: [
+          {
+            sender_type: "host",
+            body: `Welcome, ${reservation.guest.first_name}!`,
+            created_at: `${reservation.arrival_date}T09:00:00Z`,
+          },
+          {
+            sender_type: "guest",
+            body: `Hello from ${reservation.code}`,
+            created_at: `${reservation.arrival_date}T08:00:00Z`,
+          },
+        ],
+      });
+      return;
+    }
+
+    const reservationMatch = url.pathname.match(
+      /^\/v2\/reservations\/([^/]+)$/
+    );
+    if (reservationMatch) {
+      const reservation = reservations.find(
+        (r) => r.id === reservationMatch[1]
+      );
+      if (reservation) {
+        sendJson(res, 200, {
+          data: withIncludes(reservation, url, RESERVATION_RELATIONS),
+        });
+      } else {
+        sendJson(res, 404, { message: "Not found." });
+      }
+      return;
+    }
+
+    sendJson(res, 404, { message: "Not found." });
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => handle(req, res, body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // Answer the next requests matching the predicate with these
+        // { status, headers, body } responses, in order
+        script(matches, responses) {
+          scripts.push({ matches, responses: [...responses] });
+        },
+        // Forget recorded requests and unused scripted responses
+        reset() {
+          requests.length = 0;
+          scripts.length = 0;
+        },
+        close() {
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  startMockHospitable,
+  createProperties,
+  createReviews,
+  createReservations,
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 9000;
+  const properties = createProperties(250);
+  startMockHospitable({
+    properties,
+    reservations: createReservations(properties),
+    port,
+  }).then((mock) =>
+    console.log(`Mock Hospitable API listening on ${mock.url}/v2`)
+  );
+}
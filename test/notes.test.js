@@ -0,0 +1,178 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable } = require("./mock-hospitable");
+const { loadWorker, cookieFrom, createKVNamespace } = require("./worker-env");
+const { loadApp } = require("./app-env");
+
+let mock;
+let worker;
+let cookie;
+
+before(async () => {
+  mock = await startMockHospitable();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  cookie = cookieFrom(await worker.login());
+});
+
+function saveNote(propertyId, body, as = cookie) {
+  return worker.request(`/api/property/${propertyId}/notes`, {
+    cookie: as,
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+async function allNotes(as = cookie) {
+  const response = await worker.request("/api/notes", { cookie: as });
+  return (await response.json()).data;
+}
+
+test("keeps every version of a note, newest first", async () => {
+  await saveNote("property-1", { text: "HOA forbids pets", version: 0 });
+  const saved = await saveNote("property-1", {
+    text: "HOA allows cats",
+    version: 1,
+  });
+
+  assert.equal(saved.status, 200);
+  const notes = await saved.json();
+  assert.equal(notes.version, 2);
+  assert.equal(notes.current.text, "HOA allows cats");
+  assert.equal(notes.current.author, "admin");
+  assert.deepEqual(
+    notes.versions.map(({ version, text }) => ({ version, text })),
+    [
+      { version: 2, text: "HOA allows cats" },
+      { version: 1, text: "HOA forbids pets" },
+    ]
+  );
+
+  const viewer = await worker.loginAs("viewer");
+  const data = await allNotes(viewer);
+  assert.deepEqual(Object.keys(data), ["property-1"]);
+  assert.equal(data["property-1"].text, "HOA allows cats");
+  assert.equal(data["property-1"].version, 2);
+});
+
+test("saving the same text again adds no version", async () => {
+  await saveNote("property-1", { text: "Gate code 1234" });
+  const again = await saveNote("property-1", {
+    text: " Gate code 1234 ",
+    version: 1,
+  });
+
+  assert.equal((await again.json()).versions.length, 1);
+});
+
+test("refuses a save based on a stale version", async () => {
+  await saveNote("property-1", { text: "First", version: 0 });
+  await saveNote("property-1", { text: "Second", version: 1 });
+
+  const stale = await saveNote("property-1", { text: "Third", version: 1 });
+  assert.equal(stale.status, 409);
+  assert.match((await stale.json()).message, /^admin changed this note/);
+  assert.equal((await allNotes())["property-1"].text, "Second");
+});
+
+test("clearing a note hides it from the list but keeps its history", async () => {
+  await saveNote("property-1", { text: "Old news" });
+  const cleared = await saveNote("property-1", { text: "", version: 1 });
+
+  const notes = await cleared.json();
+  assert.equal(notes.current, null);
+  assert.equal(notes.versions.length, 2);
+  assert.deepEqual(await allNotes(), {});
+});
+
+test("listing reads one record however many properties have notes", async () => {
+  const kv = createKVNamespace();
+  worker = loadWorker({ APP_KV: kv });
+  cookie = cookieFrom(await worker.login());
+
+  const readsForList = async () => {
+    const before = { ...kv.counts };
+    const data = await allNotes();
+    return {
+      properties: Object.keys(data).length,
+      gets: kv.counts.get - before.get,
+      lists: kv.counts.list - before.list,
+    };
+  };
+
+  await saveNote("property-1", { text: "Gate code 1234" });
+  const one = await readsForList();
+  for (let i = 2; i <= 20; i++) {
+    await saveNote(`property-${i}`, { text: "Gate code 1234" });
+  }
+  const twenty = await readsForList();
+
+  assert.equal(one.properties, 1);
+  assert.equal(twenty.properties, 20);
+  assert.equal(twenty.gets, one.gets);
+  assert.equal(twenty.lists, 0);
+});
+
+test("validates notes", async () => {
+  assert.equal((await saveNote("property-1", { text: 1 })).status, 400);
+  assert.equal(
+    (await saveNote("property-1", { text: "x".repeat(5001) })).status,
+    400
+  );
+  assert.equal((await saveNote("property-1", null)).status, 400);
+});
+
+async function exportedProperties(storage) {
+  await saveNote("property-2", { text: "Owner visits in May" });
+  const app = await loadApp(worker, cookie, { storage });
+  await app.waitFor("allProperties.length === 5 && propertyNotes.size === 1");
+
+  const exported = app.evaluate(
+    "JSON.stringify(getExportProperties(allProperties))"
+  );
+  app.close();
+  return JSON.parse(exported);
+}
+
+test("exports include notes when asked to", async () => {
+  const exported = await exportedProperties({ includeNotes: "1" });
+
+  assert.equal(exported[1].internal_notes, "Owner visits in May");
+  assert.equal(exported[1].address.city, "Austin");
+  assert.ok(!("internal_notes" in exported[0]));
+});
+
+test("exports include notes alongside a field selection", async () => {
+  const exported = await exportedProperties({
+    includeNotes: "1",
+    exportFields: JSON.stringify(["capacity.max"]),
+  });
+
+  assert.deepEqual(exported[1], {
+    name: "Property 2",
+    capacity: { max: 4 },
+    internal_notes: "Owner visits in May",
+  });
+});
+
+test("exports leave notes out unless asked to", async () => {
+  const exported = await exportedProperties({
+    exportFields: JSON.stringify(["capacity.max"]),
+  });
+
+  assert.ok(exported.every((property) => !("internal_notes" in property)));
+});
+
+test("a malformed property id in the path is a bad request", async () => {
+  const response = await worker.request("/api/property/%E0%A4%A/notes", {
+    cookie,
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "INVALID_REQUEST");
+});
@@ -0,0 +1,89 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+const upstreamPages = () =>
+  mock.requests
+    .filter((request) => request.url.pathname === "/v2/properties")
+    .map((request) => request.url.searchParams);
+
+before(async () => {
+  mock = await startMockHospitable();
+});
+
+after(() => mock.close());
+
+async function setUp(config = {}) {
+  mock.reset();
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2`, ...config });
+  cookie = cookieFrom(await worker.login());
+}
+
+beforeEach(() => setUp());
+
+test("page and per_page are clamped", async () => {
+  await worker.request("/api/properties?page=-3&per_page=5000", { cookie });
+  await worker.request("/api/properties?page=abc&per_page=0", { cookie });
+
+  const [first, second] = upstreamPages();
+  assert.equal(first.get("page"), "1");
+  assert.equal(first.get("per_page"), "100");
+  assert.equal(second.get("page"), "1");
+  assert.equal(second.get("per_page"), "50");
+});
+
+test("pages are served from the cache until refreshed", async () => {
+  const miss = await worker.request("/api/properties", { cookie });
+  const hit = await worker.request("/api/properties", { cookie });
+  const refreshed = await worker.request("/api/properties?refresh=1", {
+    cookie,
+  });
+
+  assert.equal(miss.headers.get("X-Cache"), "MISS");
+  assert.equal(hit.headers.get("X-Cache"), "HIT");
+  assert.equal(refreshed.headers.get("X-Cache"), "BYPASS");
+  assert.equal(upstreamPages().length, 2);
+});
+
+test("cache keys include the page, page size and include set", async () => {
+  await worker.request("/api/properties?page=1", { cookie });
+  await worker.request("/api/properties?page=2", { cookie });
+  await worker.request("/api/properties?per_page=10", { cookie });
+  await worker.request("/api/properties?include=listings", { cookie });
+  await worker.request("/api/properties?page=1&per_page=50", { cookie });
+
+  assert.equal(upstreamPages().length, 4);
+});
+
+test("stale pages are served while one refresh runs", async () => {
+  await setUp({ PROPERTIES_CACHE_TTL: "1", PROPERTIES_CACHE_SWR: "60" });
+  await worker.request("/api/properties", { cookie });
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+
+  const responses = await Promise.all(
+    [1, 2, 3].map(() => worker.request("/api/properties", { cookie }))
+  );
+  assert.deepEqual(
+    responses.map((response) => response.headers.get("X-Cache")),
+    ["STALE", "STALE", "STALE"]
+  );
+
+  await worker.settle();
+  assert.equal(upstreamPages().length, 2);
+
+  const fresh = await worker.request("/api/properties", { cookie });
+  assert.equal(fresh.headers.get("X-Cache"), "HIT");
+});
+
+test("caching can be turned off", async () => {
+  await setUp({ PROPERTIES_CACHE_TTL: "0" });
+  await worker.request("/api/properties", { cookie });
+  await worker.request("/api/properties", { cookie });
+
+  assert.equal(upstreamPages().length, 2);
+});
@@ -0,0 +1,247 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startMockHospitable,
+  createProperties,
+  createReservations,
+} = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+const { loadApp } = require("./app-env");
+
+const properties = createProperties(60);
+let mock;
+let worker;
+let cookie;
+
+const isReservationList = (url) => url.pathname === "/v2/reservations";
+const upstreamLists = () =>
+  mock.requests
+    .filter((request) => isReservationList(request.url))
+    .map((request) => request.url.searchParams);
+
+before(async () => {
+  mock = await startMockHospitable({
+    properties,
+    reservations: createReservations(properties, { count: 3 }),
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({
+    HOSPITABLE_API_URL: `${mock.url}/v2`,
+    HOSPITABLE_MAX_RETRIES: "0",
+  });
+  cookie = cookieFrom(await worker.login());
+});
+
+const ids = (from, to) =>
+  properties.slice(from, to).map((property) => property.id);
+
+test("lists reservations of the given properties by arrival date", async () => {
+  const response = await worker.request(
+    `/api/reservations?properties=${ids(
+      0,
+      2
+    )}&start_date=2026-01-05&end_date=2026-01-31`,
+    { cookie }
+  );
+
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(
+    body.data.map((reservation) => reservation.id),
+    ["reservation-1-2", "reservation-2-2", "reservation-1-3", "reservation-2-3"]
+  );
+  assert.deepEqual(body.meta, {
+    total: 4,
+    start_date: "2026-01-05",
+    end_date: "2026-01-31",
+  });
+  assert.deepEqual(body.pending, []);
+
+  const [params] = upstreamLists();
+  assert.deepEqual(params.getAll("properties[]"), ids(0, 2));
+  assert.equal(params.get("include"), "guest,properties,financials");
+});
+
+test("merges every page of the upstream list", async () => {
+  const response = await worker.request(
+    `/api/reservations?properties=${ids(0, 25)}`,
+    { cookie }
+  );
+
+  const body = await response.json();
+  assert.equal(body.data.length, 75);
+  assert.deepEqual(body.pending, []);
+  const arrivals = body.data.map((reservation) => reservation.arrival_date);
+  assert.deepEqual(arrivals, [...arrivals].sort());
+  assert.equal(upstreamLists().length, 1);
+});
+
+test("accepts at most 25 properties per request", async () => {
+  const response = await worker.request(
+    `/api/reservations?properties=${ids(0, 26)}`,
+    { cookie }
+  );
+
+  assert.equal(response.status, 400);
+  assert.equal(mock.requests.length, 0);
+});
+
+// 21 pages with one retry each could take 42 upstream requests
+const tooManyPages = {
+  status: 200,
+  body: { data: [], meta: { last_page: 21 } },
+};
+
+test("splits the property list when its pages exceed the request budget", async () => {
+  mock.script(isReservationList, [tooManyPages]);
+
+  const response = await worker.request(
+    `/api/reservations?properties=${ids(0, 25)}`,
+    { cookie }
+  );
+
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(body.data, []);
+  assert.deepEqual(body.pending, [ids(0, 13), ids(13, 25)]);
+  assert.equal(upstreamLists().length, 1);
+});
+
+test("asks for a shorter range when one property has too many pages", async () => {
+  mock.script(isReservationList, [tooManyPages]);
+
+  const response = await worker.request(
+    "/api/reservations?properties=property-1",
+    { cookie }
+  );
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "TOO_MANY_RESERVATIONS");
+  assert.equal(upstreamLists().length, 1);
+});
+
+test("validates the property list and dates", async () => {
+  const missing = await worker.request("/api/reservations", { cookie });
+  assert.equal(missing.status, 400);
+
+  const badDate = await worker.request(
+    "/api/reservations?properties=property-1&start_date=01/02/2026",
+    { cookie }
+  );
+  assert.equal(badDate.status, 400);
+
+  const badInclude = await worker.request(
+    "/api/reservations?properties=property-1&include=reviews",
+    { cookie }
+  );
+  assert.equal((await badInclude.json()).error, "INVALID_INCLUDE");
+  assert.equal(mock.requests.length, 0);
+});
+
+test("passes upstream failures through", async () => {
+  mock.script(isReservationList, [
+    { status: 429, headers: { "Retry-After": "30" } },
+  ]);
+
+  const response = await worker.request(
+    "/api/reservations?properties=property-1",
+    { cookie }
+  );
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get("Retry-After"), "30");
+});
+
+test("returns a single reservation", async () => {
+  const response = await worker.request(
+    "/api/reservations/reservation-3-1?include=guest",
+    { cookie }
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).data.code, "HM3X1");
+
+  const missing = await worker.request("/api/reservations/nope", { cookie });
+  assert.equal(missing.status, 404);
+});
+
+test("the page loads reservations for the selection in batches", async () => {
+  const app = await loadApp(worker, cookie);
+  await app.waitFor("currentUser && allProperties.length === 60 && !isLoading");
+
+  await app.evaluate("loadReservations()");
+  assert.match(
+    app.evaluate("errorMessage.textContent"),
+    /Select properties on the Properties tab/
+  );
+  assert.equal(upstreamLists().length, 0);
+
+  // The first batch of 25 is split in two, then the last 5 follow
+  mock.script(isReservationList, [tooManyPages]);
+  app.evaluate(`
+    ${JSON.stringify(ids(0, 30))}.forEach((id) => selectedProperties.add(id));
+    reservationStartDate.value = "2026-01-01";
+    reservationEndDate.value = "2026-12-31";
+  `);
+  await app.evaluate("loadReservations()");
+
+  assert.equal(app.evaluate("allReservations.length"), 90);
+  assert.deepEqual(
+    upstreamLists().map((params) => params.getAll("properties[]").length),
+    [25, 13, 12, 5]
+  );
+  app.close();
+});
+
+test("analytics counts stays that arrived before the period", async () => {
+  const app = await loadApp(worker, cookie);
+  await app.waitFor("currentUser && allProperties.length === 60 && !isLoading");
+
+  // Stays of property-1 arrive on Jan 1, 8 and 15 and last two nights
+  app.evaluate(`
+    selectedProperties.add("property-1");
+    analyticsStartDate.value = "2026-01-02";
+    analyticsEndDate.value = "2026-01-31";
+  `);
+  await app.evaluate("loadAnalytics()");
+
+  assert.equal(app.evaluate("analyticsResult.portfolio.bookedNights"), 5);
+  const [params] = upstreamLists();
+  assert.ok(params.get("start_date") < "2026-01-01");
+  app.close();
+});
+
+test("viewers load reservations without guest details", async () => {
+  const viewer = await worker.loginAs("viewer");
+  const app = await loadApp(worker, viewer);
+  await app.waitFor("currentUser && allProperties.length === 60 && !isLoading");
+
+  app.evaluate(`
+    selectedProperties.add("property-1");
+    reservationStartDate.value = "2026-01-01";
+    reservationEndDate.value = "2026-12-31";
+  `);
+  await app.evaluate("loadReservations()");
+
+  assert.equal(app.evaluate("allReservations.length"), 3);
+  const [params] = upstreamLists();
+  assert.equal(params.get("include"), "properties");
+  app.close();
+});
+
+test("a malformed reservation id in the path is a bad request", async () => {
+  for (const pathname of [
+    "/api/reservations/%E0%A4%A",
+    "/api/reservations/%E0%A4%A/messages",
+  ]) {
+    const response = await worker.request(pathname, { cookie });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, "INVALID_REQUEST");
+  }
+  assert.equal(mock.requests.length, 0);
+});
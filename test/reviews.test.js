@@ -0,0 +1,108 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable, createReviews } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let cookie;
+
+const reviewRequests = () =>
+  mock.requests.filter((request) => request.url.pathname.endsWith("/reviews"));
+
+before(async () => {
+  const manyReviews = createReviews(1000);
+  mock = await startMockHospitable({
+    reviews: {
+      "property-1": createReviews(3),
+      "property-2": manyReviews,
+      "property-3": manyReviews,
+      "property-4": manyReviews,
+      "property-5": manyReviews,
+    },
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  cookie = cookieFrom(await worker.login());
+});
+
+test("lists a property's reviews in a flat shape", async () => {
+  const response = await worker.request("/api/property/property-1/reviews", {
+    cookie,
+  });
+
+  assert.equal(response.status, 200);
+  const { data } = await response.json();
+  assert.equal(data.length, 3);
+  assert.equal(data[0].rating, 5);
+  assert.equal(data[0].review, "Review 1");
+  assert.equal(data[0].private_feedback, "Private feedback 1");
+});
+
+test("private feedback is only shown to exporters", async () => {
+  const viewer = await worker.loginAs("viewer");
+
+  const response = await worker.request("/api/property/property-1/reviews", {
+    cookie: viewer,
+  });
+
+  const { data } = await response.json();
+  assert.equal(data.length, 3);
+  assert.ok(data.every((review) => !("private_feedback" in review)));
+});
+
+test("summarizes ratings and caches the summary", async () => {
+  const first = await worker.request(
+    "/api/reviews/summary?properties=property-1",
+    { cookie }
+  );
+  const second = await worker.request(
+    "/api/reviews/summary?properties=property-1",
+    { cookie }
+  );
+
+  const expected = {
+    data: { "property-1": { count: 3, average: 4.67 } },
+    pending: [],
+  };
+  assert.deepEqual(await first.json(), expected);
+  assert.deepEqual(await second.json(), expected);
+  assert.equal(reviewRequests().length, 1);
+});
+
+test("defers properties that do not fit the subrequest budget", async () => {
+  const ids = ["property-2", "property-3", "property-4", "property-5"];
+  const first = await (
+    await worker.request(`/api/reviews/summary?properties=${ids}`, { cookie })
+  ).json();
+
+  assert.ok(first.pending.length > 0);
+  assert.deepEqual([...Object.keys(first.data), ...first.pending].sort(), ids);
+  assert.ok(reviewRequests().length <= 40);
+  // Summaries read at most ten pages of reviews
+  assert.deepEqual(Object.values(first.data)[0], { count: 1000, average: 4.5 });
+
+  mock.reset();
+  const second = await (
+    await worker.request(`/api/reviews/summary?properties=${first.pending}`, {
+      cookie,
+    })
+  ).json();
+  assert.ok(Object.keys(second.data).length > 0);
+  assert.ok(reviewRequests().length <= 40);
+});
+
+test("asks for at most ten properties at a time", async () => {
+  const ids = Array.from({ length: 11 }, (_, i) => `property-${i + 1}`);
+  const response = await worker.request(
+    `/api/reviews/summary?properties=${ids}`,
+    { cookie }
+  );
+
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,55 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockHospitable } = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+const { loadApp } = require("./app-env");
+
+let mock;
+let worker;
+let cookie;
+
+before(async () => {
+  mock = await startMockHospitable();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  cookie = cookieFrom(await worker.login());
+});
+
+// IDs of the loaded properties matching the query, or its syntax error
+const matching = (app, query) =>
+  JSON.parse(
+    app.evaluate(`(() => {
+      const { ast, error } = parseSearchQuery(${JSON.stringify(query)});
+      if (error) return JSON.stringify(error.message);
+      return JSON.stringify(
+        allProperties
+          .filter((property) => evaluateSearchQuery(ast, property))
+          .map((property) => property.id)
+      );
+    })()`)
+  );
+
+test("custom fields are searched by name, digits included", async () => {
+  await worker.request("/api/property/property-2/meta", {
+    cookie,
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      fields: { field2: "x-ray", "Cleaning team": "North" },
+    }),
+  });
+
+  const app = await loadApp(worker, cookie);
+  await app.waitFor(
+    "currentUser && allProperties.length === 5 && propertyMeta.size === 1"
+  );
+
+  assert.deepEqual(matching(app, "field2:x"), ["property-2"]);
+  assert.deepEqual(matching(app, "cleaning_team:north"), ["property-2"]);
+  assert.match(matching(app, "field3:x"), /Unknown field "field3"/);
+  app.close();
+});
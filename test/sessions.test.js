@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWorker, cookieFrom, createKVNamespace } = require("./worker-env");
+
+test("login sets a signed session cookie", async () => {
+  const worker = loadWorker();
+  const response = await worker.login();
+
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get("Location"), "/");
+  const cookie = cookieFrom(response);
+  assert.match(cookie, /^session_token=[0-9a-f]{64}\.[\w-]+$/);
+
+  const me = await worker.request("/api/me", { cookie });
+  assert.equal(me.status, 200);
+  assert.deepEqual(await me.json(), {
+    username: "admin",
+    role: "admin",
+    permissions: { export: true, admin: true },
+  });
+});
+
+test("wrong credentials do not create a session", async () => {
+  const worker = loadWorker();
+  const response = await worker.login("admin", "wrong");
+
+  assert.match(response.headers.get("Location"), /error=invalid/);
+  assert.equal(response.headers.get("Set-Cookie"), null);
+});
+
+test("a tampered session signature is rejected", async () => {
+  const worker = loadWorker();
+  const cookie = cookieFrom(await worker.login());
+  const [id] = cookie.split("=")[1].split(".");
+
+  const forged = await worker.request("/api/me", {
+    cookie: `session_token=${id}.${"A".repeat(43)}`,
+  });
+  assert.equal(forged.status, 302);
+  assert.equal(forged.headers.get("Location"), "/login");
+
+  const unsigned = await worker.request("/api/me", {
+    cookie: `session_token=${id}`,
+  });
+  assert.equal(unsigned.status, 302);
+});
+
+test("a session signed with another secret is rejected", async () => {
+  const cookie = cookieFrom(
+    await loadWorker({ SESSION_SECRET: "other-secret" }).login()
+  );
+  const response = await loadWorker().request("/api/me", { cookie });
+
+  assert.equal(response.status, 302);
+});
+
+test("logout revokes the session server-side", async () => {
+  const worker = loadWorker();
+  const cookie = cookieFrom(await worker.login());
+  const other = cookieFrom(await worker.login());
+
+  const logout = await worker.request("/logout", { cookie });
+  assert.equal(logout.status, 302);
+  assert.match(logout.headers.get("Set-Cookie"), /Max-Age=0/);
+
+  // Replaying the old cookie does not bring the session back
+  assert.equal((await worker.request("/api/me", { cookie })).status, 302);
+  assert.equal(
+    (await worker.request("/api/me", { cookie: other })).status,
+    200
+  );
+
+  await worker.request("/logout?all=1", { cookie: other });
+  assert.equal(
+    (await worker.request("/api/me", { cookie: other })).status,
+    302
+  );
+});
+
+test("signing out everywhere only touches the user's own sessions", async () => {
+  const kv = createKVNamespace();
+  const worker = loadWorker({ APP_KV: kv });
+  const viewer = await worker.loginAs("viewer");
+  const sessions = [];
+  for (let i = 0; i < 3; i++) {
+    sessions.push(cookieFrom(await worker.login()));
+  }
+
+  const before = { ...kv.counts };
+  await worker.request("/logout?all=1", { cookie: sessions[0] });
+  assert.equal(kv.counts.list, before.list);
+
+  for (const cookie of sessions) {
+    assert.equal((await worker.request("/api/me", { cookie })).status, 302);
+  }
+  assert.equal(
+    (await worker.request("/api/me", { cookie: viewer })).status,
+    200
+  );
+});
+
+test("expired sessions are rejected", async () => {
+  const worker = loadWorker({ SESSION_TTL_SECONDS: "1" });
+  const cookie = cookieFrom(await worker.login());
+
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  assert.equal((await worker.request("/api/me", { cookie })).status, 302);
+});
+
+test("login fails loudly without a KV binding outside development", async () => {
+  const worker = loadWorker({ ENVIRONMENT: "production" });
+  const response = await worker.login();
+
+  assert.equal(response.headers.get("Location"), "/login?error=config");
+  assert.equal(response.headers.get("Set-Cookie"), null);
+});
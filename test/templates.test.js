@@ -0,0 +1,98 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let worker;
+let cookie;
+
+beforeEach(async () => {
+  worker = loadWorker();
+  cookie = cookieFrom(await worker.login());
+});
+
+function saveTemplate(body, as = cookie) {
+  return worker.request("/api/templates", {
+    cookie: as,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+async function listTemplates(as = cookie) {
+  const response = await worker.request("/api/templates", { cookie: as });
+  return (await response.json()).data;
+}
+
+test("lists built-in templates first", async () => {
+  const templates = await listTemplates();
+
+  assert.ok(templates.length > 0);
+  assert.ok(templates.every((template) => template.id.startsWith("builtin-")));
+});
+
+test("saves, updates and deletes a user's templates", async () => {
+  const builtIn = (await listTemplates()).length;
+
+  const created = await saveTemplate({ name: "Pets", body: "Pets? {{data}}" });
+  assert.equal(created.status, 201);
+  const { id } = await created.json();
+
+  const updated = await saveTemplate({ id, name: "Pets", body: "Dogs?" });
+  assert.equal(updated.status, 200);
+
+  const templates = await listTemplates();
+  assert.equal(templates.length, builtIn + 1);
+  assert.deepEqual(
+    { name: templates.at(-1).name, body: templates.at(-1).body },
+    { name: "Pets", body: "Dogs?" }
+  );
+
+  const deleted = await worker.request(`/api/templates/${id}`, {
+    cookie,
+    method: "DELETE",
+  });
+  assert.equal(deleted.status, 204);
+  assert.equal((await listTemplates()).length, builtIn);
+});
+
+test("templates are private to their author", async () => {
+  await saveTemplate({ name: "Mine", body: "Only mine" });
+  const other = await worker.loginAs("exporter");
+
+  assert.ok(
+    (await listTemplates(other)).every((template) => template.name !== "Mine")
+  );
+});
+
+test("validates templates", async () => {
+  assert.equal((await saveTemplate({ name: "", body: "x" })).status, 400);
+  assert.equal((await saveTemplate({ name: "x", body: "" })).status, 400);
+  assert.equal(
+    (await saveTemplate({ name: "x", body: "y".repeat(4001) })).status,
+    400
+  );
+  assert.equal((await saveTemplate([])).status, 400);
+
+  const builtIn = await worker.request("/api/templates/builtin-amenities", {
+    cookie,
+    method: "DELETE",
+  });
+  assert.equal(builtIn.status, 400);
+
+  const missing = await worker.request("/api/templates/nope", {
+    cookie,
+    method: "DELETE",
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("a malformed template id in the path is a bad request", async () => {
+  const response = await worker.request("/api/templates/%E0%A4%A", {
+    cookie,
+    method: "DELETE",
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "INVALID_REQUEST");
+});
@@ -0,0 +1,205 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startMockHospitable,
+  createProperties,
+  createReservations,
+} = require("./mock-hospitable");
+const { loadWorker, cookieFrom } = require("./worker-env");
+
+let mock;
+let worker;
+let admin;
+
+before(async () => {
+  const properties = createProperties(3);
+  mock = await startMockHospitable({
+    properties,
+    reservations: createReservations(properties),
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  worker = loadWorker({ HOSPITABLE_API_URL: `${mock.url}/v2` });
+  admin = cookieFrom(await worker.login());
+});
+
+function createUser(body) {
+  return worker.request("/api/users", {
+    cookie: admin,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+test("admins create and list accounts", async () => {
+  const created = await createUser({
+    username: "sam",
+    password: "password123",
+    role: "exporter",
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(await created.json(), { username: "sam", role: "exporter" });
+
+  const list = await worker.request("/api/users", { cookie: admin });
+  const { data } = await list.json();
+  assert.deepEqual(
+    data.map(({ username, role }) => ({ username, role })),
+    [
+      { username: "admin", role: "admin" },
+      { username: "sam", role: "exporter" },
+    ]
+  );
+  assert.ok(data.every((user) => !("passwordHash" in user)));
+
+  const me = await worker.request("/api/me", {
+    cookie: cookieFrom(await worker.login("sam", "password123")),
+  });
+  assert.equal((await me.json()).role, "exporter");
+});
+
+test("new accounts are validated", async () => {
+  const cases = [
+    [{ username: "sam", password: "short" }, 400],
+    [{ username: "sam smith", password: "password123" }, 400],
+    [{ username: "sam", password: "password123", role: "owner" }, 400],
+    [{ username: "admin", password: "password123" }, 409],
+    [{ username: ["sam"], password: "password123" }, 400],
+  ];
+
+  for (const [body, status] of cases) {
+    assert.equal((await createUser(body)).status, status, JSON.stringify(body));
+  }
+  assert.equal((await createUser(null)).status, 400);
+});
+
+test("deleting a user revokes their sessions", async () => {
+  await createUser({ username: "guest", password: "password123" });
+  const cookie = cookieFrom(await worker.login("guest", "password123"));
+  assert.equal((await worker.request("/api/me", { cookie })).status, 200);
+
+  const deleted = await worker.request("/api/users/guest", {
+    cookie: admin,
+    method: "DELETE",
+  });
+  assert.equal(deleted.status, 204);
+  assert.equal((await worker.request("/api/me", { cookie })).status, 302);
+
+  const again = await worker.request("/api/users/guest", {
+    cookie: admin,
+    method: "DELETE",
+  });
+  assert.equal(again.status, 404);
+});
+
+test("the built-in admin cannot be deleted", async () => {
+  const response = await worker.request("/api/users/admin", {
+    cookie: admin,
+    method: "DELETE",
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("only admins manage accounts", async () => {
+  const exporter = await worker.loginAs("exporter");
+
+  assert.equal(
+    (await worker.request("/api/users", { cookie: exporter })).status,
+    403
+  );
+  assert.equal(
+    (await worker.request("/admin", { cookie: exporter })).status,
+    403
+  );
+  assert.equal((await worker.request("/admin", { cookie: admin })).status, 200);
+});
+
+test("viewers get property data", async () => {
+  const viewer = await worker.loginAs("viewer");
+  const get = (pathname) => worker.request(pathname, { cookie: viewer });
+
+  const merged = await get("/api/properties/all");
+  assert.equal(merged.status, 200);
+  assert.equal((await merged.json()).data.length, 3);
+
+  const details = await get("/api/property/property-1");
+  assert.equal(details.status, 200);
+  assert.equal((await details.json()).data.id, "property-1");
+});
+
+test("viewers get reservations without guest details", async () => {
+  const viewer = await worker.loginAs("viewer");
+  const get = (pathname) => worker.request(pathname, { cookie: viewer });
+
+  const list = await get("/api/reservations?properties=property-1");
+  assert.equal(list.status, 200);
+  const { data } = await list.json();
+  assert.equal(data.length, 3);
+  assert.ok(data.every((reservation) => !("guest" in reservation)));
+
+  const single = await get("/api/reservations/reservation-1-1");
+  assert.equal(single.status, 200);
+  assert.ok(!("guest" in (await single.json()).data));
+
+  assert.equal(
+    (await get("/api/reservations?properties=property-1&include=guest")).status,
+    403
+  );
+  assert.equal(
+    (await get("/api/reservations/reservation-1-1?include=guest,properties"))
+      .status,
+    403
+  );
+
+  const exporter = await worker.loginAs("exporter");
+  const withGuests = await worker.request(
+    "/api/reservations?properties=property-1&include=guest",
+    { cookie: exporter }
+  );
+  assert.ok((await withGuests.json()).data.every((r) => r.guest.last_name));
+});
+
+test("viewers cannot read guest conversations or use export tools", async () => {
+  const viewer = await worker.loginAs("viewer");
+  const json = (method, body) => ({
+    cookie: viewer,
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  const denied = [
+    await worker.request("/api/chat", json("POST", { question: "Hi?" })),
+    await worker.request("/api/templates", { cookie: viewer }),
+    await worker.request("/api/reservations/reservation-1/messages", {
+      cookie: viewer,
+    }),
+    await worker.request(
+      "/api/property/property-1/meta",
+      json("PUT", { tags: ["x"] })
+    ),
+    await worker.request(
+      "/api/property/property-1/notes",
+      json("PUT", { text: "x" })
+    ),
+  ];
+
+  assert.deepEqual(
+    denied.map((response) => response.status),
+    [403, 403, 403, 403, 403]
+  );
+});
+
+test("a malformed username in the path is a bad request", async () => {
+  const response = await worker.request("/api/users/%E0%A4%A", {
+    cookie: admin,
+    method: "DELETE",
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "INVALID_REQUEST");
+});
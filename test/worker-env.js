@@ -0,0 +1,147 @@
+// Loads worker.js the way the Workers runtime does: as a service-worker
+// script whose bindings (vars, secrets, KV) are globals. Node provides the
+// fetch, streams and Web Crypto APIs the worker uses.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const WORKER_SOURCE = fs.readFileSync(
+  path.join(__dirname, "..", "worker.js"),
+  "utf8"
+);
+
+const TEST_CONFIG = {
+  ENVIRONMENT: "development",
+  AUTH_USERNAME: "admin",
+  AUTH_PASSWORD: "correct horse",
+  SESSION_SECRET: "test-session-secret",
+  HOSPITABLE_API_TOKEN: "test-token",
+};
+
+// Returns { dispatch(request), request(), login(), loginAs(), settle() }.
+// Each call gets a fresh isolate, so the in-memory store starts empty.
+function loadWorker(config = {}) {
+  let fetchHandler;
+  const context = {
+    addEventListener: (type, handler) => {
+      if (type === "fetch") fetchHandler = handler;
+    },
+    fetch,
+    Request,
+    Response,
+    Headers,
+    URL,
+    URLSearchParams,
+    FormData,
+    TextEncoder,
+    TextDecoder,
+    TransformStream,
+    ReadableStream,
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    console,
+    setTimeout,
+    clearTimeout,
+    ...TEST_CONFIG,
+    ...config,
+  };
+  context.globalThis = context;
+  vm.createContext(context);
+  vm.runInContext(WORKER_SOURCE, context, { filename: "worker.js" });
+
+  const pending = [];
+  const dispatch = (request) =>
+    new Promise((resolve, reject) => {
+      fetchHandler({
+        request,
+        respondWith: (response) =>
+          Promise.resolve(response).then(resolve, reject),
+        waitUntil: (promise) => pending.push(promise),
+      });
+    });
+
+  const request = (pathname, { cookie, ip, ...init } = {}) => {
+    const headers = new Headers(init.headers);
+    if (cookie) headers.set("Cookie", cookie);
+    if (ip) headers.set("CF-Connecting-IP", ip);
+    return dispatch(
+      new Request(`https://viewer.test${pathname}`, {
+        ...init,
+        headers,
+        redirect: "manual",
+      })
+    );
+  };
+
+  const login = (
+    username = context.AUTH_USERNAME,
+    password = context.AUTH_PASSWORD,
+    ip = "203.0.113.1"
+  ) => {
+    const form = new FormData();
+    form.set("username", username);
+    form.set("password", password);
+    return request("/login", { method: "POST", body: form, ip });
+  };
+
+  // Create an account through the admin API and log it in
+  const loginAs = async (role, username = role) => {
+    const admin = cookieFrom(await login());
+    const response = await request("/api/users", {
+      cookie: admin,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password: "password123", role }),
+    });
+    if (response.status !== 201) {
+      throw new Error(`Creating ${username} failed with ${response.status}`);
+    }
+    return cookieFrom(await login(username, "password123"));
+  };
+
+  return {
+    dispatch,
+    request,
+    login,
+    loginAs,
+    // Wait for background work passed to event.waitUntil()
+    settle: () => Promise.allSettled(pending.splice(0)),
+  };
+}
+
+// An in-memory Workers KV namespace to bind as APP_KV. It counts the calls
+// made to it, since a worker invocation may only do so many KV operations.
+function createKVNamespace() {
+  const values = new Map();
+  const counts = { get: 0, put: 0, delete: 0, list: 0 };
+  return {
+    counts,
+    async get(key, type) {
+      counts.get++;
+      const value = values.has(key) ? values.get(key) : null;
+      return value !== null && type === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      counts.put++;
+      values.set(key, value);
+    },
+    async delete(key) {
+      counts.delete++;
+      values.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      counts.list++;
+      const keys = [...values.keys()].filter((key) => key.startsWith(prefix));
+      return { keys: keys.map((name) => ({ name })), list_complete: true };
+    },
+  };
+}
+
+// "name=value" from a Set-Cookie header, ready to send back
+function cookieFrom(response) {
+  const header = response.headers.get("Set-Cookie") || "";
+  return header.split(";")[0];
+}
+
+module.exports = { loadWorker, cookieFrom, createKVNamespace, TEST_CONFIG };
@@ -2,10 +2,10 @@
 // Provides progressive loading, search, selection, clipboard functionality, and basic authentication
 
 addEventListener("fetch", (event) => {
-  event.respondWith(handleRequest(event.request));
+  event.respondWith(handleRequest(event.request, event));
 });
 
-async function handleRequest(request) {
+async function handleRequest(request, event) {
   const url = new URL(request.url);
 
   // Handle login form submission
@@ -13,6 +13,10 @@ async function handleRequest(request) {
     return handleLogin(request);
   }
 
+  if (url.pathname === "/logout") {
+    return handleLogout(request);
+  }
+
   // Public routes (no authentication required)
   if (url.pathname === "/login" || url.pathname === "/styles.css") {
     return handlePublicRoutes(request);
@@ -33,36 +37,119 @@ async function handleRequest(request) {
     return getFileResponse("app.js");
   }
 
+  const user = authResult.user;
+
+  if (url.pathname === "/api/me") {
+    return handleCurrentUserAPI(user);
+  }
+
   if (url.pathname === "/api/properties") {
-    return handlePropertiesAPI(request);
+    return handlePropertiesAPI(request, event);
+  }
+
+  if (url.pathname === "/api/properties/all") {
+    return handleAllPropertiesAPI(request, event);
+  }
+
+  if (/^\/api\/property\/[^/]+\/reviews$/.test(url.pathname)) {
+    return handlePropertyReviewsAPI(request, user);
+  }
+
+  if (/^\/api\/property\/[^/]+\/calendar$/.test(url.pathname)) {
+    return handlePropertyCalendarAPI(request);
+  }
+
+  if (/^\/api\/property\/[^/]+\/meta$/.test(url.pathname)) {
+    return handlePropertyMetaAPI(request, user);
+  }
+
+  if (url.pathname === "/api/meta") {
+    return handleAllPropertyMetaAPI();
+  }
+
+  if (/^\/api\/property\/[^/]+\/notes$/.test(url.pathname)) {
+    return handlePropertyNotesAPI(request, user);
+  }
+
+  if (url.pathname === "/api/notes") {
+    return handleAllPropertyNotesAPI();
+  }
+
+  if (url.pathname === "/api/reviews/summary") {
+    return handleReviewSummaryAPI(request);
   }
 
   if (url.pathname.startsWith("/api/property/")) {
     return handlePropertyDetailsAPI(request);
   }
 
+  // Guest conversations are personal data, so they need export rights
+  if (/^\/api\/reservations\/[^/]+\/messages$/.test(url.pathname)) {
+    if (!hasRole(user, "exporter")) return forbiddenResponse();
+    return handleReservationMessagesAPI(request);
+  }
+
+  if (
+    url.pathname === "/api/reservations" ||
+    url.pathname.startsWith("/api/reservations/")
+  ) {
+    return handleReservationsAPI(request, user);
+  }
+
+  if (
+    url.pathname === "/api/templates" ||
+    url.pathname.startsWith("/api/templates/")
+  ) {
+    if (!hasRole(user, "exporter")) return forbiddenResponse();
+    return handleTemplatesAPI(request, user);
+  }
+
+  if (
+    url.pathname === "/api/groups" ||
+    url.pathname.startsWith("/api/groups/")
+  ) {
+    return handleGroupsAPI(request, user);
+  }
+
+  if (url.pathname === "/api/chat" && request.method === "POST") {
+    if (!hasRole(user, "exporter")) return forbiddenResponse();
+    return handleChatAPI(request);
+  }
+
+  // Admin routes
+  if (url.pathname === "/admin") {
+    if (!hasRole(user, "admin")) return forbiddenResponse();
+    return getFileResponse("admin.html");
+  }
+
+  if (url.pathname === "/api/users" || url.pathname.startsWith("/api/users/")) {
+    if (!hasRole(user, "admin")) return forbiddenResponse();
+    return handleUsersAPI(request, user);
+  }
+
   return new Response("Not Found", { status: 404 });
 }
 
 // Authentication functions
 async function checkAuthentication(request) {
-  const cookies = parseCookies(request.headers.get("Cookie") || "");
-  const sessionToken = cookies["session_token"];
+  const session = await getSessionFromRequest(request);
+  const user = session ? await getUser(session.username) : null;
 
-  if (!sessionToken || sessionToken !== getValidSessionToken()) {
-    // Redirect to login page
+  if (!user) {
+    // Redirect to login page, dropping any stale cookie
     return {
       authenticated: false,
       response: new Response("", {
         status: 302,
         headers: {
           Location: "/login",
+          "Set-Cookie": clearSessionCookie(),
         },
       }),
     };
   }
 
-  return { authenticated: true };
+  return { authenticated: true, session, user };
 }
 
 async function handleLogin(request) {
@@ -72,7 +159,12 @@ async function handleLogin(request) {
     const password = formData.get("password");
 
     // Check credentials
-    if (!AUTH_USERNAME || !AUTH_PASSWORD) {
+    if (
+      !AUTH_USERNAME ||
+      !AUTH_PASSWORD ||
+      !getConfig("SESSION_SECRET") ||
+      !isStoreConfigured()
+    ) {
       return new Response("", {
         status: 302,
         headers: {
@@ -81,18 +173,29 @@ async function handleLogin(request) {
       });
     }
 
-    if (username === AUTH_USERNAME && password === AUTH_PASSWORD) {
-      // Create session token
-      const sessionToken = getValidSessionToken();
+    const attemptKeys = getLoginAttemptKeys(request, username);
+    const lockedFor = await getLoginLockout(attemptKeys);
+    if (lockedFor > 0) {
+      return lockedResponse(lockedFor);
+    }
+
+    if (await verifyCredentials(username, password)) {
+      await clearLoginFailures(attemptKeys);
+      const sessionToken = await createSession(username);
 
       return new Response("", {
         status: 302,
         headers: {
           Location: "/",
-          "Set-Cookie": `session_token=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=86400`,
+          "Set-Cookie": sessionCookie(sessionToken),
         },
       });
     } else {
+      const lockedFor = await recordLoginFailure(attemptKeys);
+      if (lockedFor > 0) {
+        return lockedResponse(lockedFor);
+      }
+
       return new Response("", {
         status: 302,
         headers: {
@@ -110,6 +213,104 @@ async function handleLogin(request) {
   }
 }
 
+// Login throttling
+// Failed logins are counted per client IP and per username. After
+// LOGIN_FREE_ATTEMPTS failures each further failure locks the key for an
+// exponentially growing period (30s, 60s, 120s, ... capped at one hour).
+// Counters are forgotten after an hour without failures.
+const LOGIN_ATTEMPT_KEY_PREFIX = "login-attempts:";
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_BASE_LOCKOUT_SECONDS = 30;
+const LOGIN_MAX_LOCKOUT_SECONDS = 3600;
+const LOGIN_ATTEMPT_WINDOW_SECONDS = 3600;
+
+function getLoginAttemptKeys(request, username) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const keys = [`${LOGIN_ATTEMPT_KEY_PREFIX}ip:${ip}`];
+  if (username) {
+    keys.push(`${LOGIN_ATTEMPT_KEY_PREFIX}user:${username.toLowerCase()}`);
+  }
+  return keys;
+}
+
+// Seconds until every key is unlocked (0 when none is locked)
+async function getLoginLockout(keys) {
+  const store = getStore();
+  let lockedUntil = 0;
+
+  for (const key of keys) {
+    const record = await store.get(key);
+    if (record && record.lockedUntil > lockedUntil) {
+      lockedUntil = record.lockedUntil;
+    }
+  }
+
+  return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+}
+
+async function recordLoginFailure(keys) {
+  const store = getStore();
+  const now = Date.now();
+  let lockedFor = 0;
+
+  for (const key of keys) {
+    const record = (await store.get(key)) || { failures: 0, lockedUntil: 0 };
+    record.failures += 1;
+
+    if (record.failures >= LOGIN_FREE_ATTEMPTS) {
+      const lockout = Math.min(
+        LOGIN_BASE_LOCKOUT_SECONDS *
+          2 ** (record.failures - LOGIN_FREE_ATTEMPTS),
+        LOGIN_MAX_LOCKOUT_SECONDS
+      );
+      record.lockedUntil = now + lockout * 1000;
+      lockedFor = Math.max(lockedFor, lockout);
+    }
+
+    await store.put(key, record, { ttl: LOGIN_ATTEMPT_WINDOW_SECONDS });
+  }
+
+  return lockedFor;
+}
+
+async function clearLoginFailures(keys) {
+  const store = getStore();
+  for (const key of keys) {
+    await store.delete(key);
+  }
+}
+
+function lockedResponse(seconds) {
+  return new Response("", {
+    status: 302,
+    headers: {
+      Location: `/login?error=locked&retry=${seconds}`,
+    },
+  });
+}
+
+// Revoke the current session (or every session of the user with ?all=1)
+async function handleLogout(request) {
+  const url = new URL(request.url);
+  const session = await getSessionFromRequest(request);
+
+  if (session) {
+    if (url.searchParams.get("all") === "1") {
+      await revokeUserSessions(session.username);
+    } else {
+      await revokeSession(session);
+    }
+  }
+
+  return new Response("", {
+    status: 302,
+    headers: {
+      Location: "/login?logged_out=1",
+      "Set-Cookie": clearSessionCookie(),
+    },
+  });
+}
+
 function parseCookies(cookieHeader) {
   const cookies = {};
   if (cookieHeader) {
@@ -123,858 +324,7546 @@ function parseCookies(cookieHeader) {
   return cookies;
 }
 
-function getValidSessionToken() {
-  // Generate a simple session token based on credentials and date
-  // In production, you'd want something more secure
-  const today = new Date().toDateString();
-  return btoa(`${AUTH_USERNAME}:${today}`).replace(/[^a-zA-Z0-9]/g, "");
+// Sessions
+// A session token is "<random id>.<HMAC-SHA256(id, SESSION_SECRET)>". The id
+// keys a record in the session store holding the user and an explicit
+// expiry, so sessions can be revoked server-side before they expire. Each
+// user's live sessions are also listed under "user-sessions:<username>" as
+// [{ id, expiresAt }], so all of them can be revoked without a store scan.
+const SESSION_COOKIE = "session_token";
+const SESSION_KEY_PREFIX = "session:";
+const USER_SESSIONS_KEY_PREFIX = "user-sessions:";
+
+function getSessionTTL() {
+  return parseInt(getConfig("SESSION_TTL_SECONDS", "86400"), 10) || 86400;
 }
 
-async function handlePublicRoutes(request) {
-  const url = new URL(request.url);
+async function createSession(username) {
+  const store = getStore();
+  const id = randomHex(32);
+  const now = Date.now();
+  const ttl = getSessionTTL();
+  const expiresAt = now + ttl * 1000;
+
+  await store.put(
+    SESSION_KEY_PREFIX + id,
+    { id, username, createdAt: now, expiresAt },
+    { ttl }
+  );
 
-  if (url.pathname === "/login") {
-    return getFileResponse("login.html");
+  // The new session outlives the others, so the index gets its expiry
+  const sessions = (await store.get(USER_SESSIONS_KEY_PREFIX + username)) || [];
+  await store.put(
+    USER_SESSIONS_KEY_PREFIX + username,
+    [
+      ...sessions.filter((session) => session.expiresAt > now),
+      { id, expiresAt },
+    ],
+    { ttl }
+  );
+
+  return `${id}.${await signValue(id)}`;
+}
+
+async function getSessionFromRequest(request) {
+  const cookies = parseCookies(request.headers.get("Cookie") || "");
+  const token = cookies[SESSION_COOKIE];
+  if (!token || !getConfig("SESSION_SECRET") || !isStoreConfigured()) {
+    return null;
   }
 
-  if (url.pathname === "/styles.css") {
-    return getFileResponse("styles.css");
+  const [id, signature] = token.split(".");
+  if (!id || !signature) return null;
+
+  const expected = await signValue(id);
+  if (!timingSafeEqual(signature, expected)) return null;
+
+  const session = await getStore().get(SESSION_KEY_PREFIX + id);
+  if (!session) return null;
+
+  if (session.expiresAt <= Date.now()) {
+    await revokeSession(session);
+    return null;
   }
 
-  return new Response("Not Found", { status: 404 });
+  return session;
 }
 
-function getFileResponse(filename) {
-  const content = getFileContent(filename);
-  const contentType = getContentType(filename);
+async function revokeSession(session) {
+  const store = getStore();
+  const indexKey = USER_SESSIONS_KEY_PREFIX + session.username;
+  await store.delete(SESSION_KEY_PREFIX + session.id);
 
-  return new Response(content, {
-    headers: { "Content-Type": contentType },
+  const sessions = (await store.get(indexKey)) || [];
+  const remaining = sessions.filter(
+    (entry) => entry.id !== session.id && entry.expiresAt > Date.now()
+  );
+  if (remaining.length === 0) {
+    await store.delete(indexKey);
+    return;
+  }
+
+  const ttl =
+    Math.max(...remaining.map((entry) => entry.expiresAt)) - Date.now();
+  await store.put(indexKey, remaining, { ttl: ttl / 1000 });
+}
+
+async function revokeUserSessions(username) {
+  const store = getStore();
+  const indexKey = USER_SESSIONS_KEY_PREFIX + username;
+  const sessions = (await store.get(indexKey)) || [];
+
+  for (const session of sessions) {
+    await store.delete(SESSION_KEY_PREFIX + session.id);
+  }
+  await store.delete(indexKey);
+}
+
+function sessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${getSessionTTL()}`;
+}
+
+function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+}
+
+async function signValue(value) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(getConfig("SESSION_SECRET")),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(value)
+  );
+  return base64UrlEncode(new Uint8Array(signature));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function randomHex(byteLength) {
+  const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function base64UrlEncode(bytes) {
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
   });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
 }
 
-function getContentType(filename) {
-  if (filename.endsWith(".html")) return "text/html";
-  if (filename.endsWith(".css")) return "text/css";
-  if (filename.endsWith(".js")) return "application/javascript";
-  return "text/plain";
+// Users and roles
+// The AUTH_USERNAME/AUTH_PASSWORD pair is a built-in admin account used to
+// bootstrap the registry. Further accounts live in the store under
+// "user:<username>" with PBKDF2-hashed passwords.
+const ROLES = ["viewer", "exporter", "admin"];
+const USER_KEY_PREFIX = "user:";
+const PBKDF2_ITERATIONS = 100000;
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
 }
 
-async function handlePropertiesAPI(request) {
-  const url = new URL(request.url);
-  const page = url.searchParams.get("page") || "1";
-  const perPage = url.searchParams.get("per_page") || "50";
+function forbiddenResponse() {
+  return jsonError(
+    "FORBIDDEN",
+    "Your account does not have permission to do this.",
+    403
+  );
+}
 
-  try {
-    // Check if API token exists
-    if (!HOSPITABLE_API_TOKEN) {
-      return new Response(
-        JSON.stringify({
-          error: "API_TOKEN_MISSING",
-          message:
-            "Hospitable API token not configured. Please set the HOSPITABLE_API_TOKEN secret in Cloudflare Workers.",
-        }),
-        {
-          status: 500,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
-    }
+function isBootstrapAdmin(username) {
+  return Boolean(AUTH_USERNAME) && username === AUTH_USERNAME;
+}
 
-    const apiUrl = `https://public.api.hospitable.com/v2/properties?page=${page}&per_page=${perPage}&include=listings,details,bookings,user`;
-    const response = await fetch(apiUrl, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        Authorization: `Bearer ${HOSPITABLE_API_TOKEN}`,
-      },
-    });
+async function getUser(username) {
+  if (isBootstrapAdmin(username)) {
+    return { username, role: "admin", builtIn: true };
+  }
 
-    if (!response.ok) {
-      let errorMessage = "API request failed";
-      let errorType = "API_ERROR";
+  const record = await getStore().get(USER_KEY_PREFIX + username);
+  return record ? { username: record.username, role: record.role } : null;
+}
 
-      if (response.status === 401) {
-        errorType = "AUTHENTICATION_ERROR";
-        errorMessage = "Authentication failed. Please check your API token.";
-      } else if (response.status === 403) {
-        errorType = "AUTHORIZATION_ERROR";
-        errorMessage = "Access forbidden. Please check your API permissions.";
-      } else if (response.status === 429) {
-        errorType = "RATE_LIMIT_ERROR";
-        errorMessage = "Rate limit exceeded. Please try again later.";
-      }
+async function verifyCredentials(username, password) {
+  if (!username || !password) return false;
 
-      return new Response(
-        JSON.stringify({
-          error: errorType,
-          message: errorMessage,
-          status: response.status,
-        }),
-        {
-          status: response.status,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+  if (isBootstrapAdmin(username)) {
+    return timingSafeEqual(password, AUTH_PASSWORD);
+  }
+
+  const record = await getStore().get(USER_KEY_PREFIX + username);
+  if (!record) return false;
+
+  const hash = await hashPassword(password, record.salt, record.iterations);
+  return timingSafeEqual(hash, record.passwordHash);
+}
+
+async function hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: new TextEncoder().encode(salt),
+      iterations,
+    },
+    key,
+    256
+  );
+  return base64UrlEncode(new Uint8Array(bits));
+}
+
+function handleCurrentUserAPI(user) {
+  return new Response(
+    JSON.stringify({
+      username: user.username,
+      role: user.role,
+      permissions: {
+        export: hasRole(user, "exporter"),
+        admin: hasRole(user, "admin"),
+      },
+    }),
+    { headers: { "Content-Type": "application/json" } }
+  );
+}
+
+async function handleUsersAPI(request, currentUser) {
+  const url = new URL(request.url);
+  const username = decodePathSegment(url.pathname.slice("/api/users/".length));
+  if (username === null) {
+    return malformedPathResponse();
+  }
+  if (!isStoreConfigured()) {
+    return storeNotConfiguredResponse();
+  }
+  const store = getStore();
+
+  if (url.pathname === "/api/users" && request.method === "GET") {
+    const keys = await store.list(USER_KEY_PREFIX);
+    const users = [{ username: AUTH_USERNAME, role: "admin", builtIn: true }];
+
+    for (const key of keys) {
+      const record = await store.get(key);
+      if (record) {
+        users.push({
+          username: record.username,
+          role: record.role,
+          createdAt: record.createdAt,
+          createdBy: record.createdBy,
+        });
+      }
     }
 
-    const data = await response.json();
-    return new Response(JSON.stringify(data), {
+    return new Response(JSON.stringify({ data: users }), {
       headers: { "Content-Type": "application/json" },
     });
-  } catch (error) {
-    return new Response(
-      JSON.stringify({
-        error: "NETWORK_ERROR",
-        message:
-          "Failed to connect to Hospitable API. Please check your internet connection.",
-        details: error.message,
-      }),
-      {
-        status: 500,
-        headers: { "Content-Type": "application/json" },
-      }
-    );
   }
-}
 
-async function handlePropertyDetailsAPI(request) {
-  const url = new URL(request.url);
-  const propertyId = url.pathname.split("/").pop();
+  if (url.pathname === "/api/users" && request.method === "POST") {
+    const body = await readJsonObject(request);
+    if (!body) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Request body must be a JSON object.",
+        400
+      );
+    }
 
-  try {
-    if (!HOSPITABLE_API_TOKEN) {
-      return new Response(
-        JSON.stringify({
-          error: "API_TOKEN_MISSING",
-          message: "Hospitable API token not configured.",
-        }),
-        {
-          status: 500,
-          headers: { "Content-Type": "application/json" },
-        }
+    if (
+      typeof body.username !== "string" ||
+      typeof body.password !== "string" ||
+      (body.role !== undefined && typeof body.role !== "string")
+    ) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "username and password must be strings.",
+        400
       );
     }
 
-    const apiUrl = `https://public.api.hospitable.com/v2/properties/${propertyId}?include=listings,details,bookings,user`;
-    const response = await fetch(apiUrl, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        Authorization: `Bearer ${HOSPITABLE_API_TOKEN}`,
-      },
-    });
+    const newUsername = body.username.trim();
+    const password = body.password;
+    const role = body.role || "viewer";
 
-    if (!response.ok) {
-      let errorMessage = "Failed to fetch property details";
-      let errorType = "API_ERROR";
+    if (!/^[a-zA-Z0-9._@-]{1,64}$/.test(newUsername)) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Usernames may only contain letters, numbers and . _ @ -",
+        400
+      );
+    }
 
-      if (response.status === 401) {
-        errorType = "AUTHENTICATION_ERROR";
-        errorMessage = "Authentication failed. Please check your API token.";
-      } else if (response.status === 404) {
-        errorType = "NOT_FOUND_ERROR";
-        errorMessage = "Property not found.";
-      }
+    if (password.length < 8) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Passwords must be at least 8 characters long.",
+        400
+      );
+    }
 
-      return new Response(
-        JSON.stringify({
-          error: errorType,
-          message: errorMessage,
-          status: response.status,
-        }),
-        {
-          status: response.status,
-          headers: { "Content-Type": "application/json" },
-        }
+    if (!ROLES.includes(role)) {
+      return jsonError(
+        "INVALID_REQUEST",
+        `Role must be one of: ${ROLES.join(", ")}.`,
+        400
       );
     }
 
-    const data = await response.json();
-    return new Response(JSON.stringify(data), {
+    if (
+      isBootstrapAdmin(newUsername) ||
+      (await store.get(USER_KEY_PREFIX + newUsername))
+    ) {
+      return jsonError("USER_EXISTS", "That username is already taken.", 409);
+    }
+
+    const salt = randomHex(16);
+    await store.put(USER_KEY_PREFIX + newUsername, {
+      username: newUsername,
+      role,
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      passwordHash: await hashPassword(password, salt),
+      createdAt: new Date().toISOString(),
+      createdBy: currentUser.username,
+    });
+
+    return new Response(JSON.stringify({ username: newUsername, role }), {
+      status: 201,
       headers: { "Content-Type": "application/json" },
     });
-  } catch (error) {
-    return new Response(
-      JSON.stringify({
-        error: "NETWORK_ERROR",
-        message: "Failed to fetch property details.",
-        details: error.message,
-      }),
-      {
-        status: 500,
-        headers: { "Content-Type": "application/json" },
-      }
-    );
   }
-}
 
-function getFileContent(filename) {
-  switch (filename) {
-    case "index.html":
-      return `<!DOCTYPE html>
-<html lang="en">
+  if (username && request.method === "DELETE") {
+    if (isBootstrapAdmin(username)) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "The built-in admin account cannot be removed.",
+        400
+      );
+    }
+
+    if (!(await store.get(USER_KEY_PREFIX + username))) {
+      return jsonError("NOT_FOUND_ERROR", "User not found.", 404);
+    }
+
+    await store.delete(USER_KEY_PREFIX + username);
+    await revokeUserSessions(username);
+
+    return new Response(null, { status: 204 });
+  }
+
+  return jsonError("METHOD_NOT_ALLOWED", "Method not allowed.", 405);
+}
+
+// Key-value storage
+// Uses the APP_KV namespace. Only when ENVIRONMENT is "development" does it
+// fall back to an in-memory map that lives as long as the worker isolate,
+// which is enough for local development and tests; in production that map
+// would lose sessions and users whenever the isolate recycles and differ
+// between isolates, so logins and user changes are refused instead.
+const memoryStore = new Map();
+
+function isStoreConfigured() {
+  return (
+    Boolean(globalThis.APP_KV) || getConfig("ENVIRONMENT") === "development"
+  );
+}
+
+function getStore() {
+  const kv = globalThis.APP_KV;
+  if (kv) return createKVStore(kv);
+
+  if (!isStoreConfigured()) {
+    throw new Error(
+      'APP_KV is not bound. Bind a KV namespace as APP_KV, or set ENVIRONMENT to "development" for in-memory storage.'
+    );
+  }
+  return createMemoryStore(memoryStore);
+}
+
+function storeNotConfiguredResponse() {
+  return jsonError(
+    "STORE_NOT_CONFIGURED",
+    "Storage is not configured. Please bind a KV namespace as APP_KV in Cloudflare Workers.",
+    500
+  );
+}
+
+function createKVStore(kv) {
+  return {
+    async get(key) {
+      return kv.get(key, "json");
+    },
+    async put(key, value, { ttl } = {}) {
+      // KV rejects expirations shorter than 60 seconds
+      const options = ttl
+        ? { expirationTtl: Math.max(60, Math.ceil(ttl)) }
+        : undefined;
+      await kv.put(key, JSON.stringify(value), options);
+    },
+    async delete(key) {
+      await kv.delete(key);
+    },
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix, cursor });
+        keys.push(...page.keys.map((k) => k.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      return keys;
+    },
+  };
+}
+
+function createMemoryStore(map) {
+  const isExpired = (entry) => entry.expiresAt && entry.expiresAt <= Date.now();
+
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        map.delete(key);
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+    async put(key, value, { ttl } = {}) {
+      map.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+      });
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async list(prefix) {
+      return Array.from(map.entries())
+        .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry))
+        .map(([key]) => key);
+    },
+  };
+}
+
+async function handlePublicRoutes(request) {
+  const url = new URL(request.url);
+
+  if (url.pathname === "/login") {
+    return getFileResponse("login.html");
+  }
+
+  if (url.pathname === "/styles.css") {
+    return getFileResponse("styles.css");
+  }
+
+  return new Response("Not Found", { status: 404 });
+}
+
+function getFileResponse(filename) {
+  const content = getFileContent(filename);
+  const contentType = getContentType(filename);
+
+  return new Response(content, {
+    headers: { "Content-Type": contentType },
+  });
+}
+
+function getContentType(filename) {
+  if (filename.endsWith(".html")) return "text/html";
+  if (filename.endsWith(".css")) return "text/css";
+  if (filename.endsWith(".js")) return "application/javascript";
+  return "text/plain";
+}
+
+// Hospitable API client
+// Every upstream call goes through hospitableFetch(), which retries 429 and
+// 5xx responses (and network failures) with jittered exponential backoff,
+// honoring Retry-After. The number of retries used is reported back in the
+// X-Upstream-Retries header so the UI can show it.
+const DEFAULT_HOSPITABLE_API_URL = "https://public.api.hospitable.com/v2";
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+
+async function hospitableFetch(path, options = {}) {
+  const maxRetries =
+    options.maxRetries ??
+    (parseInt(getConfig("HOSPITABLE_MAX_RETRIES", "3"), 10) || 0);
+  let attempt = 0;
+
+  while (true) {
+    let response;
+    try {
+      response = await fetch(`${getHospitableApiUrl()}${path}`, {
+        method: "GET",
+        headers: {
+          Accept: "application/json",
+          Authorization: `Bearer ${HOSPITABLE_API_TOKEN}`,
+        },
+      });
+    } catch (error) {
+      if (attempt >= maxRetries) throw error;
+      await sleep(getRetryDelay(attempt, null));
+      attempt++;
+      continue;
+    }
+
+    if (!isRetryableStatus(response.status) || attempt >= maxRetries) {
+      return withRetryCount(response, attempt);
+    }
+
+    // Give up early rather than stall the worker when Hospitable asks us to
+    // wait longer than we are willing to; the client retries the request.
+    const delay = getRetryDelay(attempt, response.headers.get("Retry-After"));
+    if (delay > RETRY_MAX_DELAY_MS) {
+      return withRetryCount(response, attempt);
+    }
+
+    // Release the connection of the response we are not going to read
+    await response.body?.cancel();
+    await sleep(delay);
+    attempt++;
+  }
+}
+
+// HOSPITABLE_API_URL lets a local mock of the Hospitable API stand in for
+// the real one during development and tests
+function getHospitableApiUrl() {
+  return getConfig("HOSPITABLE_API_URL", DEFAULT_HOSPITABLE_API_URL).replace(
+    /\/+$/,
+    ""
+  );
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Delay before the next attempt: Retry-After when present, otherwise full
+// jitter over an exponentially growing window
+function getRetryDelay(attempt, retryAfter) {
+  const retryAfterSeconds = parseRetryAfter(retryAfter);
+  if (retryAfterSeconds !== null) {
+    return retryAfterSeconds * 1000;
+  }
+
+  const windowMs = Math.min(
+    RETRY_BASE_DELAY_MS * 2 ** (attempt + 1),
+    RETRY_MAX_DELAY_MS
+  );
+  return Math.floor(Math.random() * windowMs);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date)
+    ? null
+    : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function withRetryCount(response, retries) {
+  const tagged = new Response(response.body, response);
+  tagged.headers.set("X-Upstream-Retries", String(retries));
+  return tagged;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Error body and headers for a failed upstream response, so the client can
+// tell when and whether to try again
+function upstreamErrorResponse(response, errorType, errorMessage) {
+  const body = {
+    error: errorType,
+    message: errorMessage,
+    status: response.status,
+  };
+  const headers = { "Content-Type": "application/json" };
+
+  const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+  if (retryAfter !== null) {
+    body.retry_after = retryAfter;
+    headers["Retry-After"] = String(retryAfter);
+  }
+
+  return new Response(JSON.stringify(body), {
+    status: response.status,
+    headers,
+  });
+}
+
+// Include sets
+// Routes accept "?include=" with any of the allowed relations, comma
+// separated. Without the parameter the full set is requested, matching what
+// the app always loaded before. An empty value requests the bare property.
+const INCLUDE_OPTIONS = ["listings", "details", "bookings", "user"];
+const FULL_INCLUDE = INCLUDE_OPTIONS.join(",");
+
+// Resolves to { include } with the relations in canonical order (so cache
+// keys are stable), or { errorResponse } when an unknown relation is asked for
+function parseIncludeParam(url, allowed = INCLUDE_OPTIONS) {
+  const raw = url.searchParams.get("include");
+  if (raw === null) {
+    return { include: allowed.join(",") };
+  }
+
+  const requested = raw
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const invalid = requested.filter((value) => !allowed.includes(value));
+
+  if (invalid.length > 0) {
+    return {
+      errorResponse: jsonError(
+        "INVALID_INCLUDE",
+        `Unknown include: ${invalid.join(
+          ", "
+        )}. Allowed values are ${allowed.join(", ")}.`,
+        400
+      ),
+    };
+  }
+
+  return {
+    include: allowed.filter((value) => requested.includes(value)).join(","),
+  };
+}
+
+// Property pages cache
+// Pages are cached in the store for PROPERTIES_CACHE_TTL seconds. For a
+// further PROPERTIES_CACHE_SWR seconds a stale page is still served while a
+// fresh copy is fetched in the background, at most one refresh per page at
+// a time (tracked in the isolate and by a short-lived marker in the store
+// for other isolates). "?refresh=1" bypasses the cache.
+const PROPERTIES_CACHE_KEY_PREFIX = "cache:properties:";
+const REVALIDATION_MARKER_PREFIX = "cache:revalidating:";
+const REVALIDATION_MARKER_TTL = 60;
+const revalidatingPages = new Set();
+const MAX_PROPERTIES_PER_PAGE = 100;
+const MIN_ALL_PROPERTIES_PER_PAGE = 50;
+
+// Parses page and per_page as integers clamped to what Hospitable accepts,
+// so they are safe to put in the upstream URL and the cache key
+function parsePaginationParams(url, defaultPerPage, minPerPage = 1) {
+  const page = parseInt(url.searchParams.get("page"), 10);
+  const perPage = parseInt(url.searchParams.get("per_page"), 10);
+
+  return {
+    page: page >= 1 ? page : 1,
+    perPage: Math.min(
+      MAX_PROPERTIES_PER_PAGE,
+      Math.max(minPerPage, perPage >= 1 ? perPage : defaultPerPage)
+    ),
+  };
+}
+
+function getPropertiesCacheSettings() {
+  return {
+    ttl: parseInt(getConfig("PROPERTIES_CACHE_TTL", "300"), 10) || 0,
+    swr: parseInt(getConfig("PROPERTIES_CACHE_SWR", "3600"), 10) || 0,
+  };
+}
+
+function fetchPropertiesPage(page, perPage, include) {
+  return hospitableFetch(
+    `/properties?page=${page}&per_page=${perPage}&include=${include}`
+  );
+}
+
+async function cachePropertiesPage(cacheKey, data) {
+  const { ttl, swr } = getPropertiesCacheSettings();
+  if (ttl <= 0) return;
+
+  await getStore().put(
+    cacheKey,
+    { data, fetchedAt: Date.now() },
+    { ttl: ttl + swr }
+  );
+}
+
+async function revalidatePropertiesPage(cacheKey, page, perPage, include) {
+  if (revalidatingPages.has(cacheKey)) return;
+  revalidatingPages.add(cacheKey);
+
+  const store = getStore();
+  const markerKey = REVALIDATION_MARKER_PREFIX + cacheKey;
+  try {
+    if (await store.get(markerKey)) return;
+    await store.put(markerKey, true, { ttl: REVALIDATION_MARKER_TTL });
+
+    const response = await fetchPropertiesPage(page, perPage, include);
+    if (response.ok) {
+      await cachePropertiesPage(cacheKey, await response.json());
+    } else {
+      await response.body?.cancel();
+    }
+    await store.delete(markerKey);
+  } catch (error) {
+    // Keep serving the stale copy; the next request will try again
+  } finally {
+    revalidatingPages.delete(cacheKey);
+  }
+}
+
+function propertiesResponse(data, cacheStatus, ageSeconds, retries = 0) {
+  return new Response(JSON.stringify(data), {
+    headers: {
+      "Content-Type": "application/json",
+      "X-Cache": cacheStatus,
+      "X-Upstream-Retries": String(retries),
+      Age: String(ageSeconds),
+    },
+  });
+}
+
+function missingTokenResponse() {
+  return new Response(
+    JSON.stringify({
+      error: "API_TOKEN_MISSING",
+      message:
+        "Hospitable API token not configured. Please set the HOSPITABLE_API_TOKEN secret in Cloudflare Workers.",
+    }),
+    {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    }
+  );
+}
+
+function propertiesNetworkErrorResponse(error) {
+  return new Response(
+    JSON.stringify({
+      error: "NETWORK_ERROR",
+      message:
+        "Failed to connect to Hospitable API. Please check your internet connection.",
+      details: error.message,
+    }),
+    {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    }
+  );
+}
+
+function hospitableErrorResponse(response, notFoundMessage = "Not found.") {
+  let errorMessage = "API request failed";
+  let errorType = "API_ERROR";
+
+  if (response.status === 401) {
+    errorType = "AUTHENTICATION_ERROR";
+    errorMessage = "Authentication failed. Please check your API token.";
+  } else if (response.status === 404) {
+    errorType = "NOT_FOUND_ERROR";
+    errorMessage = notFoundMessage;
+  } else if (response.status === 403) {
+    errorType = "AUTHORIZATION_ERROR";
+    errorMessage = "Access forbidden. Please check your API permissions.";
+  } else if (response.status === 429) {
+    errorType = "RATE_LIMIT_ERROR";
+    errorMessage = "Rate limit exceeded. Please try again later.";
+  } else if (response.status >= 500) {
+    errorType = "UPSTREAM_ERROR";
+    errorMessage = "Hospitable API is temporarily unavailable.";
+  }
+
+  return upstreamErrorResponse(response, errorType, errorMessage);
+}
+
+// Load one page of properties, from the cache when possible. Resolves to
+// { data, cacheStatus, age, retries } on success or { errorResponse } when
+// Hospitable rejected the request.
+async function getPropertiesPage(
+  page,
+  perPage,
+  { include = FULL_INCLUDE, bypassCache, event } = {}
+) {
+  const cacheKey = `${PROPERTIES_CACHE_KEY_PREFIX}${page}:${perPage}:${include}`;
+
+  if (!bypassCache) {
+    const cached = await getStore().get(cacheKey);
+    if (cached) {
+      const { ttl, swr } = getPropertiesCacheSettings();
+      const age = Math.floor((Date.now() - cached.fetchedAt) / 1000);
+
+      if (age < ttl) {
+        return { data: cached.data, cacheStatus: "HIT", age, retries: 0 };
+      }
+
+      if (age < ttl + swr) {
+        const revalidation = revalidatePropertiesPage(
+          cacheKey,
+          page,
+          perPage,
+          include
+        );
+        if (event) event.waitUntil(revalidation);
+        return { data: cached.data, cacheStatus: "STALE", age, retries: 0 };
+      }
+    }
+  }
+
+  const response = await fetchPropertiesPage(page, perPage, include);
+
+  if (!response.ok) {
+    return { errorResponse: hospitableErrorResponse(response) };
+  }
+
+  const data = await response.json();
+  await cachePropertiesPage(cacheKey, data);
+  return {
+    data,
+    cacheStatus: bypassCache ? "BYPASS" : "MISS",
+    age: 0,
+    retries: parseInt(response.headers.get("X-Upstream-Retries") || "0", 10),
+  };
+}
+
+async function handlePropertiesAPI(request, event) {
+  const url = new URL(request.url);
+  const { page, perPage } = parsePaginationParams(url, 50);
+  const bypassCache = url.searchParams.get("refresh") === "1";
+  const { include, errorResponse } = parseIncludeParam(url);
+
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  try {
+    // Check if API token exists
+    if (!HOSPITABLE_API_TOKEN) {
+      return missingTokenResponse();
+    }
+
+    const result = await getPropertiesPage(page, perPage, {
+      include,
+      bypassCache,
+      event,
+    });
+
+    if (result.errorResponse) {
+      return result.errorResponse;
+    }
+
+    return propertiesResponse(
+      result.data,
+      result.cacheStatus,
+      result.age,
+      result.retries
+    );
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+}
+
+// All properties
+// Fetches page 1 to learn how many pages there are, then the remaining pages
+// with at most PROPERTIES_FETCH_CONCURRENCY requests in flight. Returns one
+// merged payload, or with "?format=ndjson" streams one JSON line per event:
+//   {"type":"meta","total":...,"last_page":...,"per_page":...}
+//   {"type":"page","page":2,"data":[...],"cache":"HIT","age":12,"retries":0}
+//   {"type":"error","page":3,"error":"RATE_LIMIT_ERROR","message":...}
+//   {"type":"done"}
+// Pages are streamed in the order they finish, not in page order.
+async function handleAllPropertiesAPI(request, event) {
+  const url = new URL(request.url);
+  // A floor on per_page keeps a full load to a bounded number of pages
+  const { perPage } = parsePaginationParams(
+    url,
+    MAX_PROPERTIES_PER_PAGE,
+    MIN_ALL_PROPERTIES_PER_PAGE
+  );
+  const bypassCache = url.searchParams.get("refresh") === "1";
+  const streaming = url.searchParams.get("format") === "ndjson";
+  const concurrency =
+    parseInt(getConfig("PROPERTIES_FETCH_CONCURRENCY", "3"), 10) || 1;
+  const { include, errorResponse } = parseIncludeParam(url);
+  const options = { include, bypassCache, event };
+
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return missingTokenResponse();
+  }
+
+  let first;
+  try {
+    first = await getPropertiesPage(1, perPage, options);
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+
+  if (first.errorResponse) {
+    return first.errorResponse;
+  }
+
+  const meta = first.data.meta || {};
+  const lastPage = meta.last_page || 1;
+  const remainingPages = [];
+  for (let page = 2; page <= lastPage; page++) {
+    remainingPages.push(page);
+  }
+
+  // Load a page, turning failures into the same error body the
+  // single-page route returns
+  const loadPage = async (page) => {
+    try {
+      const result = await getPropertiesPage(page, perPage, options);
+      if (result.errorResponse) {
+        return { page, error: await result.errorResponse.json() };
+      }
+      return { page, ...result };
+    } catch (error) {
+      return {
+        page,
+        error: await propertiesNetworkErrorResponse(error).json(),
+      };
+    }
+  };
+
+  const metaLine = {
+    type: "meta",
+    total: meta.total,
+    last_page: lastPage,
+    per_page: meta.per_page || parseInt(perPage, 10),
+  };
+
+  if (streaming) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    const writeLine = (value) =>
+      writer.write(encoder.encode(JSON.stringify(value) + "\n"));
+
+    const writePage = (result) =>
+      result.error
+        ? writeLine({ type: "error", page: result.page, ...result.error })
+        : writeLine({
+            type: "page",
+            page: result.page,
+            data: result.data.data,
+            cache: result.cacheStatus,
+            age: result.age,
+            retries: result.retries,
+          });
+
+    const stream = (async () => {
+      try {
+        await writeLine(metaLine);
+        await writePage({ page: 1, ...first });
+        await mapWithConcurrency(remainingPages, concurrency, async (page) =>
+          writePage(await loadPage(page))
+        );
+        await writeLine({ type: "done" });
+      } catch (error) {
+        // The client disconnected; there is no one left to write to
+      } finally {
+        await writer.close().catch(() => {});
+      }
+    })();
+    if (event) event.waitUntil(stream);
+
+    return new Response(readable, {
+      headers: {
+        "Content-Type": "application/x-ndjson",
+        "Cache-Control": "no-store",
+      },
+    });
+  }
+
+  const results = [
+    { page: 1, ...first },
+    ...(await mapWithConcurrency(remainingPages, concurrency, loadPage)),
+  ];
+
+  const failed = results.find((result) => result.error);
+  if (failed) {
+    return new Response(
+      JSON.stringify({ ...failed.error, page: failed.page }),
+      {
+        status: failed.error.status || 500,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  const properties = results.flatMap((result) => result.data.data);
+  return new Response(
+    JSON.stringify({
+      data: properties,
+      meta: {
+        total: meta.total,
+        last_page: lastPage,
+        per_page: metaLine.per_page,
+        count: properties.length,
+      },
+    }),
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Upstream-Retries": String(
+          results.reduce((sum, result) => sum + result.retries, 0)
+        ),
+        Age: String(Math.max(...results.map((result) => result.age))),
+      },
+    }
+  );
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping results in
+// input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(workers);
+  return results;
+}
+
+async function handlePropertyDetailsAPI(request) {
+  const url = new URL(request.url);
+  const propertyId = url.pathname.split("/").pop();
+  const { include, errorResponse } = parseIncludeParam(url);
+
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  try {
+    if (!HOSPITABLE_API_TOKEN) {
+      return new Response(
+        JSON.stringify({
+          error: "API_TOKEN_MISSING",
+          message: "Hospitable API token not configured.",
+        }),
+        {
+          status: 500,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const response = await hospitableFetch(
+      `/properties/${propertyId}?include=${include}`
+    );
+
+    if (!response.ok) {
+      let errorMessage = "Failed to fetch property details";
+      let errorType = "API_ERROR";
+
+      if (response.status === 401) {
+        errorType = "AUTHENTICATION_ERROR";
+        errorMessage = "Authentication failed. Please check your API token.";
+      } else if (response.status === 404) {
+        errorType = "NOT_FOUND_ERROR";
+        errorMessage = "Property not found.";
+      } else if (response.status === 429) {
+        errorType = "RATE_LIMIT_ERROR";
+        errorMessage = "Rate limit exceeded. Please try again later.";
+      } else if (response.status >= 500) {
+        errorType = "UPSTREAM_ERROR";
+        errorMessage = "Hospitable API is temporarily unavailable.";
+      }
+
+      return upstreamErrorResponse(response, errorType, errorMessage);
+    }
+
+    const data = await response.json();
+    return new Response(JSON.stringify(data), {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Upstream-Retries": response.headers.get("X-Upstream-Retries"),
+      },
+    });
+  } catch (error) {
+    return new Response(
+      JSON.stringify({
+        error: "NETWORK_ERROR",
+        message: "Failed to fetch property details.",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Reservations
+// GET /api/reservations lists reservations for up to
+// MAX_RESERVATION_PROPERTIES properties ("?properties=<id>,<id>") arriving
+// between start_date and end_date (Hospitable filters on the check-in date,
+// not on the stay), sorted by arrival date. The pages are only
+// read when all of them, with their retries, fit in RESERVATION_SUBREQUESTS
+// upstream requests. Otherwise the response is empty and "pending" splits
+// the property list in two for the client to ask for separately:
+// { data, meta, pending: [[<id>, ...], [<id>, ...]] }.
+// GET /api/reservations/<id> returns a single reservation. Guest details are
+// only included for exporters and admins.
+const RESERVATION_INCLUDE_OPTIONS = ["guest", "properties", "financials"];
+const MAX_RESERVATION_PROPERTIES = 25;
+const RESERVATION_SUBREQUESTS = 40;
+const RESERVATION_FETCH_MAX_RETRIES = 1;
+
+async function handleReservationsAPI(request, user) {
+  const url = new URL(request.url);
+  let { include, errorResponse } = parseIncludeParam(
+    url,
+    RESERVATION_INCLUDE_OPTIONS
+  );
+
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  // Guest details are personal data, like guest conversations: viewers may
+  // not ask for them and are left out of the default include
+  if (include.split(",").includes("guest") && !hasRole(user, "exporter")) {
+    if (url.searchParams.has("include")) {
+      return forbiddenResponse();
+    }
+    include = include
+      .split(",")
+      .filter((value) => value !== "guest")
+      .join(",");
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return missingTokenResponse();
+  }
+
+  const reservationId = url.pathname.startsWith("/api/reservations/")
+    ? decodePathSegment(url.pathname.slice("/api/reservations/".length))
+    : "";
+  if (reservationId === null) {
+    return malformedPathResponse();
+  }
+
+  try {
+    if (reservationId) {
+      const response = await hospitableFetch(
+        `/reservations/${encodeURIComponent(reservationId)}?include=${include}`
+      );
+
+      if (!response.ok) {
+        return hospitableErrorResponse(response, "Reservation not found.");
+      }
+
+      return new Response(JSON.stringify(await response.json()), {
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    return await listReservations(url, include);
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+}
+
+async function listReservations(url, include) {
+  const propertyIds = (url.searchParams.get("properties") || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const startDate = url.searchParams.get("start_date") || "";
+  const endDate = url.searchParams.get("end_date") || "";
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (propertyIds.length === 0) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "Please choose at least one property.",
+      400
+    );
+  }
+
+  if (propertyIds.length > MAX_RESERVATION_PROPERTIES) {
+    return jsonError(
+      "INVALID_REQUEST",
+      `Please request at most ${MAX_RESERVATION_PROPERTIES} properties at a time.`,
+      400
+    );
+  }
+
+  if (
+    (startDate && !datePattern.test(startDate)) ||
+    (endDate && !datePattern.test(endDate))
+  ) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "Dates must be in YYYY-MM-DD format.",
+      400
+    );
+  }
+
+  const query = new URLSearchParams();
+  propertyIds.forEach((id) => query.append("properties[]", id));
+  if (startDate) query.set("start_date", startDate);
+  if (endDate) query.set("end_date", endDate);
+  query.set("include", include);
+  query.set("per_page", "100");
+
+  const reservations = [];
+  let page = 1;
+  let lastPage = 1;
+
+  do {
+    query.set("page", String(page));
+    const response = await hospitableFetch(`/reservations?${query}`, {
+      maxRetries: RESERVATION_FETCH_MAX_RETRIES,
+    });
+
+    if (!response.ok) {
+      return hospitableErrorResponse(response);
+    }
+
+    const data = await response.json();
+    reservations.push(...(data.data || []));
+
+    if (page === 1) {
+      lastPage = data.meta?.last_page || 1;
+      // Every page may be retried, so that is its worst-case cost
+      if (
+        lastPage * (1 + RESERVATION_FETCH_MAX_RETRIES) >
+        RESERVATION_SUBREQUESTS
+      ) {
+        return tooManyReservationPagesResponse(propertyIds);
+      }
+    }
+    page++;
+  } while (page <= lastPage);
+
+  reservations.sort((a, b) =>
+    String(a.arrival_date || "").localeCompare(String(b.arrival_date || ""))
+  );
+
+  return new Response(
+    JSON.stringify({
+      data: reservations,
+      meta: {
+        total: reservations.length,
+        start_date: startDate || null,
+        end_date: endDate || null,
+      },
+      pending: [],
+    }),
+    { headers: { "Content-Type": "application/json" } }
+  );
+}
+
+// Hand the property list back in halves; a single property with that many
+// reservations needs a shorter date range instead
+function tooManyReservationPagesResponse(propertyIds) {
+  if (propertyIds.length === 1) {
+    return jsonError(
+      "TOO_MANY_RESERVATIONS",
+      "This property has too many reservations in that period to load at once. Please choose a shorter date range.",
+      400
+    );
+  }
+
+  const middle = Math.ceil(propertyIds.length / 2);
+  return new Response(
+    JSON.stringify({
+      data: [],
+      meta: { total: 0 },
+      pending: [propertyIds.slice(0, middle), propertyIds.slice(middle)],
+    }),
+    { headers: { "Content-Type": "application/json" } }
+  );
+}
+
+// GET /api/reservations/<id>/messages returns the guest conversation thread
+// of a reservation, oldest message first
+async function handleReservationMessagesAPI(request) {
+  const url = new URL(request.url);
+  const reservationId = decodePathSegment(url.pathname.split("/")[3]);
+  if (reservationId === null) {
+    return malformedPathResponse();
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return missingTokenResponse();
+  }
+
+  try {
+    const response = await hospitableFetch(
+      `/reservations/${encodeURIComponent(reservationId)}/messages`
+    );
+
+    if (!response.ok) {
+      return hospitableErrorResponse(response, "Reservation not found.");
+    }
+
+    const data = await response.json();
+    const messages = (data.data || []).sort((a, b) =>
+      String(a.created_at || "").localeCompare(String(b.created_at || ""))
+    );
+
+    return new Response(JSON.stringify({ data: messages }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+}
+
+// Reviews
+// GET /api/property/<id>/reviews returns every review of a property;
+// private guest feedback is only included for exporters and admins.
+// GET /api/reviews/summary?properties=<id>,<id> returns { data: { <id>: {
+// count, average } }, pending: [<id>] } for the rating badges. Each call
+// spends at most REVIEW_SUMMARY_SUBREQUESTS upstream requests; properties
+// not reached within that budget are listed as pending for the client to
+// ask again. Summaries are cached for REVIEW_SUMMARY_CACHE_TTL seconds and
+// average at most REVIEW_SUMMARY_MAX_PAGES pages of reviews.
+const REVIEW_SUMMARY_CACHE_KEY_PREFIX = "cache:review-summary:";
+const MAX_REVIEW_SUMMARY_PROPERTIES = 10;
+const REVIEW_SUMMARY_SUBREQUESTS = 40;
+const REVIEW_SUMMARY_MAX_PAGES = 10;
+const REVIEW_SUMMARY_MAX_RETRIES = 1;
+
+async function handlePropertyReviewsAPI(request, user) {
+  const url = new URL(request.url);
+  const propertyId = decodePathSegment(url.pathname.split("/")[3]);
+  if (propertyId === null) {
+    return malformedPathResponse();
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return missingTokenResponse();
+  }
+
+  try {
+    const result = await fetchPropertyReviews(propertyId);
+    if (result.errorResponse) {
+      return result.errorResponse;
+    }
+
+    // Private guest feedback is personal data, like guest conversations
+    const reviews = hasRole(user, "exporter")
+      ? result.data
+      : result.data.map(({ private_feedback, ...review }) => review);
+
+    return new Response(JSON.stringify({ data: reviews }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+}
+
+async function handleReviewSummaryAPI(request) {
+  const url = new URL(request.url);
+  const propertyIds = (url.searchParams.get("properties") || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (propertyIds.length > MAX_REVIEW_SUMMARY_PROPERTIES) {
+    return jsonError(
+      "INVALID_REQUEST",
+      `Please request at most ${MAX_REVIEW_SUMMARY_PROPERTIES} properties at a time.`,
+      400
+    );
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return missingTokenResponse();
+  }
+
+  const concurrency =
+    parseInt(getConfig("PROPERTIES_FETCH_CONCURRENCY", "3"), 10) || 1;
+
+  try {
+    const budget = { remaining: REVIEW_SUMMARY_SUBREQUESTS };
+    const summaries = await mapWithConcurrency(propertyIds, concurrency, (id) =>
+      getReviewSummary(id, budget)
+    );
+
+    const failed = summaries.find((summary) => summary.errorResponse);
+    if (failed) {
+      return failed.errorResponse;
+    }
+
+    const data = {};
+    const pending = [];
+    propertyIds.forEach((id, index) => {
+      if (summaries[index].deferred) {
+        pending.push(id);
+      } else {
+        data[id] = summaries[index];
+      }
+    });
+
+    return new Response(JSON.stringify({ data, pending }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+}
+
+async function getReviewSummary(propertyId, budget) {
+  const store = getStore();
+  const cacheKey = REVIEW_SUMMARY_CACHE_KEY_PREFIX + propertyId;
+  const cached = await store.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const result = await fetchPropertyReviews(propertyId, {
+    budget,
+    maxPages: REVIEW_SUMMARY_MAX_PAGES,
+  });
+  if (result.errorResponse || result.deferred) {
+    return result;
+  }
+
+  const ratings = result.data
+    .map((review) => review.rating)
+    .filter((rating) => typeof rating === "number");
+  const summary = {
+    count: result.total,
+    average:
+      ratings.length > 0
+        ? Math.round(
+            (ratings.reduce((sum, rating) => sum + rating, 0) /
+              ratings.length) *
+              100
+          ) / 100
+        : null,
+  };
+
+  const ttl = parseInt(getConfig("REVIEW_SUMMARY_CACHE_TTL", "86400"), 10) || 0;
+  if (ttl > 0) {
+    await store.put(cacheKey, summary, { ttl });
+  }
+
+  return summary;
+}
+
+// A property's reviews, normalized to a flat shape, with the total count
+// reported upstream. Reads every page unless options.maxPages is set. With
+// options.budget ({ remaining }) the first page, and then all remaining
+// pages at once, reserve their worst-case subrequests up front so a started
+// crawl always finishes; when the budget runs out the result is
+// { deferred: true }.
+async function fetchPropertyReviews(propertyId, options = {}) {
+  const { budget, maxPages = Infinity } = options;
+  const reviews = [];
+  let page = 1;
+  let lastPage = 1;
+  let total = 0;
+
+  if (budget && !reserveReviewPages(budget, 1)) {
+    return { deferred: true };
+  }
+
+  do {
+    const response = await hospitableFetch(
+      `/properties/${encodeURIComponent(
+        propertyId
+      )}/reviews?page=${page}&per_page=100`,
+      budget ? { maxRetries: REVIEW_SUMMARY_MAX_RETRIES } : {}
+    );
+
+    if (budget) {
+      const retries = parseInt(response.headers.get("X-Upstream-Retries"), 10);
+      budget.remaining += REVIEW_SUMMARY_MAX_RETRIES - (retries || 0);
+    }
+
+    if (!response.ok) {
+      return {
+        errorResponse: hospitableErrorResponse(response, "Property not found."),
+      };
+    }
+
+    const data = await response.json();
+    reviews.push(...(data.data || []).map(normalizeReview));
+    total = data.meta?.total ?? reviews.length;
+
+    if (page === 1) {
+      lastPage = Math.min(data.meta?.last_page || 1, maxPages);
+      if (budget && lastPage > 1 && !reserveReviewPages(budget, lastPage - 1)) {
+        return { deferred: true };
+      }
+    }
+    page++;
+  } while (page <= lastPage);
+
+  return { data: reviews, total };
+}
+
+function reserveReviewPages(budget, pages) {
+  const subrequests = pages * (1 + REVIEW_SUMMARY_MAX_RETRIES);
+  if (budget.remaining < subrequests) return false;
+  budget.remaining -= subrequests;
+  return true;
+}
+
+function normalizeReview(review) {
+  return {
+    id: review.id,
+    platform: review.platform,
+    rating: review.public?.rating ?? review.rating ?? null,
+    review: review.public?.review ?? review.review ?? "",
+    response: review.public?.response ?? null,
+    private_feedback: review.private?.feedback ?? null,
+    reviewed_at: review.reviewed_at || review.created_at || null,
+  };
+}
+
+// Calendar
+// GET /api/property/<id>/calendar?start_date=YYYY-MM-DD&end_date=YYYY-MM-DD
+// returns one entry per night with a simplified status ("available",
+// "booked" or "blocked") and the nightly price in currency units.
+const MAX_CALENDAR_DAYS = 366;
+
+async function handlePropertyCalendarAPI(request) {
+  const url = new URL(request.url);
+  const propertyId = decodePathSegment(url.pathname.split("/")[3]);
+  if (propertyId === null) {
+    return malformedPathResponse();
+  }
+  const startDate = url.searchParams.get("start_date") || "";
+  const endDate = url.searchParams.get("end_date") || "";
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!datePattern.test(startDate) || !datePattern.test(endDate)) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "start_date and end_date are required in YYYY-MM-DD format.",
+      400
+    );
+  }
+
+  const days = (Date.parse(endDate) - Date.parse(startDate)) / 86400000;
+  if (!(days >= 0) || days > MAX_CALENDAR_DAYS) {
+    return jsonError(
+      "INVALID_REQUEST",
+      `end_date must be on or after start_date and at most ${MAX_CALENDAR_DAYS} days later.`,
+      400
+    );
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return missingTokenResponse();
+  }
+
+  try {
+    const response = await hospitableFetch(
+      `/properties/${encodeURIComponent(
+        propertyId
+      )}/calendar?start_date=${startDate}&end_date=${endDate}`
+    );
+
+    if (!response.ok) {
+      return hospitableErrorResponse(response, "Property not found.");
+    }
+
+    const data = await response.json();
+    const calendar = data.data || {};
+
+    return new Response(
+      JSON.stringify({
+        data: {
+          property_id: propertyId,
+          start_date: startDate,
+          end_date: endDate,
+          days: (calendar.days || []).map(normalizeCalendarDay),
+        },
+      }),
+      { headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    return propertiesNetworkErrorResponse(error);
+  }
+}
+
+function normalizeCalendarDay(day) {
+  const reason = String(day.status?.reason || "").toUpperCase();
+  let status = "blocked";
+  if (day.status?.available) {
+    status = "available";
+  } else if (reason === "RESERVED" || reason === "BOOKED") {
+    status = "booked";
+  }
+
+  return {
+    date: day.date,
+    status,
+    reason: day.status?.reason || null,
+    price:
+      typeof day.price?.amount === "number" ? day.price.amount / 100 : null,
+    currency: day.price?.currency || null,
+    min_stay: day.min_stay ?? null,
+  };
+}
+
+// Property metadata
+// Internal tags and custom key/value fields (owner, cleaning team, region
+// manager, ...) that Hospitable doesn't carry. They are shared by all users
+// and stored per property under "meta:<propertyId>", with a copy of every
+// entry in the "index:meta" record so listing them takes a single read.
+// GET /api/meta returns { data: { <propertyId>: { tags, fields } } }.
+// GET /api/property/<id>/meta returns one entry; PUT replaces it with
+// { tags: [...], fields: { key: value }, version } (exporter role required).
+// Every entry carries a version that goes up with each save; a PUT whose
+// version is not the stored one is refused with 409 so concurrent editors
+// don't silently overwrite each other.
+const META_KEY_PREFIX = "meta:";
+const META_INDEX_KEY = "index:meta";
+const MAX_TAGS = 20;
+const MAX_CUSTOM_FIELDS = 20;
+
+async function handleAllPropertyMetaAPI() {
+  const data = (await getStore().get(META_INDEX_KEY)) || {};
+
+  return new Response(JSON.stringify({ data }), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+async function handlePropertyMetaAPI(request, user) {
+  const url = new URL(request.url);
+  const propertyId = decodePathSegment(url.pathname.split("/")[3]);
+  if (propertyId === null) {
+    return malformedPathResponse();
+  }
+  const store = getStore();
+  const key = META_KEY_PREFIX + propertyId;
+
+  const stored = await store.get(key);
+
+  if (request.method === "GET") {
+    const meta = stored || { tags: [], fields: {}, version: 0 };
+    return new Response(JSON.stringify(meta), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  if (request.method !== "PUT") {
+    return jsonError("METHOD_NOT_ALLOWED", "Method not allowed.", 405);
+  }
+
+  if (!hasRole(user, "exporter")) return forbiddenResponse();
+
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "Request body must be a JSON object.",
+      400
+    );
+  }
+
+  const result = normalizePropertyMeta(body);
+  if (result.error) {
+    return jsonError("INVALID_REQUEST", result.error, 400);
+  }
+
+  const version = stored?.version || 0;
+  if (body.version !== undefined && body.version !== version) {
+    return jsonError(
+      "CONFLICT",
+      `${
+        stored?.updatedBy || "Someone"
+      } changed these tags since you opened them. Reopen the editor to see their changes.`,
+      409
+    );
+  }
+
+  const { tags, fields } = result;
+  if (tags.length === 0 && Object.keys(fields).length === 0) {
+    await store.delete(key);
+    await updatePropertyIndex(META_INDEX_KEY, propertyId, null);
+    return new Response(JSON.stringify({ tags, fields, version: 0 }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const meta = {
+    tags,
+    fields,
+    version: version + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user.username,
+  };
+  await store.put(key, meta);
+  await updatePropertyIndex(META_INDEX_KEY, propertyId, meta);
+
+  return new Response(JSON.stringify(meta), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// Set (or with a null value, remove) one property's entry in an index record
+// of { <propertyId>: value }
+async function updatePropertyIndex(indexKey, propertyId, value) {
+  const store = getStore();
+  const index = (await store.get(indexKey)) || {};
+  if (value) {
+    index[propertyId] = value;
+  } else {
+    delete index[propertyId];
+  }
+  await store.put(indexKey, index);
+}
+
+// Trims and de-duplicates tags (case-insensitively) and fields, resolving
+// to { tags, fields } or { error }
+function normalizePropertyMeta(body) {
+  const rawTags = body.tags === undefined ? [] : body.tags;
+  const rawFields = body.fields === undefined ? {} : body.fields;
+
+  if (!Array.isArray(rawTags)) return { error: "tags must be a list." };
+  if (!rawFields || typeof rawFields !== "object" || Array.isArray(rawFields)) {
+    return { error: "fields must be an object of key/value pairs." };
+  }
+
+  if (rawTags.some((tag) => typeof tag !== "string")) {
+    return { error: "tags must be a list of strings." };
+  }
+  if (Object.values(rawFields).some((value) => typeof value !== "string")) {
+    return { error: "Field values must be strings." };
+  }
+
+  const tags = [];
+  for (const tag of rawTags) {
+    const text = tag.trim();
+    if (!text) continue;
+    if (text.length > 40) {
+      return { error: "Tags must be at most 40 characters long." };
+    }
+    if (!tags.some((item) => item.toLowerCase() === text.toLowerCase())) {
+      tags.push(text);
+    }
+  }
+
+  const fields = {};
+  for (const [name, value] of Object.entries(rawFields)) {
+    const fieldName = String(name).trim();
+    const fieldValue = value.trim();
+    if (!fieldName || !fieldValue) continue;
+    if (!/^[\w -]{1,40}$/.test(fieldName)) {
+      return {
+        error:
+          "Field names may only contain letters, numbers, spaces, _ and - (up to 40 characters).",
+      };
+    }
+    if (fieldValue.length > 500) {
+      return { error: "Field values must be at most 500 characters long." };
+    }
+    fields[fieldName] = fieldValue;
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A property can have at most ${MAX_TAGS} tags.` };
+  }
+  if (Object.keys(fields).length > MAX_CUSTOM_FIELDS) {
+    return {
+      error: `A property can have at most ${MAX_CUSTOM_FIELDS} custom fields.`,
+    };
+  }
+
+  return { tags, fields };
+}
+
+// Property notes
+// Free-text internal notes ("HOA forbids pets") shared by all users. Every
+// save appends a version with its author and time under "notes:<propertyId>",
+// keeping the latest NOTE_HISTORY_LIMIT versions. The latest version of every
+// note is also kept in the "index:notes" record for listing.
+// GET /api/notes returns { data: { <propertyId>: <latest version> } }.
+// GET /api/property/<id>/notes returns { current, version, versions }
+// (newest first); PUT with { text, version } saves a new version (exporter
+// role required), or answers 409 when version is no longer the latest one
+// because someone else saved in between. Saving an empty text clears the
+// note but keeps its history.
+const NOTES_KEY_PREFIX = "notes:";
+const NOTES_INDEX_KEY = "index:notes";
+const NOTE_HISTORY_LIMIT = 50;
+const MAX_NOTE_LENGTH = 5000;
+
+async function handleAllPropertyNotesAPI() {
+  const data = (await getStore().get(NOTES_INDEX_KEY)) || {};
+
+  return new Response(JSON.stringify({ data }), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+async function handlePropertyNotesAPI(request, user) {
+  const url = new URL(request.url);
+  const propertyId = decodePathSegment(url.pathname.split("/")[3]);
+  if (propertyId === null) {
+    return malformedPathResponse();
+  }
+  const store = getStore();
+  const key = NOTES_KEY_PREFIX + propertyId;
+  const versions = (await store.get(key))?.versions || [];
+
+  if (request.method === "GET") {
+    return notesResponse(versions);
+  }
+
+  if (request.method !== "PUT") {
+    return jsonError("METHOD_NOT_ALLOWED", "Method not allowed.", 405);
+  }
+
+  if (!hasRole(user, "exporter")) return forbiddenResponse();
+
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "Request body must be a JSON object.",
+      400
+    );
+  }
+
+  const text = typeof body.text === "string" ? body.text.trim() : null;
+  if (text === null || text.length > MAX_NOTE_LENGTH) {
+    return jsonError(
+      "INVALID_REQUEST",
+      `text must be a string of at most ${MAX_NOTE_LENGTH} characters.`,
+      400
+    );
+  }
+
+  const current = versions[versions.length - 1];
+  const version = latestNoteVersion(versions);
+  if (body.version !== undefined && body.version !== version) {
+    return jsonError(
+      "CONFLICT",
+      `${
+        current?.author || "Someone"
+      } changed this note since you opened it. Reopen it to see their version.`,
+      409
+    );
+  }
+
+  if ((current?.text || "") === text) {
+    return notesResponse(versions);
+  }
+
+  const updated = [
+    ...versions,
+    {
+      version: version + 1,
+      text,
+      author: user.username,
+      createdAt: new Date().toISOString(),
+    },
+  ].slice(-NOTE_HISTORY_LIMIT);
+  await store.put(key, { versions: updated });
+  const latest = updated[updated.length - 1];
+  await updatePropertyIndex(
+    NOTES_INDEX_KEY,
+    propertyId,
+    latest.text ? latest : null
+  );
+
+  return notesResponse(updated);
+}
+
+// Version number of the latest note, 0 before the first save
+function latestNoteVersion(versions) {
+  const current = versions[versions.length - 1];
+  return current ? current.version : 0;
+}
+
+function notesResponse(versions) {
+  const current = versions[versions.length - 1];
+  return new Response(
+    JSON.stringify({
+      current: current && current.text ? current : null,
+      version: latestNoteVersion(versions),
+      versions: [...versions].reverse(),
+    }),
+    { headers: { "Content-Type": "application/json" } }
+  );
+}
+
+// Property groups
+// Named groups of property IDs ("Downtown condos", "Owner: Smith") saved per
+// user under "groups:<username>". GET /api/groups lists them, POST saves one
+// (updating it when "id" matches an existing group) and
+// DELETE /api/groups/<id> removes one.
+const GROUP_KEY_PREFIX = "groups:";
+const MAX_GROUPS_PER_USER = 100;
+const MAX_GROUP_SIZE = 5000;
+
+async function handleGroupsAPI(request, user) {
+  const url = new URL(request.url);
+  const groupId = decodePathSegment(url.pathname.slice("/api/groups/".length));
+  if (groupId === null) {
+    return malformedPathResponse();
+  }
+  const store = getStore();
+  const key = GROUP_KEY_PREFIX + user.username;
+  const groups = (await store.get(key)) || [];
+
+  if (url.pathname === "/api/groups" && request.method === "GET") {
+    return new Response(JSON.stringify({ data: groups }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  if (url.pathname === "/api/groups" && request.method === "POST") {
+    const body = await readJsonObject(request);
+    if (!body) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Request body must be a JSON object.",
+        400
+      );
+    }
+
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    const propertyIds =
+      Array.isArray(body.propertyIds) &&
+      body.propertyIds.every((id) => typeof id === "string")
+        ? [...new Set(body.propertyIds)]
+        : null;
+
+    if (!name || name.length > 80) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Group names must be 1 to 80 characters long.",
+        400
+      );
+    }
+
+    if (!propertyIds || propertyIds.length > MAX_GROUP_SIZE) {
+      return jsonError(
+        "INVALID_REQUEST",
+        `propertyIds must be a list of at most ${MAX_GROUP_SIZE} property ID strings.`,
+        400
+      );
+    }
+
+    const existing = groups.find((group) => group.id === body.id);
+    if (!existing && groups.length >= MAX_GROUPS_PER_USER) {
+      return jsonError(
+        "INVALID_REQUEST",
+        `You can keep at most ${MAX_GROUPS_PER_USER} groups.`,
+        400
+      );
+    }
+
+    const group = {
+      id: existing ? existing.id : randomHex(8),
+      name,
+      propertyIds,
+      updatedAt: new Date().toISOString(),
+    };
+    await store.put(
+      key,
+      existing
+        ? groups.map((item) => (item.id === group.id ? group : item))
+        : [...groups, group]
+    );
+
+    return new Response(JSON.stringify(group), {
+      status: existing ? 200 : 201,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  if (groupId && request.method === "DELETE") {
+    if (!groups.some((group) => group.id === groupId)) {
+      return jsonError("NOT_FOUND_ERROR", "Group not found.", 404);
+    }
+
+    await store.put(
+      key,
+      groups.filter((group) => group.id !== groupId)
+    );
+    return new Response(null, { status: 204 });
+  }
+
+  return jsonError("METHOD_NOT_ALLOWED", "Method not allowed.", 405);
+}
+
+// Prompt templates
+// GET /api/templates lists the built-in templates followed by the current
+// user's own. POST saves a template (updating it when "id" matches one of
+// the user's templates) and DELETE /api/templates/<id> removes one. User
+// templates are stored together under "templates:<username>".
+const TEMPLATE_KEY_PREFIX = "templates:";
+const MAX_TEMPLATES_PER_USER = 50;
+const MAX_TEMPLATE_LENGTH = 4000;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: "builtin-amenities",
+    name: "Best amenities",
+    body: "Analyze these {{property_count}} properties and tell me which ones have the best amenities.\n\n{{data}}",
+  },
+  {
+    id: "builtin-pricing",
+    name: "Pricing strategy",
+    body: "Compare the pricing strategy of these {{property_count}} listings ({{property_names}}).\n\n{{data}}",
+  },
+  {
+    id: "builtin-common-features",
+    name: "Common features",
+    body: "What are the common features across these properties?\n\n{{data}}",
+  },
+  {
+    id: "builtin-market-report",
+    name: "Market report",
+    body: "Generate a market report for these {{property_count}} properties as of {{date}}.\n\n{{data}}",
+  },
+  {
+    id: "builtin-guest-fit",
+    name: "Families vs business travelers",
+    body: "Which of these properties would be best for families and which for business travelers? Explain why.\n\n{{data}}",
+  },
+].map((template) => ({ ...template, builtIn: true }));
+
+async function handleTemplatesAPI(request, user) {
+  const url = new URL(request.url);
+  const templateId = decodePathSegment(
+    url.pathname.slice("/api/templates/".length)
+  );
+  if (templateId === null) {
+    return malformedPathResponse();
+  }
+  const store = getStore();
+  const key = TEMPLATE_KEY_PREFIX + user.username;
+  const templates = (await store.get(key)) || [];
+
+  if (url.pathname === "/api/templates" && request.method === "GET") {
+    return new Response(
+      JSON.stringify({ data: [...BUILT_IN_TEMPLATES, ...templates] }),
+      { headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  if (url.pathname === "/api/templates" && request.method === "POST") {
+    const body = await readJsonObject(request);
+    if (!body) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Request body must be a JSON object.",
+        400
+      );
+    }
+
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    const text = typeof body.body === "string" ? body.body.trim() : "";
+
+    if (!name || name.length > 80) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Template names must be 1 to 80 characters long.",
+        400
+      );
+    }
+
+    if (!text || text.length > MAX_TEMPLATE_LENGTH) {
+      return jsonError(
+        "INVALID_REQUEST",
+        `Template text must be 1 to ${MAX_TEMPLATE_LENGTH} characters long.`,
+        400
+      );
+    }
+
+    const existing = templates.find((template) => template.id === body.id);
+    if (!existing && templates.length >= MAX_TEMPLATES_PER_USER) {
+      return jsonError(
+        "INVALID_REQUEST",
+        `You can keep at most ${MAX_TEMPLATES_PER_USER} templates.`,
+        400
+      );
+    }
+
+    const template = {
+      id: existing ? existing.id : randomHex(8),
+      name,
+      body: text,
+      updatedAt: new Date().toISOString(),
+    };
+    await store.put(
+      key,
+      existing
+        ? templates.map((item) => (item.id === template.id ? template : item))
+        : [...templates, template]
+    );
+
+    return new Response(JSON.stringify(template), {
+      status: existing ? 200 : 201,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  if (templateId && request.method === "DELETE") {
+    if (BUILT_IN_TEMPLATES.some((template) => template.id === templateId)) {
+      return jsonError(
+        "INVALID_REQUEST",
+        "Built-in templates cannot be removed.",
+        400
+      );
+    }
+
+    if (!templates.some((template) => template.id === templateId)) {
+      return jsonError("NOT_FOUND_ERROR", "Template not found.", 404);
+    }
+
+    await store.put(
+      key,
+      templates.filter((template) => template.id !== templateId)
+    );
+    return new Response(null, { status: 204 });
+  }
+
+  return jsonError("METHOD_NOT_ALLOWED", "Method not allowed.", 405);
+}
+
+// Chat with properties
+// Forwards a question plus the selected properties' data to an
+// OpenAI-compatible chat completions endpoint and streams the answer back
+// as plain text. Property loads are capped and retried at most once so a
+// question stays within the Workers limit of 50 subrequests, LLM call
+// included.
+const MAX_CHAT_PROPERTIES = 20;
+const CHAT_FETCH_CONCURRENCY = 5;
+const CHAT_FETCH_MAX_RETRIES = 1;
+
+async function handleChatAPI(request) {
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "Request body must be a JSON object.",
+      400
+    );
+  }
+
+  const question =
+    typeof body.question === "string" ? body.question.trim() : "";
+  const propertyIds = body.propertyIds === undefined ? [] : body.propertyIds;
+
+  if (!question) {
+    return jsonError("INVALID_REQUEST", "Please enter a question.", 400);
+  }
+
+  if (
+    !Array.isArray(propertyIds) ||
+    propertyIds.some((id) => typeof id !== "string")
+  ) {
+    return jsonError(
+      "INVALID_REQUEST",
+      "propertyIds must be a list of property ID strings.",
+      400
+    );
+  }
+
+  if (propertyIds.length > MAX_CHAT_PROPERTIES) {
+    return jsonError(
+      "INVALID_REQUEST",
+      `Please select at most ${MAX_CHAT_PROPERTIES} properties to chat about.`,
+      400
+    );
+  }
+
+  const llmUrl = getConfig("LLM_API_URL");
+  if (!llmUrl) {
+    return jsonError(
+      "LLM_NOT_CONFIGURED",
+      "Chat is not configured. Please set the LLM_API_URL variable in Cloudflare Workers.",
+      500
+    );
+  }
+
+  if (!HOSPITABLE_API_TOKEN) {
+    return jsonError(
+      "API_TOKEN_MISSING",
+      "Hospitable API token not configured.",
+      500
+    );
+  }
+
+  let properties;
+  try {
+    properties = await mapWithConcurrency(
+      propertyIds,
+      CHAT_FETCH_CONCURRENCY,
+      fetchPropertyForChat
+    );
+  } catch (error) {
+    return jsonError(
+      "NETWORK_ERROR",
+      "Failed to load property data for chat.",
+      502,
+      error.message
+    );
+  }
+
+  const messages = [
+    {
+      role: "system",
+      content:
+        "You are an assistant helping a short-term rental manager analyze their Hospitable properties. " +
+        "Answer using only the property data provided. If the data does not contain the answer, say so.",
+    },
+    {
+      role: "user",
+      content: `Property data (JSON):\n${JSON.stringify(
+        properties.filter(Boolean)
+      )}\n\nQuestion: ${question}`,
+    },
+  ];
+
+  let llmResponse;
+  try {
+    const headers = { "Content-Type": "application/json" };
+    const llmKey = getConfig("LLM_API_KEY");
+    if (llmKey) {
+      headers.Authorization = `Bearer ${llmKey}`;
+    }
+
+    llmResponse = await fetch(
+      `${llmUrl.replace(/\/+$/, "")}/chat/completions`,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model: getConfig("LLM_MODEL", "gpt-4o-mini"),
+          messages,
+          stream: true,
+        }),
+      }
+    );
+  } catch (error) {
+    return jsonError(
+      "LLM_NETWORK_ERROR",
+      "Failed to connect to the chat provider.",
+      502,
+      error.message
+    );
+  }
+
+  if (!llmResponse.ok || !llmResponse.body) {
+    return jsonError(
+      "LLM_ERROR",
+      "The chat provider returned an error.",
+      502,
+      await llmResponse.text().catch(() => "")
+    );
+  }
+
+  return new Response(streamChatCompletion(llmResponse.body), {
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+// Fetch one property with the same includes as the properties list, so the
+// model sees exactly what the grid and clipboard export see.
+async function fetchPropertyForChat(propertyId) {
+  const response = await hospitableFetch(
+    `/properties/${encodeURIComponent(propertyId)}?include=${FULL_INCLUDE}`,
+    { maxRetries: CHAT_FETCH_MAX_RETRIES }
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Hospitable API returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.data || data;
+}
+
+// Convert an OpenAI-style server-sent event stream into a stream of plain
+// text content deltas.
+function streamChatCompletion(body) {
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffer = "";
+
+  const emitLine = (line, controller) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) return;
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === "[DONE]") return;
+
+    try {
+      const chunk = JSON.parse(payload);
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) {
+        controller.enqueue(encoder.encode(content));
+      }
+    } catch (error) {
+      // Ignore keep-alive comments and partial frames
+    }
+  };
+
+  return body.pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach((line) => emitLine(line, controller));
+      },
+      flush(controller) {
+        emitLine(buffer, controller);
+      },
+    })
+  );
+}
+
+// Read an optional worker variable or secret, falling back when unset
+function getConfig(name, fallback = "") {
+  const value = globalThis[name];
+  return value === undefined || value === null || value === ""
+    ? fallback
+    : String(value);
+}
+
+// Resolves to the parsed body when it is a JSON object, otherwise null
+async function readJsonObject(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === "object" && !Array.isArray(body)
+      ? body
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Percent-decode a URL path segment, or null when the encoding is malformed
+// ("%E0%A4%A"), which decodeURIComponent throws a URIError for
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+}
+
+function malformedPathResponse() {
+  return jsonError(
+    "INVALID_REQUEST",
+    "The URL contains a malformed percent-encoded character.",
+    400
+  );
+}
+
+function jsonError(errorType, message, status, details) {
+  const body = { error: errorType, message };
+  if (details) {
+    body.details = details;
+  }
+
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function getFileContent(filename) {
+  switch (filename) {
+    case "index.html":
+      return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>Hospitable Properties Viewer</title>
+    <link rel="stylesheet" href="/styles.css" />
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <div class="header-actions">
+          <span class="current-user" id="currentUser"></span>
+          <a
+            href="/admin"
+            class="btn btn-secondary btn-sm"
+            id="adminLink"
+            style="display: none"
+            >👥 Users</a
+          >
+          <a href="/logout" class="btn btn-secondary btn-sm">🚪 Logout</a>
+        </div>
+        <h1>🏠 Hospitable Properties Viewer</h1>
+        <p>
+          Browse, search, and export property data to chat with AI (ChatGPT,
+          Claude, etc.)
+        </p>
+      </div>
+
+      <div class="error-banner" id="errorBanner">
+        <strong>Error:</strong> <span id="errorMessage"></span>
+      </div>
+
+      <div class="tabs">
+        <button
+          class="tab active"
+          data-tab="properties"
+          onclick="showTab('properties')"
+        >
+          🏠 Properties
+        </button>
+        <button
+          class="tab"
+          data-tab="reservations"
+          onclick="showTab('reservations')"
+        >
+          📆 Reservations
+        </button>
+        <button class="tab" data-tab="calendar" onclick="showTab('calendar')">
+          📅 Calendar
+        </button>
+        <button class="tab" data-tab="analytics" onclick="showTab('analytics')">
+          📊 Analytics
+        </button>
+      </div>
+
+      <div class="controls view-properties">
+        <input
+          type="text"
+          class="search-box"
+          id="searchBox"
+          placeholder='Search, e.g. lake bedrooms:>=3 city:"Austin" -unlisted amenity:pool'
+          title="Words match name or address. Fields: bedrooms, bathrooms, guests, type, city, country, name, address, amenity, channel, listed, group, tag and your custom field names. Use -term or NOT to exclude, OR to combine and ( ) to group."
+        />
+        <button
+          class="btn btn-secondary"
+          id="filterButton"
+          onclick="toggleFilterPanel()"
+        >
+          🎛️ Filters
+        </button>
+        <select class="mode-select" id="viewModeSelect">
+          <option value="cards">Card view</option>
+          <option value="table">Table view</option>
+        </select>
+        <details class="column-picker" id="columnPicker">
+          <summary class="btn btn-secondary">Columns</summary>
+          <div class="column-picker-options" id="columnPickerOptions"></div>
+        </details>
+        <select
+          class="mode-select"
+          id="loadingModeSelect"
+          title="Light mode skips details, bookings and user data for faster loading"
+        >
+          <option value="full">Full data</option>
+          <option value="light">Light data</option>
+        </select>
+        <button
+          class="btn btn-secondary"
+          id="refreshButton"
+          onclick="refreshProperties()"
+          title="Reload properties from Hospitable, skipping the cache"
+        >
+          🔄 Refresh
+        </button>
+        <div class="selection-info">
+          <span id="selectedCount">0 selected</span>
+          <button
+            class="btn btn-secondary"
+            id="selectAllButton"
+            onclick="selectAllVisible()"
+          >
+            ☑️ Select All
+          </button>
+          <button
+            class="btn btn-secondary"
+            id="deselectAllButton"
+            onclick="deselectAll()"
+            style="display: none"
+          >
+            ☐ Deselect All
+          </button>
+          <button
+            class="btn btn-warning"
+            id="clearButton"
+            onclick="clearSelection()"
+            style="display: none"
+          >
+            🗑️ Clear
+          </button>
+          <button
+            class="btn btn-success"
+            id="copyButton"
+            onclick="copySelectedProperties()"
+            disabled
+          >
+            📋 Copy to Clipboard
+          </button>
+          <button
+            class="btn btn-success"
+            id="copyConversationsButton"
+            onclick="copySelectedWithConversations()"
+            title="Copy selected properties with their recent guest conversations, formatted for AI chat"
+            disabled
+          >
+            💬 Copy with Conversations
+          </button>
+          <button
+            class="btn btn-success"
+            id="copyReviewsButton"
+            onclick="copySelectedWithReviews()"
+            title="Copy selected properties with all of their reviews"
+            disabled
+          >
+            ⭐ Copy with Reviews
+          </button>
+        </div>
+      </div>
+
+      <div class="group-bar view-properties">
+        <select class="mode-select" id="groupSelect">
+          <option value="">Groups…</option>
+        </select>
+        <button class="btn btn-secondary" onclick="applyGroupSelection()">
+          ☑️ Select Group
+        </button>
+        <button class="btn btn-secondary" onclick="saveSelectionAsGroup(false)">
+          💾 Save Selection as Group
+        </button>
+        <button
+          class="btn btn-secondary"
+          onclick="saveSelectionAsGroup(true)"
+          title="Replace the chosen group's properties with the current selection"
+        >
+          🔁 Update Group
+        </button>
+        <button class="btn btn-warning" onclick="deletePropertyGroup()">
+          🗑️ Delete Group
+        </button>
+      </div>
+
+      <div
+        class="search-error view-properties"
+        id="searchError"
+        style="display: none"
+      ></div>
+
+      <div
+        class="filter-panel view-properties"
+        id="filterPanel"
+        style="display: none"
+      >
+        <label class="date-field">
+          Group
+          <select class="mode-select" id="filter-group"></select>
+        </label>
+        <label class="date-field">
+          Bedrooms ≥
+          <input type="number" id="filter-bedrooms" min="0" />
+        </label>
+        <label class="date-field">
+          Bathrooms ≥
+          <input type="number" id="filter-bathrooms" min="0" step="0.5" />
+        </label>
+        <label class="date-field">
+          Guests ≥
+          <input type="number" id="filter-guests" min="0" />
+        </label>
+        <label class="date-field">
+          Type
+          <select class="mode-select" id="filter-type"></select>
+        </label>
+        <label class="date-field">
+          Status
+          <select class="mode-select" id="filter-listed">
+            <option value="">Any</option>
+            <option value="listed">Listed</option>
+            <option value="unlisted">Unlisted</option>
+          </select>
+        </label>
+        <label class="date-field">
+          City
+          <select class="mode-select" id="filter-city"></select>
+        </label>
+        <label class="date-field">
+          Country
+          <select class="mode-select" id="filter-country"></select>
+        </label>
+        <label class="date-field">
+          Amenities
+          <select
+            class="mode-select"
+            id="filter-amenities"
+            multiple
+            size="4"
+          ></select>
+        </label>
+        <label class="date-field">
+          Tags
+          <select
+            class="mode-select"
+            id="filter-tags"
+            multiple
+            size="4"
+          ></select>
+        </label>
+        <label class="date-field">
+          Channels
+          <select
+            class="mode-select"
+            id="filter-channels"
+            multiple
+            size="4"
+          ></select>
+        </label>
+        <button class="btn btn-warning btn-sm" onclick="clearFilters()">
+          🗑️ Clear Filters
+        </button>
+      </div>
+
+      <div
+        class="export-options view-properties"
+        id="exportOptions"
+        style="display: none"
+      >
+        <label class="date-field">
+          Export format
+          <select class="mode-select" id="exportFormatSelect">
+            <option value="json-pretty">JSON (pretty)</option>
+            <option value="json">JSON (minified)</option>
+            <option value="markdown">Markdown tables</option>
+            <option value="yaml">YAML</option>
+            <option value="compact">Compact summary</option>
+          </select>
+        </label>
+        <label class="date-field">
+          Token budget
+          <input
+            type="number"
+            id="tokenBudgetInput"
+            min="0"
+            step="1000"
+            placeholder="No limit"
+            title="Trim fields until the export fits this many tokens"
+          />
+        </label>
+        <button
+          class="btn btn-secondary"
+          id="fieldPickerButton"
+          onclick="toggleFieldPicker()"
+          title="Choose which fields are exported"
+        >
+          🧩 Fields: All
+        </button>
+        <button
+          class="btn btn-secondary"
+          onclick="exportSpreadsheet('csv')"
+          title="Download the selected (or all filtered) properties as CSV"
+        >
+          📄 CSV
+        </button>
+        <button
+          class="btn btn-secondary"
+          onclick="exportSpreadsheet('xlsx')"
+          title="Download the selected (or all filtered) properties as an Excel workbook"
+        >
+          📗 Excel
+        </button>
+        <label
+          class="date-field"
+          title="Add internal notes to exports as internal_notes"
+        >
+          <input type="checkbox" id="includeNotesCheckbox" />
+          Include notes
+        </label>
+        <span class="export-estimate" id="exportEstimate"></span>
+      </div>
+
+      <div
+        class="export-options view-properties"
+        id="promptOptions"
+        style="display: none"
+      >
+        <select class="mode-select" id="promptTemplateSelect">
+          <option value="">Prompt template…</option>
+        </select>
+        <button
+          class="btn btn-success"
+          id="copyPromptButton"
+          onclick="copyAsPrompt()"
+          title="Copy the selected properties wrapped in the chosen prompt"
+          disabled
+        >
+          🧠 Copy as Prompt
+        </button>
+        <button class="btn btn-secondary" onclick="toggleTemplatePanel()">
+          ✏️ Edit Templates
+        </button>
+      </div>
+
+      <div
+        class="field-picker view-properties"
+        id="templatePanel"
+        style="display: none"
+      >
+        <form class="template-form" id="templateForm">
+          <input
+            type="text"
+            id="templateNameInput"
+            placeholder="Template name"
+            maxlength="80"
+            required
+          />
+          <textarea
+            id="templateBodyInput"
+            rows="5"
+            maxlength="4000"
+            placeholder="Compare these {{property_count}} properties...&#10;&#10;{{data}}"
+            required
+          ></textarea>
+          <p class="template-help">
+            Variables: {{property_count}}, {{property_names}}, {{date}},
+            {{format}}, {{data}}. The data is appended when {{data}} is missing.
+          </p>
+          <div class="field-picker-actions">
+            <button type="submit" class="btn btn-primary btn-sm">
+              💾 Save Template
+            </button>
+            <button
+              type="button"
+              class="btn btn-secondary btn-sm"
+              onclick="newPromptTemplate()"
+            >
+              ➕ New
+            </button>
+            <button
+              type="button"
+              class="btn btn-warning btn-sm"
+              id="deleteTemplateButton"
+              onclick="deletePromptTemplate()"
+            >
+              🗑️ Delete
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div
+        class="field-picker view-properties"
+        id="fieldPicker"
+        style="display: none"
+      >
+        <div class="field-picker-actions">
+          <select class="mode-select" id="fieldPresetSelect"></select>
+          <button class="btn btn-secondary btn-sm" onclick="saveFieldPreset()">
+            💾 Save Preset
+          </button>
+          <button class="btn btn-warning btn-sm" onclick="deleteFieldPreset()">
+            🗑️ Delete Preset
+          </button>
+          <button
+            class="btn btn-secondary btn-sm"
+            onclick="resetExportFields()"
+          >
+            ↺ All Fields
+          </button>
+        </div>
+        <div class="field-tree" id="fieldTree"></div>
+      </div>
+
+      <div
+        class="bulk-actions view-properties"
+        id="bulkActions"
+        style="display: none"
+      >
+        <p class="bulk-actions-label">
+          🔗 Open Selected Properties in Hospitable:
+        </p>
+        <div class="bulk-actions-buttons">
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('details')"
+            title="Property Details"
+          >
+            📋 Details
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('pricing')"
+            title="Pricing"
+          >
+            💰 Pricing
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('availability-rules')"
+            title="Availability"
+          >
+            📅 Availability
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('direct')"
+            title="Direct Booking"
+          >
+            🔗 Direct
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('messaging-rules')"
+            title="Messaging Rules"
+          >
+            💬 Messaging
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('review-rules')"
+            title="Review Rules"
+          >
+            ⭐ Reviews
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('team')"
+            title="Team"
+          >
+            👥 Team
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('notification-rules')"
+            title="Notifications"
+          >
+            🔔 Notifications
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('task-rules')"
+            title="Task Rules"
+          >
+            ✅ Tasks
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('custom-codes')"
+            title="Custom Codes"
+          >
+            🔐 Codes
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('canned-responses')"
+            title="Canned Responses"
+          >
+            💭 Responses
+          </button>
+          <button
+            class="btn btn-link btn-sm"
+            onclick="openSelectedLinks('merge-match')"
+            title="Merge & Match"
+          >
+            🔀 Merge
+          </button>
+        </div>
+      </div>
+
+      <div class="progress-info" id="progressInfo" style="display: none">
+        <div class="loading-spinner"></div>
+        <p id="progressText">Loading properties...</p>
+      </div>
+
+      <div class="main-layout view-properties">
+        <div class="properties-grid" id="propertiesGrid"></div>
+
+        <aside class="chat-panel" id="chatPanel">
+          <div class="chat-header">
+            <h3>💬 Chat with Properties</h3>
+            <span class="chat-context" id="chatContext">
+              Select properties to chat about
+            </span>
+          </div>
+          <div class="chat-messages" id="chatMessages"></div>
+          <form class="chat-form" id="chatForm">
+            <textarea
+              class="chat-input"
+              id="chatInput"
+              rows="3"
+              placeholder="Ask a question about the selected properties..."
+            ></textarea>
+            <button
+              type="submit"
+              class="btn btn-primary"
+              id="chatSendButton"
+              disabled
+            >
+              Send
+            </button>
+          </form>
+        </aside>
+      </div>
+
+      <div
+        class="load-more view-properties"
+        id="loadMoreContainer"
+        style="display: none"
+      >
+        <button
+          class="btn btn-primary"
+          id="loadMoreBtn"
+          onclick="loadMoreProperties()"
+        >
+          Load More Properties
+        </button>
+      </div>
+
+      <div
+        class="no-results view-properties"
+        id="noResults"
+        style="display: none"
+      >
+        <h3>No properties found</h3>
+        <p>Try adjusting your search criteria or check the API connection.</p>
+      </div>
+
+      <div class="view-reservations">
+        <div class="controls">
+          <input
+            type="text"
+            class="search-box"
+            id="reservationSearchBox"
+            placeholder="Search by guest, code, property or platform..."
+          />
+          <label class="date-field">
+            From
+            <input type="date" id="reservationStartDate" />
+          </label>
+          <label class="date-field">
+            To
+            <input type="date" id="reservationEndDate" />
+          </label>
+          <button class="btn btn-primary" onclick="loadReservations()">
+            🔍 Load
+          </button>
+          <div class="selection-info">
+            <span id="reservationSelectedCount">0 selected</span>
+            <button
+              class="btn btn-secondary"
+              onclick="selectAllVisibleReservations()"
+            >
+              ☑️ Select All
+            </button>
+            <button
+              class="btn btn-warning"
+              onclick="clearReservationSelection()"
+            >
+              🗑️ Clear
+            </button>
+            <button
+              class="btn btn-success"
+              id="copyReservationsButton"
+              onclick="copySelectedReservations()"
+              disabled
+            >
+              📋 Copy to Clipboard
+            </button>
+          </div>
+        </div>
+
+        <p class="reservations-scope" id="reservationsScope"></p>
+
+        <div class="properties-grid" id="reservationsGrid"></div>
+
+        <div class="no-results" id="reservationsEmpty" style="display: none">
+          <h3>No reservations found</h3>
+          <p>Try a different date range or property selection.</p>
+        </div>
+      </div>
+
+      <div class="view-calendar">
+        <div class="controls">
+          <label class="date-field">
+            From
+            <input type="date" id="calendarStartDate" />
+          </label>
+          <label class="date-field">
+            To
+            <input type="date" id="calendarEndDate" />
+          </label>
+          <button class="btn btn-primary" onclick="loadCalendars()">
+            🔍 Load
+          </button>
+          <div class="calendar-legend">
+            <span class="calendar-cell calendar-available">Available</span>
+            <span class="calendar-cell calendar-booked">Booked</span>
+            <span class="calendar-cell calendar-blocked">Blocked</span>
+          </div>
+        </div>
+
+        <p class="reservations-scope" id="calendarScope"></p>
+
+        <div class="calendar-timeline" id="calendarTimeline"></div>
+      </div>
+
+      <div class="view-analytics">
+        <div class="controls">
+          <label class="date-field">
+            From
+            <input type="date" id="analyticsStartDate" />
+          </label>
+          <label class="date-field">
+            To
+            <input type="date" id="analyticsEndDate" />
+          </label>
+          <button class="btn btn-primary" onclick="loadAnalytics()">
+            🔍 Calculate
+          </button>
+          <button
+            class="btn btn-success"
+            id="copyAnalyticsButton"
+            onclick="copyAnalyticsTable()"
+            disabled
+          >
+            📋 Copy as Table
+          </button>
+        </div>
+
+        <p class="reservations-scope" id="analyticsScope"></p>
+
+        <div class="analytics-summary" id="analyticsSummary"></div>
+        <div class="analytics-charts" id="analyticsCharts"></div>
+        <div class="analytics-table-wrapper" id="analyticsTable"></div>
+      </div>
+    </div>
+
+    <div class="meta-editor" id="metaEditor" style="display: none">
+      <form class="template-form meta-editor-form" id="metaEditorForm">
+        <h3 id="metaEditorTitle">🏷️ Tags</h3>
+        <label>
+          Tags (comma separated)
+          <input
+            type="text"
+            id="metaTagsInput"
+            placeholder="owner-smith, downtown, deep-clean"
+          />
+        </label>
+        <label>
+          Custom fields (one "name: value" per line)
+          <textarea
+            id="metaFieldsInput"
+            rows="5"
+            placeholder="owner: Jane Smith&#10;cleaning team: North crew&#10;region manager: Alex"
+          ></textarea>
+        </label>
+        <div class="field-picker-actions">
+          <button type="submit" class="btn btn-primary btn-sm">💾 Save</button>
+          <button
+            type="button"
+            class="btn btn-secondary btn-sm"
+            onclick="closeMetaEditor()"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+
+    <div class="meta-editor" id="notesEditor" style="display: none">
+      <form class="template-form meta-editor-form" id="notesEditorForm">
+        <h3 id="notesEditorTitle">📝 Notes</h3>
+        <textarea
+          id="notesTextInput"
+          rows="6"
+          maxlength="5000"
+          placeholder="HOA forbids pets, pool heater broken..."
+        ></textarea>
+        <div class="field-picker-actions">
+          <button
+            type="submit"
+            class="btn btn-primary btn-sm"
+            id="notesSaveButton"
+          >
+            💾 Save
+          </button>
+          <button
+            type="button"
+            class="btn btn-secondary btn-sm"
+            onclick="closeNotesEditor()"
+          >
+            Close
+          </button>
+        </div>
+        <h4>History</h4>
+        <div class="notes-history" id="notesHistory"></div>
+      </form>
+    </div>
+
+    <script src="/app.js"></script>
+  </body>
+</html>
+`;
+
+    case "login.html":
+      return `<!DOCTYPE html>
+<html lang="en">
   <head>
     <meta charset="UTF-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>Hospitable Properties Viewer</title>
+    <title>Login - Hospitable Properties Viewer</title>
     <link rel="stylesheet" href="/styles.css" />
   </head>
   <body>
-    <div class="container">
-      <div class="header">
-        <h1>🏠 Hospitable Properties Viewer</h1>
-        <p>
-          Browse, search, and export property data to chat with AI (ChatGPT,
-          Claude, etc.)
-        </p>
-      </div>
+    <div class="auth-container">
+      <form class="auth-form" method="POST" action="/login">
+        <h2>🏠 Properties Viewer</h2>
+        <p>Please login to access the properties dashboard</p>
+
+        <div id="authError" class="auth-error" style="display: none"></div>
+        <div id="authNotice" class="auth-notice" style="display: none"></div>
+
+        <div class="form-group">
+          <label for="username">Username:</label>
+          <input type="text" id="username" name="username" required />
+        </div>
+
+        <div class="form-group">
+          <label for="password">Password:</label>
+          <input type="password" id="password" name="password" required />
+        </div>
+
+        <button type="submit" class="btn btn-primary">Login</button>
+      </form>
+    </div>
+
+    <script>
+      // Show error message if present in URL
+      const urlParams = new URLSearchParams(window.location.search);
+      const error = urlParams.get("error");
+      const errorMessages = {
+        invalid: "Invalid username or password. Please try again.",
+        config:
+          "Login is not configured on the server. Please contact your administrator.",
+        error: "Something went wrong while logging in. Please try again.",
+      };
+      if (error === "locked") {
+        const retrySeconds = parseInt(urlParams.get("retry") || "60", 10);
+        const minutes = Math.max(1, Math.ceil(retrySeconds / 60));
+        const unit = minutes === 1 ? "minute" : "minutes";
+        errorMessages.locked = \`Too many failed login attempts. Please try again in \${minutes} \${unit}.\`;
+      }
+      if (error) {
+        const errorDiv = document.getElementById("authError");
+        errorDiv.textContent = errorMessages[error] || errorMessages.invalid;
+        errorDiv.style.display = "block";
+      } else if (urlParams.get("logged_out")) {
+        const noticeDiv = document.getElementById("authNotice");
+        noticeDiv.textContent = "You have been logged out.";
+        noticeDiv.style.display = "block";
+      }
+    </script>
+  </body>
+</html>
+`;
+
+    case "app.js":
+      return `// Application state
+let allProperties = [];
+let filteredProperties = [];
+let selectedProperties = new Set();
+let currentPage = 1;
+let isLoading = false;
+let hasMorePages = true;
+let totalProperties = 0;
+let loadedProperties = 0;
+let isChatStreaming = false;
+let currentUser = null;
+let bypassCache = false;
+let oldestCacheAge = 0;
+let upstreamRetries = 0;
+let loadingMode = localStorage.getItem("loadingMode") || "full";
+const fullDetailsCache = new Map();
+let allReservations = [];
+let filteredReservations = [];
+let selectedReservations = new Set();
+const reviewSummaries = new Map();
+const queuedReviewSummaries = new Set();
+const requestedReviewSummaries = new Set();
+let isLoadingReviewSummaries = false;
+const MAX_CALENDAR_PROPERTIES = 30;
+let analyticsResult = null;
+let promptTemplates = [];
+const propertyFilters = {};
+let filterOptionsCount = -1;
+let searchIndex = null;
+let searchHighlightTerms = new Set();
+let propertyView = localStorage.getItem("propertyView") || "cards";
+let propertySort = {};
+let tableColumns = [];
+let tableColumnWidths = {};
+let lastBookingDates = new Map();
+let propertyGroups = [];
+let propertyMeta = new Map();
+let propertyMetaVersion = 0;
+let propertyNotes = new Map();
+let exportFields = new Set(
+  JSON.parse(localStorage.getItem("exportFields") || "[]")
+);
+
+// Include sets requested from Hospitable for each loading mode. Light mode
+// skips details, bookings and user data; copying fetches them on demand.
+const LOADING_MODES = {
+  light: "listings",
+  full: "listings,details,bookings,user",
+};
+
+// DOM elements
+const searchBox = document.getElementById("searchBox");
+const propertiesGrid = document.getElementById("propertiesGrid");
+const selectedCount = document.getElementById("selectedCount");
+const copyButton = document.getElementById("copyButton");
+const copyConversationsButton = document.getElementById(
+  "copyConversationsButton"
+);
+const copyReviewsButton = document.getElementById("copyReviewsButton");
+const selectAllButton = document.getElementById("selectAllButton");
+const deselectAllButton = document.getElementById("deselectAllButton");
+const clearButton = document.getElementById("clearButton");
+const bulkActions = document.getElementById("bulkActions");
+const loadMoreBtn = document.getElementById("loadMoreBtn");
+const loadMoreContainer = document.getElementById("loadMoreContainer");
+const progressInfo = document.getElementById("progressInfo");
+const progressText = document.getElementById("progressText");
+const errorBanner = document.getElementById("errorBanner");
+const errorMessage = document.getElementById("errorMessage");
+const noResults = document.getElementById("noResults");
+const refreshButton = document.getElementById("refreshButton");
+const loadingModeSelect = document.getElementById("loadingModeSelect");
+const filterPanel = document.getElementById("filterPanel");
+const viewModeSelect = document.getElementById("viewModeSelect");
+const columnPicker = document.getElementById("columnPicker");
+const columnPickerOptions = document.getElementById("columnPickerOptions");
+const filterButton = document.getElementById("filterButton");
+const groupSelect = document.getElementById("groupSelect");
+const metaEditor = document.getElementById("metaEditor");
+const metaEditorTitle = document.getElementById("metaEditorTitle");
+const metaTagsInput = document.getElementById("metaTagsInput");
+const metaFieldsInput = document.getElementById("metaFieldsInput");
+const notesEditor = document.getElementById("notesEditor");
+const notesEditorTitle = document.getElementById("notesEditorTitle");
+const notesTextInput = document.getElementById("notesTextInput");
+const notesSaveButton = document.getElementById("notesSaveButton");
+const notesHistory = document.getElementById("notesHistory");
+const includeNotesCheckbox = document.getElementById("includeNotesCheckbox");
+const searchError = document.getElementById("searchError");
+const exportOptions = document.getElementById("exportOptions");
+const exportFormatSelect = document.getElementById("exportFormatSelect");
+const tokenBudgetInput = document.getElementById("tokenBudgetInput");
+const exportEstimate = document.getElementById("exportEstimate");
+const fieldPickerButton = document.getElementById("fieldPickerButton");
+const fieldPicker = document.getElementById("fieldPicker");
+const fieldTree = document.getElementById("fieldTree");
+const fieldPresetSelect = document.getElementById("fieldPresetSelect");
+const promptOptions = document.getElementById("promptOptions");
+const promptTemplateSelect = document.getElementById("promptTemplateSelect");
+const copyPromptButton = document.getElementById("copyPromptButton");
+const templatePanel = document.getElementById("templatePanel");
+const templateForm = document.getElementById("templateForm");
+const templateNameInput = document.getElementById("templateNameInput");
+const templateBodyInput = document.getElementById("templateBodyInput");
+const deleteTemplateButton = document.getElementById("deleteTemplateButton");
+const reservationSearchBox = document.getElementById("reservationSearchBox");
+const reservationStartDate = document.getElementById("reservationStartDate");
+const reservationEndDate = document.getElementById("reservationEndDate");
+const reservationsGrid = document.getElementById("reservationsGrid");
+const reservationsEmpty = document.getElementById("reservationsEmpty");
+const reservationsScope = document.getElementById("reservationsScope");
+const calendarStartDate = document.getElementById("calendarStartDate");
+const calendarEndDate = document.getElementById("calendarEndDate");
+const calendarScope = document.getElementById("calendarScope");
+const calendarTimeline = document.getElementById("calendarTimeline");
+const analyticsStartDate = document.getElementById("analyticsStartDate");
+const analyticsEndDate = document.getElementById("analyticsEndDate");
+const analyticsScope = document.getElementById("analyticsScope");
+const analyticsSummary = document.getElementById("analyticsSummary");
+const analyticsCharts = document.getElementById("analyticsCharts");
+const analyticsTable = document.getElementById("analyticsTable");
+const copyAnalyticsButton = document.getElementById("copyAnalyticsButton");
+const reservationSelectedCount = document.getElementById(
+  "reservationSelectedCount"
+);
+const copyReservationsButton = document.getElementById(
+  "copyReservationsButton"
+);
+const chatForm = document.getElementById("chatForm");
+const chatInput = document.getElementById("chatInput");
+const chatMessages = document.getElementById("chatMessages");
+const chatContext = document.getElementById("chatContext");
+const chatSendButton = document.getElementById("chatSendButton");
+const chatPanel = document.getElementById("chatPanel");
+const currentUserLabel = document.getElementById("currentUser");
+const adminLink = document.getElementById("adminLink");
+
+// Initialize the application
+document.addEventListener("DOMContentLoaded", function () {
+  searchBox.addEventListener("input", debounce(handleSearch, 300));
+  readFiltersFromUrl();
+  propertySort = readStoredJson("propertySort", {});
+  tableColumns = readStoredJson("tableColumns", Object.keys(TABLE_COLUMNS));
+  tableColumnWidths = readStoredJson("tableColumnWidths", {});
+  viewModeSelect.value = propertyView;
+  columnPicker.style.display = propertyView === "table" ? "" : "none";
+  renderColumnPicker();
+  viewModeSelect.addEventListener("change", handleViewModeChange);
+  columnPickerOptions.addEventListener("change", handleColumnToggle);
+  propertiesGrid.addEventListener("mousedown", startColumnResize);
+  window.addEventListener("scroll", scheduleVirtualWindowUpdate, {
+    passive: true,
+  });
+  window.addEventListener("resize", handleVirtualResize);
+  filterPanel.addEventListener("change", handleFilterChange);
+  filterPanel.addEventListener("input", debounce(handleFilterChange, 300));
+  loadingModeSelect.value = loadingMode;
+  loadingModeSelect.addEventListener("change", handleLoadingModeChange);
+  exportFormatSelect.value =
+    localStorage.getItem("exportFormat") || "json-pretty";
+  tokenBudgetInput.value = localStorage.getItem("tokenBudget") || "";
+  exportFormatSelect.addEventListener("change", handleExportOptionsChange);
+  tokenBudgetInput.addEventListener(
+    "input",
+    debounce(handleExportOptionsChange, 300)
+  );
+  fieldTree.addEventListener("change", handleFieldCheckboxChange);
+  fieldPresetSelect.addEventListener("change", applyFieldPreset);
+  promptTemplateSelect.addEventListener("change", () => {
+    if (templatePanel.style.display !== "none") fillTemplateForm();
+  });
+  templateForm.addEventListener("submit", savePromptTemplate);
+  updateFieldPickerButton();
+  reservationSearchBox.addEventListener(
+    "input",
+    debounce(handleReservationSearch, 300)
+  );
+  reservationStartDate.value = offsetDate(-30);
+  reservationEndDate.value = offsetDate(60);
+  calendarStartDate.value = offsetDate(0);
+  calendarEndDate.value = offsetDate(30);
+  analyticsStartDate.value = offsetDate(-30);
+  analyticsEndDate.value = offsetDate(0);
+  chatForm.addEventListener("submit", handleChatSubmit);
+  chatInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      chatForm.requestSubmit();
+    }
+  });
+  loadCurrentUser();
+  loadPropertyGroups();
+  loadPropertyMeta();
+  loadPropertyNotes();
+  document
+    .getElementById("notesEditorForm")
+    .addEventListener("submit", saveNotesEditor);
+  includeNotesCheckbox.checked = localStorage.getItem("includeNotes") === "1";
+  includeNotesCheckbox.addEventListener("change", () => {
+    localStorage.setItem(
+      "includeNotes",
+      includeNotesCheckbox.checked ? "1" : "0"
+    );
+    updateExportEstimate();
+  });
+  document
+    .getElementById("metaEditorForm")
+    .addEventListener("submit", saveMetaEditor);
+  loadInitialProperties();
+});
+
+// Load the logged-in user and hide actions their role doesn't allow
+async function loadCurrentUser() {
+  try {
+    const response = await fetch("/api/me");
+    if (!response.ok) return;
+    currentUser = await response.json();
+  } catch (error) {
+    console.error("Error loading current user:", error);
+    return;
+  }
+
+  currentUserLabel.textContent = \`\${currentUser.username} (\${currentUser.role})\`;
+  adminLink.style.display = currentUser.permissions.admin
+    ? "inline-block"
+    : "none";
+  chatPanel.style.display = canExport() ? "" : "none";
+  // Cards rendered before the role was known lack the edit buttons
+  if (allProperties.length > 0) renderProperties();
+  updateSelectionUI();
+  if (canExport()) loadPromptTemplates();
+}
+
+// Exporting (copy, chat, bulk links) needs the exporter role or higher
+function canExport() {
+  return currentUser ? currentUser.permissions.export : false;
+}
+
+// Load initial batch of properties
+async function loadInitialProperties() {
+  showLoading("Loading all properties...");
+  currentPage = 1;
+  allProperties = [];
+  loadedProperties = 0;
+  oldestCacheAge = 0;
+  upstreamRetries = 0;
+
+  // Auto-load all properties with full details included
+  await loadAllProperties();
+
+  // Now render everything, keeping any search typed while loading
+  handleSearch();
+  hideLoading();
+
+  if (allProperties.length > 0) {
+    showCompletionMessage();
+  }
+}
+
+// Auto-load all properties through the aggregated, streamed endpoint
+async function loadAllProperties() {
+  const pages = {};
+  const failedPages = [];
+  const refreshParam = bypassCache ? "&refresh=1" : "";
+  let lastPage = 0;
+  let finished = false;
+
+  isLoading = true;
+
+  try {
+    const response = await fetchWithRetry(
+      \`/api/properties/all?per_page=100&format=ndjson\${includeParam()}\${refreshParam}\`,
+      "properties"
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Failed to load properties");
+    }
+
+    // Render each page as it arrives so the grid fills in progressively
+    await readNdjson(response, (line) => {
+      if (line.type === "meta") {
+        totalProperties = line.total || 0;
+        currentPage = line.last_page || 1;
+        lastPage = currentPage;
+      } else if (line.type === "done") {
+        finished = true;
+      } else if (line.type === "page") {
+        pages[line.page] = line.data;
+        upstreamRetries += line.retries || 0;
+        oldestCacheAge = Math.max(oldestCacheAge, line.age || 0);
+        applyLoadedPages(pages);
+      } else if (line.type === "error") {
+        failedPages.push(line.page);
+      }
+    });
+
+    // A stream cut off before "done" is a failed load, not a short
+    // portfolio: every page it did not deliver is fetched again below
+    if (!finished) {
+      if (lastPage === 0) {
+        throw new Error("The property list ended before it started loading");
+      }
+      console.error("Property stream ended early; loading missing pages");
+      for (let page = 1; page <= lastPage; page++) {
+        if (!pages[page] && !failedPages.includes(page)) failedPages.push(page);
+      }
+    }
+
+    // Pages that still failed after the worker's own retries are fetched
+    // one at a time, waiting out any rate limit
+    for (const page of failedPages) {
+      const pageResponse = await fetchWithRetry(
+        \`/api/properties?page=\${page}&per_page=100\${includeParam()}\${refreshParam}\`,
+        \`page \${page}\`
+      );
+      const data = await pageResponse.json();
+
+      if (!pageResponse.ok) {
+        throw new Error(data.message || \`Failed to load page \${page}\`);
+      }
+
+      pages[page] = data.data;
+      applyLoadedPages(pages);
+    }
+  } catch (error) {
+    console.error("Error loading properties:", error);
+    showError(error.message, "LOAD_ERROR");
+  }
+
+  hasMorePages = false;
+  isLoading = false;
+}
+
+// Rebuild allProperties from the pages loaded so far, in page order
+function applyLoadedPages(pages) {
+  allProperties = Object.keys(pages)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap((page) => pages[page]);
+  loadedProperties = allProperties.length;
+
+  updateProgress();
+  const retryNote =
+    upstreamRetries > 0 ? \` (\${upstreamRetries} retries so far)\` : "";
+  showLoading(
+    \`Loading properties... \${loadedProperties}/\${
+      totalProperties || "?"
+    }\${retryNote}\`
+  );
+  handleSearch();
+}
+
+// Read a newline-delimited JSON response, calling onLine for each object
+async function readNdjson(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split("\\n");
+    buffer = lines.pop();
+    lines
+      .filter((line) => line.trim())
+      .forEach((line) => onLine(JSON.parse(line)));
+
+    if (done) break;
+  }
+
+  if (buffer.trim()) {
+    onLine(JSON.parse(buffer));
+  }
+}
+
+// Load properties from API, resolving to whether the page was loaded
+async function loadProperties() {
+  if (isLoading) return false;
+
+  isLoading = true;
+  loadMoreBtn.disabled = true;
+
+  try {
+    const refreshParam = bypassCache ? "&refresh=1" : "";
+    const response = await fetchWithRetry(
+      \`/api/properties?page=\${currentPage}&per_page=100\${includeParam()}\${refreshParam}\`,
+      \`page \${currentPage}\`
+    );
+    const data = await response.json();
+    upstreamRetries += parseInt(
+      response.headers.get("X-Upstream-Retries") || "0",
+      10
+    );
+    oldestCacheAge = Math.max(
+      oldestCacheAge,
+      parseInt(response.headers.get("Age") || "0", 10)
+    );
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load properties");
+    }
+
+    if (data.error) {
+      showError(data.message, data.error);
+      hideLoading();
+      isLoading = false;
+      loadMoreBtn.disabled = false;
+      return false;
+    }
+
+    // Update totals
+    totalProperties = data.meta.total;
+    loadedProperties += data.data.length;
+
+    // Add new properties to our collection
+    allProperties.push(...data.data);
+
+    // Update totals display
+    updateProgress();
+
+    // Check if there are more pages
+    hasMorePages = data.meta.current_page < data.meta.last_page;
+
+    // Don't render during auto-load, wait until all are loaded
+    loadMoreContainer.style.display = "none";
+  } catch (error) {
+    console.error("Error loading properties:", error);
+    showError(error.message, "LOAD_ERROR");
+    hideLoading();
+    isLoading = false;
+    loadMoreBtn.disabled = false;
+    return false;
+  }
+
+  isLoading = false;
+  loadMoreBtn.disabled = false;
+  return true;
+}
+
+// Errors worth waiting out: the worker already retried, but Hospitable may
+// ask us to back off for longer than a single request can wait
+const RETRYABLE_ERRORS = [
+  "RATE_LIMIT_ERROR",
+  "UPSTREAM_ERROR",
+  "NETWORK_ERROR",
+];
+const MAX_CLIENT_RETRIES = 5;
+
+// Fetch an API route, retrying with backoff while Hospitable is rate
+// limiting or unavailable and showing the countdown in the progress banner
+async function fetchWithRetry(url, label) {
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url);
+    if (response.ok || attempt > MAX_CLIENT_RETRIES) return response;
+
+    const data = await response
+      .clone()
+      .json()
+      .catch(() => ({}));
+    if (!RETRYABLE_ERRORS.includes(data.error)) return response;
+
+    const backoff = Math.min(2 ** attempt, 30) + Math.random() * 2;
+    const delaySeconds = Math.ceil(
+      Number.isFinite(data.retry_after) ? data.retry_after : backoff
+    );
+    const reason =
+      data.error === "RATE_LIMIT_ERROR"
+        ? "Hospitable rate limit reached"
+        : "Hospitable is unavailable";
+
+    for (let remaining = delaySeconds; remaining > 0; remaining--) {
+      showLoading(
+        \`\${reason}, retrying \${label} in \${remaining}s (attempt \${attempt}/\${MAX_CLIENT_RETRIES})...\`
+      );
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+// Query string fragment selecting the include set for the current mode
+function includeParam() {
+  return \`&include=\${LOADING_MODES[loadingMode]}\`;
+}
+
+// Switch between light and full loading and reload the grid
+async function handleLoadingModeChange() {
+  if (isLoading) {
+    loadingModeSelect.value = loadingMode;
+    return;
+  }
+
+  loadingMode = loadingModeSelect.value;
+  localStorage.setItem("loadingMode", loadingMode);
+  await loadInitialProperties();
+}
+
+// Reload every property from Hospitable, skipping the server cache
+async function refreshProperties() {
+  if (isLoading) return;
+
+  refreshButton.disabled = true;
+  bypassCache = true;
+  fullDetailsCache.clear();
+  await loadInitialProperties();
+  bypassCache = false;
+  refreshButton.disabled = false;
+}
+
+// Load more properties
+async function loadMoreProperties() {
+  if (!hasMorePages || isLoading) return;
+
+  showLoading(
+    \`Loading more properties... (\${loadedProperties}/\${totalProperties})\`
+  );
+  currentPage++;
+  await loadProperties();
+}
+
+// Handle search - focuses on property name and address only
+function handleSearch() {
+  const query = searchBox.value.trim();
+  const parsed = query === "" ? {} : parseSearchQuery(query);
+  showSearchError(parsed.error);
+
+  if (filterOptionsCount !== allProperties.length) {
+    renderFilterOptions();
+  }
+
+  if (!isFiltering()) {
+    searchHighlightTerms = new Set();
+    filteredProperties = allProperties;
+  } else {
+    // An invalid query is reported inline and otherwise ignored
+    filteredProperties = rankSearchResults(
+      allProperties.filter(
+        (property) =>
+          matchesFilters(property, propertyFilters) &&
+          (!parsed.ast || evaluateSearchQuery(parsed.ast, property))
+      ),
+      parsed.ast
+    );
+  }
+
+  const count = activeFilterCount();
+  filterButton.textContent = count > 0 ? \`🎛️ Filters (\${count})\` : "🎛️ Filters";
+  writeFiltersToUrl();
+  renderProperties();
+}
+
+// Render properties in the grid
+function renderProperties() {
+  lastBookingDates = collectLastBookingDates();
+  const propertiesToShow = sortProperties(
+    filteredProperties.length > 0 || isFiltering()
+      ? filteredProperties
+      : allProperties
+  );
+
+  propertiesGrid.innerHTML = "";
+
+  if (propertiesToShow.length === 0) {
+    if (allProperties.length === 0 && !isLoading) {
+      noResults.style.display = "block";
+    }
+    return;
+  }
+
+  noResults.style.display = "none";
+
+  if (propertyView === "table") {
+    const columns = tableColumns.filter((key) => TABLE_COLUMNS[key]);
+    renderPropertyRows(
+      renderPropertyTable(columns),
+      propertiesToShow,
+      (property) => createPropertyTableRow(property, columns),
+      () => {
+        const spacer = document.createElement("tr");
+        spacer.className = "virtual-spacer";
+        spacer.innerHTML = \`<td colspan="\${columns.length + 1}"></td>\`;
+        return spacer;
+      }
+    );
+  } else {
+    renderPropertyRows(
+      propertiesGrid,
+      propertiesToShow,
+      createPropertyCard,
+      () => document.createElement("div")
+    );
+  }
+
+  updateSelectionUI();
+}
+
+// Create property card HTML - compact table-like design
+function createPropertyCard(property) {
+  const card = document.createElement("div");
+  card.className = "property-card";
+  card.dataset.propertyId = property.id;
+
+  if (selectedProperties.has(property.id)) {
+    card.classList.add("selected");
+  }
+
+  const statusClass = property.listed ? "status-listed" : "status-unlisted";
+  const statusText = property.listed ? "Listed" : "Unlisted";
+  const snippet = getMatchSnippet(property);
+  queueReviewSummary(property.id);
+  const tagEditButton = canExport()
+    ? \`<button class="btn-tiny" onclick="openMetaEditor('\${property.id}')" title="Edit tags and custom fields">🏷️</button>\`
+    : "";
+  const notesButton = \`<button class="btn-tiny" onclick="openNotesEditor('\${
+    property.id
+  }')" title="\${canExport() ? "Edit notes" : "View notes"}">📝</button>\`;
+
+  card.innerHTML = \`
+        <div class="property-content-compact">
+            <div class="property-row">
+                <div class="property-info">
+                    <input type="checkbox" class="property-checkbox" 
+                           onchange="togglePropertySelection('\${property.id}')"
+                           \${
+                             selectedProperties.has(property.id)
+                               ? "checked"
+                               : ""
+                           }>
+                    <div class="property-text">
+                        <h4 class="property-title-compact">\${highlightSearchMatches(
+                          property.name || "Unnamed Property"
+                        )}</h4>
+                        \${
+                          property.public_name
+                            ? \`<span class="property-name-compact">\${highlightSearchMatches(
+                                property.public_name
+                              )}</span>\`
+                            : ""
+                        }
+                    </div>
+                </div>
+                
+                <div class="property-specs">
+                    <span>🏠 \${property.property_type || "N/A"}</span>
+                    <span>🛏️ \${property.capacity?.bedrooms || 0}br</span>
+                    <span>🛁 \${property.capacity?.bathrooms || 0}ba</span>
+                </div>
+                
+                <div class="property-address-compact">
+                    📍 \${highlightSearchMatches(
+                      property.address?.display || "Address not available"
+                    )}
+                </div>
+                \${renderPropertyTags(property)}
+                \${renderPropertyNote(property)}
+                \${snippet ? \`<div class="match-snippet">\${snippet}</div>\` : ""}
+                
+                <div class="property-quick-links">
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/details/overview" target="_blank" class="btn-tiny" tabindex="-1" title="Details">📋</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/pricing" target="_blank" class="btn-tiny" tabindex="-1" title="Pricing">💰</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/availability-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Availability">📅</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/direct" target="_blank" class="btn-tiny" tabindex="-1" title="Direct">🔗</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/messaging-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Messaging">💬</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/review-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Reviews">⭐</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/team" target="_blank" class="btn-tiny" tabindex="-1" title="Team">👥</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/notification-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Notifications">🔔</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/task-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Tasks">✅</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/custom-codes" target="_blank" class="btn-tiny" tabindex="-1" title="Codes">🔐</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/canned-responses" target="_blank" class="btn-tiny" tabindex="-1" title="Responses">💭</a>
+                    <a href="https://my.hospitable.com/properties/property/\${
+                      property.id
+                    }/merge-match" target="_blank" class="btn-tiny" tabindex="-1" title="Merge">�</a>
+                </div>
+                
+                <div class="property-status-right">
+                    \${notesButton}
+                    \${tagEditButton}
+                    <span class="rating-badge">\${formatRatingBadge(
+                      reviewSummaries.get(property.id)
+                    )}</span>
+                    <span class="property-status \${statusClass}">\${statusText}</span>
+                </div>
+            </div>
+        </div>
+    \`;
+
+  return card;
+}
+
+// Toggle property selection
+function togglePropertySelection(propertyId) {
+  if (selectedProperties.has(propertyId)) {
+    selectedProperties.delete(propertyId);
+  } else {
+    selectedProperties.add(propertyId);
+  }
+
+  updateSelectionUI([propertyId]);
+}
+
+// Search query language
+// The search box accepts plain words plus field terms, e.g.
+//   bedrooms:>=3 city:"Austin" -unlisted amenity:pool
+//   (city:austin OR city:denver) NOT channel:vrbo
+// Terms are ANDed unless joined with OR; "-" or NOT negates a term and
+// parentheses group. Plain words go through the full-text search index
+// below; custom fields are terms too, named with spaces and dashes as
+// underscores (owner:smith, cleaning_team:north, field2:x).
+// parseSearchQuery() returns { ast } or { error: { message, position } }.
+const QUERY_FIELDS = {
+  bedrooms: { type: "number", get: (p) => p.capacity?.bedrooms },
+  bathrooms: { type: "number", get: (p) => p.capacity?.bathrooms },
+  guests: { type: "number", get: (p) => p.capacity?.max },
+  type: { type: "text", get: (p) => p.property_type },
+  city: { type: "text", get: (p) => p.address?.city },
+  country: { type: "text", get: (p) => p.address?.country_code },
+  name: { type: "text", get: (p) => [p.name, p.public_name] },
+  address: { type: "text", get: (p) => p.address?.display },
+  amenity: { type: "list", get: (p) => p.amenities },
+  channel: { type: "list", get: getPropertyChannels },
+  listed: { type: "boolean", get: (p) => p.listed },
+  group: { type: "group", get: (p) => p.id },
+  tag: { type: "list", get: (p) => getPropertyMeta(p.id).tags },
+};
+const QUERY_FIELD_ALIASES = {
+  beds: "bedrooms",
+  baths: "bathrooms",
+  max: "guests",
+  amenities: "amenity",
+  channels: "channel",
+  platform: "channel",
+  tags: "tag",
+};
+// Bare keywords that stand for a field term
+const QUERY_KEYWORDS = {
+  listed: { field: "listed", op: "=", value: "true" },
+  unlisted: { field: "listed", op: "=", value: "false" },
+};
+
+function querySyntaxError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+function tokenizeSearchQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (
+      char === "-" &&
+      i + 1 < input.length &&
+      !/\\s/.test(input[i + 1])
+    ) {
+      tokens.push({ type: "-", position: i });
+      i++;
+    } else {
+      const start = i;
+      const field = /^([a-z0-9_]+):/i.exec(input.slice(i));
+      let name = null;
+      let op = "";
+
+      if (field) {
+        name = field[1].toLowerCase();
+        i += field[0].length;
+        op = /^(>=|<=|>|<|=)?/.exec(input.slice(i))[0];
+        i += op.length;
+      }
+
+      let value = "";
+      let quoted = false;
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw querySyntaxError("Missing closing quote", i);
+        }
+        value = input.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        while (i < input.length && !/[\\s()]/.test(input[i])) {
+          value += input[i++];
+        }
+      }
+
+      if (name !== null && value === "" && !quoted) {
+        throw querySyntaxError(\`Expected a value after "\${name}:\${op}"\`, i);
+      }
+
+      tokens.push(
+        name !== null
+          ? { type: "field", field: name, op, value, position: start }
+          : { type: "word", value, quoted, position: start }
+      );
+    }
+  }
+
+  return tokens;
+}
+
+function parseSearchQuery(input) {
+  try {
+    const tokens = tokenizeSearchQuery(input);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isKeyword = (token, keyword) =>
+      token &&
+      token.type === "word" &&
+      !token.quoted &&
+      token.value === keyword;
+
+    function parseOr() {
+      const children = [parseAnd()];
+      while (isKeyword(peek(), "OR")) {
+        index++;
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: "or", children };
+    }
+
+    function parseAnd() {
+      const children = [];
+      while (peek() && peek().type !== ")" && !isKeyword(peek(), "OR")) {
+        if (isKeyword(peek(), "AND")) {
+          index++;
+          continue;
+        }
+        children.push(parseUnary());
+      }
+
+      if (children.length === 0) {
+        const token = peek();
+        throw querySyntaxError(
+          "Expected a search term",
+          token ? token.position : input.length
+        );
+      }
+      return children.length === 1 ? children[0] : { type: "and", children };
+    }
+
+    function parseUnary() {
+      const token = peek();
+      if (token.type === "-" || isKeyword(token, "NOT")) {
+        index++;
+        if (!peek()) {
+          throw querySyntaxError("Expected a term to negate", input.length);
+        }
+        return { type: "not", child: parseUnary() };
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const token = tokens[index++];
+
+      if (token.type === "(") {
+        const expression = parseOr();
+        if (!peek() || peek().type !== ")") {
+          throw querySyntaxError("Missing closing parenthesis", token.position);
+        }
+        index++;
+        return expression;
+      }
+
+      if (token.type === "field") return parseFieldTerm(token);
+
+      const keyword = QUERY_KEYWORDS[token.value.toLowerCase()];
+      if (keyword && !token.quoted) return { type: "field", ...keyword };
+
+      return { type: "text", value: token.value.toLowerCase() };
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+      throw querySyntaxError("Unexpected )", tokens[index].position);
+    }
+    return { ast };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { error: { message: error.message, position: error.position } };
+  }
+}
+
+function parseFieldTerm(token) {
+  const field = QUERY_FIELD_ALIASES[token.field] || token.field;
+  const definition = QUERY_FIELDS[field];
+  // Custom field names are matched with spaces and dashes as underscores,
+  // so "cleaning team" is searched as cleaning_team:north
+  const customField = getCustomFieldNames().find(
+    (name) => name.toLowerCase().replace(/[ -]/g, "_") === token.field
+  );
+
+  if (!definition && customField) {
+    return {
+      type: "field",
+      custom: true,
+      field: customField,
+      value: token.value,
+    };
+  }
+
+  if (!definition) {
+    throw querySyntaxError(
+      \`Unknown field "\${token.field}". Try one of: \${[
+        ...Object.keys(QUERY_FIELDS),
+        ...getCustomFieldNames().map((name) =>
+          name.toLowerCase().replace(/[ -]/g, "_")
+        ),
+      ].join(", ")}\`,
+      token.position
+    );
+  }
+
+  if (definition.type === "number") {
+    if (token.value.trim() === "" || Number.isNaN(Number(token.value))) {
+      throw querySyntaxError(
+        \`"\${field}" needs a number, got "\${token.value}"\`,
+        token.position
+      );
+    }
+  } else if (token.op && token.op !== "=") {
+    throw querySyntaxError(
+      \`"\${token.op}" only works with numeric fields\`,
+      token.position
+    );
+  }
+
+  if (
+    definition.type === "boolean" &&
+    !["true", "false", "yes", "no"].includes(token.value.toLowerCase())
+  ) {
+    throw querySyntaxError(
+      \`"\${field}" must be true or false, got "\${token.value}"\`,
+      token.position
+    );
+  }
+
+  return {
+    type: "field",
+    field,
+    op: token.op || "=",
+    value: token.value,
+  };
+}
+
+function evaluateSearchQuery(node, property) {
+  switch (node.type) {
+    case "and":
+      return node.children.every((child) =>
+        evaluateSearchQuery(child, property)
+      );
+    case "or":
+      return node.children.some((child) =>
+        evaluateSearchQuery(child, property)
+      );
+    case "not":
+      return !evaluateSearchQuery(node.child, property);
+    case "text":
+      return matchesSearchText(node.value, property.id);
+    case "field":
+      return evaluateFieldTerm(node, property);
+    default:
+      return false;
+  }
+}
+
+function evaluateFieldTerm(node, property) {
+  if (node.custom) {
+    const value = getPropertyMeta(property.id).fields?.[node.field];
+    return String(value || "")
+      .toLowerCase()
+      .includes(node.value.toLowerCase());
+  }
+
+  const definition = QUERY_FIELDS[node.field];
+  const actual = definition.get(property);
+  const expected = node.value.toLowerCase();
+
+  switch (definition.type) {
+    case "number": {
+      if (actual === undefined || actual === null) return false;
+      const value = Number(node.value);
+      return {
+        ">=": actual >= value,
+        "<=": actual <= value,
+        ">": actual > value,
+        "<": actual < value,
+        "=": actual === value,
+      }[node.op];
+    }
+    case "boolean":
+      return Boolean(actual) === ["true", "yes"].includes(expected);
+    case "list":
+      return (actual || []).some((item) =>
+        String(item).toLowerCase().includes(expected)
+      );
+    case "group":
+      return propertyGroups.some(
+        (group) =>
+          group.name.toLowerCase().includes(expected) &&
+          group.propertyIds.includes(actual)
+      );
+    default:
+      return []
+        .concat(actual)
+        .filter(Boolean)
+        .some((text) => String(text).toLowerCase().includes(expected));
+  }
+}
+
+// Full-text search index
+// Plain search words are looked up in an inverted index over names,
+// addresses, listing titles, amenities, descriptions and house rules. A word
+// matches a term exactly, as a prefix, or within a small edit distance (one
+// typo for 4-7 letters, two from 8), and results are ranked by field weight
+// times match quality. The index is rebuilt whenever the loaded properties
+// or their fetched full details change.
+const SEARCH_FIELD_WEIGHTS = {
+  name: 5,
+  address: 3,
+  listing: 3,
+  amenity: 2,
+  tag: 3,
+  text: 1,
+};
+
+function normalizeSearchText(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\\u0300-\\u036f]/g, "")
+    .toLowerCase();
+}
+
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text).match(/[\\p{L}\\p{N}]+/gu) || [];
+}
+
+function getSearchDocumentFields(property) {
+  const fields = [];
+  const add = (field, text) => {
+    if (typeof text === "string" && text.trim()) fields.push({ field, text });
+  };
+
+  add("name", property.name);
+  add("name", property.public_name);
+  add("address", property.address?.display);
+  (property.listings || []).forEach((listing) => {
+    add("listing", listing.platform_name);
+    add("listing", listing.platform);
+  });
+  (property.amenities || []).forEach((amenity) => add("amenity", amenity));
+  add("text", property.description);
+  add("text", property.summary);
+
+  const meta = getPropertyMeta(property.id);
+  meta.tags.forEach((tag) => add("tag", tag));
+  Object.values(meta.fields || {}).forEach((value) => add("tag", value));
+
+  // House rules and other free text live in details
+  (function collect(value) {
+    if (typeof value === "string") add("text", value);
+    else if (value && typeof value === "object") {
+      Object.values(value).forEach(collect);
+    }
+  })(property.details);
+
+  return fields;
+}
+
+// The index is updated in place: only properties that are new or whose
+// data changed since the last call are (re)tokenized, so loading a large
+// portfolio page by page does not rebuild it from scratch each time. Tag
+// edits rebuild it, as they can touch any property.
+function getSearchIndex() {
+  if (!searchIndex || searchIndex.metaVersion !== propertyMetaVersion) {
+    searchIndex = {
+      metaVersion: propertyMetaVersion,
+      source: null,
+      detailsCount: -1,
+      postings: new Map(),
+      terms: [],
+      documents: new Map(),
+      sources: new Map(),
+      lookups: new Map(),
+    };
+  }
+
+  if (
+    searchIndex.source === allProperties &&
+    searchIndex.detailsCount === fullDetailsCache.size
+  ) {
+    return searchIndex;
+  }
+
+  const current = new Set();
+  let changed = false;
+  allProperties.forEach((property) => {
+    current.add(property.id);
+    const source = fullDetailsCache.get(property.id) || property;
+    if (searchIndex.sources.get(property.id) === source) return;
+
+    removeFromSearchIndex(property.id);
+    addToSearchIndex(property.id, source);
+    changed = true;
+  });
+
+  searchIndex.sources.forEach((source, id) => {
+    if (!current.has(id)) {
+      removeFromSearchIndex(id);
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    searchIndex.terms = [...searchIndex.postings.keys()];
+    searchIndex.lookups.clear();
+  }
+  searchIndex.source = allProperties;
+  searchIndex.detailsCount = fullDetailsCache.size;
+  return searchIndex;
+}
+
+function addToSearchIndex(propertyId, source) {
+  const fields = getSearchDocumentFields(source);
+  searchIndex.documents.set(propertyId, fields);
+  searchIndex.sources.set(propertyId, source);
+
+  fields.forEach(({ field, text }) => {
+    new Set(tokenizeSearchText(text)).forEach((term) => {
+      if (!searchIndex.postings.has(term)) {
+        searchIndex.postings.set(term, new Map());
+      }
+      const entry = searchIndex.postings.get(term);
+      entry.set(
+        propertyId,
+        (entry.get(propertyId) || 0) + SEARCH_FIELD_WEIGHTS[field]
+      );
+    });
+  });
+}
+
+function removeFromSearchIndex(propertyId) {
+  const fields = searchIndex.documents.get(propertyId);
+  if (!fields) return;
+
+  fields.forEach(({ text }) => {
+    tokenizeSearchText(text).forEach((term) => {
+      const entry = searchIndex.postings.get(term);
+      if (!entry) return;
+      entry.delete(propertyId);
+      if (entry.size === 0) searchIndex.postings.delete(term);
+    });
+  });
+  searchIndex.documents.delete(propertyId);
+  searchIndex.sources.delete(propertyId);
+}
+
+// Resolves a search word to { scores: Map<propertyId, score>, terms }
+function lookupSearchWord(word) {
+  const index = getSearchIndex();
+  if (index.lookups.has(word)) return index.lookups.get(word);
+
+  const scores = new Map();
+  const terms = new Set();
+  const maxDistance = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+  index.terms.forEach((term) => {
+    let quality = 0;
+    if (term === word) {
+      quality = 1;
+    } else if (word.length >= 2 && term.startsWith(word)) {
+      quality = 0.8;
+    } else if (
+      maxDistance > 0 &&
+      Math.abs(term.length - word.length) <= maxDistance &&
+      editDistance(word, term, maxDistance) <= maxDistance
+    ) {
+      quality = 0.5;
+    }
+    if (quality === 0) return;
+
+    terms.add(term);
+    index.postings.get(term).forEach((weight, propertyId) => {
+      scores.set(
+        propertyId,
+        Math.max(scores.get(propertyId) || 0, weight * quality)
+      );
+    });
+  });
+
+  const result = { scores, terms };
+  index.lookups.set(word, result);
+  return result;
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return rowMin;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function matchesSearchText(text, propertyId) {
+  return tokenizeSearchText(text).every((word) =>
+    lookupSearchWord(word).scores.has(propertyId)
+  );
+}
+
+// Words of the query that count towards ranking (negated ones don't)
+function collectRankedWords(node, words = []) {
+  if (node.type === "text") words.push(...tokenizeSearchText(node.value));
+  if (node.type === "and" || node.type === "or") {
+    node.children.forEach((child) => collectRankedWords(child, words));
+  }
+  return words;
+}
+
+// Order by relevance and remember which terms to highlight
+function rankSearchResults(properties, ast) {
+  const words = ast ? collectRankedWords(ast) : [];
+  searchHighlightTerms = new Set();
+  if (words.length === 0) return properties;
+
+  const lookups = words.map(lookupSearchWord);
+  lookups.forEach(({ terms }) =>
+    terms.forEach((term) => searchHighlightTerms.add(term))
+  );
+
+  const score = (property) =>
+    lookups.reduce(
+      (sum, { scores }) => sum + (scores.get(property.id) || 0),
+      0
+    );
+  return properties
+    .map((property) => ({ property, score: score(property) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ property }) => property);
+}
+
+// Escape text for HTML, wrapping words that matched the search in <mark>
+function highlightSearchMatches(text) {
+  return String(text)
+    .split(/([\\p{L}\\p{N}]+)/u)
+    .map((part, i) =>
+      i % 2 === 1 && searchHighlightTerms.has(normalizeSearchText(part))
+        ? \`<mark>\${escapeHtml(part)}</mark>\`
+        : escapeHtml(part)
+    )
+    .join("");
+}
+
+// Excerpt around the first match outside the name and address
+function getMatchSnippet(property) {
+  if (searchHighlightTerms.size === 0) return "";
+
+  const fields = getSearchIndex().documents.get(property.id) || [];
+  for (const { field, text } of fields) {
+    if (field === "name" || field === "address") continue;
+
+    for (const match of text.matchAll(/[\\p{L}\\p{N}]+/gu)) {
+      if (!searchHighlightTerms.has(normalizeSearchText(match[0]))) continue;
+
+      const start = Math.max(0, match.index - 60);
+      const end = Math.min(text.length, match.index + match[0].length + 60);
+      return (
+        (start > 0 ? "…" : "") +
+        highlightSearchMatches(text.slice(start, end)) +
+        (end < text.length ? "…" : "")
+      );
+    }
+  }
+  return "";
+}
+
+function showSearchError(error) {
+  searchBox.classList.toggle("invalid", Boolean(error));
+  searchError.style.display = error ? "block" : "none";
+  searchError.textContent = error
+    ? \`\${error.message} (at character \${error.position + 1})\`
+    : "";
+}
+
+// Table view
+// The grid can show compact cards or a table. Sorting (by clicking a table
+// header) applies to both views; without it properties keep API order, or
+// relevance order while searching. View, visible columns, column widths
+// and sort order are remembered in localStorage.
+const TABLE_COLUMNS = {
+  name: { label: "Name", value: (p) => p.name || "" },
+  city: { label: "City", value: (p) => p.address?.city || "" },
+  bedrooms: { label: "Bedrooms", value: (p) => p.capacity?.bedrooms ?? null },
+  bathrooms: {
+    label: "Bathrooms",
+    value: (p) => p.capacity?.bathrooms ?? null,
+  },
+  listed: { label: "Status", value: (p) => (p.listed ? "Listed" : "Unlisted") },
+  channels: { label: "Channels", value: (p) => getPropertyChannels(p).length },
+  tags: {
+    label: "Tags",
+    value: (p) => getPropertyMeta(p.id).tags.join(", "),
+  },
+  lastBooking: {
+    label: "Last Booking",
+    value: (p) => lastBookingDates.get(p.id) || null,
+  },
+};
+
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function handleViewModeChange() {
+  propertyView = viewModeSelect.value;
+  localStorage.setItem("propertyView", propertyView);
+  columnPicker.style.display = propertyView === "table" ? "" : "none";
+  renderProperties();
+}
+
+// Latest booking date per property, from embedded bookings and any
+// reservations loaded on the Reservations tab
+function collectLastBookingDates() {
+  const dates = new Map();
+  const record = (propertyId, booking) => {
+    const date = (booking.booking_date || booking.arrival_date || "").slice(
+      0,
+      10
+    );
+    if (date && date > (dates.get(propertyId) || "")) {
+      dates.set(propertyId, date);
+    }
+  };
+
+  allProperties.forEach((property) => {
+    if (Array.isArray(property.bookings)) {
+      property.bookings.forEach((booking) => record(property.id, booking));
+    }
+  });
+  allReservations.forEach((reservation) =>
+    (reservation.properties || []).forEach((property) =>
+      record(property.id, reservation)
+    )
+  );
+  return dates;
+}
+
+function sortProperties(properties) {
+  const column = TABLE_COLUMNS[propertySort.column];
+  if (!column) return properties;
+
+  const direction = propertySort.direction === "desc" ? -1 : 1;
+  return [...properties].sort((a, b) => {
+    const left = column.value(a);
+    const right = column.value(b);
+    // Missing values always sort last
+    if (left === null || left === "") return right === null ? 0 : 1;
+    if (right === null || right === "") return -1;
+    return typeof left === "number"
+      ? (left - right) * direction
+      : String(left).localeCompare(String(right), undefined, {
+          numeric: true,
+        }) * direction;
+  });
+}
+
+// Cycle a column through ascending, descending and unsorted
+function toggleSort(columnKey) {
+  if (propertySort.column !== columnKey) {
+    propertySort = { column: columnKey, direction: "asc" };
+  } else if (propertySort.direction === "asc") {
+    propertySort = { column: columnKey, direction: "desc" };
+  } else {
+    propertySort = {};
+  }
+  localStorage.setItem("propertySort", JSON.stringify(propertySort));
+  renderProperties();
+}
+
+function renderColumnPicker() {
+  columnPickerOptions.innerHTML = Object.entries(TABLE_COLUMNS)
+    .map(
+      ([key, column]) => \`
+        <label>
+            <input type="checkbox" value="\${key}" \${
+        tableColumns.includes(key) ? "checked" : ""
+      }>
+            \${column.label}
+        </label>\`
+    )
+    .join("");
+}
+
+function handleColumnToggle() {
+  tableColumns = [...columnPickerOptions.querySelectorAll("input:checked")].map(
+    (input) => input.value
+  );
+  localStorage.setItem("tableColumns", JSON.stringify(tableColumns));
+  renderProperties();
+}
+
+// Render the table shell and return its body for the rows
+function renderPropertyTable(columns) {
+  const arrow = (key) =>
+    propertySort.column === key
+      ? propertySort.direction === "desc"
+        ? " ▼"
+        : " ▲"
+      : "";
+
+  const header = columns
+    .map(
+      (key) => \`
+        <th data-column="\${key}" style="\${
+        tableColumnWidths[key] ? \`width: \${tableColumnWidths[key]}px\` : ""
+      }" onclick="toggleSort('\${key}')">
+            \${TABLE_COLUMNS[key].label}\${arrow(key)}
+            <span class="col-resizer" onclick="event.stopPropagation()"></span>
+        </th>\`
+    )
+    .join("");
+
+  propertiesGrid.innerHTML = \`
+        <div class="property-table-wrapper">
+            <table class="property-table">
+                <thead><tr><th class="select-col"></th>\${header}</tr></thead>
+                <tbody></tbody>
+            </table>
+        </div>
+    \`;
+  return propertiesGrid.querySelector("tbody");
+}
+
+function createPropertyTableRow(property, columns) {
+  const row = document.createElement("tr");
+  row.className = "property-table-row";
+  row.dataset.propertyId = property.id;
+  if (selectedProperties.has(property.id)) row.classList.add("selected");
+
+  const cells = columns
+    .map((key) => {
+      const value = TABLE_COLUMNS[key].value(property);
+      const text = value === null || value === "" ? "–" : String(value);
+      return \`<td>\${
+        key === "name" ? highlightSearchMatches(text) : escapeHtml(text)
+      }</td>\`;
+    })
+    .join("");
+
+  row.innerHTML = \`
+        <td><input type="checkbox" class="property-checkbox"
+                   onchange="togglePropertySelection('\${property.id}')"
+                   \${selectedProperties.has(property.id) ? "checked" : ""}></td>
+        \${cells}
+    \`;
+  return row;
+}
+
+// Drag a header's right edge to resize its column
+function startColumnResize(event) {
+  if (!event.target.classList.contains("col-resizer")) return;
+  event.preventDefault();
+
+  const th = event.target.parentElement;
+  const startX = event.clientX;
+  const startWidth = th.offsetWidth;
+
+  function onMove(moveEvent) {
+    th.style.width = \`\${Math.max(
+      60,
+      startWidth + moveEvent.clientX - startX
+    )}px\`;
+  }
+
+  function onUp() {
+    document.removeEventListener("mousemove", onMove);
+    document.removeEventListener("mouseup", onUp);
+    tableColumnWidths[th.dataset.column] = th.offsetWidth;
+    localStorage.setItem(
+      "tableColumnWidths",
+      JSON.stringify(tableColumnWidths)
+    );
+  }
+
+  document.addEventListener("mousemove", onMove);
+  document.addEventListener("mouseup", onUp);
+}
+
+// Virtualized rendering
+// Long lists only keep the rows near the viewport in the DOM. Spacers stand
+// in for the rows above and below the window; row heights are estimated
+// until a row has been rendered and measured. Rows that stay inside the
+// window are reused as it moves, so scrolling never rebuilds them.
+const VIRTUALIZE_THRESHOLD = 150;
+const VIRTUAL_OVERSCAN_PX = 800;
+let virtualList = null;
+let virtualFrame = null;
+
+function renderPropertyRows(container, properties, createRow, createSpacer) {
+  virtualList = null;
+
+  if (properties.length <= VIRTUALIZE_THRESHOLD) {
+    properties.forEach((property) =>
+      container.appendChild(createRow(property))
+    );
+    return;
+  }
+
+  virtualList = {
+    container,
+    items: properties,
+    createRow,
+    rendered: new Map(),
+    heights: new Map(),
+    estimate: 60,
+    gap: parseFloat(getComputedStyle(container).rowGap) || 0,
+    top: createSpacer(),
+    bottom: createSpacer(),
+  };
+  container.append(virtualList.top, virtualList.bottom);
+  updateVirtualWindow();
+}
+
+function scheduleVirtualWindowUpdate() {
+  if (!virtualList || virtualFrame) return;
+  virtualFrame = requestAnimationFrame(() => {
+    virtualFrame = null;
+    updateVirtualWindow();
+  });
+}
+
+function updateVirtualWindow() {
+  const list = virtualList;
+  // Hidden while another tab is open; updated again when shown
+  if (!list || !list.container.isConnected || !list.container.offsetParent) {
+    return;
+  }
+
+  const heightOf = (index) =>
+    list.heights.get(list.items[index].id) ?? list.estimate;
+  const listTop = list.container.getBoundingClientRect().top + window.scrollY;
+  const viewTop = window.scrollY - listTop - VIRTUAL_OVERSCAN_PX;
+  const viewBottom =
+    window.scrollY + window.innerHeight - listTop + VIRTUAL_OVERSCAN_PX;
+
+  let start = 0;
+  let offset = 0;
+  while (start < list.items.length && offset + heightOf(start) < viewTop) {
+    offset += heightOf(start++);
+  }
+  const topHeight = offset;
+
+  let end = start;
+  while (end < list.items.length && offset < viewBottom) {
+    offset += heightOf(end++);
+  }
+  let bottomHeight = 0;
+  for (let i = end; i < list.items.length; i++) bottomHeight += heightOf(i);
+
+  // Reuse rows still inside the window and drop the rest
+  const rendered = new Map();
+  const rows = list.items.slice(start, end).map((property) => {
+    const row = list.rendered.get(property.id) || list.createRow(property);
+    rendered.set(property.id, row);
+    return row;
+  });
+  list.rendered.forEach((row, id) => {
+    if (!rendered.has(id)) row.remove();
+  });
+  list.rendered = rendered;
+
+  let previous = list.top;
+  rows.forEach((row) => {
+    if (previous.nextSibling !== row) previous.after(row);
+    previous = row;
+  });
+  list.top.style.height = \`\${topHeight}px\`;
+  list.bottom.style.height = \`\${bottomHeight}px\`;
+
+  // Measure what was rendered; another pass settles changed estimates
+  let changed = false;
+  rows.forEach((row, i) => {
+    const height = row.getBoundingClientRect().height;
+    if (height === 0) return;
+    const measured = height + list.gap;
+    const id = list.items[start + i].id;
+    if (Math.abs((list.heights.get(id) ?? list.estimate) - measured) > 1) {
+      list.heights.set(id, measured);
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    const heights = [...list.heights.values()];
+    list.estimate = heights.reduce((sum, h) => sum + h, 0) / heights.length;
+    scheduleVirtualWindowUpdate();
+  }
+}
+
+// Row heights depend on the width, so measure again after a resize
+function handleVirtualResize() {
+  if (!virtualList) return;
+  virtualList.heights.clear();
+  scheduleVirtualWindowUpdate();
+}
+
+// Property notes
+// Internal notes shared by the team. The latest version of every note is
+// loaded at startup for the cards; the history is fetched when a note is
+// opened. With "Include notes" checked, exports carry them as internal_notes.
+async function loadPropertyNotes() {
+  try {
+    const response = await fetch("/api/notes");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    propertyNotes = new Map(Object.entries(data.data));
+    renderProperties();
+  } catch (error) {
+    console.error("Failed to load notes:", error);
+  }
+}
+
+function renderPropertyNote(property) {
+  const note = propertyNotes.get(property.id);
+  if (!note) return "";
+
+  const firstLine = note.text.split("\\n")[0];
+  return \`<div class="property-note" title="\${escapeHtml(
+    note.text
+  )}">📝 \${escapeHtml(
+    firstLine.length > 120 ? \`\${firstLine.slice(0, 120)}…\` : firstLine
+  )}</div>\`;
+}
+
+function withPropertyNote(exported, propertyId) {
+  const note = propertyNotes.get(propertyId);
+  if (!includeNotesCheckbox.checked || !note) return exported;
+  return { ...exported, internal_notes: note.text };
+}
+
+async function openNotesEditor(propertyId) {
+  const property = allProperties.find((p) => p.id === propertyId);
+  notesEditor.dataset.propertyId = propertyId;
+  notesEditorTitle.textContent = \`📝 \${property?.name || "Property"}\`;
+  notesTextInput.value = propertyNotes.get(propertyId)?.text || "";
+  notesTextInput.readOnly = !canExport();
+  notesSaveButton.style.display = canExport() ? "" : "none";
+  // Saving waits for the latest version, which guards against overwriting
+  notesSaveButton.disabled = true;
+  notesHistory.innerHTML = "<p>Loading history...</p>";
+  notesEditor.style.display = "flex";
+
+  try {
+    const response = await fetch(
+      \`/api/property/\${encodeURIComponent(propertyId)}/notes\`
+    );
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || "Failed to load notes");
+
+    const loadedText = propertyNotes.get(propertyId)?.text || "";
+    if (notesTextInput.value === loadedText) {
+      notesTextInput.value = data.current?.text || "";
+    }
+    notesEditor.dataset.version = data.version;
+    notesSaveButton.disabled = false;
+    renderNotesHistory(data.versions);
+  } catch (error) {
+    notesHistory.innerHTML = \`<p>\${escapeHtml(error.message)}</p>\`;
+  }
+}
+
+function renderNotesHistory(versions) {
+  notesHistory.innerHTML = versions.length
+    ? versions
+        .map(
+          (version) => \`
+        <div class="note-version">
+            <div class="note-version-meta">\${escapeHtml(
+              version.author
+            )} · \${new Date(version.createdAt).toLocaleString()}</div>
+            <div class="note-version-text">\${
+              version.text ? escapeHtml(version.text) : "<em>Cleared</em>"
+            }</div>
+        </div>\`
+        )
+        .join("")
+    : "<p>No earlier versions.</p>";
+}
+
+function closeNotesEditor() {
+  notesEditor.style.display = "none";
+}
+
+async function saveNotesEditor(event) {
+  event.preventDefault();
+  const propertyId = notesEditor.dataset.propertyId;
+  notesSaveButton.disabled = true;
+
+  try {
+    const response = await fetch(
+      \`/api/property/\${encodeURIComponent(propertyId)}/notes\`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          text: notesTextInput.value,
+          version: Number(notesEditor.dataset.version),
+        }),
+      }
+    );
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save note");
+    }
+
+    if (data.current) {
+      propertyNotes.set(propertyId, data.current);
+    } else {
+      propertyNotes.delete(propertyId);
+    }
+    closeNotesEditor();
+    renderProperties();
+  } catch (error) {
+    console.error("Failed to save note:", error);
+    showError(error.message, "SAVE_ERROR");
+  } finally {
+    notesSaveButton.disabled = false;
+  }
+}
+
+// Tags and custom fields
+// Internal metadata shared by the whole team, loaded once from /api/meta.
+// Tags show as chips on the cards, can be filtered on (Tags filter or
+// tag:owner-smith, and custom fields as owner:smith) and are merged into
+// exports as "tags" and "custom_fields".
+async function loadPropertyMeta() {
+  try {
+    const response = await fetch("/api/meta");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    propertyMeta = new Map(Object.entries(data.data));
+    propertyMetaVersion++;
+    renderFilterOptions();
+    handleSearch();
+  } catch (error) {
+    console.error("Failed to load tags:", error);
+  }
+}
+
+function getPropertyMeta(propertyId) {
+  return propertyMeta.get(propertyId) || { tags: [], fields: {} };
+}
+
+function getCustomFieldNames() {
+  const names = new Set();
+  propertyMeta.forEach((meta) =>
+    Object.keys(meta.fields || {}).forEach((name) => names.add(name))
+  );
+  return [...names];
+}
+
+function withPropertyMeta(property) {
+  const meta = propertyMeta.get(property.id);
+  if (!meta) return property;
+  return { ...property, tags: meta.tags, custom_fields: meta.fields };
+}
+
+function renderPropertyTags(property) {
+  const { tags, fields } = getPropertyMeta(property.id);
+  const chips = [
+    ...tags.map(
+      (tag) => \`<span class="tag-chip">\${highlightSearchMatches(tag)}</span>\`
+    ),
+    ...Object.entries(fields || {}).map(
+      ([name, value]) =>
+        \`<span class="tag-chip field-chip">\${escapeHtml(
+          name
+        )}: \${highlightSearchMatches(value)}</span>\`
+    ),
+  ];
+  return chips.length
+    ? \`<div class="property-tags">\${chips.join("")}</div>\`
+    : "";
+}
+
+function openMetaEditor(propertyId) {
+  const property = allProperties.find((p) => p.id === propertyId);
+  const { tags, fields } = getPropertyMeta(propertyId);
+
+  metaEditor.dataset.propertyId = propertyId;
+  metaEditor.dataset.version = getPropertyMeta(propertyId).version || 0;
+  metaEditorTitle.textContent = \`🏷️ \${property?.name || "Property"}\`;
+  metaTagsInput.value = tags.join(", ");
+  metaFieldsInput.value = Object.entries(fields || {})
+    .map(([name, value]) => \`\${name}: \${value}\`)
+    .join("\\n");
+  metaEditor.style.display = "flex";
+  metaTagsInput.focus();
+}
+
+function closeMetaEditor() {
+  metaEditor.style.display = "none";
+}
+
+// One "name: value" pair per line
+function parseCustomFields(text) {
+  const fields = {};
+  text.split("\\n").forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return fields;
+}
+
+async function saveMetaEditor(event) {
+  event.preventDefault();
+  const propertyId = metaEditor.dataset.propertyId;
+  const saveButton = metaEditor.querySelector('button[type="submit"]');
+  saveButton.disabled = true;
+
+  try {
+    const response = await fetch(
+      \`/api/property/\${encodeURIComponent(propertyId)}/meta\`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          tags: metaTagsInput.value.split(","),
+          fields: parseCustomFields(metaFieldsInput.value),
+          version: Number(metaEditor.dataset.version),
+        }),
+      }
+    );
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Someone else saved first: pick up their changes for the next edit
+      if (response.status === 409) loadPropertyMeta();
+      throw new Error(data.message || "Failed to save tags");
+    }
+
+    if (data.tags.length === 0 && Object.keys(data.fields).length === 0) {
+      propertyMeta.delete(propertyId);
+    } else {
+      propertyMeta.set(propertyId, data);
+    }
+    propertyMetaVersion++;
+    closeMetaEditor();
+    renderFilterOptions();
+    handleSearch();
+  } catch (error) {
+    console.error("Failed to save tags:", error);
+    showError(error.message, "SAVE_ERROR");
+  } finally {
+    saveButton.disabled = false;
+  }
+}
+
+// Property groups
+// Named selections stored server-side per user. A group can be re-applied
+// as the selection (and then exported like any selection), used as a
+// structured filter, or searched with group:"Downtown condos".
+async function loadPropertyGroups() {
+  try {
+    const response = await fetch("/api/groups");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    propertyGroups = data.data;
+    renderGroupOptions();
+    // Group filters from the URL only apply once the groups are known
+    if (isFiltering()) handleSearch();
+  } catch (error) {
+    console.error("Failed to load groups:", error);
+  }
+}
+
+function renderGroupOptions() {
+  const selected = groupSelect.value;
+  groupSelect.innerHTML =
+    '<option value="">Groups…</option>' +
+    propertyGroups
+      .map(
+        (group) =>
+          \`<option value="\${escapeHtml(group.id)}">\${escapeHtml(group.name)} (\${
+            group.propertyIds.length
+          })</option>\`
+      )
+      .join("");
+  groupSelect.value = selected;
+  renderFilterOptions();
+}
+
+function getSelectedGroup() {
+  return propertyGroups.find((group) => group.id === groupSelect.value);
+}
+
+// Replace the selection with the group's properties
+function applyGroupSelection() {
+  const group = getSelectedGroup();
+  if (!group) return;
+
+  selectedProperties = new Set(group.propertyIds);
+  updateSelectionUI();
+
+  const missing = group.propertyIds.filter(
+    (id) => !allProperties.some((property) => property.id === id)
+  ).length;
+  if (missing > 0) {
+    showError(
+      \`\${missing} properties of "\${group.name}" are not loaded (removed or still loading).\`,
+      "GROUP_WARNING"
+    );
+  }
+}
+
+async function saveSelectionAsGroup(updateExisting) {
+  if (selectedProperties.size === 0) {
+    showError("Select properties to save as a group.", "SAVE_ERROR");
+    return;
+  }
+
+  const existing = updateExisting ? getSelectedGroup() : null;
+  if (updateExisting && !existing) return;
+
+  const name = existing
+    ? existing.name
+    : (window.prompt("Group name") || "").trim();
+  if (!name) return;
+
+  try {
+    const response = await fetch("/api/groups", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: existing ? existing.id : undefined,
+        name,
+        propertyIds: [...selectedProperties],
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save group");
+    }
+
+    await loadPropertyGroups();
+    groupSelect.value = data.id;
+  } catch (error) {
+    console.error("Failed to save group:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+async function deletePropertyGroup() {
+  const group = getSelectedGroup();
+  if (!group || !window.confirm(\`Delete group "\${group.name}"?\`)) return;
+
+  try {
+    const response = await fetch(
+      \`/api/groups/\${encodeURIComponent(group.id)}\`,
+      { method: "DELETE" }
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Failed to delete group");
+    }
+
+    groupSelect.value = "";
+    if (propertyFilters.group === group.id) propertyFilters.group = "";
+    await loadPropertyGroups();
+    handleSearch();
+  } catch (error) {
+    console.error("Failed to delete group:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+// Structured filters
+// Filters compose with the text search (every active filter must match) and
+// are mirrored in the URL query string so a filtered view can be shared:
+//   ?q=lake&bedrooms=2&type=house&listed=listed&amenities=wifi,pool
+// Numeric filters are minimums. All chosen amenities and channels must be
+// present on a property.
+const FILTER_PARAMS = [
+  "group",
+  "bedrooms",
+  "bathrooms",
+  "guests",
+  "type",
+  "listed",
+  "city",
+  "country",
+  "amenities",
+  "channels",
+  "tags",
+];
+const LIST_FILTERS = ["amenities", "channels", "tags"];
+
+function getFilterInput(name) {
+  return document.getElementById(\`filter-\${name}\`);
+}
+
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  searchBox.value = params.get("q") || "";
+
+  FILTER_PARAMS.forEach((name) => {
+    const value = params.get(name) || "";
+    if (LIST_FILTERS.includes(name)) {
+      propertyFilters[name] = value ? value.split(",") : [];
+    } else {
+      propertyFilters[name] = value;
+    }
+  });
+  renderFilterOptions();
+  if (activeFilterCount() > 0) filterPanel.style.display = "flex";
+}
+
+function writeFiltersToUrl() {
+  const params = new URLSearchParams();
+  const query = searchBox.value.trim();
+  if (query) params.set("q", query);
+
+  FILTER_PARAMS.forEach((name) => {
+    const value = LIST_FILTERS.includes(name)
+      ? propertyFilters[name].join(",")
+      : propertyFilters[name];
+    if (value) params.set(name, value);
+  });
+
+  const search = params.toString();
+  history.replaceState(
+    null,
+    "",
+    \`\${window.location.pathname}\${search ? \`?\${search}\` : ""}\`
+  );
+}
+
+function handleFilterChange() {
+  FILTER_PARAMS.forEach((name) => {
+    const input = getFilterInput(name);
+    propertyFilters[name] = LIST_FILTERS.includes(name)
+      ? [...input.selectedOptions].map((option) => option.value)
+      : input.value.trim();
+  });
+  handleSearch();
+}
+
+function clearFilters() {
+  FILTER_PARAMS.forEach((name) => {
+    propertyFilters[name] = LIST_FILTERS.includes(name) ? [] : "";
+  });
+  renderFilterOptions();
+  handleSearch();
+}
+
+function toggleFilterPanel() {
+  filterPanel.style.display =
+    filterPanel.style.display === "none" ? "flex" : "none";
+}
+
+function activeFilterCount() {
+  return FILTER_PARAMS.filter((name) =>
+    LIST_FILTERS.includes(name)
+      ? propertyFilters[name].length > 0
+      : propertyFilters[name] !== ""
+  ).length;
+}
+
+function isFiltering() {
+  return searchBox.value.trim() !== "" || activeFilterCount() > 0;
+}
+
+function getPropertyChannels(property) {
+  return (property.listings || [])
+    .map((listing) => listing.platform)
+    .filter(Boolean);
+}
+
+function matchesFilters(property, filters) {
+  const capacity = property.capacity || {};
+  const atLeast = (value, min) => min === "" || (value || 0) >= Number(min);
+  const sameText = (value, expected) =>
+    expected === "" ||
+    String(value || "").toLowerCase() === expected.toLowerCase();
+
+  const group = propertyGroups.find((item) => item.id === filters.group);
+
+  return (
+    // A group that no longer exists filters nothing out
+    (filters.group === "" ||
+      !group ||
+      group.propertyIds.includes(property.id)) &&
+    atLeast(capacity.bedrooms, filters.bedrooms) &&
+    atLeast(capacity.bathrooms, filters.bathrooms) &&
+    atLeast(capacity.max, filters.guests) &&
+    sameText(property.property_type, filters.type) &&
+    sameText(property.address?.city, filters.city) &&
+    sameText(property.address?.country_code, filters.country) &&
+    (filters.listed === "" ||
+      Boolean(property.listed) === (filters.listed === "listed")) &&
+    filters.amenities.every((amenity) =>
+      (property.amenities || []).includes(amenity)
+    ) &&
+    filters.channels.every((channel) =>
+      getPropertyChannels(property).includes(channel)
+    ) &&
+    filters.tags.every((tag) => getPropertyMeta(property.id).tags.includes(tag))
+  );
+}
+
+// Fill the select filters with the values found in the loaded properties,
+// keeping current choices even before the properties carrying them load
+function renderFilterOptions() {
+  const values = {
+    type: allProperties.map((p) => p.property_type),
+    city: allProperties.map((p) => p.address?.city),
+    country: allProperties.map((p) => p.address?.country_code),
+    amenities: allProperties.flatMap((p) => p.amenities || []),
+    channels: allProperties.flatMap(getPropertyChannels),
+    tags: [...propertyMeta.values()].flatMap((meta) => meta.tags),
+  };
+
+  Object.entries(values).forEach(([name, found]) => {
+    const chosen = LIST_FILTERS.includes(name)
+      ? propertyFilters[name]
+      : [propertyFilters[name]].filter(Boolean);
+    const options = [...new Set([...found, ...chosen].filter(Boolean))].sort();
+    const input = getFilterInput(name);
+
+    input.innerHTML =
+      (LIST_FILTERS.includes(name) ? "" : '<option value="">Any</option>') +
+      options
+        .map(
+          (value) =>
+            \`<option value="\${escapeHtml(value)}"\${
+              chosen.includes(value) ? " selected" : ""
+            }>\${escapeHtml(value)}</option>\`
+        )
+        .join("");
+  });
+
+  getFilterInput("group").innerHTML =
+    '<option value="">Any</option>' +
+    propertyGroups
+      .map(
+        (group) =>
+          \`<option value="\${escapeHtml(group.id)}">\${escapeHtml(
+            group.name
+          )}</option>\`
+      )
+      .join("");
+
+  ["group", "bedrooms", "bathrooms", "guests", "listed"].forEach((name) => {
+    getFilterInput(name).value = propertyFilters[name];
+  });
+  filterOptionsCount = allProperties.length;
+}
+
+// Update selection UI. With changedIds only those rows are restyled;
+// otherwise every rendered row is (at most one window when virtualized).
+function updateSelectionUI(changedIds) {
+  const count = selectedProperties.size;
+  selectedCount.textContent = \`\${count} selected\`;
+  copyButton.disabled = count === 0;
+  copyButton.style.display = canExport() ? "inline-block" : "none";
+  copyConversationsButton.disabled = count === 0;
+  copyConversationsButton.style.display = canExport() ? "inline-block" : "none";
+  copyReviewsButton.disabled = count === 0;
+  copyReviewsButton.style.display = canExport() ? "inline-block" : "none";
+  copyPromptButton.disabled = count === 0;
+  exportOptions.style.display = canExport() ? "flex" : "none";
+  promptOptions.style.display = canExport() ? "flex" : "none";
+  scheduleExportEstimate();
+
+  // Show/hide bulk actions and clear button
+  bulkActions.style.display = count > 0 && canExport() ? "block" : "none";
+  clearButton.style.display = count > 0 ? "inline-block" : "none";
+
+  updateChatContext();
+
+  // Show/hide select/deselect all buttons
+  const visibleProperties =
+    filteredProperties.length > 0 || isFiltering()
+      ? filteredProperties
+      : allProperties;
+
+  const allVisibleSelected =
+    visibleProperties.length > 0 &&
+    visibleProperties.every((p) => selectedProperties.has(p.id));
+
+  if (allVisibleSelected && count > 0) {
+    selectAllButton.style.display = "none";
+    deselectAllButton.style.display = "inline-block";
+  } else {
+    selectAllButton.style.display = "inline-block";
+    deselectAllButton.style.display = "none";
+  }
+
+  // Update card and table row styling
+  const rows = changedIds
+    ? changedIds
+        .map((id) => propertiesGrid.querySelector(\`[data-property-id="\${id}"]\`))
+        .filter(Boolean)
+    : propertiesGrid.querySelectorAll(".property-card, .property-table-row");
+  rows.forEach((card) => {
+    const propertyId = card.dataset.propertyId;
+    const checkbox = card.querySelector(".property-checkbox");
+    if (selectedProperties.has(propertyId)) {
+      card.classList.add("selected");
+      if (checkbox) checkbox.checked = true;
+    } else {
+      card.classList.remove("selected");
+      if (checkbox) checkbox.checked = false;
+    }
+  });
+}
+
+// Select all visible properties (in search results)
+function selectAllVisible() {
+  const propertiesToSelect =
+    filteredProperties.length > 0 || isFiltering()
+      ? filteredProperties
+      : allProperties;
+
+  propertiesToSelect.forEach((property) => {
+    selectedProperties.add(property.id);
+  });
+
+  updateSelectionUI();
+}
+
+// Deselect all properties
+function deselectAll() {
+  selectedProperties.clear();
+  updateSelectionUI();
+}
+
+// Clear selection (alias for deselectAll)
+function clearSelection() {
+  selectedProperties.clear();
+  updateSelectionUI();
+}
+
+// Open selected properties in Hospitable
+function openSelectedLinks(linkType) {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  const selectedData = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  const linkMap = {
+    details: "details/overview",
+    pricing: "pricing",
+    "availability-rules": "availability-rules",
+    direct: "direct",
+    "messaging-rules": "messaging-rules",
+    "review-rules": "review-rules",
+    team: "team",
+    "notification-rules": "notification-rules",
+    "task-rules": "task-rules",
+    "custom-codes": "custom-codes",
+    "canned-responses": "canned-responses",
+    "merge-match": "merge-match",
+  };
+
+  const urlPath = linkMap[linkType];
+  if (!urlPath) return;
+
+  // Confirm if opening many tabs
+  if (selectedData.length > 10) {
+    const confirm = window.confirm(
+      \`This will open \${selectedData.length} new tabs. Continue?\`
+    );
+    if (!confirm) return;
+  }
+
+  selectedData.forEach((property) => {
+    const url = \`https://my.hospitable.com/properties/property/\${property.id}/\${urlPath}\`;
+    window.open(url, "_blank");
+  });
+}
+
+// Copy selected properties to clipboard
+// With a prompt template the export is wrapped into a ready-to-paste prompt
+async function copySelectedProperties(template) {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  showLoading(
+    \`Copying \${selectedProperties.size} properties with full details...\`
+  );
+
+  let selectedData;
+  try {
+    selectedData = await getSelectedFullDetails();
+  } catch (error) {
+    console.error("Failed to load full details:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
+    return;
+  }
+
+  const exported = buildExport(
+    getExportProperties(selectedData),
+    exportFormatSelect.value,
+    getTokenBudget()
+  );
+
+  const text = template
+    ? renderPromptTemplate(template, selectedData, exported.text)
+    : exported.text;
+  const button = template ? copyPromptButton : copyButton;
+
+  try {
+    await navigator.clipboard.writeText(text);
+
+    // Visual feedback
+    const originalText = button.textContent;
+    button.textContent = \`✅ Copied ~\${estimateTokens(
+      text
+    ).toLocaleString()} tokens\`;
+    hideLoading();
+    updateExportEstimate();
+
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy to clipboard:", error);
+    hideLoading();
+
+    // Fallback: show data in a modal or new window
+    const newWindow = window.open("", "_blank");
+    newWindow.document.write(\`
+            <html>
+                <head><title>Selected Properties Data</title></head>
+                <body>
+                    <h3>Selected Properties Data (Full Details)</h3>
+                    <p>Copy the data below:</p>
+                    <textarea style="width: 100%; height: 400px;">\${escapeHtml(
+                      text
+                    )}</textarea>
+                </body>
+            </html>
+        \`);
+  }
+}
+
+// Export formats
+// Every format is built from the same property objects. Token counts are
+// estimated at ~4 characters per token, which is close enough for GPT and
+// Claude tokenizers on mixed JSON and prose.
+const EXPORT_FORMATS = {
+  "json-pretty": (data) => JSON.stringify(data, null, 2),
+  json: (data) => JSON.stringify(data),
+  markdown: formatMarkdownExport,
+  yaml: (data) => toYaml(data),
+  compact: formatCompactExport,
+};
+
+// Trimming steps tried in order until an export fits the token budget
+const BUDGET_TRIM_STEPS = [
+  (data) => data,
+  (data) => compactValue(data),
+  (data) => truncateValue(compactValue(data), 300, 20),
+  (data) => truncateValue(compactValue(data), 100, 5),
+  (data) => pruneDepth(truncateValue(compactValue(data), 100, 5), 2),
+];
+
+const ID_KEY_PATTERN = /(^id\$|_id\$|^uuid\$|_uuid\$)/i;
+const IMAGE_URL_PATTERN =
+  /^https?:\\/\\/\\S+\\.(jpe?g|png|gif|webp|svg|avif)(\\?\\S*)?\$/i;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Format the data and trim it until it fits the budget (0 means no cap)
+function buildExport(data, format, budget) {
+  const formatter = EXPORT_FORMATS[format] || EXPORT_FORMATS["json-pretty"];
+
+  let text = "";
+  for (const trim of BUDGET_TRIM_STEPS) {
+    text = formatter(trim(data));
+    if (!budget || estimateTokens(text) <= budget) {
+      return { text, tokens: estimateTokens(text), omitted: 0 };
+    }
+  }
+
+  // Still over budget with every field trimmed: drop whole properties.
+  // Binary search for the longest prefix that fits so large selections
+  // are formatted a handful of times instead of once per dropped property
+  const trimmed = BUDGET_TRIM_STEPS[BUDGET_TRIM_STEPS.length - 1](data);
+  let kept = 1;
+  let low = 1;
+  let high = trimmed.length - 1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (estimateTokens(formatter(trimmed.slice(0, middle))) <= budget) {
+      kept = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  text = formatter(trimmed.slice(0, kept));
+
+  const omitted = trimmed.length - kept;
+  if (omitted > 0) {
+    text += \`\\n\\n(\${omitted} more properties omitted to fit the token budget)\`;
+  }
+  return { text, tokens: estimateTokens(text), omitted };
+}
+
+function getTokenBudget() {
+  const budget = parseInt(tokenBudgetInput.value, 10);
+  return budget > 0 ? budget : 0;
+}
+
+function handleExportOptionsChange() {
+  localStorage.setItem("exportFormat", exportFormatSelect.value);
+  localStorage.setItem("tokenBudget", tokenBudgetInput.value);
+  updateExportEstimate();
+}
+
+// Estimating formats every selected property, so selection changes are
+// debounced to keep select-all responsive on large portfolios
+const scheduleExportEstimate = debounce(updateExportEstimate, 300);
+
+// Estimate from the data loaded so far; copying may add full details
+function updateExportEstimate() {
+  if (selectedProperties.size === 0) {
+    exportEstimate.textContent = "";
+    return;
+  }
+
+  const data = allProperties.filter((p) => selectedProperties.has(p.id));
+  const { tokens, omitted } = buildExport(
+    getExportProperties(data.map((p) => fullDetailsCache.get(p.id) || p)),
+    exportFormatSelect.value,
+    getTokenBudget()
+  );
+
+  exportEstimate.textContent =
+    \`~\${tokens.toLocaleString()} tokens\` +
+    (omitted > 0 ? \` (\${omitted} properties over budget)\` : "");
+}
+
+// Drop nulls, empty values, IDs and image URLs
+function compactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(compactValue).filter((item) => !isEmptyValue(item));
+  }
+
+  if (value && typeof value === "object") {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (ID_KEY_PATTERN.test(key)) return;
+      const compacted = compactValue(item);
+      if (!isEmptyValue(compacted)) result[key] = compacted;
+    });
+    return result;
+  }
+
+  if (typeof value === "string" && IMAGE_URL_PATTERN.test(value.trim())) {
+    return null;
+  }
+  return value;
+}
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+// Shorten long strings and arrays, keeping the top-level property list whole
+function truncateValue(value, maxString, maxItems, depth = 0) {
+  if (Array.isArray(value)) {
+    const items = depth === 0 ? value : value.slice(0, maxItems);
+    return items.map((item) =>
+      truncateValue(item, maxString, maxItems, depth + 1)
+    );
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        truncateValue(item, maxString, maxItems, depth + 1),
+      ])
+    );
+  }
+
+  if (typeof value === "string" && value.length > maxString) {
+    return \`\${value.slice(0, maxString)}…\`;
+  }
+  return value;
+}
+
+// Remove objects nested deeper than maxDepth levels inside each property
+function pruneDepth(value, maxDepth, depth = -1) {
+  if (Array.isArray(value)) {
+    return value.map((item) => pruneDepth(item, maxDepth, depth));
+  }
+
+  if (value && typeof value === "object") {
+    if (depth >= maxDepth) return undefined;
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const pruned = pruneDepth(item, maxDepth, depth + 1);
+      if (pruned !== undefined) result[key] = pruned;
+    });
+    return result;
+  }
+  return value;
+}
+
+// Flatten an object into dot-path keys; arrays of scalars are joined
+function flattenObject(value, prefix = "", result = {}) {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const path = prefix ? \`\${prefix}.\${key}\` : key;
+
+    if (Array.isArray(item)) {
+      result[path] = item.every((entry) => typeof entry !== "object")
+        ? item.join(", ")
+        : JSON.stringify(item);
+    } else if (item && typeof item === "object") {
+      flattenObject(item, path, result);
+    } else {
+      result[path] = item;
+    }
+  });
+  return result;
+}
+
+function formatMarkdownExport(properties) {
+  return properties
+    .map((property) => {
+      const rows = Object.entries(flattenObject(property)).map(
+        ([key, value]) =>
+          \`| \${key} | \${String(value ?? "")
+            .replace(/\\|/g, "\\\\|")
+            .replace(/\\n+/g, " ")} |\`
+      );
+      return [
+        \`## \${property.name || "Unnamed Property"}\`,
+        "",
+        "| Field | Value |",
+        "|---|---|",
+        ...rows,
+      ].join("\\n");
+    })
+    .join("\\n\\n");
+}
+
+function formatCompactExport(properties) {
+  return compactValue(properties)
+    .map((property) => {
+      const lines = Object.entries(flattenObject(property)).map(
+        ([key, value]) => \`\${key}: \${String(value).replace(/\\n+/g, " ")}\`
+      );
+      return [\`## \${property.name || "Unnamed Property"}\`, ...lines].join("\\n");
+    })
+    .join("\\n\\n");
+}
+
+// Minimal YAML writer for JSON data
+function toYaml(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return value
+      .map((item) => {
+        const nested = toYaml(item, \`\${indent}  \`);
+        return isYamlBlock(item)
+          ? \`\${indent}- \${nested.trimStart()}\`
+          : \`\${indent}- \${nested}\`;
+      })
+      .join("\\n");
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return "{}";
+    return entries
+      .map(([key, item]) =>
+        isYamlBlock(item)
+          ? \`\${indent}\${yamlString(key)}:\\n\${toYaml(item, \`\${indent}  \`)}\`
+          : \`\${indent}\${yamlString(key)}: \${toYaml(item, \`\${indent}  \`)}\`
+      )
+      .join("\\n");
+  }
+
+  if (typeof value === "string") return yamlString(value);
+  return value === null || value === undefined ? "null" : String(value);
+}
+
+// Plain scalar when unambiguous, otherwise a double-quoted (JSON) string;
+// used for keys as well as values
+function yamlString(text) {
+  return /^[\\w.,@/()-]+( [\\w.,@/()-]+)*\$/.test(text) &&
+    !/^(true|false|null|yes|no|~|[\\d.+-].*)\$/i.test(text)
+    ? text
+    : JSON.stringify(text);
+}
+
+function isYamlBlock(value) {
+  return (
+    value !== null && typeof value === "object" && Object.keys(value).length > 0
+  );
+}
+
+// Export field picker
+// Fields are stored as leaf paths such as "address.display"; an empty set
+// means every field. Arrays are treated as leaves, so "details.amenities"
+// is picked as a whole. The property name is always kept so exports stay
+// readable.
+function discoverFieldPaths(properties) {
+  const paths = new Set();
+
+  function walk(value, prefix) {
+    Object.entries(value).forEach(([key, item]) => {
+      const path = prefix ? \`\${prefix}.\${key}\` : key;
+      if (isPlainObject(item) && Object.keys(item).length > 0) {
+        walk(item, path);
+      } else {
+        paths.add(path);
+      }
+    });
+  }
 
-      <div class="error-banner" id="errorBanner">
-        <strong>Error:</strong> <span id="errorMessage"></span>
-      </div>
+  properties.forEach((property) => walk(property, ""));
+  return [...paths].sort();
+}
 
-      <div class="controls">
-        <input
-          type="text"
-          class="search-box"
-          id="searchBox"
-          placeholder="Search by property name or address..."
-        />
-        <div class="selection-info">
-          <span id="selectedCount">0 selected</span>
-          <button
-            class="btn btn-secondary"
-            id="selectAllButton"
-            onclick="selectAllVisible()"
-          >
-            ☑️ Select All
-          </button>
-          <button
-            class="btn btn-secondary"
-            id="deselectAllButton"
-            onclick="deselectAll()"
-            style="display: none"
-          >
-            ☐ Deselect All
-          </button>
-          <button
-            class="btn btn-warning"
-            id="clearButton"
-            onclick="clearSelection()"
-            style="display: none"
-          >
-            🗑️ Clear
-          </button>
-          <button
-            class="btn btn-success"
-            id="copyButton"
-            onclick="copySelectedProperties()"
-            disabled
-          >
-            📋 Copy to Clipboard
-          </button>
-        </div>
-      </div>
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function pickFields(property, fields) {
+  if (fields.size === 0) return property;
+
+  const result = { name: property.name };
+  fields.forEach((path) => {
+    const keys = path.split(".");
+    let source = property;
+    for (const key of keys) {
+      if (!isPlainObject(source) || !(key in source)) return;
+      source = source[key];
+    }
+
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = source;
+  });
+  return result;
+}
+
+// Notes have their own "Include notes" toggle, so they are added after the
+// field selection rather than being one of its fields
+function getExportProperties(properties) {
+  return properties.map((property) =>
+    withPropertyNote(
+      pickFields(withPropertyMeta(property), exportFields),
+      property.id
+    )
+  );
+}
+
+function toggleFieldPicker() {
+  const isOpen = fieldPicker.style.display !== "none";
+  fieldPicker.style.display = isOpen ? "none" : "block";
+  if (!isOpen) renderFieldPicker();
+}
+
+// Render the discovered paths as a nested checkbox tree
+function renderFieldPicker() {
+  const paths = discoverFieldPaths(
+    [...allProperties, ...fullDetailsCache.values()].map(withPropertyMeta)
+  );
+
+  const tree = {};
+  paths.forEach((path) => {
+    let node = tree;
+    path.split(".").forEach((key) => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+  });
+
+  function renderNode(node, prefix) {
+    return Object.keys(node)
+      .map((key) => {
+        const path = prefix ? \`\${prefix}.\${key}\` : key;
+        const children = Object.keys(node[key]).length
+          ? \`<ul>\${renderNode(node[key], path)}</ul>\`
+          : "";
+        return \`
+          <li>
+              <label>
+                  <input type="checkbox" data-path="\${escapeHtml(path)}">
+                  \${escapeHtml(key)}
+              </label>
+              \${children}
+          </li>\`;
+      })
+      .join("");
+  }
+
+  renderFieldPresets();
+  fieldTree.innerHTML = paths.length
+    ? \`<ul>\${renderNode(tree, "")}</ul>\`
+    : "<p>Load properties to see their fields.</p>";
+  fieldTree.dataset.paths = JSON.stringify(paths);
+  syncFieldCheckboxes();
+}
+
+function getPickerLeafPaths(prefix) {
+  const paths = JSON.parse(fieldTree.dataset.paths || "[]");
+  return paths.filter(
+    (path) => path === prefix || path.startsWith(\`\${prefix}.\`)
+  );
+}
+
+// Reflect exportFields in the checkboxes, with partial parents indeterminate
+function syncFieldCheckboxes() {
+  fieldTree.querySelectorAll("input[data-path]").forEach((checkbox) => {
+    const leaves = getPickerLeafPaths(checkbox.dataset.path);
+    const checked = leaves.filter(
+      (path) => exportFields.size === 0 || exportFields.has(path)
+    ).length;
+    checkbox.checked = checked > 0 && checked === leaves.length;
+    checkbox.indeterminate = checked > 0 && checked < leaves.length;
+  });
+  updateFieldPickerButton();
+}
+
+function handleFieldCheckboxChange(event) {
+  const checkbox = event.target;
+  if (!checkbox.dataset.path) return;
+
+  const allPaths = JSON.parse(fieldTree.dataset.paths || "[]");
+  const fields = exportFields.size === 0 ? new Set(allPaths) : exportFields;
+  getPickerLeafPaths(checkbox.dataset.path).forEach((path) => {
+    if (checkbox.checked) {
+      fields.add(path);
+    } else {
+      fields.delete(path);
+    }
+  });
+
+  const selectsAll = allPaths.every((path) => fields.has(path));
+  setExportFields(selectsAll ? [] : [...fields]);
+  fieldPresetSelect.value = "";
+  syncFieldCheckboxes();
+}
+
+function setExportFields(paths) {
+  exportFields = new Set(paths);
+  localStorage.setItem("exportFields", JSON.stringify(paths));
+  updateFieldPickerButton();
+  updateExportEstimate();
+}
+
+function updateFieldPickerButton() {
+  fieldPickerButton.textContent =
+    exportFields.size === 0
+      ? "🧩 Fields: All"
+      : \`🧩 Fields: \${exportFields.size}\`;
+}
+
+// Named presets are kept per browser
+function getFieldPresets() {
+  try {
+    return JSON.parse(localStorage.getItem("exportFieldPresets")) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function renderFieldPresets() {
+  const presets = getFieldPresets();
+  fieldPresetSelect.innerHTML =
+    '<option value="">Presets…</option>' +
+    Object.keys(presets)
+      .sort()
+      .map(
+        (name) =>
+          \`<option value="\${escapeHtml(name)}">\${escapeHtml(name)}</option>\`
+      )
+      .join("");
+}
+
+function applyFieldPreset() {
+  const presets = getFieldPresets();
+  const name = fieldPresetSelect.value;
+  if (!presets[name]) return;
+
+  setExportFields(presets[name]);
+  syncFieldCheckboxes();
+}
+
+function saveFieldPreset() {
+  const name = (window.prompt("Preset name", fieldPresetSelect.value) || "")
+    .trim()
+    .slice(0, 50);
+  if (!name) return;
+
+  const presets = getFieldPresets();
+  presets[name] = [...exportFields];
+  localStorage.setItem("exportFieldPresets", JSON.stringify(presets));
+  renderFieldPresets();
+  fieldPresetSelect.value = name;
+}
+
+function deleteFieldPreset() {
+  const name = fieldPresetSelect.value;
+  if (!name || !window.confirm(\`Delete preset "\${name}"?\`)) return;
+
+  const presets = getFieldPresets();
+  delete presets[name];
+  localStorage.setItem("exportFieldPresets", JSON.stringify(presets));
+  renderFieldPresets();
+}
+
+function resetExportFields() {
+  setExportFields([]);
+  fieldPresetSelect.value = "";
+  syncFieldCheckboxes();
+}
+
+// Spreadsheet export
+// Exports the selected properties, or every property matching the search
+// when nothing is selected. Nested fields are flattened to dot-path columns
+// and listings become one column per platform.
+function getSpreadsheetProperties() {
+  const source =
+    selectedProperties.size > 0
+      ? allProperties.filter((p) => selectedProperties.has(p.id))
+      : isFiltering()
+      ? filteredProperties
+      : allProperties;
+
+  return getExportProperties(
+    source.map((p) => fullDetailsCache.get(p.id) || p)
+  );
+}
+
+function buildSpreadsheetRows(properties) {
+  const records = properties.map((property) => {
+    const { listings, ...rest } = property;
+    const record = flattenObject(rest);
+    (Array.isArray(listings) ? listings : []).forEach((listing) => {
+      const column = \`listings.\${listing.platform || "other"}\`;
+      const value =
+        listing.platform_id || listing.platform_name || listing.id || "";
+      record[column] = record[column] ? \`\${record[column]}, \${value}\` : value;
+    });
+    return record;
+  });
+
+  const columns = [];
+  ["id", "name", "public_name"].forEach((column) => {
+    if (records.some((record) => column in record)) columns.push(column);
+  });
+  records.forEach((record) =>
+    Object.keys(record).forEach((column) => {
+      if (!columns.includes(column)) columns.push(column);
+    })
+  );
+
+  return [
+    columns,
+    ...records.map((record) => columns.map((column) => record[column] ?? "")),
+  ];
+}
+
+async function exportSpreadsheet(type) {
+  const properties = getSpreadsheetProperties();
+  if (properties.length === 0 || !canExport()) return;
+
+  const rows = buildSpreadsheetRows(properties);
+  const date = offsetDate(0);
+
+  if (type === "csv") {
+    // Byte order mark so Excel opens UTF-8 correctly
+    const csv = "\\ufeff" + rows.map(toCsvRow).join("\\r\\n");
+    downloadFile(
+      new Blob([csv], { type: "text/csv;charset=utf-8" }),
+      \`properties-\${date}.csv\`
+    );
+  } else {
+    downloadFile(
+      new Blob([buildXlsx(rows)], {
+        type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      }),
+      \`properties-\${date}.xlsx\`
+    );
+  }
+}
+
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const NUMERIC_TEXT_PATTERN = /^[+-]?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+)?\$/;
+
+function toCsvRow(values) {
+  return values
+    .map((value) => {
+      let text = String(value);
+      // Keep spreadsheet apps from evaluating text cells as formulas;
+      // numbers such as a negative longitude are left as they are
+      if (
+        typeof value === "string" &&
+        /^[=+\\-@\\t\\r]/.test(text) &&
+        !NUMERIC_TEXT_PATTERN.test(text)
+      ) {
+        text = \`'\${text}\`;
+      }
+      return /[",\\r\\n]/.test(text) ? \`"\${text.replace(/"/g, '""')}"\` : text;
+    })
+    .join(",");
+}
+
+// Minimal single-sheet XLSX: inline strings in an uncompressed zip
+function buildXlsx(rows) {
+  const sheetRows = rows
+    .map((values, rowIndex) => {
+      const cells = values
+        .map((value, columnIndex) => {
+          const ref = \`\${columnName(columnIndex)}\${rowIndex + 1}\`;
+          if (typeof value === "number" && Number.isFinite(value)) {
+            return \`<c r="\${ref}"><v>\${value}</v></c>\`;
+          }
+          return \`<c r="\${ref}" t="inlineStr"><is><t xml:space="preserve">\${escapeXml(
+            value
+          )}</t></is></c>\`;
+        })
+        .join("");
+      return \`<row r="\${rowIndex + 1}">\${cells}</row>\`;
+    })
+    .join("");
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return createZip({
+    "[Content_Types].xml": \`\${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>\`,
+    "_rels/.rels": \`\${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>\`,
+    "xl/workbook.xml": \`\${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Properties" sheetId="1" r:id="rId1"/></sheets></workbook>\`,
+    "xl/_rels/workbook.xml.rels": \`\${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>\`,
+    "xl/worksheets/sheet1.xml": \`\${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>\${sheetRows}</sheetData></worksheet>\`,
+  });
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\\u0000-\\u0008\\u000b\\u000c\\u000e-\\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Zip archive with stored (uncompressed) entries
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Prompt templates
+// Placeholders in a template are replaced when copying:
+//   {{property_count}} {{property_names}} {{date}} {{format}} {{data}}
+// The exported data is appended when a template has no {{data}}.
+async function loadPromptTemplates() {
+  try {
+    const response = await fetch("/api/templates");
+    if (!response.ok) return;
+
+    const data = await response.json();
+    promptTemplates = data.data;
+    renderPromptTemplateOptions();
+  } catch (error) {
+    console.error("Failed to load prompt templates:", error);
+  }
+}
+
+function renderPromptTemplateOptions() {
+  const selected = promptTemplateSelect.value;
+  const option = (template) =>
+    \`<option value="\${escapeHtml(template.id)}">\${escapeHtml(
+      template.name
+    )}</option>\`;
+
+  promptTemplateSelect.innerHTML =
+    '<option value="">Prompt template…</option>' +
+    \`<optgroup label="Built-in">\${promptTemplates
+      .filter((template) => template.builtIn)
+      .map(option)
+      .join("")}</optgroup>\` +
+    \`<optgroup label="My templates">\${promptTemplates
+      .filter((template) => !template.builtIn)
+      .map(option)
+      .join("")}</optgroup>\`;
+  promptTemplateSelect.value = selected;
+}
+
+function getSelectedPromptTemplate() {
+  return promptTemplates.find(
+    (template) => template.id === promptTemplateSelect.value
+  );
+}
+
+function renderPromptTemplate(template, properties, exportText) {
+  const values = {
+    property_count: properties.length,
+    property_names: properties
+      .map((property) => property.name || "Unnamed Property")
+      .join(", "),
+    date: offsetDate(0),
+    format: exportFormatSelect.value,
+    data: exportText,
+  };
+
+  const prompt = template.body.replace(/\\{\\{\\s*(\\w+)\\s*\\}\\}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
+  return /\\{\\{\\s*data\\s*\\}\\}/.test(template.body)
+    ? prompt
+    : \`\${prompt}\\n\\n\${exportText}\`;
+}
+
+function copyAsPrompt() {
+  const template = getSelectedPromptTemplate();
+  if (!template) {
+    showError("Choose a prompt template first.", "COPY_ERROR");
+    return;
+  }
+  copySelectedProperties(template);
+}
+
+function toggleTemplatePanel() {
+  const isOpen = templatePanel.style.display !== "none";
+  templatePanel.style.display = isOpen ? "none" : "block";
+  if (!isOpen) fillTemplateForm();
+}
+
+// Load the chosen template into the editor; built-ins are saved as copies
+function fillTemplateForm() {
+  const template = getSelectedPromptTemplate();
+  templateNameInput.value = template
+    ? template.builtIn
+      ? \`\${template.name} (copy)\`
+      : template.name
+    : "";
+  templateBodyInput.value = template ? template.body : "";
+  templateForm.dataset.templateId =
+    template && !template.builtIn ? template.id : "";
+  deleteTemplateButton.disabled = !templateForm.dataset.templateId;
+}
+
+function newPromptTemplate() {
+  promptTemplateSelect.value = "";
+  fillTemplateForm();
+  templateNameInput.focus();
+}
+
+async function savePromptTemplate(event) {
+  event.preventDefault();
+
+  try {
+    const response = await fetch("/api/templates", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: templateForm.dataset.templateId || undefined,
+        name: templateNameInput.value,
+        body: templateBodyInput.value,
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save template");
+    }
+
+    await loadPromptTemplates();
+    promptTemplateSelect.value = data.id;
+    fillTemplateForm();
+  } catch (error) {
+    console.error("Failed to save template:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+async function deletePromptTemplate() {
+  const template = getSelectedPromptTemplate();
+  if (!template || template.builtIn) return;
+  if (!window.confirm(\`Delete template "\${template.name}"?\`)) return;
+
+  try {
+    const response = await fetch(
+      \`/api/templates/\${encodeURIComponent(template.id)}\`,
+      { method: "DELETE" }
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Failed to delete template");
+    }
+
+    promptTemplateSelect.value = "";
+    await loadPromptTemplates();
+    fillTemplateForm();
+  } catch (error) {
+    console.error("Failed to delete template:", error);
+    showError(error.message, "SAVE_ERROR");
+  }
+}
+
+// Update the chat panel to reflect the current selection
+function updateChatContext() {
+  const count = selectedProperties.size;
+  const noun = count === 1 ? "property" : "properties";
+  chatContext.textContent =
+    count > 0
+      ? \`Asking about \${count} selected \${noun}\`
+      : "Select properties to chat about";
+  chatSendButton.disabled = count === 0 || isChatStreaming;
+}
+
+// Send a question about the selected properties and stream the answer
+async function handleChatSubmit(event) {
+  event.preventDefault();
+
+  const question = chatInput.value.trim();
+  if (!question || selectedProperties.size === 0 || isChatStreaming) return;
+
+  appendChatMessage("user", question);
+  chatInput.value = "";
+
+  const answer = appendChatMessage("assistant", "");
+  isChatStreaming = true;
+  updateChatContext();
+
+  try {
+    const response = await fetch("/api/chat", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        question,
+        propertyIds: Array.from(selectedProperties),
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Chat request failed");
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      answer.textContent += decoder.decode(value, { stream: true });
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    if (!answer.textContent) {
+      answer.textContent = "(No answer returned)";
+    }
+  } catch (error) {
+    console.error("Chat request failed:", error);
+    answer.remove();
+    appendChatMessage("error", error.message);
+  }
+
+  isChatStreaming = false;
+  updateChatContext();
+}
+
+// Append a message bubble to the chat panel
+function appendChatMessage(role, text) {
+  const message = document.createElement("div");
+  message.className = \`chat-message chat-message-\${role}\`;
+  message.textContent = text;
+  chatMessages.appendChild(message);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return message;
+}
+
+// Selected properties with the full include set. In full mode that is what
+// was loaded; in light mode missing details are fetched once and cached.
+async function getSelectedFullDetails() {
+  const selectedData = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  if (loadingMode === "full") {
+    return selectedData;
+  }
+
+  const missing = selectedData.filter(
+    (property) => !fullDetailsCache.has(property.id)
+  );
+
+  for (let i = 0; i < missing.length; i++) {
+    showLoading(
+      \`Loading full details for selected properties... \${i + 1}/\${
+        missing.length
+      }\`
+    );
+
+    const property = missing[i];
+    const response = await fetchWithRetry(
+      \`/api/property/\${property.id}?include=\${LOADING_MODES.full}\`,
+      property.name || "property"
+    );
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load property details");
+    }
+
+    fullDetailsCache.set(property.id, data.data || data);
+  }
+
+  return selectedData.map((property) => fullDetailsCache.get(property.id));
+}
+
+// Rating badges load lazily for the cards that get rendered, a small batch
+// at a time once the property load has finished, so a large portfolio does
+// not crawl the reviews of every property on each visit
+const REVIEW_SUMMARY_BATCH = 10;
+
+function queueReviewSummary(propertyId) {
+  if (
+    reviewSummaries.has(propertyId) ||
+    requestedReviewSummaries.has(propertyId)
+  ) {
+    return;
+  }
+
+  queuedReviewSummaries.add(propertyId);
+  scheduleReviewSummaryLoad();
+}
+
+const scheduleReviewSummaryLoad = debounce(() => loadReviewSummaries(), 300);
+
+async function loadReviewSummaries() {
+  if (isLoading || isLoadingReviewSummaries) return;
+  isLoadingReviewSummaries = true;
+
+  try {
+    while (queuedReviewSummaries.size > 0) {
+      // Cards scrolled out of view are queued again when rendered again
+      const visible = [...queuedReviewSummaries].filter((id) =>
+        propertiesGrid.querySelector(\`.property-card[data-property-id="\${id}"]\`)
+      );
+      queuedReviewSummaries.clear();
+      if (visible.length === 0) break;
+
+      const batch = visible.slice(0, REVIEW_SUMMARY_BATCH);
+      visible
+        .slice(REVIEW_SUMMARY_BATCH)
+        .forEach((id) => queuedReviewSummaries.add(id));
+      batch.forEach((id) => requestedReviewSummaries.add(id));
+
+      const response = await fetch(
+        \`/api/reviews/summary?properties=\${batch
+          .map(encodeURIComponent)
+          .join(",")}\`
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load review summaries");
+      }
 
-      <div class="bulk-actions" id="bulkActions" style="display: none">
-        <p class="bulk-actions-label">
-          🔗 Open Selected Properties in Hospitable:
-        </p>
-        <div class="bulk-actions-buttons">
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('details')"
-            title="Property Details"
-          >
-            📋 Details
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('pricing')"
-            title="Pricing"
-          >
-            💰 Pricing
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('availability-rules')"
-            title="Availability"
-          >
-            📅 Availability
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('direct')"
-            title="Direct Booking"
-          >
-            🔗 Direct
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('messaging-rules')"
-            title="Messaging Rules"
-          >
-            💬 Messaging
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('review-rules')"
-            title="Review Rules"
-          >
-            ⭐ Reviews
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('team')"
-            title="Team"
-          >
-            👥 Team
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('notification-rules')"
-            title="Notifications"
-          >
-            🔔 Notifications
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('task-rules')"
-            title="Task Rules"
-          >
-            ✅ Tasks
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('custom-codes')"
-            title="Custom Codes"
-          >
-            🔐 Codes
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('canned-responses')"
-            title="Canned Responses"
-          >
-            💭 Responses
-          </button>
-          <button
-            class="btn btn-link btn-sm"
-            onclick="openSelectedLinks('merge-match')"
-            title="Merge & Match"
-          >
-            🔀 Merge
-          </button>
-        </div>
-      </div>
+      Object.entries(data.data).forEach(([id, summary]) => {
+        reviewSummaries.set(id, summary);
+        const badge = propertiesGrid.querySelector(
+          \`.property-card[data-property-id="\${id}"] .rating-badge\`
+        );
+        if (badge) badge.textContent = formatRatingBadge(summary);
+      });
 
-      <div class="progress-info" id="progressInfo" style="display: none">
-        <div class="loading-spinner"></div>
-        <p id="progressText">Loading properties...</p>
-      </div>
+      // Properties the worker had no budget left for go round again
+      (data.pending || []).forEach((id) => {
+        requestedReviewSummaries.delete(id);
+        queuedReviewSummaries.add(id);
+      });
+    }
+  } catch (error) {
+    // Badges are a nice-to-have; leave them blank rather than nag
+    console.error("Error loading review summaries:", error);
+  } finally {
+    isLoadingReviewSummaries = false;
+  }
+}
 
-      <div class="properties-grid" id="propertiesGrid"></div>
+function formatRatingBadge(summary) {
+  if (!summary || summary.count === 0 || summary.average === null) return "";
+  return \`⭐ \${summary.average.toFixed(1)} (\${summary.count})\`;
+}
 
-      <div class="load-more" id="loadMoreContainer" style="display: none">
-        <button
-          class="btn btn-primary"
-          id="loadMoreBtn"
-          onclick="loadMoreProperties()"
-        >
-          Load More Properties
-        </button>
-      </div>
+// Copy selected properties with all of their reviews, for spotting
+// recurring complaints with an AI
+async function copySelectedWithReviews() {
+  if (selectedProperties.size === 0 || !canExport()) return;
 
-      <div class="no-results" id="noResults" style="display: none">
-        <h3>No properties found</h3>
-        <p>Try adjusting your search criteria or check the API connection.</p>
-      </div>
-    </div>
+  try {
+    const properties = await getSelectedFullDetails();
+    const bundle = [];
 
-    <script src="/app.js"></script>
-  </body>
-</html>
-`;
+    for (let i = 0; i < properties.length; i++) {
+      const property = properties[i];
+      showLoading(
+        \`Loading reviews... \${i + 1}/\${properties.length} properties\`
+      );
 
-    case "login.html":
-      return `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>Login - Hospitable Properties Viewer</title>
-    <link rel="stylesheet" href="/styles.css" />
-  </head>
-  <body>
-    <div class="auth-container">
-      <form class="auth-form" method="POST" action="/login">
-        <h2>🏠 Properties Viewer</h2>
-        <p>Please login to access the properties dashboard</p>
+      const response = await fetchWithRetry(
+        \`/api/property/\${property.id}/reviews\`,
+        \`reviews for \${property.name || "property"}\`
+      );
+      const data = await response.json();
 
-        <div id="authError" class="auth-error" style="display: none"></div>
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load reviews");
+      }
 
-        <div class="form-group">
-          <label for="username">Username:</label>
-          <input type="text" id="username" name="username" required />
-        </div>
+      bundle.push({
+        property,
+        review_summary: reviewSummaries.get(property.id) || null,
+        reviews: data.data,
+      });
+    }
 
-        <div class="form-group">
-          <label for="password">Password:</label>
-          <input type="password" id="password" name="password" required />
-        </div>
+    await navigator.clipboard.writeText(JSON.stringify(bundle, null, 2));
+    hideLoading();
 
-        <button type="submit" class="btn btn-primary">Login</button>
-      </form>
-    </div>
+    const originalText = copyReviewsButton.textContent;
+    copyReviewsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyReviewsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy reviews:", error);
+    hideLoading();
+    showError(error.message, "EXPORT_ERROR");
+  }
+}
 
-    <script>
-      // Show error message if present in URL
-      const urlParams = new URLSearchParams(window.location.search);
-      const error = urlParams.get("error");
-      if (error) {
-        const errorDiv = document.getElementById("authError");
-        errorDiv.textContent =
-          "Invalid username or password. Please try again.";
-        errorDiv.style.display = "block";
+// Conversation export limits, keeping the bundle within LLM context sizes
+const CONVERSATION_DAYS = 90;
+const MAX_RESERVATIONS_PER_PROPERTY = 5;
+const MAX_MESSAGES_PER_RESERVATION = 30;
+const MAX_MESSAGE_CHARS = 600;
+
+// Copy selected properties with the guest conversations of their most
+// recent reservations, formatted as Markdown for pasting into an AI chat
+async function copySelectedWithConversations() {
+  if (selectedProperties.size === 0 || !canExport()) return;
+
+  const properties = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  try {
+    const recentReservations = await fetchReservations(
+      properties.map((property) => property.id),
+      {
+        start_date: offsetDate(-CONVERSATION_DAYS),
+        end_date: offsetDate(0),
+        include: "guest,properties",
       }
-    </script>
-  </body>
-</html>
-`;
+    );
 
-    case "app.js":
-      return `// Application state
-let allProperties = [];
-let filteredProperties = [];
-let selectedProperties = new Set();
-let currentPage = 1;
-let isLoading = false;
-let hasMorePages = true;
-let totalProperties = 0;
-let loadedProperties = 0;
+    const sections = [];
+    for (let i = 0; i < properties.length; i++) {
+      const property = properties[i];
+      showLoading(
+        \`Loading conversations... \${i + 1}/\${properties.length} properties\`
+      );
 
-// DOM elements
-const searchBox = document.getElementById("searchBox");
-const propertiesGrid = document.getElementById("propertiesGrid");
-const selectedCount = document.getElementById("selectedCount");
-const copyButton = document.getElementById("copyButton");
-const selectAllButton = document.getElementById("selectAllButton");
-const deselectAllButton = document.getElementById("deselectAllButton");
-const clearButton = document.getElementById("clearButton");
-const bulkActions = document.getElementById("bulkActions");
-const loadMoreBtn = document.getElementById("loadMoreBtn");
-const loadMoreContainer = document.getElementById("loadMoreContainer");
-const progressInfo = document.getElementById("progressInfo");
-const progressText = document.getElementById("progressText");
-const errorBanner = document.getElementById("errorBanner");
-const errorMessage = document.getElementById("errorMessage");
-const noResults = document.getElementById("noResults");
+      const reservations = recentReservations
+        .filter((reservation) =>
+          (reservation.properties || []).some((p) => p.id === property.id)
+        )
+        .slice(-MAX_RESERVATIONS_PER_PROPERTY)
+        .reverse();
+
+      const threads = [];
+      for (const reservation of reservations) {
+        const messagesResponse = await fetchWithRetry(
+          \`/api/reservations/\${reservation.id}/messages\`,
+          \`conversation \${reservation.code || reservation.id}\`
+        );
+        const messages = await messagesResponse.json();
+
+        // Some reservations (e.g. blocked dates) have no thread at all
+        if (!messagesResponse.ok && messagesResponse.status !== 404) {
+          throw new Error(messages.message || "Failed to load conversation");
+        }
 
-// Initialize the application
-document.addEventListener("DOMContentLoaded", function () {
-  searchBox.addEventListener("input", debounce(handleSearch, 300));
-  loadInitialProperties();
-});
+        threads.push(
+          formatConversation(
+            reservation,
+            messagesResponse.ok ? messages.data : []
+          )
+        );
+      }
 
-// Load initial batch of properties
-async function loadInitialProperties() {
-  showLoading("Loading all properties...");
-  currentPage = 1;
-  allProperties = [];
+      sections.push(formatPropertyConversations(property, threads));
+    }
+
+    await navigator.clipboard.writeText(sections.join("\\n\\n"));
+    hideLoading();
+
+    const originalText = copyConversationsButton.textContent;
+    copyConversationsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyConversationsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy conversations:", error);
+    hideLoading();
+    showError(error.message, "EXPORT_ERROR");
+  }
+}
+
+function formatPropertyConversations(property, threads) {
+  const capacity = property.capacity || {};
+  const lines = [
+    \`# Property: \${property.name || "Unnamed Property"}\`,
+    property.public_name ? \`Public name: \${property.public_name}\` : null,
+    \`Address: \${property.address?.display || "N/A"}\`,
+    \`Type: \${property.property_type || "N/A"}, \${
+      capacity.bedrooms || 0
+    } bedrooms, \${capacity.bathrooms || 0} bathrooms\`,
+    "",
+    threads.length > 0
+      ? threads.join("\\n\\n")
+      : \`_No reservations in the last \${CONVERSATION_DAYS} days._\`,
+  ];
+  return lines.filter((line) => line !== null).join("\\n");
+}
+
+// One reservation's thread: the latest messages, each trimmed and collapsed
+// onto a single line
+function formatConversation(reservation, messages) {
+  const header = \`## Reservation \${reservation.code || reservation.id} (\${
+    reservation.platform || "unknown"
+  }): \${getGuestName(reservation) || "Guest"}, \${
+    reservation.arrival_date || "?"
+  } to \${reservation.departure_date || "?"}\`;
+
+  const recent = messages.slice(-MAX_MESSAGES_PER_RESERVATION);
+  const lines = recent.map((message) => {
+    const sender =
+      message.sender_type === "guest"
+        ? "Guest"
+        : message.sender_type === "host"
+        ? "Host"
+        : message.sender_type || "Unknown";
+    const body = (message.body || "").replace(/\\s+/g, " ").trim();
+    const trimmed =
+      body.length > MAX_MESSAGE_CHARS
+        ? \`\${body.slice(0, MAX_MESSAGE_CHARS)}…\`
+        : body;
+    const time = (message.created_at || "").slice(0, 16).replace("T", " ");
+    return \`- [\${time}] \${sender}: \${trimmed}\`;
+  });
+
+  if (messages.length > recent.length) {
+    lines.unshift(
+      \`- (\${messages.length - recent.length} earlier messages omitted)\`
+    );
+  }
+
+  return [header, ...(lines.length > 0 ? lines : ["- (no messages)"])].join(
+    "\\n"
+  );
+}
+
+// Switch between the properties and reservations tabs
+function showTab(tab) {
+  document.body.dataset.tab = tab;
+  document.querySelectorAll(".tab").forEach((button) => {
+    button.classList.toggle("active", button.dataset.tab === tab);
+  });
+
+  if (tab === "reservations") {
+    updateReservationsScope();
+  } else if (tab === "calendar") {
+    updateCalendarScope();
+  } else if (tab === "analytics") {
+    analyticsScope.textContent = reservationsScopeText();
+  } else {
+    scheduleVirtualWindowUpdate();
+  }
+}
+
+function updateCalendarScope() {
+  const count = selectedProperties.size;
+  calendarScope.textContent =
+    count === 0
+      ? "Select properties on the Properties tab to compare their calendars"
+      : \`Showing \${count} selected properties side by side\`;
+}
+
+// Load the calendar of every selected property and render them as one
+// timeline, one row per property and one column per night
+async function loadCalendars() {
+  const properties = allProperties.filter((property) =>
+    selectedProperties.has(property.id)
+  );
+
+  if (properties.length === 0) {
+    showError("Select at least one property first.", "LOAD_ERROR");
+    return;
+  }
+
+  if (properties.length > MAX_CALENDAR_PROPERTIES) {
+    showError(
+      \`Select at most \${MAX_CALENDAR_PROPERTIES} properties to compare calendars.\`,
+      "LOAD_ERROR"
+    );
+    return;
+  }
 
-  // Auto-load all properties with full details included
-  await loadAllProperties();
+  updateCalendarScope();
+  const query = \`start_date=\${calendarStartDate.value}&end_date=\${calendarEndDate.value}\`;
+  const calendars = [];
 
-  // Now render everything
-  filteredProperties = allProperties;
-  renderProperties();
-  hideLoading();
+  try {
+    for (let i = 0; i < properties.length; i++) {
+      showLoading(\`Loading calendars... \${i + 1}/\${properties.length}\`);
 
-  if (allProperties.length > 0) {
-    showCompletionMessage();
-  }
-} // Auto-load all properties from all pages
-async function loadAllProperties() {
-  let keepLoading = true;
-
-  while (keepLoading) {
-    await loadProperties();
-    keepLoading = hasMorePages;
-    if (keepLoading) {
-      currentPage++;
-      // Update loading message
-      showLoading(
-        \`Loading properties... \${loadedProperties}/\${totalProperties || "?"}\`
+      const property = properties[i];
+      const response = await fetchWithRetry(
+        \`/api/property/\${property.id}/calendar?\${query}\`,
+        \`calendar for \${property.name || "property"}\`
       );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load calendar");
+      }
+
+      calendars.push({ property, days: data.data.days });
     }
+
+    hideLoading();
+    renderCalendarTimeline(calendars);
+  } catch (error) {
+    console.error("Error loading calendars:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
   }
 }
 
-// Load properties from API
-async function loadProperties() {
-  if (isLoading) return;
+function renderCalendarTimeline(calendars) {
+  const dates = Array.from(
+    new Set(calendars.flatMap(({ days }) => days.map((day) => day.date)))
+  ).sort();
+
+  const headerCells = dates
+    .map((date) => {
+      const day = new Date(\`\${date}T00:00:00\`);
+      const weekend = day.getDay() === 0 || day.getDay() === 6;
+      return \`<th class="\${
+        weekend ? "calendar-weekend" : ""
+      }">\${day.toLocaleDateString(undefined, {
+        weekday: "short",
+      })}<br>\${day.getDate()}/\${day.getMonth() + 1}</th>\`;
+    })
+    .join("");
+
+  const rows = calendars
+    .map(({ property, days }) => {
+      const byDate = new Map(days.map((day) => [day.date, day]));
+      const cells = dates
+        .map((date) => {
+          const day = byDate.get(date);
+          if (!day) return "<td></td>";
+
+          const price =
+            day.price !== null
+              ? \`\${Math.round(day.price)}\${
+                  day.currency ? \` \${escapeHtml(day.currency)}\` : ""
+                }\`
+              : "–";
+          const title = \`\${date}: \${day.status}\${
+            day.min_stay ? \`, min stay \${day.min_stay}\` : ""
+          }\`;
+          return \`<td><span class="calendar-cell calendar-\${
+            day.status
+          }" title="\${escapeHtml(title)}">\${price}</span></td>\`;
+        })
+        .join("");
+
+      return \`<tr><th class="calendar-property" title="\${escapeHtml(
+        property.name || ""
+      )}">\${escapeHtml(property.name || "Unnamed Property")}</th>\${cells}</tr>\`;
+    })
+    .join("");
+
+  calendarTimeline.innerHTML = \`
+        <table class="calendar-table">
+            <thead><tr><th class="calendar-property">Property</th>\${headerCells}</tr></thead>
+            <tbody>\${rows}</tbody>
+        </table>
+    \`;
+}
 
-  isLoading = true;
-  loadMoreBtn.disabled = true;
+// Properties whose reservations are loaded: the selection
+function getReservationPropertyIds() {
+  return Array.from(selectedProperties);
+}
 
-  try {
-    const response = await fetch(
-      \`/api/properties?page=\${currentPage}&per_page=100\`
+function updateReservationsScope() {
+  reservationsScope.textContent = reservationsScopeText();
+}
+
+function reservationsScopeText() {
+  const count = getReservationPropertyIds().length;
+  return count > 0
+    ? \`Showing reservations for \${count} selected properties\`
+    : "Select properties on the Properties tab to load their reservations";
+}
+
+// The worker answers for MAX_RESERVATION_REQUEST_PROPERTIES properties at a
+// time and splits a batch in two when its reservations don't fit in one
+// request, so batches are queued and the halves asked for on their own.
+const MAX_RESERVATION_REQUEST_PROPERTIES = 25;
+
+async function fetchReservations(propertyIds, params) {
+  const batches = [];
+  for (
+    let i = 0;
+    i < propertyIds.length;
+    i += MAX_RESERVATION_REQUEST_PROPERTIES
+  ) {
+    batches.push(propertyIds.slice(i, i + MAX_RESERVATION_REQUEST_PROPERTIES));
+  }
+
+  const reservations = [];
+  let loaded = 0;
+  while (batches.length > 0) {
+    const batch = batches.shift();
+    showLoading(
+      \`Loading reservations... \${loaded}/\${propertyIds.length} properties\`
+    );
+
+    const query = new URLSearchParams({
+      ...params,
+      properties: batch.join(","),
+    });
+    const response = await fetchWithRetry(
+      \`/api/reservations?\${query}\`,
+      "reservations"
     );
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || "Failed to load properties");
+      throw new Error(data.message || "Failed to load reservations");
     }
 
-    if (data.error) {
-      showError(data.message, data.error);
-      hideLoading();
-      return;
+    if (data.pending.length > 0) {
+      batches.unshift(...data.pending);
+      continue;
     }
 
-    // Update totals
-    totalProperties = data.meta.total;
-    loadedProperties += data.data.length;
+    reservations.push(...data.data);
+    loaded += batch.length;
+  }
 
-    // Add new properties to our collection
-    allProperties.push(...data.data);
+  return reservations.sort((a, b) =>
+    String(a.arrival_date || "").localeCompare(String(b.arrival_date || ""))
+  );
+}
 
-    // Update totals display
-    updateProgress();
+// Load reservations for the chosen properties and date range
+async function loadReservations() {
+  const propertyIds = getReservationPropertyIds();
+  if (propertyIds.length === 0) {
+    showError(
+      "Select properties on the Properties tab before loading reservations.",
+      "LOAD_ERROR"
+    );
+    return;
+  }
 
-    // Check if there are more pages
-    hasMorePages = data.meta.current_page < data.meta.last_page;
+  updateReservationsScope();
 
-    // Don't render during auto-load, wait until all are loaded
-    loadMoreContainer.style.display = "none";
+  try {
+    allReservations = await fetchReservations(propertyIds, {
+      start_date: reservationStartDate.value,
+      end_date: reservationEndDate.value,
+      // Guest details are only served to exporters
+      include: canExport() ? "guest,properties" : "properties",
+    });
+    selectedReservations.clear();
+    hideLoading();
+    handleReservationSearch();
   } catch (error) {
-    console.error("Error loading properties:", error);
-    showError(error.message, "LOAD_ERROR");
+    console.error("Error loading reservations:", error);
     hideLoading();
+    showError(error.message, "LOAD_ERROR");
   }
-
-  isLoading = false;
-  loadMoreBtn.disabled = false;
 }
 
-// Load more properties
-async function loadMoreProperties() {
-  if (!hasMorePages || isLoading) return;
-
-  showLoading(
-    \`Loading more properties... (\${loadedProperties}/\${totalProperties})\`
-  );
-  currentPage++;
-  await loadProperties();
+// Filter reservations by guest, code, property name, platform or status
+function handleReservationSearch() {
+  const query = reservationSearchBox.value.toLowerCase().trim();
+
+  filteredReservations =
+    query === ""
+      ? allReservations
+      : allReservations.filter((reservation) =>
+          [
+            reservation.code,
+            getGuestName(reservation),
+            getReservationPropertyName(reservation),
+            reservation.platform,
+            reservation.status,
+          ].some((value) => (value || "").toLowerCase().includes(query))
+        );
+
+  renderReservations();
 }
 
-// Handle search - focuses on property name and address only
-function handleSearch() {
-  const query = searchBox.value.toLowerCase().trim();
-
-  if (query === "") {
-    filteredProperties = allProperties;
-  } else {
-    filteredProperties = allProperties.filter((property) => {
-      // Primary: Search by property name
-      const nameMatch = property.name?.toLowerCase().includes(query) || false;
-      const publicNameMatch =
-        property.public_name?.toLowerCase().includes(query) || false;
-      // Secondary: Search by address (with null check)
-      const addressMatch =
-        property.address?.display?.toLowerCase().includes(query) || false;
-
-      return nameMatch || publicNameMatch || addressMatch;
-    });
-  }
-
-  renderProperties();
+function getGuestName(reservation) {
+  const guest = reservation.guest || {};
+  return [guest.first_name, guest.last_name].filter(Boolean).join(" ");
 }
 
-// Render properties in the grid
-function renderProperties() {
-  const propertiesToShow =
-    filteredProperties.length > 0 || searchBox.value.trim() !== ""
-      ? filteredProperties
-      : allProperties;
-
-  propertiesGrid.innerHTML = "";
+function getReservationPropertyName(reservation) {
+  const property = reservation.properties?.[0];
+  if (property?.name) return property.name;
 
-  if (propertiesToShow.length === 0) {
-    if (allProperties.length === 0 && !isLoading) {
-      noResults.style.display = "block";
-    }
-    return;
-  }
+  const loaded = allProperties.find((p) => p.id === property?.id);
+  return loaded?.name || "";
+}
 
-  noResults.style.display = "none";
+function renderReservations() {
+  reservationsGrid.innerHTML = "";
+  reservationsEmpty.style.display =
+    filteredReservations.length === 0 ? "block" : "none";
 
-  propertiesToShow.forEach((property) => {
-    const propertyCard = createPropertyCard(property);
-    propertiesGrid.appendChild(propertyCard);
+  filteredReservations.forEach((reservation) => {
+    reservationsGrid.appendChild(createReservationCard(reservation));
   });
 
-  updateSelectionUI();
+  updateReservationSelectionUI();
 }
 
-// Create property card HTML - compact table-like design
-function createPropertyCard(property) {
+// Reservation card, laid out like the compact property cards
+function createReservationCard(reservation) {
   const card = document.createElement("div");
   card.className = "property-card";
-  card.dataset.propertyId = property.id;
-
-  if (selectedProperties.has(property.id)) {
-    card.classList.add("selected");
-  }
+  card.dataset.reservationId = reservation.id;
 
-  const statusClass = property.listed ? "status-listed" : "status-unlisted";
-  const statusText = property.listed ? "Listed" : "Unlisted";
+  const status = reservation.status || "unknown";
+  const statusClass =
+    status === "cancelled" ? "status-cancelled" : "status-listed";
 
   card.innerHTML = \`
         <div class="property-content-compact">
-            <div class="property-row">
+            <div class="property-row reservation-row">
                 <div class="property-info">
-                    <input type="checkbox" class="property-checkbox" 
-                           onchange="togglePropertySelection('\${property.id}')"
-                           \${
-                             selectedProperties.has(property.id)
-                               ? "checked"
-                               : ""
-                           }>
+                    <input type="checkbox" class="property-checkbox">
                     <div class="property-text">
-                        <h4 class="property-title-compact">\${
-                          property.name || "Unnamed Property"
-                        }</h4>
-                        \${
-                          property.public_name
-                            ? \`<span class="property-name-compact">\${property.public_name}</span>\`
-                            : ""
-                        }
+                        <h4 class="property-title-compact">\${escapeHtml(
+                          getGuestName(reservation) || "Unknown guest"
+                        )}</h4>
+                        <span class="property-name-compact">\${escapeHtml(
+                          reservation.code || ""
+                        )} · \${escapeHtml(reservation.platform || "")}</span>
                     </div>
                 </div>
-                
+
                 <div class="property-specs">
-                    <span>🏠 \${property.property_type || "N/A"}</span>
-                    <span>🛏️ \${property.capacity?.bedrooms || 0}br</span>
-                    <span>🛁 \${property.capacity?.bathrooms || 0}ba</span>
+                    <span>🌙 \${reservation.nights || 0}n</span>
+                    <span>👤 \${reservation.guests?.total || 0}</span>
                 </div>
-                
+
                 <div class="property-address-compact">
-                    📍 \${property.address?.display || "Address not available"}
-                </div>
-                
-                <div class="property-quick-links">
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/details/overview" target="_blank" class="btn-tiny" tabindex="-1" title="Details">📋</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/pricing" target="_blank" class="btn-tiny" tabindex="-1" title="Pricing">💰</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/availability-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Availability">📅</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/direct" target="_blank" class="btn-tiny" tabindex="-1" title="Direct">🔗</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/messaging-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Messaging">💬</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/review-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Reviews">⭐</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/team" target="_blank" class="btn-tiny" tabindex="-1" title="Team">👥</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/notification-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Notifications">🔔</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/task-rules" target="_blank" class="btn-tiny" tabindex="-1" title="Tasks">✅</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/custom-codes" target="_blank" class="btn-tiny" tabindex="-1" title="Codes">🔐</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/canned-responses" target="_blank" class="btn-tiny" tabindex="-1" title="Responses">💭</a>
-                    <a href="https://my.hospitable.com/properties/property/\${
-                      property.id
-                    }/merge-match" target="_blank" class="btn-tiny" tabindex="-1" title="Merge">�</a>
+                    🏠 \${escapeHtml(getReservationPropertyName(reservation))}
+                    · 📅 \${formatDate(reservation.arrival_date)} → \${formatDate(
+    reservation.departure_date
+  )}
                 </div>
-                
+
                 <div class="property-status-right">
-                    <span class="property-status \${statusClass}">\${statusText}</span>
+                    <span class="property-status \${statusClass}">\${escapeHtml(
+    status
+  )}</span>
                 </div>
             </div>
         </div>
     \`;
 
+  card
+    .querySelector(".property-checkbox")
+    .addEventListener("change", () =>
+      toggleReservationSelection(reservation.id)
+    );
+
   return card;
 }
 
-// Toggle property selection
-function togglePropertySelection(propertyId) {
-  if (selectedProperties.has(propertyId)) {
-    selectedProperties.delete(propertyId);
+function toggleReservationSelection(reservationId) {
+  if (selectedReservations.has(reservationId)) {
+    selectedReservations.delete(reservationId);
   } else {
-    selectedProperties.add(propertyId);
+    selectedReservations.add(reservationId);
   }
 
-  updateSelectionUI();
+  updateReservationSelectionUI();
 }
 
-// Update selection UI
-function updateSelectionUI() {
-  const count = selectedProperties.size;
-  selectedCount.textContent = \`\${count} selected\`;
-  copyButton.disabled = count === 0;
+function updateReservationSelectionUI() {
+  const count = selectedReservations.size;
+  reservationSelectedCount.textContent = \`\${count} selected\`;
+  copyReservationsButton.disabled = count === 0;
+  copyReservationsButton.style.display = canExport() ? "inline-block" : "none";
 
-  // Show/hide bulk actions and clear button
-  bulkActions.style.display = count > 0 ? "block" : "none";
-  clearButton.style.display = count > 0 ? "inline-block" : "none";
+  reservationsGrid.querySelectorAll(".property-card").forEach((card) => {
+    const selected = selectedReservations.has(card.dataset.reservationId);
+    card.classList.toggle("selected", selected);
+    card.querySelector(".property-checkbox").checked = selected;
+  });
+}
 
-  // Show/hide select/deselect all buttons
-  const visibleProperties =
-    filteredProperties.length > 0 || searchBox.value.trim() !== ""
-      ? filteredProperties
-      : allProperties;
+function selectAllVisibleReservations() {
+  filteredReservations.forEach((reservation) =>
+    selectedReservations.add(reservation.id)
+  );
+  updateReservationSelectionUI();
+}
 
-  const allVisibleSelected =
-    visibleProperties.length > 0 &&
-    visibleProperties.every((p) => selectedProperties.has(p.id));
+function clearReservationSelection() {
+  selectedReservations.clear();
+  updateReservationSelectionUI();
+}
 
-  if (allVisibleSelected && count > 0) {
-    selectAllButton.style.display = "none";
-    deselectAllButton.style.display = "inline-block";
-  } else {
-    selectAllButton.style.display = "inline-block";
-    deselectAllButton.style.display = "none";
-  }
+// Copy selected reservations to clipboard
+async function copySelectedReservations() {
+  if (selectedReservations.size === 0 || !canExport()) return;
 
-  // Update card styling
-  document.querySelectorAll(".property-card").forEach((card) => {
-    const propertyId = card.dataset.propertyId;
-    const checkbox = card.querySelector(".property-checkbox");
-    if (selectedProperties.has(propertyId)) {
-      card.classList.add("selected");
-      if (checkbox) checkbox.checked = true;
-    } else {
-      card.classList.remove("selected");
-      if (checkbox) checkbox.checked = false;
-    }
-  });
+  const selectedData = allReservations.filter((reservation) =>
+    selectedReservations.has(reservation.id)
+  );
+  const jsonData = JSON.stringify(selectedData, null, 2);
+
+  try {
+    await navigator.clipboard.writeText(jsonData);
+
+    const originalText = copyReservationsButton.textContent;
+    copyReservationsButton.textContent = "✅ Copied!";
+    setTimeout(() => {
+      copyReservationsButton.textContent = originalText;
+    }, 2000);
+  } catch (error) {
+    console.error("Failed to copy to clipboard:", error);
+    showError("Could not copy to clipboard.", "COPY_ERROR");
+  }
 }
 
-// Select all visible properties (in search results)
-function selectAllVisible() {
-  const propertiesToSelect =
-    filteredProperties.length > 0 || searchBox.value.trim() !== ""
-      ? filteredProperties
-      : allProperties;
+// Analytics
+// Metrics for the period [start, end), where end is exclusive:
+//   occupancy = booked nights / available nights
+//   ADR       = revenue / booked nights
+//   RevPAR    = revenue / available nights
+//   lead time = average days between booking and arrival
+// Available nights are simply the nights in the period. Revenue of stays
+// that straddle the period is prorated by night.
+const DAY_MS = 86400000;
+// Longest stay analytics looks back for when loading reservations
+const MAX_STAY_NIGHTS = 365;
+const INACTIVE_RESERVATION_STATUSES = [
+  "cancelled",
+  "declined",
+  "expired",
+  "inquiry",
+  "request",
+  "not_accepted",
+];
+
+async function loadAnalytics() {
+  const propertyIds = getReservationPropertyIds();
+  if (propertyIds.length === 0) {
+    showError(
+      "Select properties on the Properties tab before calculating analytics.",
+      "LOAD_ERROR"
+    );
+    return;
+  }
 
-  propertiesToSelect.forEach((property) => {
-    selectedProperties.add(property.id);
-  });
+  analyticsScope.textContent = reservationsScopeText();
+  showLoading(\`Loading reservations for \${propertyIds.length} properties...\`);
 
-  updateSelectionUI();
+  try {
+    const reservations = await loadAnalyticsReservations(propertyIds);
+    const properties = allProperties.filter((property) =>
+      propertyIds.includes(property.id)
+    );
+
+    analyticsResult = computeAnalytics(
+      properties,
+      reservations,
+      analyticsStartDate.value,
+      analyticsEndDate.value
+    );
+
+    hideLoading();
+    renderAnalytics(analyticsResult);
+    copyAnalyticsButton.disabled = false;
+  } catch (error) {
+    console.error("Error calculating analytics:", error);
+    hideLoading();
+    showError(error.message, "LOAD_ERROR");
+  }
 }
 
-// Deselect all properties
-function deselectAll() {
-  selectedProperties.clear();
-  updateSelectionUI();
+// Bookings embedded in the property payload are used when they are a list
+// of reservations; otherwise reservations with financials are fetched.
+async function loadAnalyticsReservations(propertyIds) {
+  const embedded = allProperties
+    .filter((property) => propertyIds.includes(property.id))
+    .filter((property) => Array.isArray(property.bookings));
+
+  if (embedded.length === propertyIds.length) {
+    return embedded.flatMap((property) =>
+      property.bookings.map((booking) => ({
+        ...booking,
+        properties: [{ id: property.id }],
+      }))
+    );
+  }
+
+  // Reservations are filtered by arrival date; looking back by the longest
+  // possible stay also catches stays that began before the period
+  const lookback = new Date(
+    Date.parse(analyticsStartDate.value) - MAX_STAY_NIGHTS * DAY_MS
+  );
+  return fetchReservations(propertyIds, {
+    start_date: lookback.toISOString().slice(0, 10),
+    end_date: analyticsEndDate.value,
+    include: "properties,financials",
+  });
 }
 
-// Clear selection (alias for deselectAll)
-function clearSelection() {
-  selectedProperties.clear();
-  updateSelectionUI();
-}
+function computeAnalytics(properties, reservations, startDate, endDate) {
+  const periodStart = Date.parse(startDate);
+  const periodEnd = Date.parse(endDate);
+  const periodNights = Math.max(
+    0,
+    Math.round((periodEnd - periodStart) / DAY_MS)
+  );
 
-// Open selected properties in Hospitable
-function openSelectedLinks(linkType) {
-  if (selectedProperties.size === 0) return;
+  const rows = properties.map((property) => {
+    const stays = reservations.filter(
+      (reservation) =>
+        !INACTIVE_RESERVATION_STATUSES.includes(
+          String(reservation.status || "").toLowerCase()
+        ) && (reservation.properties || []).some((p) => p.id === property.id)
+    );
 
-  const selectedData = allProperties.filter((property) =>
-    selectedProperties.has(property.id)
-  );
+    let bookedNights = 0;
+    let revenue = 0;
+    const leadTimes = [];
+
+    stays.forEach((reservation) => {
+      const arrival = Date.parse(reservation.arrival_date);
+      const departure = Date.parse(reservation.departure_date);
+      const nights = Math.round((departure - arrival) / DAY_MS);
+      const overlap = Math.round(
+        (Math.min(departure, periodEnd) - Math.max(arrival, periodStart)) /
+          DAY_MS
+      );
+      if (!(nights > 0) || !(overlap > 0)) return;
 
-  const linkMap = {
-    details: "details/overview",
-    pricing: "pricing",
-    "availability-rules": "availability-rules",
-    direct: "direct",
-    "messaging-rules": "messaging-rules",
-    "review-rules": "review-rules",
-    team: "team",
-    "notification-rules": "notification-rules",
-    "task-rules": "task-rules",
-    "custom-codes": "custom-codes",
-    "canned-responses": "canned-responses",
-    "merge-match": "merge-match",
-  };
+      bookedNights += overlap;
+      revenue += (getReservationRevenue(reservation) * overlap) / nights;
 
-  const urlPath = linkMap[linkType];
-  if (!urlPath) return;
+      const booked = Date.parse(reservation.booking_date);
+      if (!Number.isNaN(booked)) {
+        leadTimes.push(Math.max(0, Math.round((arrival - booked) / DAY_MS)));
+      }
+    });
 
-  // Confirm if opening many tabs
-  if (selectedData.length > 10) {
-    const confirm = window.confirm(
-      \`This will open \${selectedData.length} new tabs. Continue?\`
+    return buildMetrics(
+      property.name || "Unnamed Property",
+      periodNights,
+      bookedNights,
+      revenue,
+      leadTimes
     );
-    if (!confirm) return;
-  }
-
-  selectedData.forEach((property) => {
-    const url = \`https://my.hospitable.com/properties/property/\${property.id}/\${urlPath}\`;
-    window.open(url, "_blank");
   });
+
+  const portfolio = buildMetrics(
+    "Portfolio",
+    periodNights * rows.length,
+    rows.reduce((sum, row) => sum + row.bookedNights, 0),
+    rows.reduce((sum, row) => sum + row.revenue, 0),
+    rows.flatMap((row) => row.leadTimes)
+  );
+
+  return {
+    startDate,
+    endDate,
+    currency: findCurrency(reservations),
+    rows,
+    portfolio,
+  };
 }
 
-// Copy selected properties to clipboard
-async function copySelectedProperties() {
-  if (selectedProperties.size === 0) return;
+function buildMetrics(name, availableNights, bookedNights, revenue, leadTimes) {
+  return {
+    name,
+    availableNights,
+    bookedNights,
+    revenue,
+    leadTimes,
+    occupancy: availableNights > 0 ? bookedNights / availableNights : 0,
+    adr: bookedNights > 0 ? revenue / bookedNights : 0,
+    revpar: availableNights > 0 ? revenue / availableNights : 0,
+    leadTime:
+      leadTimes.length > 0
+        ? leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length
+        : null,
+  };
+}
 
-  const selectedData = allProperties.filter((property) =>
-    selectedProperties.has(property.id)
+// Host revenue of a reservation in currency units (Hospitable reports cents)
+function getReservationRevenue(reservation) {
+  const host = reservation.financials?.host || {};
+  const amount =
+    host.revenue?.amount ??
+    host.accommodation?.amount ??
+    reservation.financials?.guest?.total_price?.amount ??
+    0;
+  return amount / 100;
+}
+
+function findCurrency(reservations) {
+  const withCurrency = reservations.find(
+    (reservation) => reservation.financials?.currency
   );
+  return withCurrency ? withCurrency.financials.currency : "";
+}
 
-  showLoading(\`Copying \${selectedData.length} properties with full details...\`);
+function renderAnalytics(result) {
+  const { portfolio, currency } = result;
+  const money = (value) => formatMoney(value, currency);
+
+  analyticsSummary.innerHTML = [
+    ["Occupancy", formatPercent(portfolio.occupancy)],
+    ["ADR", money(portfolio.adr)],
+    ["RevPAR", money(portfolio.revpar)],
+    ["Revenue", money(portfolio.revenue)],
+    ["Avg. Lead Time", formatLeadTime(portfolio.leadTime)],
+    ["Booked Nights", \`\${portfolio.bookedNights}/\${portfolio.availableNights}\`],
+  ]
+    .map(
+      ([label, value]) => \`
+        <div class="metric-card">
+            <div class="metric-label">\${label}</div>
+            <div class="metric-value">\${value}</div>
+        </div>\`
+    )
+    .join("");
+
+  analyticsCharts.innerHTML =
+    renderBarChart("Occupancy", result.rows, "occupancy", formatPercent) +
+    renderBarChart("ADR", result.rows, "adr", money) +
+    renderBarChart("RevPAR", result.rows, "revpar", money) +
+    renderBarChart("Avg. Lead Time", result.rows, "leadTime", formatLeadTime);
+
+  const tableRows = [...result.rows, portfolio]
+    .map(
+      (row) => \`
+        <tr>
+            <td>\${escapeHtml(row.name)}</td>
+            <td>\${formatPercent(row.occupancy)}</td>
+            <td>\${money(row.adr)}</td>
+            <td>\${money(row.revpar)}</td>
+            <td>\${money(row.revenue)}</td>
+            <td>\${row.bookedNights}/\${row.availableNights}</td>
+            <td>\${formatLeadTime(row.leadTime)}</td>
+        </tr>\`
+    )
+    .join("");
+
+  analyticsTable.innerHTML = \`
+        <table class="admin-table">
+            <thead>
+                <tr>
+                    <th>Property</th><th>Occupancy</th><th>ADR</th><th>RevPAR</th>
+                    <th>Revenue</th><th>Booked Nights</th><th>Lead Time</th>
+                </tr>
+            </thead>
+            <tbody>\${tableRows}</tbody>
+        </table>
+    \`;
+}
 
-  try {
-    const jsonData = JSON.stringify(selectedData, null, 2);
-    await navigator.clipboard.writeText(jsonData);
+// Horizontal bar chart, bars scaled to the largest value
+function renderBarChart(title, rows, key, format) {
+  const max = Math.max(...rows.map((row) => row[key] || 0), 0);
+  const bars = rows
+    .map((row) => {
+      const value = row[key] || 0;
+      const width = max > 0 ? (value / max) * 100 : 0;
+      return \`
+        <div class="bar-row">
+            <span class="bar-label" title="\${escapeHtml(
+              row.name
+            )}">\${escapeHtml(row.name)}</span>
+            <div class="bar-track"><div class="bar-fill" style="width: \${width}%"></div></div>
+            <span class="bar-value">\${format(row[key])}</span>
+        </div>\`;
+    })
+    .join("");
+
+  return \`<div class="bar-chart"><h4>\${title}</h4>\${bars}</div>\`;
+}
 
-    // Visual feedback
-    const originalText = copyButton.textContent;
-    copyButton.textContent = "✅ Copied!";
-    hideLoading();
+// Copy the metrics as a compact Markdown table for AI prompts
+async function copyAnalyticsTable() {
+  if (!analyticsResult) return;
+
+  const { rows, portfolio, currency, startDate, endDate } = analyticsResult;
+  const money = (value) => formatMoney(value, currency);
+  const lines = [
+    \`Period: \${startDate} to \${endDate} (end exclusive)\`,
+    "",
+    "| Property | Occ | ADR | RevPAR | Revenue | Nights | Lead |",
+    "|---|---|---|---|---|---|---|",
+    ...[...rows, portfolio].map(
+      (row) =>
+        \`| \${row.name} | \${formatPercent(row.occupancy)} | \${money(
+          row.adr
+        )} | \${money(row.revpar)} | \${money(row.revenue)} | \${
+          row.bookedNights
+        }/\${row.availableNights} | \${formatLeadTime(row.leadTime)} |\`
+    ),
+  ];
 
+  try {
+    await navigator.clipboard.writeText(lines.join("\\n"));
+
+    const originalText = copyAnalyticsButton.textContent;
+    copyAnalyticsButton.textContent = "✅ Copied!";
     setTimeout(() => {
-      copyButton.textContent = originalText;
+      copyAnalyticsButton.textContent = originalText;
     }, 2000);
   } catch (error) {
     console.error("Failed to copy to clipboard:", error);
-    hideLoading();
-
-    // Fallback: show data in a modal or new window
-    const jsonData = JSON.stringify(selectedData, null, 2);
-    const newWindow = window.open("", "_blank");
-    newWindow.document.write(\`
-            <html>
-                <head><title>Selected Properties Data</title></head>
-                <body>
-                    <h3>Selected Properties JSON Data (Full Details)</h3>
-                    <p>Copy the data below:</p>
-                    <textarea style="width: 100%; height: 400px;">\${jsonData}</textarea>
-                </body>
-            </html>
-        \`);
+    showError("Could not copy to clipboard.", "COPY_ERROR");
   }
 }
 
+function formatPercent(value) {
+  return \`\${Math.round((value || 0) * 1000) / 10}%\`;
+}
+
+function formatMoney(value, currency) {
+  const amount = Math.round(value || 0);
+  return currency ? \`\${amount} \${currency}\` : String(amount);
+}
+
+function formatLeadTime(days) {
+  return days === null || days === undefined ? "–" : \`\${Math.round(days)}d\`;
+}
+
+// Date N days from today as YYYY-MM-DD
+function offsetDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "?";
+}
+
+// Escape text for safe interpolation into innerHTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 // Update progress information
 function updateProgress() {
   if (totalProperties > 0) {
@@ -987,7 +7876,9 @@ function showCompletionMessage() {
   progressInfo.style.display = "block";
   progressInfo.style.backgroundColor = "#d4edda";
   progressInfo.style.color = "#155724";
-  progressText.textContent = \`✅ All \${totalProperties} properties loaded successfully!\`;
+  const cacheNote =
+    oldestCacheAge > 0 ? \` (cached \${formatAge(oldestCacheAge)} ago)\` : "";
+  progressText.textContent = \`✅ All \${totalProperties} properties loaded successfully!\${cacheNote}\`;
 
   // Hide after 3 seconds
   setTimeout(() => {
@@ -997,6 +7888,13 @@ function showCompletionMessage() {
   }, 3000);
 }
 
+// Format a cache age in seconds as a short human-readable duration
+function formatAge(seconds) {
+  if (seconds < 60) return \`\${seconds}s\`;
+  if (seconds < 3600) return \`\${Math.floor(seconds / 60)} min\`;
+  return \`\${Math.floor(seconds / 3600)}h\`;
+}
+
 // Show loading state
 function showLoading(message) {
   progressInfo.style.display = "block";
@@ -1066,6 +7964,20 @@ body {
   box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
 }
 
+.header-actions {
+  float: right;
+}
+
+.header-actions .btn {
+  text-decoration: none;
+}
+
+.current-user {
+  margin-right: 8px;
+  font-size: 13px;
+  color: #7f8c8d;
+}
+
 .header h1 {
   color: #2c3e50;
   margin-bottom: 10px;
@@ -1093,6 +8005,206 @@ body {
   border-color: #3498db;
 }
 
+.mode-select {
+  padding: 12px;
+  border: 2px solid #ddd;
+  border-radius: 6px;
+  font-size: 16px;
+  background: white;
+}
+
+.search-box.invalid {
+  border-color: #e74c3c;
+}
+
+.search-error {
+  color: #c0392b;
+  font-size: 14px;
+  margin: -10px 0 20px;
+}
+
+.property-card mark {
+  background-color: #fff3bf;
+  color: inherit;
+  padding: 0 1px;
+  border-radius: 2px;
+}
+
+.property-tags {
+  grid-column: 1 / -1;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+}
+
+.tag-chip {
+  background-color: #e8f4fd;
+  color: #2471a3;
+  border-radius: 12px;
+  padding: 2px 10px;
+  font-size: 12px;
+}
+
+.tag-chip.field-chip {
+  background-color: #f4ecf7;
+  color: #7d3c98;
+}
+
+.meta-editor {
+  position: fixed;
+  inset: 0;
+  z-index: 100;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background-color: rgba(0, 0, 0, 0.4);
+}
+
+.meta-editor-form {
+  background: white;
+  padding: 20px;
+  border-radius: 8px;
+  width: min(480px, 90vw);
+}
+
+.meta-editor-form label {
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  font-size: 14px;
+  color: #555;
+}
+
+.property-note {
+  grid-column: 1 / -1;
+  font-size: 13px;
+  color: #7e5109;
+  background-color: #fef9e7;
+  border-radius: 4px;
+  padding: 4px 8px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.notes-history {
+  max-height: 240px;
+  overflow-y: auto;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+}
+
+.note-version {
+  border-left: 3px solid #ddd;
+  padding-left: 8px;
+}
+
+.note-version-meta {
+  font-size: 12px;
+  color: #7f8c8d;
+}
+
+.note-version-text {
+  font-size: 14px;
+  white-space: pre-wrap;
+}
+
+.match-snippet {
+  grid-column: 1 / -1;
+  font-size: 12px;
+  color: #7f8c8d;
+}
+
+.filter-panel {
+  display: flex;
+  gap: 15px;
+  align-items: center;
+  flex-wrap: wrap;
+  background: white;
+  padding: 15px;
+  border-radius: 8px;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+  margin-bottom: 20px;
+}
+
+.filter-panel input {
+  width: 80px;
+}
+
+.export-options,
+.group-bar {
+  display: flex;
+  gap: 15px;
+  align-items: center;
+  flex-wrap: wrap;
+  margin-bottom: 20px;
+}
+
+.export-options input {
+  width: 140px;
+}
+
+.field-picker {
+  background: white;
+  padding: 15px;
+  border-radius: 8px;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+  margin-bottom: 20px;
+}
+
+.field-picker-actions {
+  display: flex;
+  gap: 10px;
+  align-items: center;
+  flex-wrap: wrap;
+  margin-bottom: 10px;
+}
+
+.field-tree {
+  max-height: 320px;
+  overflow-y: auto;
+  font-size: 14px;
+}
+
+.field-tree ul {
+  list-style: none;
+  padding-left: 18px;
+}
+
+.field-tree > ul {
+  padding-left: 0;
+}
+
+.field-tree label {
+  cursor: pointer;
+}
+
+.template-form {
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+.template-form input,
+.template-form textarea {
+  padding: 10px;
+  border: 2px solid #ddd;
+  border-radius: 6px;
+  font-size: 14px;
+  font-family: inherit;
+}
+
+.template-help {
+  font-size: 12px;
+  color: #7f8c8d;
+}
+
+.export-estimate {
+  color: #7f8c8d;
+  font-size: 14px;
+}
+
 .btn {
   padding: 12px 20px;
   border: none;
@@ -1202,10 +8314,94 @@ body {
   }
 }
 
-.properties-grid {
+.properties-grid {
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+}
+
+.property-table-wrapper {
+  overflow-x: auto;
+  background: white;
+  border-radius: 6px;
+  box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+}
+
+.property-table {
+  width: 100%;
+  border-collapse: collapse;
+  table-layout: fixed;
+  font-size: 14px;
+}
+
+.property-table th,
+.property-table td {
+  padding: 8px 10px;
+  border-bottom: 1px solid #eee;
+  text-align: left;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.property-table th {
+  position: relative;
+  background-color: #f8f9fa;
+  cursor: pointer;
+  user-select: none;
+}
+
+.property-table .select-col {
+  width: 40px;
+  cursor: default;
+}
+
+.col-resizer {
+  position: absolute;
+  top: 0;
+  right: 0;
+  width: 6px;
+  height: 100%;
+  cursor: col-resize;
+}
+
+.col-resizer:hover {
+  background-color: #3498db;
+}
+
+.property-table .virtual-spacer td {
+  padding: 0;
+  border: none;
+}
+
+.property-table-row.selected {
+  background-color: #eaf4fc;
+}
+
+.property-table mark {
+  background-color: #fff3bf;
+  color: inherit;
+}
+
+.column-picker {
+  position: relative;
+}
+
+.column-picker summary {
+  list-style: none;
+}
+
+.column-picker-options {
+  position: absolute;
+  z-index: 10;
   display: flex;
   flex-direction: column;
-  gap: 8px;
+  gap: 6px;
+  background: white;
+  padding: 10px;
+  border-radius: 6px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+  white-space: nowrap;
 }
 
 .property-card {
@@ -1287,158 +8483,545 @@ body {
   white-space: nowrap;
 }
 
-.property-status-right {
-  text-align: right;
+.property-status-right {
+  text-align: right;
+}
+
+.property-quick-links {
+  display: flex;
+  gap: 3px;
+  align-items: center;
+  justify-content: flex-end;
+  flex-wrap: wrap;
+}
+
+.btn-tiny {
+  display: inline-block;
+  padding: 3px 5px;
+  font-size: 13px;
+  text-decoration: none;
+  border-radius: 3px;
+  background-color: #f0f0f0;
+  border: 1px solid #ddd;
+  transition: all 0.2s;
+  cursor: pointer;
+  line-height: 1;
+}
+
+.btn-tiny:hover {
+  background-color: #3498db;
+  color: white;
+  border-color: #3498db;
+  transform: scale(1.15);
+}
+
+.bulk-actions {
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  padding: 20px;
+  border-radius: 8px;
+  margin-bottom: 20px;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.15);
+}
+
+.bulk-actions-label {
+  font-weight: 600;
+  color: white;
+  margin-bottom: 12px;
+  font-size: 16px;
+}
+
+.bulk-actions-buttons {
+  display: flex;
+  gap: 8px;
+  flex-wrap: wrap;
+}
+
+.btn-link {
+  background-color: white;
+  color: #667eea;
+  font-size: 13px;
+  border: 2px solid white;
+  font-weight: 600;
+}
+
+.btn-link:hover {
+  background-color: #667eea;
+  color: white;
+  border-color: white;
+  transform: translateY(-2px);
+  box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+}
+
+.btn-sm {
+  padding: 8px 12px;
+  font-size: 13px;
+}
+
+.property-details-status {
+  text-align: right;
+}
+
+.details-loaded {
+  display: inline-block;
+  padding: 4px 8px;
+  border-radius: 12px;
+  font-size: 11px;
+  font-weight: 500;
+  background-color: #d4edda;
+  color: #155724;
+}
+
+.property-actions-compact {
+  display: flex;
+  justify-content: flex-end;
+}
+
+.btn-details-compact {
+  background-color: #f8f9fa;
+  color: #495057;
+  border: 1px solid #dee2e6;
+  padding: 6px 12px;
+  border-radius: 4px;
+  cursor: pointer;
+  font-size: 12px;
+  font-weight: 500;
+  white-space: nowrap;
+}
+
+.btn-details-compact:hover {
+  background-color: #e9ecef;
+}
+
+.btn-details-compact:disabled {
+  opacity: 0.6;
+  cursor: not-allowed;
+}
+
+.rating-badge {
+  margin-right: 6px;
+  font-size: 12px;
+  color: #856404;
+  white-space: nowrap;
+}
+
+.property-status {
+  display: inline-block;
+  padding: 4px 8px;
+  border-radius: 12px;
+  font-size: 12px;
+  font-weight: 500;
+}
+
+.status-listed {
+  background-color: #d4edda;
+  color: #155724;
+}
+
+.status-unlisted {
+  background-color: #f8d7da;
+  color: #721c24;
+}
+
+.load-more {
+  text-align: center;
+  margin: 30px 0;
+}
+
+.progress-info {
+  background: white;
+  padding: 15px;
+  border-radius: 8px;
+  margin-bottom: 20px;
+  text-align: center;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.no-results {
+  text-align: center;
+  padding: 40px;
+  background: white;
+  border-radius: 8px;
+  color: #7f8c8d;
+}
+
+/* Tabs */
+.tabs {
+  display: flex;
+  gap: 5px;
+  margin-bottom: 20px;
+  border-bottom: 2px solid #e1e5e9;
+}
+
+.tab {
+  padding: 10px 20px;
+  border: none;
+  border-bottom: 3px solid transparent;
+  margin-bottom: -2px;
+  background: none;
+  cursor: pointer;
+  font-size: 16px;
+  color: #7f8c8d;
+}
+
+.tab:hover {
+  color: #2c3e50;
+}
+
+.tab.active {
+  color: #2c3e50;
+  border-bottom-color: #3498db;
+  font-weight: 600;
+}
+
+body[data-tab="reservations"] .view-properties,
+body[data-tab="calendar"] .view-properties,
+body:not([data-tab="reservations"]) .view-reservations,
+body[data-tab="analytics"] .view-properties,
+body:not([data-tab="calendar"]) .view-calendar,
+body:not([data-tab="analytics"]) .view-analytics {
+  display: none !important;
+}
+
+/* Reservations */
+.date-field {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 14px;
+  color: #555;
+}
+
+.date-field input {
+  padding: 10px;
+  border: 2px solid #ddd;
+  border-radius: 6px;
+  font-size: 14px;
+}
+
+.reservations-scope {
+  margin-bottom: 10px;
+  font-size: 13px;
+  color: #7f8c8d;
+}
+
+.reservation-row {
+  grid-template-columns: 2fr 1fr 2fr auto;
+}
+
+.status-cancelled {
+  background-color: #f8d7da;
+  color: #721c24;
+}
+
+/* Calendar */
+.calendar-legend {
+  display: flex;
+  gap: 6px;
+  font-size: 12px;
+}
+
+.calendar-timeline {
+  overflow-x: auto;
+  background: white;
+  border-radius: 8px;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.calendar-table {
+  border-collapse: collapse;
+  font-size: 11px;
+}
+
+.calendar-table th,
+.calendar-table td {
+  border: 1px solid #e1e5e9;
+  padding: 4px;
+  text-align: center;
+  white-space: nowrap;
+}
+
+.calendar-table th {
+  background-color: #f8f9fa;
+  color: #2c3e50;
+  font-weight: 600;
+}
+
+.calendar-table .calendar-property {
+  position: sticky;
+  left: 0;
+  z-index: 1;
+  min-width: 180px;
+  max-width: 220px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  text-align: left;
+  background: white;
+  font-size: 13px;
+}
+
+.calendar-table .calendar-weekend {
+  background-color: #eef2f7;
+}
+
+.calendar-cell {
+  min-width: 44px;
+  padding: 2px 6px;
+  border-radius: 3px;
+}
+
+.calendar-available {
+  background-color: #d4edda;
+  color: #155724;
+}
+
+.calendar-booked {
+  background-color: #f8d7da;
+  color: #721c24;
+}
+
+.calendar-blocked {
+  background-color: #e2e3e5;
+  color: #6c757d;
+}
+
+/* Analytics */
+.analytics-summary {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: 15px;
+  margin-bottom: 20px;
+}
+
+.metric-card {
+  background: white;
+  padding: 15px;
+  border-radius: 8px;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
 }
 
-.property-quick-links {
-  display: flex;
-  gap: 3px;
-  align-items: center;
-  justify-content: flex-end;
-  flex-wrap: wrap;
+.metric-label {
+  font-size: 12px;
+  color: #7f8c8d;
+  text-transform: uppercase;
 }
 
-.btn-tiny {
-  display: inline-block;
-  padding: 3px 5px;
-  font-size: 13px;
-  text-decoration: none;
-  border-radius: 3px;
-  background-color: #f0f0f0;
-  border: 1px solid #ddd;
-  transition: all 0.2s;
-  cursor: pointer;
-  line-height: 1;
+.metric-value {
+  font-size: 24px;
+  font-weight: 600;
+  color: #2c3e50;
 }
 
-.btn-tiny:hover {
-  background-color: #3498db;
-  color: white;
-  border-color: #3498db;
-  transform: scale(1.15);
+.analytics-charts {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(400px, 1fr));
+  gap: 15px;
+  margin-bottom: 20px;
 }
 
-.bulk-actions {
-  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-  padding: 20px;
+.bar-chart {
+  background: white;
+  padding: 15px;
   border-radius: 8px;
-  margin-bottom: 20px;
-  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.15);
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
 }
 
-.bulk-actions-label {
-  font-weight: 600;
-  color: white;
-  margin-bottom: 12px;
-  font-size: 16px;
+.bar-chart h4 {
+  margin-bottom: 10px;
+  color: #2c3e50;
 }
 
-.bulk-actions-buttons {
-  display: flex;
+.bar-row {
+  display: grid;
+  grid-template-columns: 160px 1fr 70px;
   gap: 8px;
-  flex-wrap: wrap;
+  align-items: center;
+  font-size: 12px;
+  margin-bottom: 4px;
 }
 
-.btn-link {
-  background-color: white;
-  color: #667eea;
-  font-size: 13px;
-  border: 2px solid white;
-  font-weight: 600;
+.bar-label {
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
 }
 
-.btn-link:hover {
-  background-color: #667eea;
-  color: white;
-  border-color: white;
-  transform: translateY(-2px);
-  box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+.bar-track {
+  background-color: #f1f3f5;
+  border-radius: 3px;
+  height: 12px;
 }
 
-.btn-sm {
-  padding: 8px 12px;
-  font-size: 13px;
+.bar-fill {
+  background-color: #3498db;
+  border-radius: 3px;
+  height: 100%;
 }
 
-.property-details-status {
+.bar-value {
   text-align: right;
+  color: #555;
 }
 
-.details-loaded {
-  display: inline-block;
-  padding: 4px 8px;
-  border-radius: 12px;
-  font-size: 11px;
-  font-weight: 500;
-  background-color: #d4edda;
-  color: #155724;
+.analytics-table-wrapper {
+  overflow-x: auto;
 }
 
-.property-actions-compact {
+/* Chat Panel */
+.main-layout {
+  display: grid;
+  grid-template-columns: minmax(0, 1fr) 380px;
+  gap: 20px;
+  align-items: start;
+}
+
+.chat-panel {
+  position: sticky;
+  top: 20px;
   display: flex;
-  justify-content: flex-end;
+  flex-direction: column;
+  max-height: calc(100vh - 40px);
+  background: white;
+  border-radius: 8px;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
 }
 
-.btn-details-compact {
-  background-color: #f8f9fa;
-  color: #495057;
-  border: 1px solid #dee2e6;
-  padding: 6px 12px;
-  border-radius: 4px;
-  cursor: pointer;
+.chat-header {
+  padding: 15px;
+  border-bottom: 1px solid #e1e5e9;
+}
+
+.chat-header h3 {
+  color: #2c3e50;
+  font-size: 16px;
+}
+
+.chat-context {
   font-size: 12px;
-  font-weight: 500;
-  white-space: nowrap;
+  color: #7f8c8d;
 }
 
-.btn-details-compact:hover {
-  background-color: #e9ecef;
+.chat-messages {
+  flex: 1;
+  min-height: 200px;
+  overflow-y: auto;
+  padding: 15px;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
 }
 
-.btn-details-compact:disabled {
-  opacity: 0.6;
-  cursor: not-allowed;
+.chat-message {
+  padding: 8px 12px;
+  border-radius: 6px;
+  font-size: 14px;
+  white-space: pre-wrap;
+  word-wrap: break-word;
 }
 
-.property-status {
-  display: inline-block;
-  padding: 4px 8px;
-  border-radius: 12px;
-  font-size: 12px;
-  font-weight: 500;
+.chat-message-user {
+  align-self: flex-end;
+  background-color: #3498db;
+  color: white;
 }
 
-.status-listed {
-  background-color: #d4edda;
-  color: #155724;
+.chat-message-assistant {
+  align-self: flex-start;
+  background-color: #f1f3f5;
 }
 
-.status-unlisted {
+.chat-message-error {
+  align-self: stretch;
   background-color: #f8d7da;
   color: #721c24;
 }
 
-.load-more {
-  text-align: center;
-  margin: 30px 0;
+.chat-form {
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  padding: 15px;
+  border-top: 1px solid #e1e5e9;
 }
 
-.progress-info {
+.chat-input {
+  width: 100%;
+  padding: 8px;
+  border: 2px solid #ddd;
+  border-radius: 6px;
+  font-family: inherit;
+  font-size: 14px;
+  resize: vertical;
+}
+
+.chat-input:focus {
+  outline: none;
+  border-color: #3498db;
+}
+
+/* Admin Styles */
+.admin-form {
+  display: flex;
+  gap: 10px;
+  flex-wrap: wrap;
   background: white;
   padding: 15px;
   border-radius: 8px;
   margin-bottom: 20px;
-  text-align: center;
   box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
 }
 
-.no-results {
-  text-align: center;
-  padding: 40px;
+.admin-form input,
+.admin-form select {
+  flex: 1;
+  min-width: 160px;
+  padding: 10px;
+  border: 2px solid #ddd;
+  border-radius: 6px;
+  font-size: 14px;
+}
+
+.admin-table {
+  width: 100%;
+  border-collapse: collapse;
   background: white;
   border-radius: 8px;
-  color: #7f8c8d;
+  overflow: hidden;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.admin-table th,
+.admin-table td {
+  padding: 10px 15px;
+  text-align: left;
+  border-bottom: 1px solid #e1e5e9;
+}
+
+.admin-table th {
+  background-color: #f8f9fa;
+  color: #2c3e50;
+  font-size: 14px;
+}
+
+.role-badge {
+  padding: 2px 8px;
+  border-radius: 10px;
+  font-size: 12px;
+  font-weight: 600;
+}
+
+.role-viewer {
+  background-color: #e9ecef;
+  color: #495057;
+}
+
+.role-exporter {
+  background-color: #d1ecf1;
+  color: #0c5460;
+}
+
+.role-admin {
+  background-color: #fff3cd;
+  color: #856404;
 }
 
 /* Authentication Styles */
@@ -1492,6 +9075,15 @@ body {
   border-color: #3498db;
 }
 
+.auth-notice {
+  background-color: #d4edda;
+  color: #155724;
+  padding: 10px;
+  border-radius: 6px;
+  text-align: center;
+  margin-bottom: 15px;
+}
+
 .auth-error {
   background-color: #f8d7da;
   color: #721c24;
@@ -1501,6 +9093,17 @@ body {
   margin-bottom: 15px;
 }
 
+@media (max-width: 1100px) {
+  .main-layout {
+    grid-template-columns: 1fr;
+  }
+
+  .chat-panel {
+    position: static;
+    max-height: none;
+  }
+}
+
 @media (max-width: 768px) {
   .controls {
     flex-direction: column;
@@ -1543,6 +9146,172 @@ body {
 }
 `;
 
+    case "admin.html":
+      return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>Users - Hospitable Properties Viewer</title>
+    <link rel="stylesheet" href="/styles.css" />
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <div class="header-actions">
+          <a href="/" class="btn btn-secondary btn-sm">🏠 Properties</a>
+          <a href="/logout" class="btn btn-secondary btn-sm">🚪 Logout</a>
+        </div>
+        <h1>👥 User Management</h1>
+        <p>
+          Viewers can browse properties, exporters can also copy data, chat
+          and open bulk links, and admins can manage users.
+        </p>
+      </div>
+
+      <div class="error-banner" id="errorBanner">
+        <strong>Error:</strong> <span id="errorMessage"></span>
+      </div>
+
+      <form class="admin-form" id="addUserForm">
+        <input
+          type="text"
+          id="newUsername"
+          placeholder="Username"
+          autocomplete="off"
+          required
+        />
+        <input
+          type="password"
+          id="newPassword"
+          placeholder="Password (min. 8 characters)"
+          autocomplete="new-password"
+          minlength="8"
+          required
+        />
+        <select id="newRole">
+          <option value="viewer">Viewer</option>
+          <option value="exporter">Exporter</option>
+          <option value="admin">Admin</option>
+        </select>
+        <button type="submit" class="btn btn-primary">➕ Add User</button>
+      </form>
+
+      <table class="admin-table">
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Role</th>
+            <th>Created</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="usersTable"></tbody>
+      </table>
+    </div>
+
+    <script>
+      const usersTable = document.getElementById("usersTable");
+      const addUserForm = document.getElementById("addUserForm");
+      const errorBanner = document.getElementById("errorBanner");
+      const errorMessage = document.getElementById("errorMessage");
+
+      // Load and render the user list
+      async function loadUsers() {
+        const response = await fetch("/api/users");
+        const data = await response.json();
+
+        if (!response.ok) {
+          showError(data.message || "Failed to load users");
+          return;
+        }
+
+        usersTable.innerHTML = "";
+        data.data.forEach((user) => {
+          const row = document.createElement("tr");
+          row.innerHTML = \`
+            <td></td>
+            <td><span class="role-badge role-\${user.role}">\${user.role}</span></td>
+            <td>\${
+              user.builtIn
+                ? "Built-in"
+                : new Date(user.createdAt).toLocaleDateString()
+            }</td>
+            <td></td>
+          \`;
+          row.cells[0].textContent = user.username;
+
+          if (!user.builtIn) {
+            const removeButton = document.createElement("button");
+            removeButton.className = "btn btn-warning btn-sm";
+            removeButton.textContent = "🗑️ Remove";
+            removeButton.onclick = () => removeUser(user.username);
+            row.cells[3].appendChild(removeButton);
+          }
+
+          usersTable.appendChild(row);
+        });
+      }
+
+      // Create a new user from the form
+      addUserForm.addEventListener("submit", async (event) => {
+        event.preventDefault();
+
+        const response = await fetch("/api/users", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            username: document.getElementById("newUsername").value,
+            password: document.getElementById("newPassword").value,
+            role: document.getElementById("newRole").value,
+          }),
+        });
+
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          showError(data.message || "Failed to add user");
+          return;
+        }
+
+        addUserForm.reset();
+        hideError();
+        loadUsers();
+      });
+
+      // Remove a user and end their sessions
+      async function removeUser(username) {
+        if (!window.confirm(\`Remove \${username}? They will be logged out.\`)) {
+          return;
+        }
+
+        const response = await fetch(
+          \`/api/users/\${encodeURIComponent(username)}\`,
+          { method: "DELETE" }
+        );
+
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          showError(data.message || "Failed to remove user");
+          return;
+        }
+
+        loadUsers();
+      }
+
+      function showError(message) {
+        errorMessage.textContent = message;
+        errorBanner.classList.add("show");
+      }
+
+      function hideError() {
+        errorBanner.classList.remove("show");
+      }
+
+      loadUsers();
+    </script>
+  </body>
+</html>
+`;
     default:
       return "File not found";
   }